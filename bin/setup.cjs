@@ -27,7 +27,7 @@ async function setup() {
     {
       type: 'input',
       name: 'secretKey',
-      message: 'Enter your Secret Key:',
+      message: 'Enter your Secret Key (used by your server only):',
       validate: input => {
         if (!input || input.trim().length === 0) {
           return 'Secret Key is required';
@@ -52,7 +52,7 @@ async function setup() {
     {
       type: 'list',
       name: 'keyMethod',
-      message: 'How would you like to provide your keys?',
+      message: 'How would you like to provide your Project Key to the browser?',
       choices: [
         { name: 'Hardcoded in code (simple)', value: 'hardcoded' },
         { name: 'Environment variables (recommended)', value: 'env' }
@@ -80,18 +80,19 @@ async function setup() {
       console.log(chalk.yellow('\n📋 Add this code to your application:\n'));
       
       // Generate integration code based on framework and key method
-      const template = generateTemplate(answers.framework, answers.keyMethod, projectKey, secretKey);
+      const template = generateTemplate(answers.framework, answers.keyMethod, projectKey);
       console.log(chalk.cyan(template));
       
-      // Handle environment variables if chosen
-      if (answers.keyMethod === 'env') {
-        const envVars = generateEnvVars(answers.framework, projectKey, secretKey);
-        console.log(chalk.yellow('\n📄 Create a .env file with these variables:\n'));
-        console.log(chalk.cyan(envVars));
-        
-        // Update .gitignore
-        updateGitignore();
-      }
+      // The secret key signs session tokens on your server and never reaches the browser
+      console.log(chalk.yellow('\n🔑 Add this token endpoint to your server:\n'));
+      console.log(chalk.cyan(generateServerTemplate(answers.framework)));
+      
+      const envVars = generateEnvVars(answers.framework, answers.keyMethod, projectKey, secretKey);
+      console.log(chalk.yellow('\n📄 Create a .env file with these variables:\n'));
+      console.log(chalk.cyan(envVars));
+      
+      // Update .gitignore
+      updateGitignore();
     }
     
     console.log(chalk.gray('\n📚 Next Steps:'));
@@ -99,12 +100,9 @@ async function setup() {
     console.log(chalk.gray('2. Test your integration by visiting your website'));
     console.log(chalk.gray('3. Check your dashboard for session data'));
     console.log(chalk.gray('4. Visit: https://rrweb-ingest-825071668012.us-central1.run.app/view/' + projectKey + '/[sessionId]'));
+    console.log(chalk.gray('   (getSessionReplayUrl() returns this URL for the current session)'));
     
-    if (answers.keyMethod === 'hardcoded') {
-      console.log(chalk.yellow('\n⚠️  Note: Your keys are visible in the client-side code. This is normal for session replay.'));
-    } else {
-      console.log(chalk.green('\n🔒 Security: Your keys are stored in environment variables (not in git).'));
-    }
+    console.log(chalk.green('\n🔒 Security: Your secret key stays on your server; the browser only gets short-lived session tokens.'));
     
     console.log(chalk.blue('\n🎉 Session replay is ready to use!'));
     
@@ -115,25 +113,25 @@ async function setup() {
   }
 }
 
-function generateTemplate(framework, keyMethod, projectKey, secretKey) {
+function generateTemplate(framework, keyMethod, projectKey) {
   const getConfig = () => {
     if (keyMethod === 'env') {
       const envPrefix = getEnvPrefix(framework);
       return `{
     projectKey: process.env.${envPrefix}_REPLAY_PROJECT_KEY,
-    secretKey: process.env.${envPrefix}_REPLAY_SECRET_KEY
+    getToken: tokenEndpoint('/api/replay-token')
   }`;
     } else {
       return `{
     projectKey: '${projectKey}',
-    secretKey: '${secretKey}'
+    getToken: tokenEndpoint('/api/replay-token')
   }`;
     }
   };
 
   const templates = {
     react: `// Add to your main App.js or index.js
-import { initSessionReplay } from '@replica-replay/core';
+import { initSessionReplay, tokenEndpoint } from '@replica-replay/core';
 import { useEffect } from 'react';
 
 export default function App() {
@@ -150,7 +148,7 @@ export default function App() {
     
     vue: `// Add to your main.js
 import { createApp } from 'vue';
-import { SessionReplayPlugin } from '@replica-replay/core';
+import { SessionReplayPlugin, tokenEndpoint } from '@replica-replay/core';
 import App from './App.vue';
 
 const app = createApp(App);
@@ -162,7 +160,7 @@ app.mount('#app');`,
     
     nextjs: `// Add to pages/_app.js
 import { useEffect } from 'react';
-import { initSessionReplay } from '@replica-replay/core';
+import { initSessionReplay, tokenEndpoint } from '@replica-replay/core';
 
 export default function App({ Component, pageProps }) {
   useEffect(() => {
@@ -174,7 +172,7 @@ export default function App({ Component, pageProps }) {
     
     vanilla: `<!-- Add to your HTML head -->
 <script type="module">
-  import { initSessionReplay } from '@replica-replay/core';
+  import { initSessionReplay, tokenEndpoint } from '@replica-replay/core';
   
   initSessionReplay(${getConfig()});
 </script>
@@ -182,7 +180,7 @@ export default function App({ Component, pageProps }) {
 <!-- Or as a regular script tag -->
 <script>
   // Load the module first
-  import('@replica-replay/core').then(({ initSessionReplay }) => {
+  import('@replica-replay/core').then(({ initSessionReplay, tokenEndpoint }) => {
     initSessionReplay(${getConfig()});
   });
 </script>`
@@ -191,10 +189,37 @@ export default function App({ Component, pageProps }) {
   return templates[framework];
 }
 
-function generateEnvVars(framework, projectKey, secretKey) {
+function generateServerTemplate(framework) {
+  if (framework === 'nextjs') {
+    return `// pages/api/replay-token.js
+import { createTokenHandler } from '@replica-replay/core/server';
+
+export default createTokenHandler({
+  projectKey: process.env.REPLAY_PROJECT_KEY,
+  secretKey: process.env.REPLAY_SECRET_KEY
+});`;
+  }
+  
+  return `// server.js (Express)
+const { createTokenHandler } = require('@replica-replay/core/server');
+
+app.get('/api/replay-token', createTokenHandler({
+  projectKey: process.env.REPLAY_PROJECT_KEY,
+  secretKey: process.env.REPLAY_SECRET_KEY
+}));`;
+}
+
+function generateEnvVars(framework, keyMethod, projectKey, secretKey) {
+  // Server-only variables: no public prefix, so bundlers never inline them
+  const serverVars = `REPLAY_PROJECT_KEY=${projectKey}
+REPLAY_SECRET_KEY=${secretKey}`;
+  if (keyMethod !== 'env') {
+    return serverVars;
+  }
+  
   const prefix = getEnvPrefix(framework);
   return `${prefix}_REPLAY_PROJECT_KEY=${projectKey}
-${prefix}_REPLAY_SECRET_KEY=${secretKey}`;
+${serverVars}`;
 }
 
 function getEnvPrefix(framework) {
@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+
+/**
+ * Build script for CDN distribution bundle
+ * 
+ * Creates standalone browser bundles that can be loaded via script tag.
+ * Uses esbuild to create minified, self-contained JavaScript files: the core
+ * bundle, and a full bundle that adds the opt-in console, network and vitals
+ * recorders and the pure-JS gzip fallback for browsers without CompressionStream.
+ * Also builds the inline loader snippet (src/snippet.js) that queues calls
+ * until the bundle has loaded.
+ */
+
+const esbuild = require('esbuild');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Largest allowed size of the minified snippet, in bytes
+ */
+const MAX_SNIPPET_BYTES = 1024;
+
+/**
+ * Largest allowed size of the minified core bundle, in bytes
+ */
+const MAX_CORE_BYTES = 80 * 1024;
+
+/**
+ * Modules the core bundle replaces with smaller stand-ins
+ */
+const CORE_MODULES = {
+  'recorders.js': 'recorders-core.js',
+  'gzip-fallback.js': 'gzip-fallback-core.js'
+};
+
+/**
+ * esbuild plugin that swaps in the core bundle's stand-in modules
+ */
+const coreModulesPlugin = {
+  name: 'core-modules',
+  setup(build) {
+    build.onResolve({ filter: /^\.\/(recorders|gzip-fallback)\.js$/ }, (args) => ({
+      path: path.join(args.resolveDir, CORE_MODULES[args.path.slice(2)])
+    }));
+  }
+};
+
+/**
+ * Bundles to build from src/cdn.js, each minified and readable
+ */
+const BUNDLES = [
+  { name: 'replica-replay', label: 'CDN Bundle', plugins: [coreModulesPlugin] },
+  { name: 'replica-replay.full', label: 'CDN Bundle, full', plugins: [] }
+];
+
+/**
+ * Bundle URL written into the snippet; set REPLICA_REPLAY_CDN_URL when deploying
+ */
+const SNIPPET_SRC = process.env.REPLICA_REPLAY_CDN_URL || 'https://your-cdn.com/replica-replay.min.js';
+
+async function buildCDN() {
+  console.log('🏗️  Building CDN bundle...');
+  
+  // Ensure build directory exists
+  const buildDir = path.join(__dirname, 'build', 'cdn');
+  if (!fs.existsSync(buildDir)) {
+    fs.mkdirSync(buildDir, { recursive: true });
+  }
+  
+  try {
+    for (const bundle of BUNDLES) {
+      await esbuild.build({
+        entryPoints: ['src/cdn.js'],
+        bundle: true,
+        minify: true,
+        sourcemap: false,
+        target: ['es2015', 'chrome58', 'firefox57', 'safari11'],
+        format: 'iife',
+        outfile: path.join(buildDir, `${bundle.name}.min.js`),
+        plugins: bundle.plugins,
+        define: {
+          'process.env.NODE_ENV': '"production"'
+        },
+        banner: {
+          js: `/*! @replica-replay/core v1.0.0 - ${bundle.label} */`
+        }
+      });
+      
+      // Also create a non-minified version for development
+      await esbuild.build({
+        entryPoints: ['src/cdn.js'],
+        bundle: true,
+        minify: false,
+        sourcemap: true,
+        target: ['es2015', 'chrome58', 'firefox57', 'safari11'],
+        format: 'iife',
+        outfile: path.join(buildDir, `${bundle.name}.js`),
+        plugins: bundle.plugins,
+        define: {
+          'process.env.NODE_ENV': '"development"'
+        },
+        banner: {
+          js: `/*! @replica-replay/core v1.0.0 - ${bundle.label} (Development) */`
+        }
+      });
+    }
+    
+    const coreBytes = fs.statSync(path.join(buildDir, 'replica-replay.min.js')).size;
+    if (coreBytes > MAX_CORE_BYTES) {
+      throw new Error(`The minified core bundle is ${coreBytes} bytes; it must stay under ${MAX_CORE_BYTES}`);
+    }
+    
+    // Build the inline snippet, readable and minified
+    const snippetSource = fs.readFileSync(path.join(__dirname, 'src', 'snippet.js'), 'utf8');
+    const snippetOptions = {
+      target: 'es5',
+      define: {
+        __REPLICA_REPLAY_SRC__: JSON.stringify(SNIPPET_SRC)
+      }
+    };
+    const snippet = await esbuild.transform(snippetSource, snippetOptions);
+    const minifiedSnippet = await esbuild.transform(snippetSource, {
+      ...snippetOptions,
+      minify: true,
+      legalComments: 'none'
+    });
+    const snippetBytes = Buffer.byteLength(minifiedSnippet.code.trim());
+    if (snippetBytes > MAX_SNIPPET_BYTES) {
+      throw new Error(`The minified snippet is ${snippetBytes} bytes; it must stay under ${MAX_SNIPPET_BYTES}`);
+    }
+    fs.writeFileSync(path.join(buildDir, 'snippet.js'), snippet.code);
+    fs.writeFileSync(path.join(buildDir, 'snippet.min.js'), minifiedSnippet.code.trim() + '\n');
+    
+    // Create a simple HTML example
+    const exampleHTML = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Replica Replay CDN Example</title>
+</head>
+<body>
+    <h1>Replica Replay CDN Example</h1>
+    <p>Open browser console to see session replay initialization.</p>
+    
+    <!-- Method 1: Load script and initialize manually -->
+    <script src="./replica-replay.min.js"></script>
+    <script>
+        ReplicaReplay.init({
+            projectKey: 'YOUR_PROJECT_KEY',
+            getToken: ReplicaReplay.tokenEndpoint('/api/replay-token')
+        });
+    </script>
+    
+    <!-- Method 2: Auto-initialize with data attributes -->
+    <!-- 
+    <script 
+        src="./replica-replay.min.js" 
+        data-project-key="YOUR_PROJECT_KEY" 
+        data-token-url="/api/replay-token">
+    </script>
+    -->
+    
+    <!-- Method 3: Load asynchronously with the snippet; calls are queued until the bundle loads -->
+    <!--
+    <script>${minifiedSnippet.code.trim()}</script>
+    <script>
+        ReplicaReplay.init({
+            projectKey: 'YOUR_PROJECT_KEY',
+            getToken: () => fetch('/api/replay-token').then((response) => response.json())
+        });
+        ReplicaReplay.identify('user-123');
+    </script>
+    -->
+</body>
+</html>`;
+    
+    fs.writeFileSync(path.join(buildDir, 'example.html'), exampleHTML);
+    
+    console.log('✅ CDN bundle built successfully!');
+    console.log(`📁 Output directory: ${buildDir}`);
+    console.log('📄 Files created:');
+    console.log(`   - replica-replay.min.js (production, ${coreBytes} bytes) and replica-replay.js (development)`);
+    console.log('   - replica-replay.full.min.js and replica-replay.full.js (with the console, network and vitals recorders and the gzip fallback)');
+    console.log(`   - snippet.min.js (inline loader, ${snippetBytes} bytes) and snippet.js`);
+    console.log('   - example.html (usage example)');
+    console.log('');
+    console.log('🚀 Usage:');
+    console.log('   <script src="./replica-replay.min.js"></script>');
+    console.log('   <script>ReplicaReplay.init({ projectKey: "key", getToken: ReplicaReplay.tokenEndpoint("/api/replay-token") });</script>');
+    
+  } catch (error) {
+    console.error('❌ Build failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run build if this script is executed directly
+if (require.main === module) {
+  buildCDN();
+}
+
+module.exports = { buildCDN };
@@ -0,0 +1,369 @@
+/**
+ * @replica-replay/core/server - Session tokens and server-side rendering for Node.js
+ *
+ * Keeps the secret key on your server: the browser asks your endpoint for a
+ * short-lived token and passes it to the SDK through getToken().
+ * Tokens are HS256 JSON Web Tokens signed with the project's secret key.
+ *
+ * For SSR frameworks, renderReplayScript() and renderReplayElement() render the
+ * configuration, consent state, user and a first token into the page, where the
+ * client SDK picks them up. Nothing here touches window or document.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Default token lifetime in seconds
+ */
+const DEFAULT_EXPIRES_IN = 15 * 60;
+
+/**
+ * Longest token lifetime in seconds; tokens are meant to be refreshed
+ */
+const MAX_EXPIRES_IN = 24 * 60 * 60;
+
+/**
+ * Issuer claim of every token
+ */
+const ISSUER = 'replica-replay';
+
+/**
+ * ID of the JSON script tag the client reads; must match STATE_ELEMENT_ID in src/ssr.js
+ */
+const STATE_ELEMENT_ID = 'replica-replay-state';
+
+/**
+ * Consent states the client accepts
+ */
+const CONSENT_STATES = ['pending', 'granted', 'denied'];
+
+/**
+ * Options that must never be rendered into the page, or cannot be serialized
+ */
+const UNRENDERABLE_CONFIG_FIELDS = ['secretKey', 'getToken', 'transport'];
+
+/**
+ * Encode a Buffer or string as base64url
+ * @param {Buffer|string} value - Bytes or UTF-8 text
+ * @returns {string}
+ */
+function base64url(value) {
+  return Buffer.from(value).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * Decode base64url into a Buffer
+ * @param {string} value - base64url text
+ * @returns {Buffer}
+ */
+function fromBase64url(value) {
+  return Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Sign a JWT header and payload
+ * @param {string} data - base64url header and payload joined by a dot
+ * @param {string} secretKey - Secret key
+ * @returns {string} base64url signature
+ */
+function sign(data, secretKey) {
+  return base64url(crypto.createHmac('sha256', secretKey).update(data).digest());
+}
+
+/**
+ * Check that a value is a non-empty string
+ * @param {*} value - Candidate value
+ * @param {string} name - Option name for the error message
+ * @throws {Error}
+ */
+function requireString(value, name) {
+  if (!value || typeof value !== 'string') {
+    throw new Error(`${name} is required`);
+  }
+}
+
+/**
+ * Create a session token for the browser SDK
+ * @param {Object} options - Token options
+ * @param {string} options.projectKey - Project key
+ * @param {string} options.secretKey - Project secret key; never send it to the browser
+ * @param {number} [options.expiresIn] - Lifetime in seconds (defaults to 900, at most 86400)
+ * @param {string} [options.userId] - User the session belongs to, added as the uid claim
+ * @param {boolean} [options.hashUserId] - Put the SHA-256 hex digest of userId in the uid claim, as identify() does with hashUserId
+ * @param {string} [options.origin] - Origin allowed to use the token, added as the origin claim
+ * @returns {Object} token and expiresAt (milliseconds since the epoch)
+ */
+function createSessionToken(options) {
+  const { projectKey, secretKey, expiresIn = DEFAULT_EXPIRES_IN, userId, hashUserId, origin } = options || {};
+  requireString(projectKey, 'projectKey');
+  requireString(secretKey, 'secretKey');
+  if (typeof expiresIn !== 'number' || !(expiresIn > 0) || expiresIn > MAX_EXPIRES_IN) {
+    throw new Error(`expiresIn must be a number of seconds from 1 to ${MAX_EXPIRES_IN}`);
+  }
+
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const claims = {
+    iss: ISSUER,
+    sub: projectKey,
+    iat: issuedAt,
+    exp: issuedAt + Math.floor(expiresIn),
+    jti: crypto.randomBytes(12).toString('hex')
+  };
+  if (userId !== undefined && userId !== null) {
+    // Tokens travel in script URLs; a hashed ID must not leak there in the clear
+    claims.uid = hashUserId
+      ? crypto.createHash('sha256').update(String(userId)).digest('hex')
+      : String(userId);
+  }
+  if (origin) claims.origin = origin;
+
+  const data = `${base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))}.${base64url(JSON.stringify(claims))}`;
+  return {
+    token: `${data}.${sign(data, secretKey)}`,
+    expiresAt: claims.exp * 1000
+  };
+}
+
+/**
+ * Verify a session token, e.g. on a self-hosted ingest endpoint
+ * @param {string} token - Token from the browser
+ * @param {Object} options - Verification options
+ * @param {string} options.secretKey - Secret key the token was signed with
+ * @param {string} [options.projectKey] - Expected project key
+ * @param {number} [options.clockTolerance] - Seconds of clock skew allowed (defaults to 30)
+ * @returns {Object} The token's claims
+ * @throws {Error} When the token is malformed, forged, expired or for another project
+ */
+function verifySessionToken(token, options) {
+  const { secretKey, projectKey, clockTolerance = 30 } = options || {};
+  requireString(secretKey, 'secretKey');
+
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw new Error('Malformed session token');
+  }
+
+  const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`, secretKey));
+  const actual = Buffer.from(parts[2]);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new Error('Invalid session token signature');
+  }
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(fromBase64url(parts[0]).toString('utf8'));
+    claims = JSON.parse(fromBase64url(parts[1]).toString('utf8'));
+  } catch (error) {
+    throw new Error('Malformed session token');
+  }
+  if (header.alg !== 'HS256' || claims.iss !== ISSUER) {
+    throw new Error('Not a session replay token');
+  }
+  if (typeof claims.exp !== 'number' || claims.exp + clockTolerance < Date.now() / 1000) {
+    throw new Error('Session token has expired');
+  }
+  if (projectKey && claims.sub !== projectKey) {
+    throw new Error('Session token is for another project');
+  }
+  return claims;
+}
+
+/**
+ * Create a request handler that answers with JSON { token, expiresAt }.
+ * Works with Node's http module, Express and other (req, res) frameworks.
+ * Put it behind your own authentication if recordings must be tied to signed-in users.
+ * @param {Object} options - Handler options
+ * @param {string} options.projectKey - Project key
+ * @param {string} options.secretKey - Project secret key
+ * @param {number} [options.expiresIn] - Token lifetime in seconds (defaults to 900)
+ * @param {Function} [options.getUserId] - Returns the user ID for a request, or a promise of it
+ * @param {boolean} [options.hashUserId] - Put the SHA-256 hex digest of the user ID in tokens
+ * @returns {Function} Request handler
+ */
+function createTokenHandler(options) {
+  const { projectKey, secretKey, expiresIn, getUserId, hashUserId } = options || {};
+  requireString(projectKey, 'projectKey');
+  requireString(secretKey, 'secretKey');
+
+  return async function sessionTokenHandler(req, res) {
+    let status = 200;
+    let body;
+    try {
+      const userId = typeof getUserId === 'function' ? await getUserId(req) : undefined;
+      body = createSessionToken({ projectKey, secretKey, expiresIn, userId, hashUserId });
+    } catch (error) {
+      status = 500;
+      body = { error: 'Could not create a session token' };
+    }
+
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    // Tokens are per visitor; shared caches must not hand one to someone else
+    res.setHeader('Cache-Control', 'no-store');
+    res.end(JSON.stringify(body));
+  };
+}
+
+/**
+ * Build the state the client SDK reads from the page
+ * @param {Object} options - Render options, see renderReplayScript()
+ * @returns {Object} config, and token, consent and user when given
+ * @throws {Error} When an option is invalid
+ */
+function getReplayState(options) {
+  const {
+    projectKey,
+    secretKey,
+    expiresIn,
+    tokenUrl,
+    serverUrl,
+    mode,
+    config = {},
+    consent,
+    user
+  } = options || {};
+  requireString(projectKey, 'projectKey');
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('config must be an object of JSON-serializable options');
+  }
+  UNRENDERABLE_CONFIG_FIELDS.forEach((field) => {
+    if (config[field] !== undefined) {
+      throw new Error(`config.${field} cannot be rendered into the page; use the secretKey and tokenUrl options for tokens, and pass functions to initSessionReplay() on the client`);
+    }
+  });
+  if (consent !== undefined && CONSENT_STATES.indexOf(consent) === -1) {
+    throw new Error(`consent must be one of: ${CONSENT_STATES.join(', ')}`);
+  }
+  if (user !== undefined && user !== null) {
+    if (typeof user !== 'object' || (typeof user.id !== 'string' && typeof user.id !== 'number')) {
+      throw new Error('user must be an object with a string or number id');
+    }
+  }
+
+  const state = {
+    config: { ...config, projectKey }
+  };
+  if (serverUrl) state.config.serverUrl = serverUrl;
+  if (mode) state.config.mode = mode;
+  if (tokenUrl) state.config.tokenUrl = tokenUrl;
+  // Signed now, so the first page view needs no round trip to the token endpoint
+  if (secretKey && mode !== 'local') {
+    state.token = createSessionToken({
+      projectKey,
+      secretKey,
+      expiresIn,
+      userId: user ? user.id : undefined,
+      // The client hashes the ID it records with hashUserId; the token must match it
+      hashUserId: config.hashUserId === true
+    });
+  }
+  if (consent) state.consent = consent;
+  if (user) state.user = user.traits ? { id: user.id, traits: user.traits } : { id: user.id };
+  return state;
+}
+
+/**
+ * Serialize the state as JSON that is safe inside a <script> tag
+ * @param {Object} options - Render options, see renderReplayScript()
+ * @returns {string}
+ */
+function serializeReplayState(options) {
+  // A "</script>" in a trait value must not end the tag early
+  return JSON.stringify(getReplayState(options))
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e')
+    .replace(/&/g, '\\u0026')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+/**
+ * Escape a value for an HTML attribute
+ * @param {string} value - Attribute value
+ * @returns {string}
+ */
+function escapeAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Render the session replay snippet as HTML, for the <head> of a server-rendered page
+ * @param {Object} options - Render options
+ * @param {string} options.projectKey - Project key
+ * @param {string} [options.secretKey] - Project secret key; signs a first session token, never rendered
+ * @param {number} [options.expiresIn] - Lifetime of that token in seconds (defaults to 900)
+ * @param {string} [options.tokenUrl] - Token endpoint the client refreshes tokens from
+ * @param {string} [options.serverUrl] - Server URL
+ * @param {'remote'|'local'} [options.mode] - Recording mode
+ * @param {Object} [options.config] - Further JSON-serializable initSessionReplay options
+ * @param {'pending'|'granted'|'denied'} [options.consent] - The visitor's consent state, e.g. from a cookie
+ * @param {Object} [options.user] - Signed-in user, as { id, traits }
+ * @param {string} [options.nonce] - CSP nonce for the script tags
+ * @param {string} [options.src] - URL of the CDN build, to load it after the state
+ * @returns {string} HTML
+ * @throws {Error} When an option is invalid
+ */
+function renderReplayScript(options) {
+  const { nonce, src } = options || {};
+  const nonceAttribute = nonce ? ` nonce="${escapeAttribute(nonce)}"` : '';
+  let html = `<script id="${STATE_ELEMENT_ID}" type="application/json"${nonceAttribute}>${serializeReplayState(options)}</script>`;
+  if (src) {
+    html += `<script src="${escapeAttribute(src)}"${nonceAttribute} defer></script>`;
+  }
+  return html;
+}
+
+/**
+ * Render the session replay snippet as a React element, e.g. in a Next.js or Remix layout
+ * @param {Object} options - Render options, see renderReplayScript()
+ * @param {Object} [React] - React, if it cannot be required from here
+ * @returns {Object} React element
+ * @throws {Error} When an option is invalid or React is not available
+ */
+function renderReplayElement(options, React) {
+  if (!React) {
+    try {
+      React = require('react');
+    } catch (error) {
+      throw new Error('renderReplayElement requires react; pass it as the second argument');
+    }
+  }
+  const { nonce, src } = options || {};
+  const children = [
+    React.createElement('script', {
+      key: 'state',
+      id: STATE_ELEMENT_ID,
+      type: 'application/json',
+      nonce,
+      // Browsers clear nonce attributes after parsing, which React reports as a mismatch
+      suppressHydrationWarning: true,
+      dangerouslySetInnerHTML: { __html: serializeReplayState(options) }
+    })
+  ];
+  if (src) {
+    children.push(React.createElement('script', {
+      key: 'sdk',
+      src,
+      nonce,
+      defer: true,
+      suppressHydrationWarning: true
+    }));
+  }
+  return React.createElement(React.Fragment, null, ...children);
+}
+
+module.exports = {
+  STATE_ELEMENT_ID,
+  createSessionToken,
+  verifySessionToken,
+  createTokenHandler,
+  getReplayState,
+  serializeReplayState,
+  renderReplayScript,
+  renderReplayElement
+};
@@ -0,0 +1,140 @@
+/**
+ * TypeScript definitions for @replica-replay/core/server
+ */
+
+/**
+ * ID of the JSON script tag the client SDK reads
+ */
+export const STATE_ELEMENT_ID: 'replica-replay-state';
+
+/**
+ * Options for createSessionToken
+ */
+export interface SessionTokenOptions {
+  projectKey: string;
+  /** Project secret key; never send it to the browser */
+  secretKey: string;
+  /** Lifetime in seconds (optional, defaults to 900, at most 86400) */
+  expiresIn?: number;
+  /** User the session belongs to, added as the uid claim (optional) */
+  userId?: string | number;
+  /** Put the SHA-256 hex digest of userId in the uid claim, as identify() does with hashUserId (optional) */
+  hashUserId?: boolean;
+  /** Origin allowed to use the token, added as the origin claim (optional) */
+  origin?: string;
+}
+
+/**
+ * A signed token and when it expires, as getToken() expects it
+ */
+export interface SessionToken {
+  token: string;
+  /** Milliseconds since the epoch */
+  expiresAt: number;
+}
+
+/**
+ * Claims carried by a session token
+ */
+export interface SessionTokenClaims {
+  iss: 'replica-replay';
+  /** Project key */
+  sub: string;
+  iat: number;
+  exp: number;
+  jti: string;
+  uid?: string;
+  origin?: string;
+}
+
+/**
+ * Create an HS256 session token for the browser SDK
+ * @throws Error if projectKey or secretKey is missing, or expiresIn is out of range
+ */
+export function createSessionToken(options: SessionTokenOptions): SessionToken;
+
+/**
+ * Verify a session token, e.g. on a self-hosted ingest endpoint
+ * @returns The token's claims
+ * @throws Error if the token is malformed, forged, expired or for another project
+ */
+export function verifySessionToken(
+  token: string,
+  options: { secretKey: string; projectKey?: string; clockTolerance?: number }
+): SessionTokenClaims;
+
+/**
+ * Create a (req, res) handler answering with JSON { token, expiresAt },
+ * for Node's http module, Express and similar frameworks
+ */
+export function createTokenHandler(options: {
+  projectKey: string;
+  secretKey: string;
+  expiresIn?: number;
+  getUserId?: (req: any) => string | number | undefined | Promise<string | number | undefined>;
+  /** Put the SHA-256 hex digest of the user ID in tokens (optional) */
+  hashUserId?: boolean;
+}): (req: any, res: any) => Promise<void>;
+
+/**
+ * Options for renderReplayScript and renderReplayElement
+ */
+export interface ReplayRenderOptions {
+  projectKey: string;
+  /** Project secret key; signs a first session token and is never rendered (optional) */
+  secretKey?: string;
+  /** Lifetime of that token in seconds (optional, defaults to 900) */
+  expiresIn?: number;
+  /** Token endpoint the client refreshes tokens from (optional) */
+  tokenUrl?: string;
+  serverUrl?: string;
+  mode?: 'remote' | 'local';
+  /** Further JSON-serializable initSessionReplay options; secretKey, getToken and transport are rejected */
+  config?: Record<string, unknown>;
+  /** The visitor's consent state, e.g. read from a cookie */
+  consent?: 'pending' | 'granted' | 'denied';
+  /** Signed-in user, identified on the client */
+  user?: { id: string | number; traits?: Record<string, string | number | boolean | null> };
+  /** CSP nonce for the script tags */
+  nonce?: string;
+  /** URL of the CDN build, to load it after the state (optional) */
+  src?: string;
+}
+
+/**
+ * State the client SDK reads from the page
+ */
+export interface ReplayState {
+  config: Record<string, unknown> & { projectKey: string; serverUrl?: string; mode?: 'remote' | 'local'; tokenUrl?: string };
+  token?: SessionToken;
+  consent?: 'pending' | 'granted' | 'denied';
+  user?: { id: string | number; traits?: Record<string, string | number | boolean | null> };
+}
+
+/**
+ * Build the state the client SDK reads from the page
+ * @throws Error if an option is invalid
+ */
+export function getReplayState(options: ReplayRenderOptions): ReplayState;
+
+/**
+ * Serialize the state as JSON that is safe inside a <script> tag,
+ * e.g. for Nuxt's useHead()
+ */
+export function serializeReplayState(options: ReplayRenderOptions): string;
+
+/**
+ * Render the session replay snippet as HTML for the page's <head>
+ * @throws Error if an option is invalid
+ */
+export function renderReplayScript(options: ReplayRenderOptions): string;
+
+/**
+ * Render the session replay snippet as a React element, e.g. in a Next.js or Remix layout
+ * @param React - React, if it cannot be required from the server entry
+ * @throws Error if an option is invalid or React is not available
+ */
+export function renderReplayElement(
+  options: ReplayRenderOptions,
+  React?: { createElement: (...args: any[]) => any; Fragment: any }
+): any;
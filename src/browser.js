@@ -3,6 +3,8 @@
  * Handles browser detection, feature support, and environment checks
  */
 
+import { isOptedOut } from './optout.js';
+
 /**
  * Detect the current browser and version
  * @returns {Object} Browser information
@@ -10,12 +12,13 @@
 export function detectBrowser() {
   const userAgent = navigator.userAgent;
   
+  // Edge and Opera also send Chrome/, and Chrome also sends Safari/, so they are checked first
   const browsers = {
+    edge: /Edg\/(\d+)/,
+    opera: /OPR\/(\d+)/,
     chrome: /Chrome\/(\d+)/,
     firefox: /Firefox\/(\d+)/,
-    safari: /Safari\/(\d+)/,
-    edge: /Edg\/(\d+)/,
-    opera: /OPR\/(\d+)/
+    safari: /Version\/(\d+).*Safari\//
   };
   
   for (const [name, regex] of Object.entries(browsers)) {
@@ -57,16 +60,59 @@ export function checkFeatureSupport() {
     
     // Performance features
     performance: typeof performance !== 'undefined',
+    performanceObserver: typeof PerformanceObserver !== 'undefined',
     requestAnimationFrame: typeof requestAnimationFrame !== 'function',
     
     // Modern features
     intersectionObserver: typeof IntersectionObserver !== 'undefined',
-    mutationObserver: typeof MutationObserver !== 'undefined'
+    mutationObserver: typeof MutationObserver !== 'undefined',
+    
+    // Upload features
+    compressionStream: isCompressionStreamSupported(),
+    sendBeacon: typeof navigator !== 'undefined' && typeof navigator.sendBeacon === 'function'
   };
   
   return features;
 }
 
+/**
+ * Check if the browser has a native gzip CompressionStream
+ * @returns {boolean}
+ */
+export function isCompressionStreamSupported() {
+  try {
+    return typeof CompressionStream !== 'undefined' && !!new CompressionStream('gzip');
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Read the visitor's privacy signals
+ * @returns {Object} globalPrivacyControl, doNotTrack and optedOut flags
+ */
+export function getPrivacySignals() {
+  const nav = typeof navigator !== 'undefined' ? navigator : {};
+  const win = typeof window !== 'undefined' ? window : {};
+  const dnt = nav.doNotTrack || win.doNotTrack || nav.msDoNotTrack;
+  
+  return {
+    globalPrivacyControl: nav.globalPrivacyControl === true,
+    // Older Firefox reports 'yes', IE reports '1' on window or msDoNotTrack
+    doNotTrack: dnt === '1' || dnt === 'yes',
+    optedOut: isOptedOut()
+  };
+}
+
+/**
+ * Check if the visitor sent Global Privacy Control or Do-Not-Track
+ * @returns {boolean}
+ */
+export function hasPrivacySignal() {
+  const signals = getPrivacySignals();
+  return signals.globalPrivacyControl || signals.doNotTrack;
+}
+
 /**
  * Check if the current environment is suitable for session replay
  * @returns {Object} Environment check results
@@ -74,6 +120,7 @@ export function checkFeatureSupport() {
 export function checkEnvironment() {
   const browser = detectBrowser();
   const features = checkFeatureSupport();
+  const privacySignals = getPrivacySignals();
   
   const isSupported = 
     features.es6Modules &&
@@ -88,10 +135,22 @@ export function checkEnvironment() {
     warnings.push('localStorage not available - session persistence may be limited');
   }
   
+  if (!features.compressionStream) {
+    warnings.push('CompressionStream not available - gzip uploads use the slower JavaScript fallback');
+  }
+  
   if (!features.performance) {
     warnings.push('Performance API not available - timing data may be limited');
   }
   
+  if (privacySignals.globalPrivacyControl || privacySignals.doNotTrack) {
+    warnings.push('Global Privacy Control or Do-Not-Track is enabled - recording follows the privacySignals option');
+  }
+  
+  if (privacySignals.optedOut) {
+    warnings.push('Visitor opted out of session replay - nothing will be recorded until optIn()');
+  }
+  
   if (browser.name === 'safari' && browser.version < 14) {
     warnings.push('Older Safari version detected - some features may not work');
   }
@@ -104,16 +163,35 @@ export function checkEnvironment() {
     isSupported,
     browser,
     features,
+    privacySignals,
     warnings
   };
 }
 
+/**
+ * Classify the device from its user agent
+ * @returns {'mobile'|'tablet'|'desktop'}
+ */
+export function getDeviceType() {
+  const userAgent = navigator.userAgent || '';
+  // iPadOS reports itself as a Mac
+  if (/iPad|Tablet|PlayBook|Silk/.test(userAgent) || (/Android/.test(userAgent) && !/Mobile/.test(userAgent)) ||
+      (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1)) {
+    return 'tablet';
+  }
+  if (/Mobi|iPhone|iPod|Android|IEMobile|Opera Mini/.test(userAgent)) {
+    return 'mobile';
+  }
+  return 'desktop';
+}
+
 /**
  * Get device information
  * @returns {Object} Device information
  */
 export function getDeviceInfo() {
   return {
+    deviceType: getDeviceType(),
     userAgent: navigator.userAgent,
     platform: navigator.platform,
     language: navigator.language,
@@ -161,6 +239,26 @@ export function getNetworkInfo() {
   return null;
 }
 
+/**
+ * Check if the browser reports a network connection
+ * @returns {boolean}
+ */
+export function isOnline() {
+  return typeof navigator === 'undefined' || navigator.onLine !== false;
+}
+
+/**
+ * Check if the connection is slow or the user asked to save data
+ * @returns {boolean}
+ */
+export function isConstrainedNetwork() {
+  const network = getNetworkInfo();
+  if (!network) {
+    return false;
+  }
+  return !!network.saveData || network.effectiveType === '2g' || network.effectiveType === 'slow-2g';
+}
+
 /**
  * Detect if the page is likely in an iframe
  * @returns {boolean}
@@ -193,10 +291,16 @@ export function isPageVisible() {
 export default {
   detectBrowser,
   checkFeatureSupport,
+  isCompressionStreamSupported,
+  getPrivacySignals,
+  hasPrivacySignal,
   checkEnvironment,
+  getDeviceType,
   getDeviceInfo,
   isSecureContext,
   getNetworkInfo,
+  isOnline,
+  isConstrainedNetwork,
   isInIframe,
   getVisibilityState,
   isPageVisible
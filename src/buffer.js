@@ -0,0 +1,136 @@
+/**
+ * Error-triggered buffered recording for session replay
+ * Keeps the last stretch of a session in memory and only uploads it once an
+ * error, a flush() call or a matching custom event shows it is worth keeping
+ */
+
+/**
+ * rrweb event types used to cut the buffer into replayable segments
+ */
+const META_EVENT = 4;
+const CUSTOM_EVENT = 5;
+
+/**
+ * Defaults: keep 60 seconds and trigger on uncaught errors
+ */
+const DEFAULT_OPTIONS = {
+  duration: 60 * 1000,
+  errors: true,
+  events: []
+};
+
+/**
+ * Resolve the buffer option of initSessionReplay
+ * @param {boolean|Object} [option] - true for the defaults, or options
+ * @returns {Object|null} Resolved options, or null when buffering is off
+ */
+export function resolveBufferOptions(option) {
+  if (!option) {
+    return null;
+  }
+  const options = { ...DEFAULT_OPTIONS, ...(option === true ? {} : option) };
+
+  if (typeof options.duration !== 'number' || options.duration < 1000) {
+    throw new Error('buffer.duration must be at least 1000 milliseconds');
+  }
+  if (typeof options.errors !== 'boolean') {
+    throw new Error('buffer.errors must be a boolean');
+  }
+  if (!Array.isArray(options.events) ||
+      options.events.some((pattern) => typeof pattern !== 'string' && !(pattern instanceof RegExp))) {
+    throw new Error('buffer.events must be an array of event names or regular expressions');
+  }
+  return options;
+}
+
+/**
+ * Check if an rrweb event is a custom event that should trigger an upload
+ * @param {Object} event - rrweb event
+ * @param {Array<string|RegExp>} patterns - Custom event tags to match
+ * @returns {boolean}
+ */
+export function isTriggerEvent(event, patterns) {
+  if (event.type !== CUSTOM_EVENT || !event.data || typeof event.data.tag !== 'string') {
+    return false;
+  }
+  const tag = event.data.tag;
+  return patterns.some((pattern) => (typeof pattern === 'string' ? pattern === tag : pattern.test(tag)));
+}
+
+/**
+ * Create a ring buffer of rrweb events.
+ * rrweb takes a full-snapshot checkout every `duration`; the buffer keeps the
+ * segment before the latest checkout and the one after it, so it always starts
+ * with a full snapshot and covers between one and two durations.
+ * @returns {Object} Buffer with push, drain, clear and size
+ */
+export function createReplayBuffer() {
+  let previous = [];
+  let current = [];
+
+  return {
+    /**
+     * Add an event
+     * @param {Object} event - rrweb event
+     * @param {boolean} [isCheckout] - rrweb's checkout flag from emit()
+     */
+    push(event, isCheckout) {
+      // A checkout starts with a Meta event, followed by the full snapshot
+      if (isCheckout && event.type === META_EVENT) {
+        previous = current;
+        current = [];
+      }
+      current.push(event);
+    },
+
+    /**
+     * Take every buffered event, oldest first, and empty the buffer
+     * @returns {Array<Object>}
+     */
+    drain() {
+      const events = previous.concat(current);
+      previous = [];
+      current = [];
+      return events;
+    },
+
+    /**
+     * Drop every buffered event
+     */
+    clear() {
+      previous = [];
+      current = [];
+    },
+
+    /**
+     * Get the number of buffered events
+     * @returns {number}
+     */
+    size() {
+      return previous.length + current.length;
+    }
+  };
+}
+
+/**
+ * Call onTrigger when the page hits an uncaught error or unhandled rejection.
+ * Listeners are registered through the session so destroy() removes them.
+ * @param {Object} session - Session handle
+ * @param {Function} onTrigger - Called with the trigger reason
+ */
+export function watchErrorTriggers(session, onTrigger) {
+  session.listen(window, 'error', (event) => {
+    // Failed image or script loads are not errors in the page's code
+    if (event.target && event.target !== window && event.target.tagName) return;
+    onTrigger('error');
+  }, true);
+  session.listen(window, 'unhandledrejection', () => onTrigger('unhandledrejection'));
+}
+
+// Default export
+export default {
+  resolveBufferOptions,
+  isTriggerEvent,
+  createReplayBuffer,
+  watchErrorTriggers
+};
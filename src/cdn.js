@@ -5,7 +5,84 @@
  * It exposes the session replay functionality on the global window object.
  */
 
-import { initSessionReplay, SessionReplayPlugin, isSessionReplayAvailable, getSessionReplayConfig } from './index.js';
+import {
+  initSessionReplay,
+  getActiveSession,
+  getSessionReplayUrl,
+  track,
+  flush,
+  addEventProcessor,
+  beforeSend,
+  registerPlugin,
+  identify,
+  setMetadata,
+  setTags,
+  setRelease,
+  setEnvironment,
+  setConsent,
+  getConsent,
+  optOut,
+  optIn,
+  isOptedOut,
+  tcfConsentAdapter,
+  gppConsentAdapter,
+  cookieConsentAdapter,
+  on,
+  off,
+  SessionReplayPlugin,
+  isSessionReplayAvailable,
+  getSessionReplayConfig,
+  tokenEndpoint,
+  fetchTransport,
+  beaconTransport,
+  memoryTransport,
+  callbackTransport,
+  SessionReplayError,
+  ConfigError,
+  LoadError,
+  TimeoutError,
+  UploadError,
+  UnsupportedEnvironmentError
+} from './index.js';
+import { readServerState } from './ssr.js';
+import { logger } from './logger.js';
+
+/**
+ * Call fn with the active session, if there is one
+ * @param {Function} fn - Receives the session handle
+ * @returns {*} fn's result, or null without an active session
+ */
+function withSession(fn) {
+  const session = getActiveSession();
+  return session ? fn(session) : null;
+}
+
+/**
+ * Run the calls the inline snippet (src/snippet.js) queued before this bundle loaded, in order.
+ * Nobody holds on to their results, so failures are logged instead of left unhandled.
+ * @param {Array} queue - Entries of [method, args]
+ */
+function replayQueue(queue) {
+  queue.forEach((entry) => {
+    if (!Array.isArray(entry)) return;
+    const [method, args] = entry;
+    const fn = window.ReplicaReplay[method];
+    if (typeof fn !== 'function') {
+      logger.warn(`Queued call to unknown method ReplicaReplay.${method} was dropped`);
+      return;
+    }
+    
+    const fail = (error) => logger.warn(`Queued call to ReplicaReplay.${method} failed:`, error);
+    try {
+      Promise.resolve(fn.apply(window.ReplicaReplay, args || [])).catch(fail);
+    } catch (error) {
+      fail(error);
+    }
+  });
+}
+
+// Calls made through the inline snippet while this bundle was loading
+const queued = window.ReplicaReplay && Array.isArray(window.ReplicaReplay.q) ? window.ReplicaReplay.q : [];
 
 /**
  * Global namespace for Replica Replay
@@ -15,12 +92,92 @@ window.ReplicaReplay = {
    * Initialize session replay
    * @param {Object} config - Configuration object
    * @param {string} config.projectKey - Project key for identification
-   * @param {string} config.secretKey - Secret key for authentication
+   * @param {Function} config.getToken - Returns a token signed by your server, e.g. ReplicaReplay.tokenEndpoint('/api/replay-token')
    * @param {string} [config.serverUrl] - Server URL (optional)
-   * @returns {Promise<void>}
+   * @returns {Promise<Object>} Session handle
    */
   init: initSessionReplay,
   
+  /**
+   * Get the active session handle, shared with initSessionReplay
+   * @returns {Object|null}
+   */
+  getSession: getActiveSession,
+  
+  /**
+   * Session controls, delegated to the active session handle
+   */
+  stop: () => withSession((session) => session.stop()),
+  pause: () => withSession((session) => session.pause()),
+  resume: () => withSession((session) => session.resume()),
+  restart: () => withSession((session) => session.restart()),
+  getSessionId: () => withSession((session) => session.getSessionId()),
+  getSessionReplayUrl,
+  getDiagnostics: () => withSession((session) => session.getDiagnostics()),
+  destroy: () => withSession((session) => session.destroy()),
+  
+  /**
+   * Record a product event on the replay timeline
+   * @param {string} name - Event name, e.g. 'checkout_started'
+   * @param {Object} [properties] - JSON-serializable properties
+   * @returns {boolean} true if recorded now, false if buffered until recording starts
+   */
+  track,
+  
+  /**
+   * Upload what has been recorded; in buffer mode, triggers the upload of the buffer
+   * @param {string} [reason] - Why the session is worth keeping
+   * @returns {boolean}
+   */
+  flush,
+  
+  /**
+   * Filter, enrich or drop events and upload batches, and add plugins
+   */
+  addEventProcessor,
+  beforeSend,
+  registerPlugin,
+  
+  /**
+   * User identification and session metadata
+   */
+  identify,
+  setMetadata,
+  setTags,
+  setRelease,
+  setEnvironment,
+  
+  /**
+   * Set or read the visitor's consent: 'pending', 'granted' or 'denied'
+   */
+  setConsent,
+  getConsent,
+  
+  /**
+   * Persistent "stop recording me" choice, for privacy pages
+   */
+  optOut,
+  optIn,
+  isOptedOut,
+  
+  /**
+   * Consent adapters for IAB TCF v2, IAB GPP and cookie-based banners
+   */
+  consent: {
+    tcfConsentAdapter,
+    gppConsentAdapter,
+    cookieConsentAdapter
+  },
+  
+  /**
+   * Subscribe to status events: 'ready', 'error' or 'stopped'
+   * @param {string} event - Event name
+   * @param {Function} handler - Event handler
+   * @returns {Function} Unsubscribe function
+   */
+  on,
+  off,
+  
   /**
    * Vue plugin for session replay
    */
@@ -38,6 +195,35 @@ window.ReplicaReplay = {
    */
   getConfig: getSessionReplayConfig,
   
+  /**
+   * Create a getToken function that fetches { token, expiresAt } from your endpoint
+   * @param {string} url - Token endpoint URL
+   * @returns {Function}
+   */
+  tokenEndpoint,
+  
+  /**
+   * Built-in transports for local mode
+   */
+  transports: {
+    fetchTransport,
+    beaconTransport,
+    memoryTransport,
+    callbackTransport
+  },
+  
+  /**
+   * Error classes, for instanceof checks
+   */
+  errors: {
+    SessionReplayError,
+    ConfigError,
+    LoadError,
+    TimeoutError,
+    UploadError,
+    UnsupportedEnvironmentError
+  },
+  
   /**
    * Version information
    */
@@ -50,20 +236,64 @@ window.SessionReplayPlugin = SessionReplayPlugin;
 window.isSessionReplayAvailable = isSessionReplayAvailable;
 window.getSessionReplayConfig = getSessionReplayConfig;
 
-// Auto-initialize if config is provided via data attributes
-document.addEventListener('DOMContentLoaded', () => {
+// The real methods are in place; run what was called before they were
+replayQueue(queued);
+
+// Auto-initialize if config is provided via data attributes or a server-rendered state
+const autoInit = () => {
   const script = document.querySelector('script[src*="replica-replay"]');
+  // renderReplayScript() from @replica-replay/core/server fills in whatever the tag leaves out
+  const hasServerState = !!readServerState();
+  let config = null;
   if (script) {
     const projectKey = script.dataset.projectKey;
-    const secretKey = script.dataset.secretKey;
+    // data-token-url="/api/replay-token" keeps the secret key on your server
+    const tokenUrl = script.dataset.tokenUrl;
     const serverUrl = script.dataset.serverUrl;
+    const consentCookie = script.dataset.consentCookie;
+    const privacySignals = script.dataset.privacySignals;
+    // Under a nonce-based CSP, the remote script reuses this tag's nonce
+    const nonce = script.nonce || undefined;
+    const integrity = script.dataset.integrity;
+    
+    // data-consent="pending" waits for ReplicaReplay.setConsent('granted');
+    // data-consent-cookie="name" reads consent from your banner's cookie
+    let consent = script.dataset.consent;
+    if (consentCookie) {
+      consent = { state: consent, adapters: [cookieConsentAdapter({ name: consentCookie })] };
+    }
     
-    if (projectKey && secretKey) {
-      window.ReplicaReplay.init({
+    if (script.dataset.secretKey !== undefined) {
+      logger.error('data-secret-key is no longer supported: serve session tokens from your server and use data-token-url');
+    }
+    
+    if (projectKey && (tokenUrl || hasServerState)) {
+      config = {
         projectKey,
-        secretKey,
-        serverUrl
-      });
+        getToken: tokenUrl ? tokenEndpoint(tokenUrl) : undefined,
+        serverUrl,
+        consent,
+        privacySignals,
+        nonce,
+        integrity
+      };
     }
   }
-});
+  
+  if (!config && hasServerState) {
+    config = {};
+  }
+  
+  if (config) {
+    window.ReplicaReplay.init(config).catch((error) => {
+      logger.error('Failed to initialize session replay:', error);
+    });
+  }
+};
+
+// Loaded asynchronously by the snippet, the bundle may arrive after DOMContentLoaded
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', autoInit);
+} else {
+  autoInit();
+}
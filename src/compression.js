@@ -0,0 +1,84 @@
+/**
+ * Payload compression for session replay uploads
+ * Uses the native CompressionStream where available and falls back to a
+ * pure-JS gzip implementation (fflate) for older browsers. fflate is only
+ * loaded on that fallback path, so bundlers can split it into its own chunk.
+ */
+
+import { isCompressionStreamSupported } from './browser.js';
+import { toUtf8 } from './utf8.js';
+import { loadGzipFallback } from './gzip-fallback.js';
+
+/**
+ * Supported compression settings
+ */
+export const COMPRESSION_TYPES = ['gzip', 'none'];
+
+/**
+ * Gzip bytes with CompressionStream
+ * @param {Uint8Array} bytes - Input
+ * @returns {Promise<Uint8Array>}
+ */
+async function gzipNative(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('gzip'));
+  const buffer = await new Response(stream).arrayBuffer();
+  return new Uint8Array(buffer);
+}
+
+/**
+ * Gzip a string
+ * @param {string} text - Input
+ * @returns {Promise<Uint8Array|null>} Compressed bytes, or null when this browser and build cannot gzip
+ */
+export async function gzip(text) {
+  const bytes = toUtf8(text);
+
+  if (isCompressionStreamSupported()) {
+    try {
+      return await gzipNative(bytes);
+    } catch (error) {
+      // Fall through to the JS implementation
+    }
+  }
+
+  const gzipSync = await loadGzipFallback();
+  return gzipSync ? gzipSync(bytes) : null;
+}
+
+/**
+ * Encode a batch as a request body
+ * @param {Object} batch - Event batch
+ * @param {'gzip'|'none'} [compression] - Compression setting (defaults to 'none')
+ * @returns {Promise<Object>} body, headers, the compression applied, rawBytes and encodedBytes;
+ * uncompressed when gzip is not available
+ */
+export async function encodeBatch(batch, compression = 'none') {
+  const json = JSON.stringify(batch);
+  const rawBytes = toUtf8(json).length;
+
+  const body = compression === 'gzip' ? await gzip(json) : null;
+  if (body) {
+    return {
+      body,
+      headers: { 'Content-Type': 'application/json', 'Content-Encoding': 'gzip' },
+      compression: 'gzip',
+      rawBytes,
+      encodedBytes: body.length
+    };
+  }
+
+  return {
+    body: json,
+    headers: { 'Content-Type': 'application/json' },
+    compression: 'none',
+    rawBytes,
+    encodedBytes: rawBytes
+  };
+}
+
+// Default export
+export default {
+  COMPRESSION_TYPES,
+  gzip,
+  encodeBatch
+};
@@ -0,0 +1,302 @@
+/**
+ * Consent handling for session replay
+ * Tracks whether the visitor has consented to recording and reads consent
+ * signals from IAB TCF v2, IAB GPP and cookie-based consent managers
+ */
+
+import { createEmitter } from './emitter.js';
+
+/**
+ * Valid consent states
+ */
+export const CONSENT_STATES = ['pending', 'granted', 'denied'];
+
+/**
+ * Check if a value is a valid consent state
+ * @param {*} state - Candidate state
+ * @returns {boolean}
+ */
+export function isConsentState(state) {
+  return CONSENT_STATES.indexOf(state) !== -1;
+}
+
+/**
+ * Normalize the consent option of initSessionReplay
+ * @param {string|Object} [consent] - Consent state, or options
+ * @returns {Object} state, adapters and preConsentBuffer
+ */
+export function resolveConsentOptions(consent) {
+  const options = typeof consent === 'string' ? { state: consent } : consent || {};
+  const adapters = options.adapters || (options.adapter ? [options.adapter] : []);
+
+  if (options.state !== undefined && !isConsentState(options.state)) {
+    throw new Error(`consent must be one of: ${CONSENT_STATES.join(', ')}`);
+  }
+  for (const adapter of adapters) {
+    if (!adapter || typeof adapter.subscribe !== 'function') {
+      throw new Error('Consent adapters must have a subscribe(callback) method');
+    }
+  }
+
+  return {
+    // Without a consent option, recording starts right away as before
+    state: options.state || (adapters.length > 0 ? 'pending' : 'granted'),
+    adapters,
+    preConsentBuffer: !!options.preConsentBuffer
+  };
+}
+
+/**
+ * Create a consent controller
+ * @param {Object} options - Resolved consent options
+ * @param {string} options.state - Initial state
+ * @param {Array<Object>} [options.adapters] - CMP adapters that report changes
+ * @returns {Object} Controller with getState, set, on and destroy
+ */
+export function createConsentController(options) {
+  const events = createEmitter();
+  let state = options.state;
+
+  const controller = {
+    /**
+     * Get the current consent state
+     * @returns {'pending'|'granted'|'denied'}
+     */
+    getState() {
+      return state;
+    },
+
+    /**
+     * Change the consent state
+     * @param {'pending'|'granted'|'denied'} next - New state
+     * @param {string} [source] - Who changed it, e.g. 'api' or an adapter name
+     */
+    set(next, source = 'api') {
+      if (!isConsentState(next)) {
+        throw new Error(`consent must be one of: ${CONSENT_STATES.join(', ')}`);
+      }
+      if (next === state) return;
+
+      const previous = state;
+      state = next;
+      events.emit('change', { state, previous, source });
+    },
+
+    /**
+     * Subscribe to consent changes
+     * @param {'change'} event - Event name
+     * @param {Function} handler - Called with { state, previous, source }
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, handler) {
+      return events.on(event, handler);
+    },
+
+    /**
+     * Stop listening to adapters
+     */
+    destroy() {
+      unsubscribers.forEach((unsubscribe) => {
+        try {
+          unsubscribe();
+        } catch (error) {
+          // Adapters may fail to unsubscribe once the CMP is gone
+        }
+      });
+      events.clear();
+    }
+  };
+
+  const unsubscribers = (options.adapters || []).map((adapter) => {
+    const unsubscribe = adapter.subscribe((next) => {
+      if (isConsentState(next)) {
+        controller.set(next, adapter.name || 'adapter');
+      }
+    });
+    return typeof unsubscribe === 'function' ? unsubscribe : () => {};
+  });
+
+  return controller;
+}
+
+/**
+ * Read consent from an IAB TCF v2 CMP (window.__tcfapi)
+ * @param {Object} [options] - Adapter options
+ * @param {Array<number>} [options.purposes] - Purposes that must all be consented (defaults to [1], store/access information)
+ * @param {number} [options.vendorId] - Your IAB vendor ID, if you are registered
+ * @returns {Object} Consent adapter
+ */
+export function tcfConsentAdapter(options = {}) {
+  const purposes = options.purposes || [1];
+
+  return {
+    name: 'tcf',
+    subscribe(callback) {
+      if (typeof window === 'undefined' || typeof window.__tcfapi !== 'function') {
+        return () => {};
+      }
+
+      let listenerId = null;
+      const listener = (tcData, success) => {
+        if (!success || !tcData) return;
+        listenerId = tcData.listenerId;
+
+        if (tcData.eventStatus !== 'tcloaded' && tcData.eventStatus !== 'useractioncomplete') {
+          return;
+        }
+        if (tcData.gdprApplies === false) {
+          callback('granted');
+          return;
+        }
+
+        const purposeConsents = (tcData.purpose && tcData.purpose.consents) || {};
+        const vendorConsents = (tcData.vendor && tcData.vendor.consents) || {};
+        const granted = purposes.every((purpose) => purposeConsents[purpose] === true) &&
+          (options.vendorId === undefined || vendorConsents[options.vendorId] === true);
+        callback(granted ? 'granted' : 'denied');
+      };
+
+      window.__tcfapi('addEventListener', 2, listener);
+      return () => {
+        if (listenerId !== null) {
+          window.__tcfapi('removeEventListener', 2, () => {}, listenerId);
+        }
+      };
+    }
+  };
+}
+
+/**
+ * Default GPP decision: TCF EU purpose 1 consent, or no US opt-out of sale/sharing
+ * @param {Object} pingData - GPP ping data
+ * @returns {'pending'|'granted'|'denied'}
+ */
+function decideGppConsent(pingData) {
+  if (pingData.signalStatus !== 'ready') {
+    return 'pending';
+  }
+
+  const sections = pingData.parsedSections || {};
+  const tcf = sections.tcfeuv2;
+  if (tcf) {
+    const consents = tcf.PurposeConsent || tcf.PurposeConsents || [];
+    return consents[0] ? 'granted' : 'denied';
+  }
+
+  for (const name of Object.keys(sections)) {
+    const section = Array.isArray(sections[name]) ? sections[name][0] : sections[name];
+    // In the US sections, 1 means the user opted out
+    if (section && (section.SaleOptOut === 1 || section.SharingOptOut === 1 || section.TargetedAdvertisingOptOut === 1)) {
+      return 'denied';
+    }
+  }
+  return 'granted';
+}
+
+/**
+ * Read consent from an IAB GPP CMP (window.__gpp)
+ * @param {Object} [options] - Adapter options
+ * @param {Function} [options.decide] - Maps GPP ping data to 'pending', 'granted' or 'denied'
+ * @returns {Object} Consent adapter
+ */
+export function gppConsentAdapter(options = {}) {
+  const decide = options.decide || decideGppConsent;
+
+  return {
+    name: 'gpp',
+    subscribe(callback) {
+      if (typeof window === 'undefined' || typeof window.__gpp !== 'function') {
+        return () => {};
+      }
+
+      let listenerId = null;
+      const listener = (data, success) => {
+        if (!success || !data) return;
+        if (data.listenerId !== undefined) {
+          listenerId = data.listenerId;
+        }
+        const pingData = data.pingData || data;
+        callback(decide(pingData));
+      };
+
+      window.__gpp('addEventListener', listener);
+      return () => {
+        if (listenerId !== null) {
+          window.__gpp('removeEventListener', () => {}, listenerId);
+        }
+      };
+    }
+  };
+}
+
+/**
+ * Read a cookie value
+ * @param {string} name - Cookie name
+ * @returns {string|null}
+ */
+export function readCookie(name) {
+  if (typeof document === 'undefined' || !document.cookie) {
+    return null;
+  }
+  for (const part of document.cookie.split(';')) {
+    const separator = part.indexOf('=');
+    const key = part.slice(0, separator).trim();
+    if (key === name) {
+      try {
+        return decodeURIComponent(part.slice(separator + 1).trim());
+      } catch (error) {
+        return part.slice(separator + 1).trim();
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Read consent from a first-party cookie set by your consent banner
+ * @param {Object} options - Adapter options
+ * @param {string} options.name - Cookie name
+ * @param {Function} [options.decide] - Maps the cookie value (or null) to a consent state
+ * @param {number} [options.pollInterval] - Milliseconds between cookie checks (defaults to 1000)
+ * @returns {Object} Consent adapter
+ */
+export function cookieConsentAdapter(options) {
+  if (!options || !options.name) {
+    throw new Error('cookieConsentAdapter requires a cookie name');
+  }
+
+  const decide = options.decide || ((value) => {
+    if (value === null) return 'pending';
+    return /^(?:1|true|yes|granted|allow|accepted)$/i.test(value) ? 'granted' : 'denied';
+  });
+
+  return {
+    name: 'cookie',
+    subscribe(callback) {
+      let last;
+      const check = () => {
+        const value = readCookie(options.name);
+        if (value !== last) {
+          last = value;
+          callback(decide(value));
+        }
+      };
+
+      check();
+      const timer = setInterval(check, options.pollInterval || 1000);
+      return () => clearInterval(timer);
+    }
+  };
+}
+
+// Default export
+export default {
+  CONSENT_STATES,
+  isConsentState,
+  resolveConsentOptions,
+  createConsentController,
+  tcfConsentAdapter,
+  gppConsentAdapter,
+  cookieConsentAdapter,
+  readCookie
+};
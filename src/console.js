@@ -0,0 +1,323 @@
+/**
+ * Console and error capture for session replay
+ * Records console calls, uncaught errors, unhandled rejections and failed
+ * resource loads into the recording as custom events
+ */
+
+import { isInternalLog } from './logger.js';
+import { addCustomEvent } from './loader.js';
+
+/**
+ * Console methods that can be captured
+ */
+export const CONSOLE_LEVELS = ['log', 'info', 'warn', 'error', 'debug'];
+
+/**
+ * Defaults: warnings and errors, as the README promises
+ */
+const DEFAULT_OPTIONS = {
+  levels: ['warn', 'error'],
+  errors: true,
+  maxEvents: 200,
+  maxArgs: 10,
+  maxDepth: 3,
+  maxLength: 1000,
+  maxFrames: 20
+};
+
+/**
+ * Object keys and array items kept per level of an args preview
+ */
+const MAX_KEYS = 20;
+
+/**
+ * Elements whose failed loads are recorded
+ */
+const RESOURCE_TAGS = ['IMG', 'SCRIPT', 'LINK', 'VIDEO', 'AUDIO', 'SOURCE', 'IFRAME'];
+
+/**
+ * Resolve the console option of initSessionReplay
+ * @param {boolean|Object} [option] - true for the defaults, or options
+ * @returns {Object|null} Resolved options, or null when capture is off
+ */
+export function resolveConsoleOptions(option) {
+  if (!option) {
+    return null;
+  }
+  const options = { ...DEFAULT_OPTIONS, ...(option === true ? {} : option) };
+
+  if (!Array.isArray(options.levels) || options.levels.some((level) => CONSOLE_LEVELS.indexOf(level) === -1)) {
+    throw new Error(`console.levels must be an array of: ${CONSOLE_LEVELS.join(', ')}`);
+  }
+  for (const name of ['maxEvents', 'maxArgs', 'maxDepth', 'maxLength', 'maxFrames']) {
+    if (typeof options[name] !== 'number' || options[name] < 0) {
+      throw new Error(`console.${name} must be a non-negative number`);
+    }
+  }
+  return options;
+}
+
+/**
+ * Truncate a string to a maximum length
+ * @param {string} value - String
+ * @param {number} maxLength - Maximum length
+ * @returns {string}
+ */
+function truncate(value, maxLength) {
+  return value.length > maxLength ? `${value.slice(0, maxLength)}…` : value;
+}
+
+/**
+ * Describe a DOM node briefly, e.g. <button#save.primary>
+ * @param {Node} node - DOM node
+ * @returns {string}
+ */
+export function describeNode(node) {
+  if (node.nodeType !== 1) {
+    return `[${node.nodeName}]`;
+  }
+  const id = node.id ? `#${node.id}` : '';
+  const classes = typeof node.className === 'string' && node.className.trim()
+    ? `.${node.className.trim().split(/\s+/).join('.')}`
+    : '';
+  return `<${node.tagName.toLowerCase()}${id}${classes}>`;
+}
+
+/**
+ * Turn a console argument into a JSON-safe preview
+ * @param {*} value - Argument
+ * @param {Object} options - Resolved options
+ * @param {number} [depth] - Current depth
+ * @param {Set} [seen] - Objects on the current path
+ * @returns {*} Preview
+ */
+export function serializeArg(value, options, depth = 0, seen = new Set()) {
+  if (value === null || typeof value === 'boolean') return value;
+  if (value === undefined) return '[undefined]';
+  if (typeof value === 'number') return isFinite(value) ? value : String(value);
+  if (typeof value === 'string') return truncate(value, options.maxLength);
+  if (typeof value === 'bigint') return `${value}n`;
+  if (typeof value === 'symbol') return value.toString();
+  if (typeof value === 'function') return `[Function ${value.name || 'anonymous'}]`;
+
+  if (value instanceof Error) {
+    return { name: value.name, message: truncate(String(value.message), options.maxLength) };
+  }
+  if (typeof Node !== 'undefined' && value instanceof Node) {
+    return describeNode(value);
+  }
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? '[Invalid Date]' : value.toISOString();
+  }
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= options.maxDepth) return Array.isArray(value) ? '[Array]' : '[Object]';
+
+  seen.add(value);
+  let preview;
+  if (Array.isArray(value)) {
+    preview = value.slice(0, MAX_KEYS).map((item) => serializeArg(item, options, depth + 1, seen));
+    if (value.length > MAX_KEYS) preview.push(`… ${value.length - MAX_KEYS} more`);
+  } else {
+    preview = {};
+    const keys = Object.keys(value);
+    keys.slice(0, MAX_KEYS).forEach((key) => {
+      let item;
+      try {
+        item = value[key];
+      } catch (error) {
+        item = '[Getter threw]';
+      }
+      preview[key] = serializeArg(item, options, depth + 1, seen);
+    });
+    if (keys.length > MAX_KEYS) preview['…'] = `${keys.length - MAX_KEYS} more`;
+  }
+  seen.delete(value);
+  return preview;
+}
+
+/**
+ * Format console arguments into one message, like the console does
+ * @param {Array} args - Arguments
+ * @param {Object} options - Resolved options
+ * @returns {string}
+ */
+function formatMessage(args, options) {
+  const parts = args.map((arg) => {
+    if (typeof arg === 'string') return arg;
+    if (arg instanceof Error) return `${arg.name}: ${arg.message}`;
+    try {
+      return JSON.stringify(serializeArg(arg, options));
+    } catch (error) {
+      return String(arg);
+    }
+  });
+  return truncate(parts.join(' '), options.maxLength);
+}
+
+/**
+ * Parse an Error.stack string into frames, for Chrome, Firefox and Safari formats
+ * @param {string} stack - Stack string
+ * @param {number} [maxFrames] - Frames to keep (defaults to 20)
+ * @returns {Array<Object>} Frames with fn, file, line and column
+ */
+export function parseStack(stack, maxFrames = DEFAULT_OPTIONS.maxFrames) {
+  if (typeof stack !== 'string') {
+    return [];
+  }
+
+  const frames = [];
+  for (const rawLine of stack.split('\n')) {
+    const line = rawLine.trim();
+    // Chrome/Edge: "at fn (file:1:2)" or "at file:1:2"
+    let match = /^at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?$/.exec(line);
+    // Firefox/Safari: "fn@file:1:2"
+    if (!match) {
+      match = /^(?:(.*?)@)?(.+?):(\d+):(\d+)$/.exec(line);
+    }
+    if (!match) continue;
+
+    frames.push({
+      fn: match[1] || '<anonymous>',
+      file: match[2],
+      line: Number(match[3]),
+      column: Number(match[4])
+    });
+    if (frames.length >= maxFrames) break;
+  }
+  return frames;
+}
+
+/**
+ * Capture console calls and uncaught errors for a session.
+ * Listeners and console patches are removed when the session is destroyed.
+ * @param {Object} session - Session handle
+ * @param {Object} options - Resolved console options
+ */
+export function watchConsole(session, options) {
+  let recorded = 0;
+  // Set while recording, so console calls made by rrweb or transports are not captured
+  let capturing = false;
+
+  session.on('ready', ({ resumed }) => {
+    // Limits are per session, and restart/rotation starts a new one; resume() continues it
+    if (!resumed) recorded = 0;
+  });
+
+  function record(tag, payload) {
+    if (capturing || session.getState() !== 'recording' || recorded >= options.maxEvents) {
+      return;
+    }
+    capturing = true;
+    try {
+      if (addCustomEvent(tag, payload)) {
+        recorded++;
+      }
+    } catch (error) {
+      // Never let capture break the page's own logging or error handling
+    } finally {
+      capturing = false;
+    }
+  }
+
+  options.levels.forEach((level) => {
+    const original = console[level];
+    if (typeof original !== 'function') return;
+
+    let active = true;
+    const wrapper = function (...args) {
+      original.apply(this, args);
+      if (!active || isInternalLog() || capturing) return;
+
+      const error = args.find((arg) => arg instanceof Error);
+      // Without an Error argument, errors and warnings keep their call site, minus this wrapper
+      const stack = error
+        ? error.stack
+        : (level === 'error' || level === 'warn') ? (new Error().stack || '').split('\n').slice(2).join('\n') : null;
+
+      record('console', {
+        level,
+        source: 'console',
+        message: formatMessage(args, options),
+        args: args.slice(0, options.maxArgs).map((arg) => serializeArg(arg, options)),
+        stack: parseStack(stack, options.maxFrames)
+      });
+    };
+
+    console[level] = wrapper;
+    session.addCleanup(() => {
+      active = false;
+      // Another library may have wrapped console after us; leave its wrapper in place
+      if (console[level] === wrapper) {
+        console[level] = original;
+      }
+    });
+  });
+
+  if (!options.errors) {
+    return;
+  }
+
+  // Capture phase, because resource errors don't bubble
+  session.listen(window, 'error', (event) => {
+    const target = event.target;
+    if (target && target !== window && target.tagName) {
+      if (RESOURCE_TAGS.indexOf(target.tagName) === -1) return;
+      const url = target.currentSrc || target.src || target.href || '';
+      record('error', {
+        level: 'error',
+        source: 'resource',
+        message: truncate(`Failed to load ${target.tagName.toLowerCase()} ${url}`, options.maxLength),
+        element: describeNode(target),
+        url
+      });
+      return;
+    }
+
+    const error = event.error;
+    record('error', {
+      level: 'error',
+      source: 'onerror',
+      message: truncate(String(event.message || (error && error.message) || 'Unknown error'), options.maxLength),
+      stack: error && error.stack
+        ? parseStack(error.stack, options.maxFrames)
+        : event.filename ? [{ fn: '<anonymous>', file: event.filename, line: event.lineno, column: event.colno }] : []
+    });
+  }, true);
+
+  session.listen(window, 'unhandledrejection', (event) => {
+    const reason = event.reason;
+    record('error', {
+      level: 'error',
+      source: 'unhandledrejection',
+      message: reason instanceof Error
+        ? truncate(`${reason.name}: ${reason.message}`, options.maxLength)
+        : formatMessage([reason], options),
+      args: [serializeArg(reason, options)],
+      stack: parseStack(reason && reason.stack, options.maxFrames)
+    });
+  });
+}
+
+/**
+ * Built-in plugin that captures the console when the console option is set
+ */
+export const consolePlugin = {
+  name: 'console',
+  setup({ session, config }) {
+    const options = resolveConsoleOptions(config.console);
+    if (options) {
+      watchConsole(session, options);
+    }
+  }
+};
+
+// Default export
+export default {
+  CONSOLE_LEVELS,
+  resolveConsoleOptions,
+  serializeArg,
+  describeNode,
+  parseStack,
+  watchConsole,
+  consolePlugin
+};
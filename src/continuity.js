@@ -0,0 +1,336 @@
+/**
+ * Session continuity for session replay
+ * Keeps one session ID across page loads and tabs of the same origin, and
+ * starts a new session after an inactivity timeout or a maximum duration
+ */
+
+import { createEmitter } from './emitter.js';
+import { generateSessionId } from './session.js';
+import { getVisibilityState } from './browser.js';
+
+const STORAGE_PREFIX = 'replica-replay:';
+
+/**
+ * User input that counts as activity
+ */
+const ACTIVITY_EVENTS = ['mousedown', 'keydown', 'touchstart', 'scroll'];
+
+/**
+ * Activity events are handled at most this often
+ */
+const ACTIVITY_THROTTLE = 1000;
+
+/**
+ * How often an untouched session is checked for expiry
+ */
+const EXPIRY_CHECK_INTERVAL = 60 * 1000;
+
+/**
+ * lastActivity is written to storage at most this often
+ */
+const ACTIVITY_WRITE_INTERVAL = 1000;
+
+/**
+ * Read a JSON value from a Storage object
+ * @param {string} type - 'localStorage' or 'sessionStorage'
+ * @param {string} key - Storage key
+ * @returns {*} Parsed value, or null
+ */
+function readStorage(type, key) {
+  try {
+    return JSON.parse(window[type].getItem(key));
+  } catch (error) {
+    // Storage can be missing, blocked or hold invalid JSON
+    return null;
+  }
+}
+
+/**
+ * Write a JSON value to a Storage object
+ * @param {string} type - 'localStorage' or 'sessionStorage'
+ * @param {string} key - Storage key
+ * @param {*} value - Value to store
+ */
+function writeStorage(type, key, value) {
+  try {
+    window[type].setItem(key, JSON.stringify(value));
+  } catch (error) {
+    // Quota exceeded or storage blocked; the in-memory record still works
+  }
+}
+
+/**
+ * Check if a stored session record is usable
+ * @param {*} record - Candidate record
+ * @returns {boolean}
+ */
+function isRecord(record) {
+  return !!record && typeof record.id === 'string' &&
+    typeof record.startedAt === 'number' && typeof record.lastActivity === 'number';
+}
+
+/**
+ * Create a session manager
+ * @param {Object} [options] - Manager options
+ * @param {string} [options.namespace] - Separates sessions of different projects
+ * @param {number} [options.idleTimeout] - Inactivity in milliseconds after which a new session starts (defaults to 30 minutes)
+ * @param {number} [options.maxDuration] - Longest session in milliseconds (defaults to 4 hours)
+ * @param {string} [options.sessionId] - ID to use if no stored session can be continued
+ * @returns {Object} Manager with getSessionId, getTabIndex, touch, check, renew, getInfo, on and destroy
+ */
+export function createSessionManager(options = {}) {
+  const {
+    namespace = 'default',
+    idleTimeout = 30 * 60 * 1000,
+    maxDuration = 4 * 60 * 60 * 1000
+  } = options;
+
+  const sessionKey = `${STORAGE_PREFIX}session:${namespace}`;
+  const tabKey = `${STORAGE_PREFIX}tab:${namespace}`;
+  const events = createEmitter();
+
+  let current = null;
+  let tab = null;
+  let lastWrite = 0;
+  let candidateId = options.sessionId || null;
+  let channel = null;
+
+  function getExpiry(record, now) {
+    if (now - record.lastActivity > idleTimeout) return 'idle';
+    if (now - record.startedAt > maxDuration) return 'maxDuration';
+    return null;
+  }
+
+  // localStorage is shared with other tabs; sessionStorage survives reloads when localStorage is blocked
+  function read() {
+    const shared = readStorage('localStorage', sessionKey);
+    if (isRecord(shared)) return shared;
+    const own = readStorage('sessionStorage', sessionKey);
+    if (isRecord(own)) return own;
+    return current;
+  }
+
+  function write(record) {
+    writeStorage('localStorage', sessionKey, record);
+    writeStorage('sessionStorage', sessionKey, record);
+    lastWrite = Date.now();
+  }
+
+  function post(message) {
+    if (!channel) return;
+    try {
+      channel.postMessage(message);
+    } catch (error) {
+      // The channel is closed
+    }
+  }
+
+  function claimTab(record) {
+    // A reloaded tab keeps its index
+    const saved = readStorage('sessionStorage', tabKey);
+    if (saved && saved.sessionId === record.id && typeof saved.index === 'number') {
+      tab = saved;
+      return;
+    }
+    tab = { sessionId: record.id, index: record.tabs || 0 };
+    record.tabs = tab.index + 1;
+    writeStorage('sessionStorage', tabKey, tab);
+  }
+
+  function adopt(record, reason) {
+    const previousId = current ? current.id : null;
+    current = { ...record };
+    if (!tab || tab.sessionId !== current.id) {
+      claimTab(current);
+    }
+    write(current);
+
+    if (previousId && previousId !== current.id && reason) {
+      events.emit('change', { sessionId: current.id, previousSessionId: previousId, reason });
+    }
+  }
+
+  function startNew(reason) {
+    const now = Date.now();
+    const record = { id: candidateId || generateSessionId(), startedAt: now, lastActivity: now, tabs: 0 };
+    candidateId = null;
+    adopt(record, reason);
+    post({ type: 'announce', record: current });
+    return current;
+  }
+
+  function resolve() {
+    const now = Date.now();
+    const stored = read();
+
+    if (stored) {
+      const expiry = getExpiry(stored, now);
+      if (!expiry) {
+        if (!current || stored.id !== current.id) {
+          adopt(stored, 'tab');
+        } else {
+          current = stored;
+        }
+        return current;
+      }
+      return startNew(expiry);
+    }
+    return startNew(null);
+  }
+
+  function handleMessage(event) {
+    const message = event.data || {};
+    if (!current) return;
+
+    if (message.type === 'query') {
+      if (!getExpiry(current, Date.now())) {
+        post({ type: 'reply', record: current });
+      }
+      return;
+    }
+
+    if (!isRecord(message.record) || message.record.id === current.id) return;
+    if (getExpiry(message.record, Date.now())) return;
+
+    // Another tab started a new session, or an older tab answered our query
+    if (message.type === 'announce' ||
+        (message.type === 'reply' && message.record.startedAt < current.startedAt)) {
+      adopt(message.record, 'tab');
+    }
+  }
+
+  if (typeof BroadcastChannel !== 'undefined') {
+    try {
+      channel = new BroadcastChannel(`${STORAGE_PREFIX}${namespace}`);
+      channel.onmessage = handleMessage;
+    } catch (error) {
+      channel = null;
+    }
+  }
+
+  resolve();
+  // Without shared storage, ask open tabs for their session
+  post({ type: 'query' });
+
+  return {
+    /**
+     * Get the current session ID, starting a new session if the current one expired
+     * @returns {string}
+     */
+    getSessionId() {
+      return resolve().id;
+    },
+
+    /**
+     * Get this tab's index within the session: 0 for the first tab, 1 for the next, ...
+     * @returns {number}
+     */
+    getTabIndex() {
+      return tab ? tab.index : 0;
+    },
+
+    /**
+     * Record user activity, which keeps the session alive
+     */
+    touch() {
+      const record = resolve();
+      const now = Date.now();
+      record.lastActivity = now;
+      if (now - lastWrite >= ACTIVITY_WRITE_INTERVAL) {
+        write(record);
+      }
+    },
+
+    /**
+     * Start a new session if the current one expired
+     */
+    check() {
+      resolve();
+    },
+
+    /**
+     * Start a new session for this and every other tab
+     * @returns {string} The new session ID
+     */
+    renew() {
+      return startNew(null).id;
+    },
+
+    /**
+     * Get the current session's timing and tab details
+     * @returns {Object} sessionId, startedAt, lastActivity, tabIndex, idleTimeout and maxDuration
+     */
+    getInfo() {
+      const record = resolve();
+      return {
+        sessionId: record.id,
+        startedAt: record.startedAt,
+        lastActivity: record.lastActivity,
+        tabIndex: tab ? tab.index : 0,
+        idleTimeout,
+        maxDuration
+      };
+    },
+
+    /**
+     * Subscribe to session changes caused by expiry or another tab
+     * @param {'change'} event - Event name
+     * @param {Function} handler - Called with { sessionId, previousSessionId, reason }
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, handler) {
+      return events.on(event, handler);
+    },
+
+    /**
+     * Close the cross-tab channel and drop listeners
+     */
+    destroy() {
+      if (channel) {
+        channel.close();
+        channel = null;
+      }
+      if (current) {
+        write(current);
+      }
+      events.clear();
+    }
+  };
+}
+
+/**
+ * Keep a manager's session alive while the user interacts with the page.
+ * Listeners are registered through the session so destroy() removes them.
+ * @param {Object} session - Session handle
+ * @param {Object} manager - Session manager
+ */
+export function watchActivity(session, manager) {
+  let lastActivity = 0;
+
+  const handleActivity = () => {
+    const now = Date.now();
+    if (now - lastActivity < ACTIVITY_THROTTLE) return;
+    lastActivity = now;
+    manager.touch();
+  };
+
+  ACTIVITY_EVENTS.forEach((type) => {
+    session.listen(window, type, handleActivity, { capture: true, passive: true });
+  });
+
+  // A tab coming back after the idle timeout starts its new session before the first event
+  session.listen(document, 'visibilitychange', () => {
+    if (getVisibilityState() === 'visible') {
+      manager.check();
+    }
+  });
+
+  const timer = setInterval(() => manager.check(), EXPIRY_CHECK_INTERVAL);
+  session.addCleanup(() => clearInterval(timer));
+}
+
+// Default export
+export default {
+  createSessionManager,
+  watchActivity
+};
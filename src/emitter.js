@@ -0,0 +1,73 @@
+/**
+ * Minimal event emitter for session replay status events
+ */
+
+import { logger } from './logger.js';
+
+/**
+ * Create an event emitter
+ * @returns {Object} Emitter with on, off, emit and clear
+ */
+export function createEmitter() {
+  const handlers = new Map();
+
+  const emitter = {
+    /**
+     * Subscribe to an event
+     * @param {string} event - Event name
+     * @param {Function} handler - Event handler
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, handler) {
+      if (!handlers.has(event)) {
+        handlers.set(event, new Set());
+      }
+      handlers.get(event).add(handler);
+      return () => emitter.off(event, handler);
+    },
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} event - Event name
+     * @param {Function} handler - Event handler
+     */
+    off(event, handler) {
+      const set = handlers.get(event);
+      if (set) {
+        set.delete(handler);
+      }
+    },
+
+    /**
+     * Call every handler subscribed to an event
+     * @param {string} event - Event name
+     * @param {*} [payload] - Event payload
+     */
+    emit(event, payload) {
+      const set = handlers.get(event);
+      if (!set) return;
+
+      for (const handler of Array.from(set)) {
+        try {
+          handler(payload);
+        } catch (error) {
+          logger.warn(`Session replay "${event}" handler failed:`, error);
+        }
+      }
+    },
+
+    /**
+     * Remove every handler
+     */
+    clear() {
+      handlers.clear();
+    }
+  };
+
+  return emitter;
+}
+
+// Default export
+export default {
+  createEmitter
+};
@@ -0,0 +1,118 @@
+/**
+ * Error classes for session replay
+ * Every error thrown or rejected by the SDK extends SessionReplayError
+ */
+
+/**
+ * Base class for session replay errors
+ */
+export class SessionReplayError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {*} [options.cause] - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'SessionReplayError';
+    this.code = 'SESSION_REPLAY_ERROR';
+    if (options.cause !== undefined) {
+      this.cause = options.cause;
+    }
+  }
+}
+
+/**
+ * Thrown when the configuration passed to the SDK is invalid
+ */
+export class ConfigError extends SessionReplayError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ConfigError';
+    this.code = 'CONFIG_ERROR';
+  }
+}
+
+/**
+ * Thrown when the session replay script fails to load
+ */
+export class LoadError extends SessionReplayError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {Array<Object>} [options.attempts] - Loading methods tried, with their failure reasons
+   * @param {*} [options.cause] - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'LoadError';
+    this.code = 'LOAD_ERROR';
+    this.attempts = options.attempts || [];
+  }
+}
+
+/**
+ * Thrown when loading or starting the recorder takes longer than allowed
+ */
+export class TimeoutError extends SessionReplayError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'TimeoutError';
+    this.code = 'TIMEOUT_ERROR';
+  }
+}
+
+/**
+ * Thrown by transports when a batch could not be delivered
+ */
+export class UploadError extends SessionReplayError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {number} [options.status] - HTTP status, if a response was received
+   * @param {number} [options.retryAfter] - Milliseconds the server asked us to wait
+   * @param {boolean} [options.retryable] - Overrides the status-based retry decision
+   * @param {*} [options.cause] - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'UploadError';
+    this.code = 'UPLOAD_ERROR';
+    this.status = options.status;
+    this.retryAfter = options.retryAfter;
+    this.retryable = options.retryable;
+  }
+
+  /**
+   * Whether sending the same batch again may succeed
+   * @returns {boolean}
+   */
+  isRetryable() {
+    if (typeof this.retryable === 'boolean') {
+      return this.retryable;
+    }
+    const status = this.status;
+    return status === undefined || status === 408 || status === 429 || status >= 500;
+  }
+}
+
+/**
+ * Thrown when the SDK runs somewhere it cannot record (e.g. during SSR)
+ */
+export class UnsupportedEnvironmentError extends SessionReplayError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'UnsupportedEnvironmentError';
+    this.code = 'UNSUPPORTED_ENVIRONMENT';
+  }
+}
+
+// Default export
+export default {
+  SessionReplayError,
+  ConfigError,
+  LoadError,
+  TimeoutError,
+  UploadError,
+  UnsupportedEnvironmentError
+};
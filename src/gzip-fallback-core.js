@@ -0,0 +1,18 @@
+/**
+ * Gzip fallback of the core CDN build, which leaves fflate out.
+ * Browsers without CompressionStream send uploads uncompressed; the full
+ * CDN build has the fallback.
+ */
+
+/**
+ * Load the gzip fallback
+ * @returns {Promise<Function|null>} Always null
+ */
+export async function loadGzipFallback() {
+  return null;
+}
+
+// Default export
+export default {
+  loadGzipFallback
+};
@@ -0,0 +1,19 @@
+/**
+ * Pure-JS gzip for browsers without CompressionStream (e.g. Safari before 16.4)
+ * fflate is imported on first use, so bundlers can put it in a chunk of its own.
+ * The core CDN build swaps this module for gzip-fallback-core.js.
+ */
+
+/**
+ * Load the gzip fallback
+ * @returns {Promise<Function|null>} gzipSync(bytes), or null when this build has no fallback
+ */
+export async function loadGzipFallback() {
+  const { gzipSync } = await import('fflate');
+  return gzipSync;
+}
+
+// Default export
+export default {
+  loadGzipFallback
+};
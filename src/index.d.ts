@@ -8,18 +8,940 @@
 export interface SessionReplayConfig {
   /** Project key for identification */
   projectKey: string;
-  /** Secret key for authentication */
-  secretKey: string;
+  /**
+   * Returns a short-lived token signed by your server with @replica-replay/core/server,
+   * or { token, expiresAt }; refreshed before it expires (required in remote mode)
+   */
+  getToken?: () => string | SessionTokenResult | Promise<string | SessionTokenResult>;
+  /**
+   * @deprecated Rejected with a ConfigError: any script on the page could read it.
+   * Keep it on your server and pass getToken
+   */
+  secretKey?: never;
   /** Server URL (optional, defaults to production) */
   serverUrl?: string;
+  /** 'local' skips the remote script, records with the page's rrweb and uploads to transport (optional, defaults to 'remote') */
+  mode?: 'remote' | 'local';
+  /** Transport that receives event batches (required in local mode) */
+  transport?: Transport;
+  /** Events per batch (optional, defaults to 50) */
+  batchSize?: number;
+  /** Approximate bytes per batch (optional, defaults to 512KB) */
+  maxBatchBytes?: number;
+  /** Milliseconds between uploads (optional, defaults to 5000) */
+  flushInterval?: number;
+  /** Upload retries per batch before it is dropped (optional, defaults to 5) */
+  maxRetries?: number;
+  /** Keep pending batches in IndexedDB/localStorage (optional, defaults to true) */
+  persist?: boolean;
+  /** Compress uploads (optional, defaults to 'none') */
+  compression?: 'gzip' | 'none';
+  /** Privacy preset or masking policy (optional, defaults to 'default') */
+  privacy?: PrivacyPreset | PrivacyPolicy;
+  /** PII redaction options, or false to disable (optional, defaults to on) */
+  redaction?: boolean | RedactionOptions;
+  /** Capture console calls and uncaught errors; true for the defaults (optional, defaults to off) */
+  console?: boolean | ConsoleCaptureOptions;
+  /** Capture fetch and XMLHttpRequest calls; true for the defaults (optional, defaults to off) */
+  network?: boolean | NetworkCaptureOptions;
+  /** Capture Core Web Vitals and performance timing; true for the defaults (optional, defaults to off) */
+  vitals?: boolean | VitalsOptions;
+  /** Page-view tracking and URL normalization; true for the defaults (optional, defaults to off) */
+  navigation?: boolean | NavigationOptions;
+  /** Upload only sessions that hit a trigger (optional, defaults to off) */
+  buffer?: boolean | BufferOptions;
+  /** Share of sessions recorded, from 0 to 1, decided per session ID (optional, defaults to 1) */
+  sampleRate?: number;
+  /** Sampling rules and users always recorded (optional) */
+  sampling?: SamplingOptions;
+  /** SHA-256 hash user IDs passed to identify() in the browser; unhashed IDs are never sent (optional) */
+  hashUserId?: boolean;
+  /** Handling of Global Privacy Control and Do-Not-Track (optional, defaults to 'respect') */
+  privacySignals?: PrivacySignalPolicy;
+  /** Consent state, or consent options; recording waits while consent is pending (optional, defaults to 'granted') */
+  consent?: ConsentState | ConsentOptions;
+  /** Inactivity in milliseconds after which a new session starts (optional, defaults to 30 minutes) */
+  idleTimeout?: number;
+  /** Longest session in milliseconds before a new one starts (optional, defaults to 4 hours) */
+  maxSessionDuration?: number;
+  /** Time allowed for the script to load and recording to start, in milliseconds (optional, defaults to 10000) */
+  timeout?: number;
+  /** CSP nonce set on the injected script tag (optional, remote mode) */
+  nonce?: string;
+  /** Trusted Types policy for the script URL: a policy, a name to create one under, or true for 'replica-replay' (optional, remote mode) */
+  trustedTypes?: boolean | string | ScriptTrustedTypesPolicy;
+  /** Subresource Integrity hash the remote script must match, e.g. 'sha384-...' (optional, remote mode) */
+  integrity?: string;
+  /** Pinned-version manifest, or its URL, with the remote script's hash under 'init.js'; used when integrity is not set (optional, remote mode) */
+  manifest?: string | IntegrityManifest;
+  /** Destroy any existing session and initialize again (optional) */
+  force?: boolean;
+  /** Options passed to rrweb's record() (optional) */
+  recordOptions?: Record<string, any>;
 }
 
 /**
- * Initialize session replay with required configuration
- * @param config - Configuration object with projectKey and secretKey
- * @returns Promise that resolves when initialization is complete
+ * A batch of recorded events handed to a transport
  */
-export function initSessionReplay(config: SessionReplayConfig): Promise<void>;
+export interface EventBatch {
+  /** Unique batch ID, stable across retries so the server can deduplicate */
+  id: string;
+  projectKey: string;
+  sessionId: string;
+  /** Increments with every batch sent by the session */
+  sequence: number;
+  timestamp: number;
+  events: any[];
+  [key: string]: any;
+}
+
+/**
+ * Delivers event batches somewhere. Reject with an UploadError to control retries.
+ */
+export interface Transport {
+  name?: string;
+  send(batch: EventBatch, options?: TransportSendOptions): Promise<TransportSendResult | void>;
+  /** Synchronous best-effort send while the page unloads; return false if refused */
+  sendUnload?(batch: EventBatch, options?: TransportSendOptions): boolean;
+}
+
+export interface TransportSendOptions {
+  /** The SDK's compression setting */
+  compression?: 'gzip' | 'none';
+  /** Session token, when getToken is configured; fetchTransport sends it as a Bearer header */
+  token?: string;
+}
+
+/**
+ * What getToken may resolve with besides a plain token
+ */
+export interface SessionTokenResult {
+  token: string;
+  /** Milliseconds since the epoch; read from the JWT exp claim when omitted */
+  expiresAt?: number;
+}
+
+/**
+ * Session token diagnostics; never the token itself
+ */
+export interface TokenDiagnostics {
+  hasToken: boolean;
+  expiresAt: number | null;
+  failures: number;
+}
+
+/**
+ * Configuration any script on the page may read; never contains secrets
+ */
+export interface PublicSessionReplayConfig {
+  projectKey: string;
+  serverUrl: string;
+  mode: 'remote' | 'local';
+}
+
+export interface TransportSendResult {
+  compression?: 'gzip' | 'none';
+  rawBytes: number;
+  encodedBytes: number;
+}
+
+/**
+ * Upload counters reported in session diagnostics
+ */
+export interface UploadStats {
+  pending: number;
+  sent: number;
+  dropped: number;
+  /** Batches dropped by beforeSend hooks */
+  filtered: number;
+  retries: number;
+  rawBytes: number;
+  encodedBytes: number;
+  compression: 'gzip' | 'none';
+  /** rawBytes / encodedBytes, or null before anything was sent */
+  compressionRatio: number | null;
+}
+
+/**
+ * Session diagnostics
+ */
+export interface SessionDiagnostics {
+  sessionId: string;
+  state: SessionState;
+  upload?: UploadStats;
+  redaction?: RedactionCounts;
+  consent?: ConsentDiagnostics;
+  buffer?: BufferDiagnostics;
+  continuity?: SessionContinuity;
+  metadata?: SessionMetadata;
+  plugins?: PluginDiagnostics[];
+  token?: TokenDiagnostics;
+  [section: string]: any;
+}
+
+/**
+ * In-memory transport, for tests and local debugging
+ */
+export interface MemoryTransport extends Transport {
+  batches: EventBatch[];
+  getEvents(): any[];
+  clear(): void;
+}
+
+/** Send batches as JSON with fetch */
+export function fetchTransport(
+  url: string,
+  options?: { headers?: Record<string, string>; credentials?: RequestCredentials; compression?: 'gzip' | 'none' }
+): Transport;
+
+/** Send batches with navigator.sendBeacon */
+export function beaconTransport(url: string): Transport;
+
+/** Keep batches in memory */
+export function memoryTransport(): MemoryTransport;
+
+/** Hand batches to a callback */
+export function callbackTransport(callback: (batch: EventBatch) => void | Promise<void>): Transport;
+
+/**
+ * Base class for every error thrown or rejected by the SDK
+ */
+export class SessionReplayError extends Error {
+  constructor(message: string, options?: { cause?: unknown });
+  code: string;
+  cause?: unknown;
+}
+
+/** The configuration passed to the SDK is invalid */
+export class ConfigError extends SessionReplayError {}
+
+/** The session replay script failed to load */
+export class LoadError extends SessionReplayError {
+  constructor(message: string, options?: { attempts?: LoadAttempt[]; cause?: unknown });
+  /** Loading methods tried, with their failure reasons (empty for the remote script tag) */
+  attempts: LoadAttempt[];
+}
+
+/**
+ * Why a loading method failed
+ */
+export type LoadFailureCode =
+  | 'load-failed'
+  | 'blocked'
+  | 'network'
+  | 'http'
+  | 'execution'
+  | 'rrweb-missing'
+  | 'unsupported'
+  | 'integrity-missing'
+  | 'integrity-mismatch'
+  | 'integrity-unavailable'
+  | 'integrity-unsupported'
+  | 'unknown';
+
+/**
+ * One loading method tried by the script loader
+ */
+export interface LoadAttempt {
+  method: 'manifest' | 'script' | 'fetch' | 'xhr' | 'import';
+  ok: boolean;
+  code: LoadFailureCode | null;
+  message: string | null;
+}
+
+/**
+ * The parts of a Trusted Types policy the loader uses
+ */
+export interface ScriptTrustedTypesPolicy {
+  createScriptURL(url: string): any;
+  createScript?(script: string): any;
+}
+
+/**
+ * Integrity hashes of pinned script versions, by script URL, path or file name
+ */
+export interface IntegrityManifest {
+  version?: string;
+  files: Record<string, string>;
+}
+
+/** Loading or starting the recorder took longer than allowed */
+export class TimeoutError extends SessionReplayError {}
+
+/** A transport could not deliver a batch */
+export class UploadError extends SessionReplayError {
+  constructor(message: string, options?: { status?: number; retryAfter?: number; retryable?: boolean; cause?: unknown });
+  /** HTTP status, if a response was received */
+  status?: number;
+  /** Milliseconds the server asked us to wait */
+  retryAfter?: number;
+  retryable?: boolean;
+  /** Whether sending the same batch again may succeed */
+  isRetryable(): boolean;
+}
+
+/** The SDK is running somewhere it cannot record (e.g. during SSR) */
+export class UnsupportedEnvironmentError extends SessionReplayError {}
+
+/**
+ * Status events emitted by sessions
+ */
+export interface SessionReplayEventMap {
+  /** Fired when recording starts, and again with resumed: true after resume() */
+  ready: { sessionId: string; resumed?: boolean };
+  error: SessionReplayError;
+  stopped: { sessionId: string };
+}
+
+export type SessionReplayEvent = keyof SessionReplayEventMap;
+
+/**
+ * Built-in privacy presets
+ */
+export type PrivacyPreset = 'default' | 'strict';
+
+/**
+ * What to do with an input type's values
+ */
+export type InputTypeAction = 'mask' | 'ignore' | 'record';
+
+/**
+ * Declarative masking policy
+ */
+export interface PrivacyPolicy {
+  /** Starting point; 'strict' masks all text and inputs (defaults to 'default') */
+  preset?: PrivacyPreset;
+  /** Selectors replaced by a same-sized placeholder */
+  block?: string | string[];
+  /** Selectors whose text and input values are scrambled */
+  mask?: string | string[];
+  /** Selectors whose input events are dropped */
+  ignore?: string | string[];
+  /** Selectors exempt from maskAllText and maskAllInputs */
+  unmask?: string | string[];
+  /** Scramble every text node */
+  maskAllText?: boolean;
+  /** Scramble every input value */
+  maskAllInputs?: boolean;
+  /** Per input type rules, e.g. { email: 'mask', search: 'ignore' }. Passwords are always masked. */
+  inputTypes?: Record<string, InputTypeAction>;
+}
+
+/**
+ * Names of the built-in PII detectors
+ */
+export type BuiltInDetector = 'jwt' | 'apiKey' | 'email' | 'iban' | 'creditCard' | 'ssn' | 'phone';
+
+/**
+ * A custom PII detector
+ */
+export interface RedactionPattern {
+  /** Name reported in redaction counts */
+  name?: string;
+  /** Pattern to find; the global flag is added automatically */
+  pattern: RegExp;
+  /** Return false to keep a match (e.g. a checksum test) */
+  validate?: (match: string) => boolean;
+  /** Replacement text for this detector */
+  replacement?: string;
+}
+
+/**
+ * PII redaction options
+ */
+export interface RedactionOptions {
+  /** Built-in detectors to use (defaults to all) */
+  detectors?: BuiltInDetector[];
+  /** Custom detectors, applied before the built-in ones */
+  patterns?: RedactionPattern[];
+  /** Replacement text, or a function of the detector name (defaults to "[redacted:<name>]") */
+  replacement?: string | ((detector: string) => string);
+}
+
+/**
+ * Redaction counts reported in session diagnostics
+ */
+export interface RedactionCounts {
+  total: number;
+  byDetector: Record<string, number>;
+}
+
+/**
+ * How Global Privacy Control and Do-Not-Track are handled:
+ * 'respect' skips recording, 'anonymize' masks all text and inputs, 'ignore' records as usual
+ */
+export type PrivacySignalPolicy = 'respect' | 'ignore' | 'anonymize';
+
+/**
+ * Options for optOut() and optIn()
+ */
+export interface OptOutOptions {
+  /** Cookie domain (defaults to the widest domain that accepts cookies, e.g. example.com) */
+  domain?: string;
+  /** Cookie lifetime in seconds (defaults to one year) */
+  maxAge?: number;
+}
+
+/**
+ * Console methods that can be captured
+ */
+export type ConsoleLevel = 'log' | 'info' | 'warn' | 'error' | 'debug';
+
+/**
+ * Console and error capture options
+ */
+export interface ConsoleCaptureOptions {
+  /** Console methods to capture (defaults to ['warn', 'error']) */
+  levels?: ConsoleLevel[];
+  /** Capture uncaught errors, unhandled rejections and failed resource loads (defaults to true) */
+  errors?: boolean;
+  /** Events recorded per session (defaults to 200) */
+  maxEvents?: number;
+  /** Arguments previewed per call (defaults to 10) */
+  maxArgs?: number;
+  /** Object nesting kept in previews (defaults to 3) */
+  maxDepth?: number;
+  /** Characters kept per string (defaults to 1000) */
+  maxLength?: number;
+  /** Stack frames kept (defaults to 20) */
+  maxFrames?: number;
+}
+
+/**
+ * Network capture options
+ */
+export interface NetworkCaptureOptions {
+  /** URLs never recorded; strings match anywhere in the URL. The ingest URL is always ignored. */
+  ignoreUrls?: Array<string | RegExp>;
+  /** Request headers to record; credential headers are always stripped */
+  requestHeaders?: string[];
+  /** Response headers to record; credential headers are always stripped */
+  responseHeaders?: string[];
+  /** URLs whose request and response bodies are recorded (defaults to none) */
+  bodyUrls?: Array<string | RegExp>;
+  /** Characters kept per body (defaults to 10000) */
+  maxBodyLength?: number;
+  /** Requests recorded per session (defaults to 500) */
+  maxEvents?: number;
+}
+
+/**
+ * Web Vitals and performance capture options
+ */
+export interface VitalsOptions {
+  /** Record long tasks (defaults to true) */
+  longTasks?: boolean;
+  /** Record a resource timing summary when the page is hidden (defaults to true) */
+  resources?: boolean;
+  /** Vitals and performance events recorded per session (defaults to 300) */
+  maxEvents?: number;
+}
+
+/**
+ * Rewrites a page-view path, e.g. { match: /^\/teams\/[^/]+/, replace: '/teams/:team' }
+ */
+export interface UrlNormalizationRule {
+  /** RegExp, or a string replaced wherever it occurs */
+  match: RegExp | string;
+  replace: string;
+}
+
+/**
+ * Page-view tracking options
+ */
+export interface NavigationOptions {
+  /** Replace numeric, UUID and hash path segments with :id (defaults to true) */
+  collapseIds?: boolean;
+  /** Path rewrites applied after collapseIds */
+  rules?: UrlNormalizationRule[];
+  /** true to drop the query string, or names of parameters to drop (defaults to false) */
+  stripQuery?: boolean | string[];
+  /** Drop the URL fragment (defaults to false) */
+  stripHash?: boolean;
+}
+
+/**
+ * Sets the sample rate for sessions that match every condition given
+ */
+export interface SamplingRule {
+  /** Found anywhere in the page URL, or a RegExp tested against it */
+  url?: string | RegExp | Array<string | RegExp>;
+  /** Trait values the identified user must have */
+  traits?: Record<string, MetadataValue>;
+  /** Browser names from detectBrowser() */
+  browser?: string | string[];
+  /** Device types from getDeviceInfo() */
+  device?: DeviceType | DeviceType[];
+  /** Rate from 0 to 1 */
+  rate: number;
+}
+
+/**
+ * Sampling options
+ */
+export interface SamplingOptions {
+  /** The first matching rule sets the rate */
+  rules?: SamplingRule[];
+  /** Users always recorded, e.g. internal QA */
+  forceRecord?: {
+    /** Raw user IDs, also with hashUserId */
+    userIds?: Array<string | number>;
+    traits?: Record<string, MetadataValue>;
+  };
+}
+
+/**
+ * Device type reported by getDeviceInfo()
+ */
+export type DeviceType = 'mobile' | 'tablet' | 'desktop';
+
+/**
+ * Sampling decision for the current session
+ */
+export interface SamplingDecision {
+  sampled: boolean;
+  reason: 'forced' | 'rule' | 'rate';
+  rate: number;
+  /** Index of the matching rule, or null */
+  rule: number | null;
+}
+
+/**
+ * Buffered recording options
+ */
+export interface BufferOptions {
+  /** Milliseconds between full-snapshot checkouts; the buffer covers one to two of these (defaults to 60000) */
+  duration?: number;
+  /** Trigger on uncaught errors and unhandled rejections (defaults to true) */
+  errors?: boolean;
+  /** Custom event names that trigger the upload */
+  events?: Array<string | RegExp>;
+}
+
+/**
+ * Buffered recording diagnostics
+ */
+export interface BufferDiagnostics {
+  duration: number;
+  triggered: boolean;
+  bufferedEvents: number;
+}
+
+/**
+ * Hook options for addEventProcessor and beforeSend
+ */
+export interface HookOptions {
+  /** Higher runs first; equal priorities run in the order they were added (defaults to 0) */
+  priority?: number;
+}
+
+/**
+ * Returns the value to keep (changed or not), undefined to keep it as it is,
+ * or null or false to drop it; async hooks return a promise of the same
+ */
+export type HookResult<T> = T | null | false | void | Promise<T | null | false | void>;
+
+export type EventProcessor = (event: any, context: { sessionId: string; isCheckout: boolean }) => HookResult<any>;
+
+export type BeforeSendHook = (batch: EventBatch, context: { sessionId: string }) => HookResult<EventBatch>;
+
+/**
+ * What a plugin's setup and teardown receive for each session
+ */
+export interface ReplayPluginContext {
+  /** The plugin's name */
+  name: string;
+  /** Configuration passed to initSessionReplay, without the secret key */
+  config: SessionReplayConfig;
+  /** PII redactor for values kept outside the recording, or null when redaction is off; recorded events are redacted anyway */
+  redactor: { redactValue(value: any): any; redactUrl(url: string): string } | null;
+  /** URLs uploads go to, which recorders should not record */
+  ingestUrls: string[];
+  /** Everything registered through it is removed when the plugin or session goes away */
+  session: {
+    getSessionId(): string;
+    getState(): SessionState;
+    on<E extends SessionReplayEvent>(event: E, handler: (payload: SessionReplayEventMap[E]) => void): () => void;
+    listen(target: EventTarget, type: string, handler: (event: any) => void, options?: boolean | AddEventListenerOptions): void;
+    addCleanup(cleanup: () => void): void;
+    addDiagnostics(name: string, provider: () => any): void;
+  };
+  /** Add a custom event to the recording; false unless recording */
+  addCustomEvent(tag: string, payload: any): boolean;
+  /** Like addEventProcessor, removed with the plugin */
+  addEventProcessor(processor: EventProcessor, options?: HookOptions): () => void;
+  /** Like beforeSend, removed with the plugin */
+  beforeSend(hook: BeforeSendHook, options?: HookOptions): () => void;
+  /** Add a field to the session metadata */
+  addMetadata(key: string, provider: () => any): void;
+  /** Record the session metadata again */
+  updateMetadata(): void;
+  logger: { log(...args: any[]): void; warn(...args: any[]): void; error(...args: any[]): void };
+}
+
+/**
+ * Records extra data into every session; the console, network and vitals recorders are plugins too
+ */
+export interface ReplayPlugin {
+  /** Unique name; 'console', 'network' and 'vitals' are taken */
+  name: string;
+  setup(context: ReplayPluginContext): void | Promise<void>;
+  teardown?(context: ReplayPluginContext): void;
+}
+
+/**
+ * Plugin state reported in session diagnostics
+ */
+export interface PluginDiagnostics {
+  name: string;
+  /** 'failed' when setup threw */
+  status: 'active' | 'failed';
+  /** Errors thrown by the plugin's setup, teardown or callbacks */
+  errors: number;
+}
+
+/**
+ * Latest Web Vitals for the page; null until measured
+ */
+export interface VitalsSummary {
+  LCP: number | null;
+  CLS: number | null;
+  INP: number | null;
+  FCP: number | null;
+  TTFB: number | null;
+  longTasks: { count: number; totalDuration: number };
+  resources: { count: number; transferSize: number };
+}
+
+/**
+ * Value allowed in metadata and user traits
+ */
+export type MetadataValue = string | number | boolean | null;
+
+/**
+ * Identified user
+ */
+export interface IdentifiedUser {
+  /** User ID, or its SHA-256 hex digest when hashed */
+  id: string;
+  hashed: boolean;
+  traits: Record<string, MetadataValue>;
+}
+
+/**
+ * User and metadata sent with the session's start event and on every change
+ */
+export interface SessionMetadata {
+  user: IdentifiedUser | null;
+  metadata: Record<string, MetadataValue>;
+  tags: string[];
+  release: string | null;
+  environment: string | null;
+  /** Present when vitals capture is on */
+  vitals?: VitalsSummary;
+  /** Present when sampleRate or sampling is set */
+  sampling?: SamplingDecision;
+}
+
+/**
+ * Options for identify()
+ */
+export interface IdentifyOptions {
+  /** SHA-256 hash the ID in the browser (defaults to config.hashUserId) */
+  hash?: boolean;
+}
+
+/**
+ * Session continuity details reported in session diagnostics
+ */
+export interface SessionContinuity {
+  sessionId: string;
+  startedAt: number;
+  lastActivity: number;
+  /** 0 for the first tab in the session, 1 for the next, ... */
+  tabIndex: number;
+  idleTimeout: number;
+  maxDuration: number;
+}
+
+/**
+ * Visitor consent to recording
+ */
+export type ConsentState = 'pending' | 'granted' | 'denied';
+
+/**
+ * Reads consent from a consent management platform
+ */
+export interface ConsentAdapter {
+  /** Reported as the source of consent changes */
+  name?: string;
+  /** Call callback with every consent change; return an unsubscribe function */
+  subscribe(callback: (state: ConsentState) => void): (() => void) | void;
+}
+
+/**
+ * Consent options
+ */
+export interface ConsentOptions {
+  /** Initial state (defaults to 'pending' with adapters, 'granted' without) */
+  state?: ConsentState;
+  /** Adapter that reports consent changes */
+  adapter?: ConsentAdapter;
+  /** Adapters that report consent changes */
+  adapters?: ConsentAdapter[];
+  /**
+   * Record into memory while consent is pending, upload the buffered events once
+   * granted and discard them if denied. Local mode only: remote mode has to load
+   * its script from the server before it can record, so initSessionReplay
+   * rejects this option there with a ConfigError.
+   */
+  preConsentBuffer?: boolean;
+}
+
+/**
+ * Consent state reported in session diagnostics
+ */
+export interface ConsentDiagnostics {
+  state: ConsentState;
+  preConsentBuffer: boolean;
+  bufferedEvents: number;
+}
+
+/**
+ * Attributes that apply a privacy action to an element and its descendants
+ */
+export const PRIVACY_ATTRIBUTES: {
+  block: 'data-replay-block';
+  mask: 'data-replay-mask';
+  ignore: 'data-replay-ignore';
+  unmask: 'data-replay-unmask';
+};
+
+/**
+ * Recording state of a session handle
+ */
+export type SessionState = 'idle' | 'recording' | 'paused' | 'stopped' | 'destroyed';
+
+/**
+ * Handle for controlling an active session recording
+ */
+export interface SessionReplayHandle {
+  /** Start recording once rrweb is available */
+  start(): boolean;
+  /** Stop recording; only restart() records again afterwards */
+  stop(): void;
+  /** Temporarily stop recording while keeping the session ID */
+  pause(): void;
+  /** Resume a paused session */
+  resume(): void;
+  /** Start a new session with a new ID, shared with other tabs */
+  restart(): void;
+  /** Continue under another session ID; a recording restarts with a full snapshot */
+  rotate(sessionId: string): void;
+  /** Get the current session ID */
+  getSessionId(): string;
+  /** Get the current recording state */
+  getState(): SessionState;
+  /** Subscribe to a status event */
+  on<E extends SessionReplayEvent>(event: E, handler: (payload: SessionReplayEventMap[E]) => void): () => void;
+  /** Unsubscribe from a status event */
+  off<E extends SessionReplayEvent>(event: E, handler: (payload: SessionReplayEventMap[E]) => void): void;
+  /** Report a failure to 'error' subscribers */
+  reportError(error: SessionReplayError): void;
+  /** Register a diagnostics provider reported by getDiagnostics() */
+  addDiagnostics(name: string, provider: () => any): void;
+  /** Get the session's current diagnostics */
+  getDiagnostics(): SessionDiagnostics;
+  /** Register a teardown function to run on destroy() */
+  addCleanup(cleanup: () => void): void;
+  /** Add an event listener that is removed on destroy() */
+  listen(
+    target: EventTarget,
+    type: string,
+    handler: EventListenerOrEventListenerObject,
+    options?: boolean | AddEventListenerOptions
+  ): void;
+  /** Stop recording and remove every listener the session added */
+  destroy(): void;
+}
+
+/**
+ * Initialize session replay with required configuration.
+ * Repeated calls with the same projectKey return the existing session;
+ * a different projectKey is rejected with a ConfigError unless `force` is set.
+ * While consent is pending or denied, resolves right away without recording.
+ * @param config - Configuration object with projectKey and getToken (remote mode) or transport (local mode)
+ * @returns Promise that resolves to a session handle once recording has started,
+ * or rejects with a ConfigError, LoadError, TimeoutError or UnsupportedEnvironmentError
+ */
+export function initSessionReplay(config: SessionReplayConfig): Promise<SessionReplayHandle>;
+
+/**
+ * Initialize session replay from a state rendered by renderReplayScript() or
+ * renderReplayElement() from @replica-replay/core/server; options passed here win.
+ * Only one session is started from the state per page, across SDK copies.
+ * @param config - Options to add to or override the server-rendered ones
+ */
+export function initSessionReplay(config?: Partial<SessionReplayConfig>): Promise<SessionReplayHandle>;
+
+/**
+ * Get the active session handle created by initSessionReplay
+ * @returns The session handle, or null if none is active
+ */
+export function getActiveSession(): SessionReplayHandle | null;
+
+/**
+ * Get the active session's ID, shared across page loads and tabs until it expires
+ * @returns The session ID, or null without an active session
+ */
+export function getSessionId(): string | null;
+
+/**
+ * Get the dashboard URL where the active session can be replayed
+ * @returns The URL, or null without an active session or in local mode without a serverUrl
+ */
+export function getSessionReplayUrl(): string | null;
+
+/**
+ * Record a product event, such as "checkout_started", on the replay timeline as an rrweb custom event.
+ * Properties must be JSON-serializable and at most 8KB; PII in them is redacted.
+ * Calls made before recording starts are buffered (up to 100) and written once it does.
+ * @returns true if the event was recorded now, false if it was buffered or the session is paused or stopped
+ * @throws ConfigError if the name is empty, reserved or the properties are invalid
+ */
+export function track(name: string, properties?: Record<string, any>): boolean;
+
+/**
+ * Upload what the active session has recorded so far.
+ * In buffer mode this triggers the upload of the buffer, and the session records normally from then on.
+ * @param reason - Why the session is worth keeping (defaults to 'manual')
+ * @returns true if a buffered session was triggered or pending events were flushed
+ */
+export function flush(reason?: string): boolean;
+
+/**
+ * Add a hook that sees every recorded event before it is buffered or uploaded.
+ * Async processors hold back later events, so the recording keeps its order.
+ * A processor that throws or rejects is logged and skipped.
+ * @returns Function that removes the processor
+ * @throws ConfigError if processor is not a function
+ */
+export function addEventProcessor(processor: EventProcessor, options?: HookOptions): () => void;
+
+/**
+ * Add a hook that sees every upload batch before it is persisted and sent.
+ * A hook that throws or rejects is logged and skipped.
+ * @returns Function that removes the hook
+ * @throws ConfigError if hook is not a function
+ */
+export function beforeSend(hook: BeforeSendHook, options?: HookOptions): () => void;
+
+/**
+ * Register a plugin for the active session and every later one.
+ * A plugin that throws is logged and contained; recording carries on without it.
+ * @returns Function that removes the plugin and runs its teardown
+ * @throws ConfigError if the plugin is malformed or its name is taken
+ */
+export function registerPlugin(plugin: ReplayPlugin): () => void;
+
+/**
+ * Identify the user behind the session, so support engineers can find it.
+ * Works before initialization; the user is sent with the session's start event.
+ * @returns Promise that resolves once the user is set, or rejects with a ConfigError on invalid input
+ */
+export function identify(userId: string | number, traits?: Record<string, MetadataValue> | null, options?: IdentifyOptions): Promise<void>;
+
+/**
+ * Set a metadata value on the session; null removes it
+ * @throws ConfigError if the key or value is invalid
+ */
+export function setMetadata(key: string, value: MetadataValue): void;
+
+/**
+ * Replace the session's tags (at most 50)
+ * @throws ConfigError if tags is not an array of strings
+ */
+export function setTags(tags: string[]): void;
+
+/**
+ * Set the release the session runs on, e.g. '2.4.1' or a commit SHA
+ */
+export function setRelease(version: string): void;
+
+/**
+ * Set the environment the session runs in, e.g. 'production' or 'staging'
+ */
+export function setEnvironment(name: string): void;
+
+/**
+ * Set the visitor's consent. Granting starts recording, denying stops it.
+ * Called before initSessionReplay, it sets the initial state.
+ * @throws ConfigError if the state is invalid
+ */
+export function setConsent(state: ConsentState): void;
+
+/**
+ * Get the visitor's consent state
+ * @returns The active session's consent state, or the state passed to setConsent() before initialization
+ */
+export function getConsent(): ConsentState | null;
+
+/**
+ * Stop recording this visitor, now and on future page loads.
+ * The choice is kept in a first-party cookie shared with subdomains and in localStorage.
+ */
+export function optOut(options?: OptOutOptions): void;
+
+/**
+ * Undo optOut(). The active session starts recording again if consent allows it.
+ */
+export function optIn(options?: Pick<OptOutOptions, 'domain'>): void;
+
+/**
+ * Check if the visitor opted out of recording
+ */
+export function isOptedOut(): boolean;
+
+/**
+ * Read consent from an IAB TCF v2 CMP (window.__tcfapi)
+ */
+export function tcfConsentAdapter(options?: {
+  /** Purposes that must all be consented (defaults to [1]) */
+  purposes?: number[];
+  /** Your IAB vendor ID, if you are registered */
+  vendorId?: number;
+}): ConsentAdapter;
+
+/**
+ * Read consent from an IAB GPP CMP (window.__gpp)
+ */
+export function gppConsentAdapter(options?: {
+  /** Maps GPP ping data to a consent state */
+  decide?: (pingData: any) => ConsentState;
+}): ConsentAdapter;
+
+/**
+ * Read consent from a first-party cookie set by your consent banner
+ */
+export function cookieConsentAdapter(options: {
+  /** Cookie name */
+  name: string;
+  /** Maps the cookie value (null when unset) to a consent state */
+  decide?: (value: string | null) => ConsentState;
+  /** Milliseconds between cookie checks (defaults to 1000) */
+  pollInterval?: number;
+}): ConsentAdapter;
+
+/**
+ * Subscribe to status events from any session
+ * @returns Unsubscribe function
+ */
+export function on<E extends SessionReplayEvent>(event: E, handler: (payload: SessionReplayEventMap[E]) => void): () => void;
+
+/**
+ * Unsubscribe from status events
+ */
+export function off<E extends SessionReplayEvent>(event: E, handler: (payload: SessionReplayEventMap[E]) => void): void;
 
 /**
  * Vue plugin for session replay
@@ -37,19 +959,57 @@ export const SessionReplayPlugin: SessionReplayPlugin;
 export function isSessionReplayAvailable(): boolean;
 
 /**
- * Get the current session replay configuration from loaded script
- * @returns Configuration object if session replay is loaded, null otherwise
+ * Get the current session replay configuration.
+ * Never includes the secret key or session tokens.
+ * @returns projectKey, serverUrl and mode if session replay is set up, null otherwise
+ */
+export function getSessionReplayConfig(): PublicSessionReplayConfig | null;
+
+/**
+ * Create a getToken function that fetches JSON { token, expiresAt } from your endpoint,
+ * such as one made with createTokenHandler() from @replica-replay/core/server
  */
-export function getSessionReplayConfig(): SessionReplayConfig | null;
+export function tokenEndpoint(
+  url: string,
+  options?: { credentials?: 'omit' | 'same-origin' | 'include'; headers?: Record<string, string> }
+): () => Promise<SessionTokenResult>;
 
 /**
  * Default export containing all session replay functions
  */
 declare const _default: {
   initSessionReplay: typeof initSessionReplay;
+  getActiveSession: typeof getActiveSession;
+  getSessionId: typeof getSessionId;
+  getSessionReplayUrl: typeof getSessionReplayUrl;
+  track: typeof track;
+  flush: typeof flush;
+  addEventProcessor: typeof addEventProcessor;
+  beforeSend: typeof beforeSend;
+  registerPlugin: typeof registerPlugin;
+  identify: typeof identify;
+  setMetadata: typeof setMetadata;
+  setTags: typeof setTags;
+  setRelease: typeof setRelease;
+  setEnvironment: typeof setEnvironment;
+  setConsent: typeof setConsent;
+  getConsent: typeof getConsent;
+  optOut: typeof optOut;
+  optIn: typeof optIn;
+  isOptedOut: typeof isOptedOut;
+  tcfConsentAdapter: typeof tcfConsentAdapter;
+  gppConsentAdapter: typeof gppConsentAdapter;
+  cookieConsentAdapter: typeof cookieConsentAdapter;
+  on: typeof on;
+  off: typeof off;
+  fetchTransport: typeof fetchTransport;
+  beaconTransport: typeof beaconTransport;
+  memoryTransport: typeof memoryTransport;
+  callbackTransport: typeof callbackTransport;
   SessionReplayPlugin: SessionReplayPlugin;
   isSessionReplayAvailable: typeof isSessionReplayAvailable;
   getSessionReplayConfig: typeof getSessionReplayConfig;
+  tokenEndpoint: typeof tokenEndpoint;
 };
 
 export default _default;
@@ -5,52 +5,1181 @@
  * Provides framework-agnostic session recording functionality.
  */
 
+import { createSession, generateSessionId } from './session.js';
+import { createEmitter } from './emitter.js';
+import { waitForRrweb, addCustomEvent, resolveLoaderOptions, resolveIntegrity, createScriptTag } from './loader.js';
+import { getRegistration, register, unregister, getActiveSession } from './registry.js';
+import { createUploader } from './uploader.js';
+import { watchPageLifecycle } from './lifecycle.js';
+import { createSessionManager, watchActivity } from './continuity.js';
+import { createMetadataStore } from './metadata.js';
+import { normalizeTrackEvent } from './tracking.js';
+import { resolveConsoleOptions } from './console.js';
+import { resolveNetworkOptions } from './network.js';
+import { resolveVitalsOptions } from './vitals.js';
+import { BUILT_IN_PLUGINS } from './recorders.js';
+import { resolveNavigationOptions, watchNavigation } from './navigation.js';
+import { resolveBufferOptions, isTriggerEvent, createReplayBuffer, watchErrorTriggers } from './buffer.js';
+import { resolveSamplingOptions, createSampler } from './sampling.js';
+import { createHookChain, createSequencer } from './pipeline.js';
+import { createTokenManager, tokenEndpoint } from './token.js';
+import { readServerState, mergeServerState, getServerStateClaim, claimServerState } from './ssr.js';
+import { validatePlugin, createPluginHost } from './plugins.js';
+import { logger } from './logger.js';
+import { COMPRESSION_TYPES } from './compression.js';
+import { resolvePrivacyPolicy, getPrivacyRecordOptions, PRIVACY_ATTRIBUTES } from './privacy.js';
+import { createRedactor } from './redaction.js';
+import { hasPrivacySignal, detectBrowser, getDeviceInfo } from './browser.js';
+import { writeOptOut, clearOptOut, isOptedOut } from './optout.js';
+import {
+  CONSENT_STATES,
+  isConsentState,
+  resolveConsentOptions,
+  createConsentController,
+  tcfConsentAdapter,
+  gppConsentAdapter,
+  cookieConsentAdapter
+} from './consent.js';
+import {
+  fetchTransport,
+  beaconTransport,
+  memoryTransport,
+  callbackTransport,
+  isTransport
+} from './transports.js';
+import {
+  SessionReplayError,
+  ConfigError,
+  LoadError,
+  TimeoutError,
+  UploadError,
+  UnsupportedEnvironmentError
+} from './errors.js';
+
+export { getActiveSession };
+
+export { PRIVACY_ATTRIBUTES };
+
+export { isOptedOut };
+
+export { tokenEndpoint };
+
+export {
+  tcfConsentAdapter,
+  gppConsentAdapter,
+  cookieConsentAdapter
+};
+
+export {
+  fetchTransport,
+  beaconTransport,
+  memoryTransport,
+  callbackTransport
+};
+
+export {
+  SessionReplayError,
+  ConfigError,
+  LoadError,
+  TimeoutError,
+  UploadError,
+  UnsupportedEnvironmentError
+};
+
 /**
- * Initialize session replay with required configuration
+ * Default time allowed for the script to load and rrweb to become available
+ */
+const DEFAULT_LOAD_TIMEOUT = 10000;
+
+/**
+ * Events buffered before consent, in local mode with preConsentBuffer
+ */
+const MAX_PRE_CONSENT_EVENTS = 5000;
+
+/**
+ * Hosted ingest and viewer, used unless config.serverUrl is set
+ */
+const DEFAULT_SERVER_URL = 'https://rrweb-ingest-825071668012.us-central1.run.app';
+
+/**
+ * Version of the contract between the SDK and the hosted server, sent as init.js?protocol=.
+ * Under version 2, init.js only provides window.rrweb; the SDK records with it and uploads
+ * event batches to /s/{projectKey}/events with the session token as a Bearer header.
+ */
+const REMOTE_PROTOCOL = 2;
+
+/**
+ * Configuration fields that must never leave the SDK: not to plugins, wrappers or getSessionReplayConfig().
+ * initSessionReplay rejects them, but wrappers may still carry them around.
+ */
+const SECRET_CONFIG_FIELDS = ['secretKey'];
+
+/**
+ * How Global Privacy Control and Do-Not-Track are handled
+ */
+const PRIVACY_SIGNAL_POLICIES = ['respect', 'ignore', 'anonymize'];
+
+/**
+ * Consent state set through setConsent(), kept for sessions initialized later
+ */
+let requestedConsent = null;
+
+/**
+ * Custom events that carry identify() and metadata values, which PII redaction leaves alone
+ */
+const METADATA_EVENT_TAGS = ['session', 'metadata'];
+
+/**
+ * User and metadata set through identify() and the metadata setters, kept across sessions
+ */
+const metadata = createMetadataStore();
+
+/**
+ * Status events from every session, for wrappers that subscribe before init
+ */
+const events = createEmitter();
+
+/**
+ * track() calls made before recording started, oldest first
+ */
+const MAX_BUFFERED_TRACK_EVENTS = 100;
+const trackQueue = [];
+
+events.on('ready', () => {
+  trackQueue.splice(0).forEach(({ name, properties, trackedAt }) => recordTrackEvent(name, properties, trackedAt));
+});
+
+/**
+ * Hooks run on every recorded event and every upload batch
+ */
+const eventProcessors = createHookChain('event processor');
+const batchHooks = createHookChain('beforeSend hook');
+
+/**
+ * Plugins added through registerPlugin(), kept across sessions
+ */
+const plugins = [];
+
+/**
+ * Subscribe to session replay status events from any session
+ * @param {'ready'|'error'|'stopped'} event - Event name
+ * @param {Function} handler - Event handler
+ * @returns {Function} Unsubscribe function
+ */
+export function on(event, handler) {
+  return events.on(event, handler);
+}
+
+/**
+ * Unsubscribe from session replay status events
+ * @param {'ready'|'error'|'stopped'} event - Event name
+ * @param {Function} handler - Event handler
+ */
+export function off(event, handler) {
+  events.off(event, handler);
+}
+
+/**
+ * Validate the configuration passed to initSessionReplay
  * @param {Object} config - Configuration object
- * @param {string} config.projectKey - Project key for identification
- * @param {string} config.secretKey - Secret key for authentication
- * @param {string} [config.serverUrl] - Server URL (defaults to production)
- * @returns {Promise<void>}
+ * @throws {ConfigError}
  */
-export async function initSessionReplay(config) {
-  // Validate required configuration
+function validateConfig(config) {
   if (!config || typeof config !== 'object') {
-    throw new Error('Configuration object is required. Example: initSessionReplay({ projectKey: "your-key", secretKey: "your-secret" })');
+    throw new ConfigError('Configuration object is required. Example: initSessionReplay({ projectKey: "your-key", getToken: tokenEndpoint("/api/replay-token") })');
   }
   
   if (!config.projectKey || typeof config.projectKey !== 'string') {
-    throw new Error('projectKey is required. Example: initSessionReplay({ projectKey: "your-key", secretKey: "your-secret" })');
+    throw new ConfigError('projectKey is required. Example: initSessionReplay({ projectKey: "your-key", getToken: tokenEndpoint("/api/replay-token") })');
   }
   
-  if (!config.secretKey || typeof config.secretKey !== 'string') {
-    throw new Error('secretKey is required. Example: initSessionReplay({ projectKey: "your-key", secretKey: "your-secret" })');
+  if (config.mode !== undefined && config.mode !== 'remote' && config.mode !== 'local') {
+    throw new ConfigError('mode must be "remote" or "local"');
   }
   
-  // Set default server URL
-  const serverUrl = config.serverUrl || 'https://rrweb-ingest-825071668012.us-central1.run.app';
+  if (config.compression !== undefined && COMPRESSION_TYPES.indexOf(config.compression) === -1) {
+    throw new ConfigError('compression must be "gzip" or "none"');
+  }
   
-  // Create and load the stealth script
-  const script = document.createElement('script');
-  script.src = `${serverUrl}/s/${config.projectKey}/${config.secretKey}/init.js`;
-  script.async = true;
-  script.defer = true;
+  if (config.privacy !== undefined) {
+    try {
+      resolvePrivacyPolicy(config.privacy);
+    } catch (error) {
+      throw new ConfigError(error.message, { cause: error });
+    }
+  }
   
-  // Add error handling
-  script.onerror = (error) => {
-    console.error('Failed to load session replay script:', error);
-  };
+  if (config.redaction !== undefined && config.redaction !== false) {
+    try {
+      createRedactor(config.redaction === true ? {} : config.redaction);
+    } catch (error) {
+      throw new ConfigError(error.message, { cause: error });
+    }
+  }
+  
+  if (config.privacySignals !== undefined && PRIVACY_SIGNAL_POLICIES.indexOf(config.privacySignals) === -1) {
+    throw new ConfigError(`privacySignals must be one of: ${PRIVACY_SIGNAL_POLICIES.join(', ')}`);
+  }
+  
+  try {
+    resolveConsoleOptions(config.console);
+    resolveNetworkOptions(config.network);
+    resolveVitalsOptions(config.vitals);
+    resolveNavigationOptions(config.navigation);
+    resolveSamplingOptions(config.sampleRate, config.sampling);
+  } catch (error) {
+    throw new ConfigError(error.message, { cause: error });
+  }
+  
+  try {
+    resolveBufferOptions(config.buffer);
+  } catch (error) {
+    throw new ConfigError(error.message, { cause: error });
+  }
+  
+  let consentOptions;
+  try {
+    consentOptions = resolveConsentOptions(config.consent);
+  } catch (error) {
+    throw new ConfigError(error.message, { cause: error });
+  }
+  
+  if (consentOptions.preConsentBuffer && config.mode !== 'local') {
+    throw new ConfigError('preConsentBuffer requires mode: "local", because remote mode cannot record without loading the remote script');
+  }
+  
+  if (config.secretKey !== undefined) {
+    throw new ConfigError('secretKey is not accepted in the browser, where every script on the page can read it. Sign session tokens on your server with createTokenHandler() from @replica-replay/core/server and pass getToken: tokenEndpoint("/api/replay-token")');
+  }
+  
+  if (config.mode === 'local') {
+    if (!isTransport(config.transport)) {
+      throw new ConfigError('transport is required in local mode. Example: initSessionReplay({ projectKey: "your-key", mode: "local", transport: fetchTransport("/replay") })');
+    }
+  } else if (config.getToken === undefined) {
+    throw new ConfigError('getToken is required. Example: initSessionReplay({ projectKey: "your-key", getToken: tokenEndpoint("/api/replay-token") })');
+  }
+  
+  if (config.getToken !== undefined && typeof config.getToken !== 'function') {
+    throw new ConfigError('getToken must be a function returning a token or { token, expiresAt }, e.g. tokenEndpoint("/api/replay-token")');
+  }
+  
+  try {
+    resolveLoaderOptions(getLoaderOptions(config));
+  } catch (error) {
+    throw new ConfigError(error.message, { cause: error });
+  }
   
-  script.onload = () => {
-    console.log('✅ Session replay initialized successfully');
+  if (config.timeout !== undefined && !(typeof config.timeout === 'number' && config.timeout > 0)) {
+    throw new ConfigError('timeout must be a positive number of milliseconds');
+  }
+  
+  for (const option of ['idleTimeout', 'maxSessionDuration']) {
+    if (config[option] !== undefined && !(typeof config[option] === 'number' && config[option] > 0)) {
+      throw new ConfigError(`${option} must be a positive number of milliseconds`);
+    }
+  }
+}
+
+/**
+ * Pick the script tag options for strict Content-Security-Policies out of the configuration
+ * @param {Object} config - Configuration object
+ * @returns {Object} nonce, trustedTypes, integrity and manifest
+ */
+function getLoaderOptions(config) {
+  return {
+    nonce: config.nonce,
+    trustedTypes: config.trustedTypes,
+    integrity: config.integrity,
+    manifest: config.manifest
   };
+}
+
+/**
+ * Append a script tag and wait until it has loaded and rrweb is available
+ * @param {Object} session - Session handle that owns the script tag
+ * @param {string} src - Script URL
+ * @param {number} timeout - Time allowed for the whole load, in milliseconds
+ * @param {Object} [loaderOptions] - Resolved loader options (nonce, trustedTypes, integrity, manifest)
+ * @returns {Promise<void>}
+ */
+async function loadRemoteScript(session, src, timeout, loaderOptions = {}) {
+  const deadline = Date.now() + timeout;
+  let integrity;
+  try {
+    // A manifest pins the hash for init.js; the token in the URL does not affect the lookup
+    integrity = await resolveIntegrity(src, loaderOptions);
+  } catch (error) {
+    throw new LoadError(error.message, { cause: error });
+  }
+  if (session.getState() === 'destroyed') {
+    throw new SessionReplayError('Session replay was destroyed before it finished loading');
+  }
+  const script = createScriptTag(src, loaderOptions, integrity);
+  script.defer = true;
+  
+  let timer = null;
+  
+  let cancel = null;
+  
+  const loaded = new Promise((resolve, reject) => {
+    cancel = reject;
+    script.onload = () => resolve();
+    script.onerror = () => reject(new LoadError(`Failed to load session replay script: ${src}${integrity ? ' (or it did not match its integrity hash)' : ''}`));
+    timer = setTimeout(() => {
+      reject(new TimeoutError(`Session replay script did not load within ${timeout}ms`));
+    }, timeout);
+  });
+  
+  session.addCleanup(() => {
+    clearTimeout(timer);
+    cancel(new SessionReplayError('Session replay was destroyed before it finished loading'));
+    script.onload = null;
+    script.onerror = null;
+    if (script.parentNode) {
+      script.parentNode.removeChild(script);
+    }
+  });
   
   // Append to head
   document.head.appendChild(script);
   
-  return Promise.resolve();
+  return loaded
+    .then(() => {
+      clearTimeout(timer);
+      return waitForRrweb(Math.max(0, deadline - Date.now())).catch((error) => {
+        throw new TimeoutError(`rrweb did not become available within ${timeout}ms`, { cause: error });
+      });
+    }, (error) => {
+      clearTimeout(timer);
+      throw error;
+    });
+}
+
+/**
+ * Get the remote script URL, carrying a short-lived session token
+ * @param {Object} config - Validated configuration
+ * @param {Object} tokens - Token manager
+ * @returns {Promise<string>}
+ */
+async function getRemoteScriptUrl(config, tokens) {
+  const serverUrl = config.serverUrl || DEFAULT_SERVER_URL;
+  let token;
+  try {
+    token = await tokens.get();
+  } catch (error) {
+    throw new LoadError(`Could not get a session token: ${error && error.message ? error.message : error}`, { cause: error });
+  }
+  return `${serverUrl}/s/${encodeURIComponent(config.projectKey)}/init.js?token=${encodeURIComponent(token)}&protocol=${REMOTE_PROTOCOL}`;
 }
 
+/**
+ * Get the hosted ingest URL that receives event batches in remote mode
+ * @param {Object} config - Validated configuration
+ * @returns {string}
+ */
+function getIngestUrl(config) {
+  return `${config.serverUrl || DEFAULT_SERVER_URL}/s/${encodeURIComponent(config.projectKey)}/events`;
+}
+
+/**
+ * Copy a configuration without its secrets
+ * @param {Object} config - Configuration object
+ * @returns {Object}
+ */
+function getPublicConfig(config) {
+  const copy = { ...config };
+  SECRET_CONFIG_FIELDS.forEach((field) => {
+    delete copy[field];
+  });
+  return copy;
+}
+
+/**
+ * Load the remote script for a session and start recording
+ * @param {Object} session - Session handle
+ * @param {Object} config - Validated configuration
+ * @param {Object|null} [tokens] - Token manager, when getToken is configured
+ * @returns {Promise<Object>} The session handle, once recording has started
+ */
+async function startSession(session, config, tokens = null) {
+  const timeout = config.timeout || DEFAULT_LOAD_TIMEOUT;
+  
+  try {
+    if (config.mode === 'local') {
+      // Local mode records with the rrweb already on the page
+      await waitForRrweb(timeout).catch((error) => {
+        throw new TimeoutError(`rrweb did not become available within ${timeout}ms. Local mode requires rrweb to be loaded on the page.`, { cause: error });
+      });
+    } else {
+      await loadRemoteScript(
+        session,
+        await getRemoteScriptUrl(config, tokens),
+        timeout,
+        resolveLoaderOptions(getLoaderOptions(config))
+      );
+    }
+  } catch (error) {
+    if (session.getState() === 'destroyed') {
+      throw error;
+    }
+    const failure = error instanceof SessionReplayError
+      ? error
+      : new LoadError(error && error.message ? error.message : 'Failed to load session replay script', { cause: error });
+    session.reportError(failure);
+    session.destroy();
+    throw failure;
+  }
+  
+  if (!session.start()) {
+    const failure = new LoadError('Session replay script loaded but recording could not be started');
+    session.reportError(failure);
+    session.destroy();
+    throw failure;
+  }
+  
+  logger.log('✅ Session replay initialized successfully');
+  return session;
+}
+
+/**
+ * Initialize session replay with required configuration
+ *
+ * Only one session records per page. Calling this again with the same
+ * projectKey returns the existing session (or the in-flight initialization),
+ * so React StrictMode double effects and HMR re-runs do not double-record.
+ * A different projectKey is rejected with a ConfigError unless `force` is set,
+ * in which case the existing session is destroyed and replaced.
+ *
+ * The session ID is kept across page loads and shared with other tabs of the
+ * same origin. A new session starts after idleTimeout or maxSessionDuration.
+ *
+ * With consent pending, nothing is loaded or recorded until setConsent('granted')
+ * or a consent adapter grants it. Denying consent stops recording.
+ * Visitors who opted out, or who send GPC or DNT under the 'respect' policy,
+ * are never recorded.
+ *
+ * A page rendered with renderReplayScript() from @replica-replay/core/server
+ * supplies the configuration, consent state, user and first token; options
+ * passed here win. Only one session is started from it per page, even when
+ * the CDN build and the npm package are both loaded.
+ *
+ * @param {Object} [config] - Configuration object; optional with a server-rendered state
+ * @param {string} config.projectKey - Project key for identification
+ * @param {Function} [config.getToken] - Returns a short-lived token signed by your server, or { token, expiresAt }; required in remote mode
+ * @param {string} [config.serverUrl] - Server URL (defaults to production)
+ * @param {'remote'|'local'} [config.mode] - 'local' skips the remote script, records with the page's rrweb and uploads to config.transport (defaults to 'remote')
+ * @param {Object} [config.transport] - Transport that receives event batches in local mode
+ * @param {number} [config.batchSize] - Events per batch (defaults to 50)
+ * @param {number} [config.maxBatchBytes] - Approximate bytes per batch (defaults to 512KB)
+ * @param {number} [config.flushInterval] - Milliseconds between uploads (defaults to 5000)
+ * @param {number} [config.maxRetries] - Upload retries per batch before it is dropped (defaults to 5)
+ * @param {boolean} [config.persist] - Keep pending batches in IndexedDB/localStorage (defaults to true)
+ * @param {'gzip'|'none'} [config.compression] - Compress uploads (defaults to 'none')
+ * @param {string|Object} [config.privacy] - Privacy preset ('default' or 'strict') or masking policy
+ * @param {boolean|Object} [config.redaction] - PII redaction options, or false to disable (defaults to on)
+ * @param {number} [config.idleTimeout] - Inactivity in milliseconds after which a new session starts (defaults to 30 minutes)
+ * @param {number} [config.maxSessionDuration] - Longest session in milliseconds (defaults to 4 hours)
+ * @param {boolean|Object} [config.console] - Capture console calls and uncaught errors (defaults to off)
+ * @param {boolean|Object} [config.network] - Capture fetch and XMLHttpRequest calls (defaults to off)
+ * @param {boolean|Object} [config.vitals] - Capture Core Web Vitals and performance timing (defaults to off)
+ * @param {boolean|Object} [config.navigation] - Page-view tracking and URL normalization, or false to disable (defaults to on)
+ * @param {number} [config.sampleRate] - Share of sessions recorded, from 0 to 1, decided per session ID (defaults to 1)
+ * @param {Object} [config.sampling] - Sampling rules by URL, user traits, browser and device, and forceRecord for users always recorded
+ * @param {boolean|Object} [config.buffer] - Keep recent events in memory and upload only once an error, flush() or a trigger event occurs
+ * @param {boolean} [config.hashUserId] - SHA-256 hash user IDs passed to identify() in the browser
+ * @param {'respect'|'ignore'|'anonymize'} [config.privacySignals] - Handling of Global Privacy Control and Do-Not-Track (defaults to 'respect')
+ * @param {string|Object} [config.consent] - 'pending', 'granted' or 'denied', or { state, adapters, preConsentBuffer } (defaults to 'granted'; preConsentBuffer needs mode 'local')
+ * @param {string} [config.nonce] - CSP nonce set on the injected script tag
+ * @param {boolean|string|Object} [config.trustedTypes] - Trusted Types policy (or true, or a policy name to create) for the script URL
+ * @param {string} [config.integrity] - Subresource Integrity hash the remote script must match
+ * @param {string|Object} [config.manifest] - Pinned-version manifest, or its URL, holding the remote script's
+ * integrity hash under 'init.js'; used when integrity is not set
+ * @param {number} [config.timeout] - Load timeout in milliseconds (defaults to 10000)
+ * @param {boolean} [config.force] - Destroy any existing session and initialize again
+ * @param {Object} [config.recordOptions] - Options passed to rrweb's record()
+ * @returns {Promise<Object>} Session handle, resolved once recording has started
+ * (or right away while consent, opt-out or privacy signals hold it back)
+ * @throws {ConfigError|LoadError|TimeoutError|UnsupportedEnvironmentError}
+ */
+export async function initSessionReplay(config) {
+  const serverState = readServerState();
+  if (serverState && (config === undefined || (config && typeof config === 'object'))) {
+    config = mergeServerState(config || {}, serverState);
+  }
+  
+  validateConfig(config);
+  
+  if (!isSessionReplayAvailable()) {
+    throw new UnsupportedEnvironmentError('Session replay requires a browser environment (window and document are not defined)');
+  }
+  
+  const existing = getRegistration();
+  if (existing) {
+    if (config.force) {
+      existing.session.destroy();
+    } else if (existing.projectKey !== config.projectKey) {
+      throw new ConfigError(`Session replay is already initialized for project "${existing.projectKey}". Pass force: true to switch to "${config.projectKey}".`);
+    } else {
+      return existing.promise;
+    }
+  }
+  
+  // Another copy of the SDK on the page already started from the server-rendered state
+  const claim = serverState && !config.force ? getServerStateClaim(serverState) : null;
+  if (claim && claim.projectKey === config.projectKey) {
+    logger.log('Session replay was already started from the server-rendered state');
+    return claim.promise;
+  }
+  
+  const signalPolicy = config.privacySignals || 'respect';
+  const entry = {
+    projectKey: config.projectKey,
+    config,
+    // With 'anonymize', visitors sending GPC or DNT are recorded with all text and inputs masked
+    anonymous: signalPolicy === 'anonymize' && hasPrivacySignal()
+  };
+  const privacyPolicy = resolvePrivacyPolicy(config.privacy);
+  if (entry.anonymous) {
+    privacyPolicy.maskAllText = true;
+    privacyPolicy.maskAllInputs = true;
+  }
+  const recordOptions = {
+    ...config.recordOptions,
+    ...getPrivacyRecordOptions(privacyPolicy, config.recordOptions)
+  };
+  const redactor = config.redaction === false
+    ? null
+    : createRedactor(config.redaction === true || config.redaction === undefined ? {} : config.redaction);
+  const consentOptions = resolveConsentOptions(config.consent);
+  const consent = createConsentController({
+    ...consentOptions,
+    state: requestedConsent || consentOptions.state
+  });
+  const preConsentEvents = [];
+  const bufferOptions = resolveBufferOptions(config.buffer);
+  const buffer = bufferOptions ? createReplayBuffer() : null;
+  // Set once a buffered session hits a trigger; it then uploads like any other
+  let triggered = false;
+  let uploader = null;
+  let manager = null;
+  const samplingOptions = resolveSamplingOptions(config.sampleRate, config.sampling);
+  const sampler = samplingOptions
+    ? createSampler(samplingOptions, {
+      namespace: config.projectKey,
+      getContext: () => ({
+        url: window.location.href,
+        user: metadata.getUser(),
+        browser: detectBrowser().name,
+        device: getDeviceInfo().deviceType
+      })
+    })
+    : null;
+  
+  entry.consent = consent;
+  entry.session = createSession({
+    recordOptions,
+    onEvent: (event, payload) => events.emit(event, payload),
+    onDestroy: () => unregister(entry),
+    createSessionId: (reason) => {
+      if (!manager) return generateSessionId();
+      return reason === 'restart' ? manager.renew() : manager.getSessionId();
+    }
+  });
+  
+  entry.tokens = config.getToken
+    ? createTokenManager({
+      getToken: config.getToken,
+      // A stopped or sampled-out session fetches a fresh token when it starts again
+      isActive: () => ['recording', 'paused'].indexOf(entry.session.getState()) !== -1
+    })
+    : null;
+  if (entry.tokens) {
+    entry.session.addCleanup(() => entry.tokens.destroy());
+    entry.session.addDiagnostics('token', () => entry.tokens.getInfo());
+    entry.session.on('ready', () => {
+      // Restarts after an inactive stretch need a fresh token before the next upload
+      entry.tokens.get().catch(() => {});
+    });
+  }
+  
+  // Created once recording is allowed, so no session ID is stored before consent
+  const getManager = () => {
+    if (!manager) {
+      manager = createSessionManager({
+        namespace: config.projectKey,
+        idleTimeout: config.idleTimeout,
+        maxDuration: config.maxSessionDuration,
+        sessionId: entry.session.getSessionId()
+      });
+      manager.on('change', ({ sessionId }) => {
+        // Each new session is sampled on its own
+        const sampled = !sampler || sampler.decide(sessionId).sampled;
+        entry.session.rotate(sessionId, { record: sampled });
+        if (sampled && entry.session.getState() === 'idle') {
+          const starting = entry.sync();
+          if (starting) starting.catch(() => {});
+        }
+      });
+      entry.session.addCleanup(() => manager.destroy());
+      entry.session.addDiagnostics('continuity', () => manager.getInfo());
+      watchActivity(entry.session, manager);
+    }
+    return manager;
+  };
+  
+  // Created on first use, so nothing is uploaded or persisted before consent
+  const getUploader = () => {
+    if (!uploader) {
+      uploader = createUploader({
+        // Remote mode uploads to the hosted ingest server, authorized by the session token
+        transport: config.mode === 'local' ? config.transport : fetchTransport(getIngestUrl(config)),
+        getContext: () => ({
+          projectKey: config.projectKey,
+          sessionId: entry.session.getSessionId(),
+          ...(entry.anonymous ? { anonymous: true } : {})
+        }),
+        namespace: config.projectKey,
+        persist: config.persist,
+        batchSize: config.batchSize,
+        maxBatchBytes: config.maxBatchBytes,
+        flushInterval: config.flushInterval,
+        maxRetries: config.maxRetries,
+        compression: config.compression,
+        beforeSend: (batch) => batchHooks.run(batch, { sessionId: batch.sessionId }),
+        tokens: entry.tokens
+      });
+      entry.session.addCleanup(() => uploader.destroy());
+      entry.session.addDiagnostics('upload', () => uploader.getStats());
+    }
+    return uploader;
+  };
+  
+  // Untriggered buffered sessions keep events in memory; everything else is uploaded
+  const deliver = (event, isCheckout) => {
+    if (buffer && !triggered) {
+      buffer.push(event, isCheckout);
+      if (isTriggerEvent(event, bufferOptions.events)) {
+        trigger(`event:${event.data.tag}`);
+      }
+    } else {
+      getUploader().push(event);
+    }
+  };
+  
+  if (buffer && recordOptions.checkoutEveryNms === undefined) {
+    // Periodic full snapshots keep the buffer replayable from its first event
+    recordOptions.checkoutEveryNms = bufferOptions.duration;
+  }
+  // Event processors see redacted events; async ones hold back later events so order is kept
+  const processed = createSequencer(eventProcessors, (event, { isCheckout }) => {
+    // A processor may still have been running when the session was destroyed
+    if (entry.session.getState() === 'destroyed') return;
+    if (consent.getState() === 'granted') {
+      deliver(event, isCheckout);
+    } else if (consentOptions.preConsentBuffer && preConsentEvents.length < MAX_PRE_CONSENT_EVENTS) {
+      preConsentEvents.push(event);
+    }
+  });
+  recordOptions.emit = (event, isCheckout) => {
+    const isMetadataEvent = event.type === 5 && event.data && METADATA_EVENT_TAGS.indexOf(event.data.tag) !== -1;
+    const redacted = redactor && !isMetadataEvent ? redactor.redactEvent(event) : event;
+    redacted.tabIndex = manager ? manager.getTabIndex() : 0;
+    processed.push(redacted, { sessionId: entry.session.getSessionId(), isCheckout: !!isCheckout });
+  };
+  entry.session.on('stopped', () => uploader && uploader.flush());
+  
+  if (redactor) {
+    entry.session.addDiagnostics('redaction', () => redactor.getCounts());
+  }
+  
+  entry.session.addDiagnostics('consent', () => ({
+    state: consent.getState(),
+    preConsentBuffer: consentOptions.preConsentBuffer,
+    bufferedEvents: preConsentEvents.length
+  }));
+  entry.session.addCleanup(() => consent.destroy());
+  
+  // Anonymized sessions never carry a user; with hashUserId, only hashed IDs leave the page
+  const getMetadata = () => ({
+    ...metadata.getSnapshot({
+      requireHashedUser: !!config.hashUserId,
+      omitUser: entry.anonymous
+    }),
+    ...(entry.plugins ? entry.plugins.getMetadata() : {}),
+    ...(sampler && sampler.getDecision() ? { sampling: sampler.getDecision() } : {})
+  });
+  const user = metadata.getUser();
+  if (config.hashUserId && user && !user.hashed) {
+    metadata.identify(user.id, user.traits, { hash: true }).catch(() => {});
+  }
+  
+  // Ties the recording to its session, tab and metadata
+  const recordSessionEvent = () => addCustomEvent('session', {
+    sessionId: entry.session.getSessionId(),
+    tabIndex: manager ? manager.getTabIndex() : 0,
+    ...getMetadata()
+  });
+  entry.session.on('ready', () => {
+    recordSessionEvent();
+  });
+  const recordMetadata = () => {
+    if (entry.session.getState() === 'recording') {
+      addCustomEvent('metadata', getMetadata());
+    }
+  };
+  entry.session.addCleanup(metadata.on('change', ({ field }) => {
+    if (entry.session.getState() === 'recording') {
+      recordMetadata();
+    } else if (sampler && field === 'user' && entry.session.getState() === 'idle' && entry.sync) {
+      // A user identified later may be forced in or match a traits rule
+      const starting = entry.sync();
+      if (starting) starting.catch(() => {});
+    }
+  }));
+  if (sampler) {
+    // Forced user IDs are hashed asynchronously, so a hashed user identified before that is checked again
+    sampler.ready().then(() => {
+      const user = metadata.getUser();
+      if (user && user.hashed && entry.session.getState() === 'idle' && entry.sync) {
+        const starting = entry.sync();
+        if (starting) starting.catch(() => {});
+      }
+    });
+  }
+  entry.session.addDiagnostics('metadata', getMetadata);
+  
+  const navigationOptions = resolveNavigationOptions(config.navigation);
+  if (navigationOptions) {
+    watchNavigation(entry.session, navigationOptions);
+  }
+  
+  entry.plugins = createPluginHost({
+    session: entry.session,
+    config: getPublicConfig(config),
+    redactor,
+    // Uploads go to the ingest server or the local transport
+    ingestUrls: [config.serverUrl || DEFAULT_SERVER_URL, config.transport && config.transport.url].filter(Boolean),
+    addEventProcessor,
+    beforeSend,
+    updateMetadata: recordMetadata
+  });
+  // Set up before the lifecycle watcher, so final vitals are queued before the flush on hide
+  BUILT_IN_PLUGINS.concat(plugins).forEach((plugin) => entry.plugins.install(plugin));
+  
+  // Upload the buffered events and record normally from now on
+  const trigger = (reason) => {
+    if (triggered || entry.session.getState() !== 'recording') return false;
+    triggered = true;
+    buffer.drain().forEach((event) => getUploader().push(event));
+    // The buffer may have rotated past the session event, so the upload starts without one
+    recordSessionEvent();
+    addCustomEvent('trigger', { reason, triggeredAt: Date.now() });
+    getUploader().flush();
+    return true;
+  };
+  
+  entry.flush = (reason) => {
+    if (buffer && !triggered) {
+      return trigger(reason);
+    }
+    if (uploader) {
+      uploader.flush();
+      return true;
+    }
+    return false;
+  };
+  
+  if (buffer) {
+    if (bufferOptions.errors) {
+      watchErrorTriggers(entry.session, trigger);
+    }
+    entry.session.addDiagnostics('buffer', () => ({
+      duration: bufferOptions.duration,
+      triggered,
+      bufferedEvents: buffer.size()
+    }));
+    entry.session.on('stopped', () => {
+      // Each session waits for its own trigger; cleared here rather than on 'ready',
+      // which fires after rrweb has already buffered the next session's full snapshot
+      triggered = false;
+      buffer.clear();
+    });
+    entry.session.addCleanup(() => buffer.clear());
+  }
+  
+  watchPageLifecycle(entry.session, {
+    onFlush: () => uploader && uploader.flushOnUnload()
+  });
+  
+  let started = null;
+  let loaded = false;
+  const start = () => {
+    if (!started) {
+      started = startSession(entry.session, config, entry.tokens).then((session) => {
+        loaded = true;
+        return session;
+      });
+    } else if (loaded && entry.session.getState() === 'idle') {
+      // Back from a sampled-out session; the script is already on the page
+      entry.session.start();
+    }
+    return started;
+  };
+  
+  // Opt-out and respected privacy signals override consent
+  const isBlocked = () => isOptedOut() || (signalPolicy === 'respect' && hasPrivacySignal());
+  
+  // Bring recording in line with consent, opt-out and privacy signals
+  entry.sync = () => {
+    const state = consent.getState();
+    const sessionState = entry.session.getState();
+    
+    if (state === 'denied' || isBlocked()) {
+      preConsentEvents.length = 0;
+      trackQueue.length = 0;
+      if (sessionState === 'recording' || sessionState === 'paused') {
+        entry.session.stop();
+      }
+      return null;
+    }
+    
+    if (state === 'granted') {
+      const sessionId = getManager().getSessionId();
+      if (sampler && !sampler.decide(sessionId).sampled) {
+        // Sampled-out sessions load and record nothing
+        preConsentEvents.length = 0;
+        if (sessionState === 'recording' || sessionState === 'paused') {
+          entry.session.stop();
+        }
+        entry.session.rotate(sessionId);
+        return null;
+      }
+      if (preConsentEvents.length > 0) {
+        preConsentEvents.splice(0).forEach((event) => deliver(event, false));
+      }
+      // Continue the session another tab or an earlier page load started
+      entry.session.rotate(sessionId);
+    }
+    if (state === 'granted' || consentOptions.preConsentBuffer) {
+      if (sessionState === 'stopped') {
+        entry.session.restart();
+        return null;
+      }
+      return start();
+    }
+    return null;
+  };
+  
+  consent.on('change', () => {
+    const starting = entry.sync();
+    // Failures reach 'error' subscribers through the session
+    if (starting) starting.catch(() => {});
+  });
+  
+  // Nothing is loaded until recording is allowed; 'ready' fires when it starts
+  entry.promise = entry.sync() || Promise.resolve(entry.session);
+  register(entry);
+  
+  if (serverState && serverState.config.projectKey === config.projectKey) {
+    entry.session.addCleanup(claimServerState(serverState, {
+      projectKey: config.projectKey,
+      promise: entry.promise
+    }));
+    const user = serverState.user;
+    if (user && user.id !== undefined && !metadata.getUser()) {
+      identify(user.id, user.traits).catch((error) => {
+        logger.warn('Session replay could not identify the server-rendered user:', error);
+      });
+    }
+  }
+  
+  return entry.promise;
+}
+
+/**
+ * Get the active session's ID
+ * @returns {string|null} Session ID, or null without an active session
+ */
+export function getSessionId() {
+  const session = getActiveSession();
+  return session ? session.getSessionId() : null;
+}
+
+/**
+ * Get the dashboard URL where the active session can be replayed
+ * @returns {string|null} URL, or null without an active session or in local mode without a serverUrl
+ */
+export function getSessionReplayUrl() {
+  const entry = getRegistration();
+  if (!entry || (entry.config.mode === 'local' && !entry.config.serverUrl)) {
+    return null;
+  }
+  
+  const serverUrl = entry.config.serverUrl || DEFAULT_SERVER_URL;
+  return `${serverUrl}/view/${encodeURIComponent(entry.projectKey)}/${entry.session.getSessionId()}`;
+}
+
+/**
+ * Run a metadata update, turning invalid input into a ConfigError
+ * @param {Function} update - Update to run
+ */
+function updateMetadata(update) {
+  try {
+    update();
+  } catch (error) {
+    throw new ConfigError(error.message, { cause: error });
+  }
+}
+
+/**
+ * Identify the user behind the session, so support engineers can find it.
+ * Sent with the session's start event, and right away if recording.
+ * @param {string|number} userId - Your user ID
+ * @param {Object} [traits] - User traits with string, number, boolean or null values
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.hash] - SHA-256 hash the ID in the browser (defaults to config.hashUserId)
+ * @returns {Promise<void>} Resolves once the user is set; rejects with a ConfigError on invalid input
+ */
+export function identify(userId, traits, options = {}) {
+  const entry = getRegistration();
+  const hash = options.hash !== undefined ? !!options.hash : !!(entry && entry.config.hashUserId);
+  
+  return metadata.identify(userId, traits, { hash }).catch((error) => {
+    throw new ConfigError(error.message, { cause: error });
+  });
+}
+
+/**
+ * Set a metadata value on the session; null removes it
+ * @param {string} key - Metadata key
+ * @param {string|number|boolean|null} value - Metadata value
+ * @throws {ConfigError} If the key or value is invalid
+ */
+export function setMetadata(key, value) {
+  updateMetadata(() => metadata.setMetadata(key, value));
+}
+
+/**
+ * Replace the session's tags
+ * @param {Array<string>} tags - Tags, e.g. ['beta', 'checkout-v2']
+ * @throws {ConfigError} If tags is not an array of strings
+ */
+export function setTags(tags) {
+  updateMetadata(() => metadata.setTags(tags));
+}
+
+/**
+ * Set the release the session runs on
+ * @param {string} version - Release version, e.g. '2.4.1' or a commit SHA
+ * @throws {ConfigError} If version is not a string
+ */
+export function setRelease(version) {
+  updateMetadata(() => metadata.setRelease(version));
+}
+
+/**
+ * Set the environment the session runs in
+ * @param {string} name - Environment name, e.g. 'production' or 'staging'
+ * @throws {ConfigError} If name is not a string
+ */
+export function setEnvironment(name) {
+  updateMetadata(() => metadata.setEnvironment(name));
+}
+
+/**
+ * Write a tracked event into the active recording
+ * @param {string} name - Event name
+ * @param {Object} properties - Validated properties
+ * @param {number} trackedAt - When track() was called
+ * @returns {boolean} true if rrweb accepted the event
+ */
+function recordTrackEvent(name, properties, trackedAt) {
+  // PII is redacted with the rest of the recording, as the event is emitted
+  return addCustomEvent(name, { properties, trackedAt });
+}
+
+/**
+ * Record a product event, such as "checkout_started", on the replay timeline.
+ * Calls made before recording starts are buffered and written once it does.
+ * @param {string} name - Event name
+ * @param {Object} [properties] - JSON-serializable properties, at most 8KB; PII is redacted
+ * @returns {boolean} true if the event was recorded now, false if it was buffered or dropped
+ * @throws {ConfigError} If the name or properties are invalid
+ */
+export function track(name, properties) {
+  let normalized;
+  try {
+    normalized = normalizeTrackEvent(name, properties);
+  } catch (error) {
+    throw new ConfigError(error.message, { cause: error });
+  }
+  
+  const trackedAt = Date.now();
+  const session = getActiveSession();
+  const state = session ? session.getState() : 'idle';
+  
+  if (state === 'recording') {
+    return recordTrackEvent(name, normalized, trackedAt);
+  }
+  // Paused and stopped sessions drop events, like every other interaction
+  if (state === 'idle') {
+    if (trackQueue.length >= MAX_BUFFERED_TRACK_EVENTS) {
+      trackQueue.shift();
+    }
+    trackQueue.push({ name, properties: normalized, trackedAt });
+  }
+  return false;
+}
+
+/**
+ * Upload what the active session has recorded so far.
+ * In buffer mode this is a trigger: the buffered events are uploaded and the
+ * session records normally from then on.
+ * @param {string} [reason] - Why the session is worth keeping, e.g. 'checkout_failed'
+ * @returns {boolean} true if a buffered session was triggered or pending events were flushed
+ */
+export function flush(reason = 'manual') {
+  const entry = getRegistration();
+  if (!entry || typeof entry.flush !== 'function') {
+    return false;
+  }
+  return entry.flush(String(reason));
+}
+
+/**
+ * Add a hook that sees every recorded event before it is buffered or uploaded.
+ * Return the event (changed or not) to keep it, null to drop it, or a promise of either.
+ * Applies to this and later sessions.
+ * @param {Function} processor - Called with (event, { sessionId, isCheckout })
+ * @param {Object} [options] - Hook options
+ * @param {number} [options.priority] - Higher runs first (defaults to 0)
+ * @returns {Function} Removes the processor
+ * @throws {ConfigError} If processor is not a function
+ */
+export function addEventProcessor(processor, options) {
+  try {
+    return eventProcessors.add(processor, options);
+  } catch (error) {
+    throw new ConfigError(error.message, { cause: error });
+  }
+}
+
+/**
+ * Add a hook that sees every upload batch before it is persisted and sent.
+ * Return the batch (changed or not) to send it, null to drop it, or a promise of either.
+ * Applies to this and later sessions.
+ * @param {Function} hook - Called with (batch, { sessionId })
+ * @param {Object} [options] - Hook options
+ * @param {number} [options.priority] - Higher runs first (defaults to 0)
+ * @returns {Function} Removes the hook
+ * @throws {ConfigError} If hook is not a function
+ */
+export function beforeSend(hook, options) {
+  try {
+    return batchHooks.add(hook, options);
+  } catch (error) {
+    throw new ConfigError(error.message, { cause: error });
+  }
+}
+
+/**
+ * Register a plugin. Its setup(context) runs for the active session and every
+ * later one; teardown(context) runs when the session ends or the plugin is removed.
+ * A plugin that throws is logged and contained; recording carries on without it.
+ * @param {Object} plugin - Plugin
+ * @param {string} plugin.name - Unique name
+ * @param {Function} plugin.setup - Called with the plugin context
+ * @param {Function} [plugin.teardown] - Called with the same context
+ * @returns {Function} Removes the plugin
+ * @throws {ConfigError} If the plugin is malformed or its name is taken
+ */
+export function registerPlugin(plugin) {
+  try {
+    validatePlugin(plugin);
+  } catch (error) {
+    throw new ConfigError(error.message, { cause: error });
+  }
+  if (BUILT_IN_PLUGINS.concat(plugins).some((existing) => existing.name === plugin.name)) {
+    throw new ConfigError(`A plugin named "${plugin.name}" is already registered`);
+  }
+  
+  plugins.push(plugin);
+  const entry = getRegistration();
+  if (entry && entry.plugins) {
+    entry.plugins.install(plugin);
+  }
+  
+  return () => {
+    const index = plugins.indexOf(plugin);
+    if (index === -1) return;
+    plugins.splice(index, 1);
+    const current = getRegistration();
+    if (current && current.plugins) {
+      current.plugins.uninstall(plugin.name);
+    }
+  };
+}
+
+/**
+ * Set the visitor's consent for the active session.
+ * Called before initSessionReplay, it sets the initial consent state.
+ * @param {'pending'|'granted'|'denied'} state - Consent state
+ * @throws {ConfigError} If the state is invalid
+ */
+export function setConsent(state) {
+  if (!isConsentState(state)) {
+    throw new ConfigError(`consent must be one of: ${CONSENT_STATES.join(', ')}`);
+  }
+  
+  requestedConsent = state;
+  const entry = getRegistration();
+  if (entry && entry.consent) {
+    entry.consent.set(state, 'api');
+  }
+}
+
+/**
+ * Get the visitor's consent state for the active session
+ * @returns {'pending'|'granted'|'denied'|null} null before initialization without setConsent()
+ */
+export function getConsent() {
+  const entry = getRegistration();
+  if (entry && entry.consent) {
+    return entry.consent.getState();
+  }
+  return requestedConsent;
+}
+
+
+/**
+ * Stop recording this visitor, now and on future page loads.
+ * The choice is kept in a first-party cookie shared with subdomains and in localStorage.
+ * @param {Object} [options] - Opt-out options
+ * @param {string} [options.domain] - Cookie domain (defaults to the widest domain that accepts cookies)
+ * @param {number} [options.maxAge] - Cookie lifetime in seconds (defaults to one year)
+ */
+export function optOut(options) {
+  writeOptOut(options);
+  const entry = getRegistration();
+  if (entry && entry.sync) {
+    entry.sync();
+  }
+}
+
+/**
+ * Undo optOut(). The active session starts recording again if consent allows it.
+ * @param {Object} [options] - Options
+ * @param {string} [options.domain] - Cookie domain passed to optOut, if any
+ */
+export function optIn(options) {
+  clearOptOut(options);
+  const entry = getRegistration();
+  if (entry && entry.sync) {
+    const starting = entry.sync();
+    if (starting) starting.catch(() => {});
+  }
+}
 
 /**
  * Vue plugin for session replay
@@ -59,16 +1188,36 @@ export const SessionReplayPlugin = {
   async install(app, config) {
     // Initialize session replay when plugin is installed
     try {
-      await initSessionReplay(config);
+      const session = await initSessionReplay(config);
       app.config.globalProperties.$replay = {
         initialized: true,
-        config
+        config: getPublicConfig(config),
+        session,
+        on,
+        getSessionId,
+        getSessionReplayUrl,
+        track,
+        flush,
+        addEventProcessor,
+        beforeSend,
+        registerPlugin,
+        identify,
+        setMetadata,
+        setTags,
+        setRelease,
+        setEnvironment,
+        setConsent,
+        optOut,
+        optIn,
+        isOptedOut
       };
     } catch (error) {
-      console.error('Failed to initialize session replay plugin:', error);
+      logger.error('Failed to initialize session replay plugin:', error);
       app.config.globalProperties.$replay = {
         initialized: false,
-        error: error.message
+        error: error.message,
+        code: error.code,
+        on
       };
     }
   }
@@ -83,26 +1232,45 @@ export function isSessionReplayAvailable() {
 }
 
 /**
- * Get the current session replay configuration
- * @returns {Object|null}
+ * Get the current session replay configuration.
+ * Never includes the secret key or session tokens, since any script on the page can call it.
+ * @returns {Object|null} projectKey, serverUrl and mode, or null if session replay is not set up
  */
 export function getSessionReplayConfig() {
+  const entry = getRegistration();
+  if (entry) {
+    return {
+      projectKey: entry.projectKey,
+      serverUrl: entry.config.serverUrl || DEFAULT_SERVER_URL,
+      mode: entry.config.mode || 'remote'
+    };
+  }
+  
+  // Rendered by the server, before initSessionReplay runs
+  const serverState = readServerState();
+  if (serverState) {
+    return {
+      projectKey: serverState.config.projectKey,
+      serverUrl: serverState.config.serverUrl || DEFAULT_SERVER_URL,
+      mode: serverState.config.mode || 'remote'
+    };
+  }
+  
   try {
+    // Loaded by a script tag outside the SDK, e.g. /s/<projectKey>/init.js
     const configScript = document.querySelector('script[src*="/s/"]');
     if (configScript && configScript.src) {
       const url = new URL(configScript.src);
       const pathParts = url.pathname.split('/');
-      const projectKey = pathParts[2];
-      const secretKey = pathParts[3];
       
       return {
-        projectKey,
-        secretKey,
-        serverUrl: url.origin
+        projectKey: decodeURIComponent(pathParts[2]),
+        serverUrl: url.origin,
+        mode: 'remote'
       };
     }
   } catch (error) {
-    console.warn('Could not extract session replay config:', error);
+    logger.warn('Could not extract session replay config:', error);
   }
   
   return null;
@@ -111,7 +1279,35 @@ export function getSessionReplayConfig() {
 // Default export for convenience
 export default {
   initSessionReplay,
+  getActiveSession,
+  getSessionId,
+  getSessionReplayUrl,
+  track,
+  flush,
+  addEventProcessor,
+  beforeSend,
+  registerPlugin,
+  identify,
+  setMetadata,
+  setTags,
+  setRelease,
+  setEnvironment,
+  setConsent,
+  getConsent,
+  optOut,
+  optIn,
+  isOptedOut,
+  tcfConsentAdapter,
+  gppConsentAdapter,
+  cookieConsentAdapter,
+  on,
+  off,
+  fetchTransport,
+  beaconTransport,
+  memoryTransport,
+  callbackTransport,
   SessionReplayPlugin,
   isSessionReplayAvailable,
-  getSessionReplayConfig
+  getSessionReplayConfig,
+  tokenEndpoint
 };
@@ -0,0 +1,64 @@
+/**
+ * Page lifecycle handling for session replay
+ * Records tab visibility changes and flushes pending events before the page
+ * is hidden, frozen or unloaded
+ */
+
+import { getVisibilityState } from './browser.js';
+import { addCustomEvent } from './loader.js';
+
+/**
+ * Watch page lifecycle events for a session.
+ * Listeners are registered through the session so destroy() removes them.
+ * @param {Object} session - Session handle
+ * @param {Object} [options] - Lifecycle options
+ * @param {Function} [options.onFlush] - Called synchronously when pending events must leave the page now
+ */
+export function watchPageLifecycle(session, options = {}) {
+  const { onFlush } = options;
+  let lastState = getVisibilityState();
+
+  function flush() {
+    if (typeof onFlush === 'function') {
+      onFlush();
+    }
+  }
+
+  function recordVisibility(state) {
+    if (state === lastState || session.getState() !== 'recording') {
+      lastState = state;
+      return;
+    }
+    lastState = state;
+    addCustomEvent('visibility', { state, timestamp: Date.now() });
+  }
+
+  session.listen(document, 'visibilitychange', () => {
+    const state = getVisibilityState();
+    recordVisibility(state);
+
+    // 'hidden' is the last event we can rely on, especially on mobile
+    if (state === 'hidden') {
+      flush();
+    }
+  });
+
+  session.listen(window, 'pagehide', () => {
+    recordVisibility('hidden');
+    flush();
+  });
+
+  session.listen(window, 'pageshow', (event) => {
+    // Restored from the back/forward cache
+    if (event.persisted) {
+      recordVisibility(getVisibilityState());
+    }
+  });
+
+  session.listen(document, 'freeze', flush);
+}
+
+// Default export
+export default {
+  watchPageLifecycle
+};
@@ -1,109 +1,440 @@
 /**
  * Stealth script loader for session replay
- * Handles loading the rrweb library with multiple fallback methods
+ * Handles loading the rrweb library with multiple fallback methods, with an
+ * eval-free mode, CSP nonces, Trusted Types and Subresource Integrity checks
  */
 
+import { resolvePrivacyPolicy, getPrivacyRecordOptions, getRecordOptionsPrivacy } from './privacy.js';
+import { LoadError } from './errors.js';
+import { logger } from './logger.js';
+
 /**
- * Load the session replay script using multiple fallback methods
- * @param {string} scriptUrl - URL of the script to load
+ * Set while the loader starts a fetch or XHR, so network capture skips it
+ */
+let loaderRequests = 0;
+
+/**
+ * Run a function that starts a loader request
+ * @param {Function} fn - Starts the request synchronously
+ * @returns {*} The function's return value
+ */
+function asLoaderRequest(fn) {
+  loaderRequests++;
+  try {
+    return fn();
+  } finally {
+    loaderRequests--;
+  }
+}
+
+/**
+ * Check if the loader is starting a request right now
+ * @returns {boolean}
+ */
+export function isLoaderRequest() {
+  return loaderRequests > 0;
+}
+
+/**
+ * rrweb record options that startRecording takes from the privacy policy,
+ * which already accounts for the caller's values
+ */
+const POLICY_RECORD_OPTIONS = ['blockSelector', 'maskTextSelector', 'ignoreSelector', 'maskAllInputs', 'maskInputOptions'];
+
+/**
+ * Trusted Types policy name used when trustedTypes is true
+ */
+const DEFAULT_POLICY_NAME = 'replica-replay';
+
+/**
+ * Hash algorithms accepted in integrity metadata, weakest first
+ */
+const INTEGRITY_ALGORITHMS = ['sha256', 'sha384', 'sha512'];
+
+/**
+ * Trusted Types policies created by the loader, by name; browsers refuse a name twice
+ */
+const trustedTypesPolicies = new Map();
+
+/**
+ * Create an Error with a failure code for a load attempt
+ * @param {string} code - Failure code
+ * @param {string} message - What went wrong
+ * @returns {Error}
+ */
+function loadFailure(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Resolve the loader options of loadSessionReplayScript and initSessionReplay
+ * @param {Object} [options] - Loader options
+ * @param {boolean} [options.allowEval] - Run fetched scripts with eval() (defaults to true, or to
+ * false when a nonce, integrity or manifest is set)
+ * @param {string} [options.nonce] - CSP nonce set on injected script tags
+ * @param {boolean|string|Object} [options.trustedTypes] - true or a policy name to create
+ * a Trusted Types policy, or a policy with createScriptURL and createScript
+ * @param {string} [options.integrity] - Subresource Integrity metadata, e.g. 'sha384-...'
+ * @param {string|Object} [options.manifest] - Pinned-version manifest, or its URL, with
+ * integrity hashes by script URL or file name
+ * @returns {Object} Resolved options
+ * @throws {Error} When an option has the wrong type
+ */
+export function resolveLoaderOptions(options = {}) {
+  const { nonce = null, trustedTypes = false, integrity = null, manifest = null } = options;
+  // Pages that set a nonce or pin hashes usually have a CSP that refuses eval()
+  const allowEval = options.allowEval === undefined ? !(nonce || integrity || manifest) : options.allowEval;
+
+  if (typeof allowEval !== 'boolean') {
+    throw new Error('allowEval must be a boolean');
+  }
+  if (nonce !== null && (typeof nonce !== 'string' || !nonce)) {
+    throw new Error('nonce must be a non-empty string');
+  }
+  if (typeof trustedTypes !== 'boolean' && typeof trustedTypes !== 'string' &&
+      !(trustedTypes && typeof trustedTypes.createScriptURL === 'function')) {
+    throw new Error('trustedTypes must be a boolean, a policy name or a Trusted Types policy with createScriptURL');
+  }
+  if (integrity !== null && parseIntegrity(integrity).length === 0) {
+    throw new Error(`integrity must be Subresource Integrity metadata such as "sha384-<base64 hash>", using ${INTEGRITY_ALGORITHMS.join(', ')}`);
+  }
+  if (manifest !== null && typeof manifest !== 'string' &&
+      !(typeof manifest === 'object' && manifest.files && typeof manifest.files === 'object')) {
+    throw new Error('manifest must be a URL or an object with a files map of integrity hashes');
+  }
+
+  return { allowEval, nonce, trustedTypes, integrity, manifest };
+}
+
+/**
+ * Parse integrity metadata into hashes, ignoring unknown algorithms
+ * @param {string} integrity - e.g. 'sha256-abc= sha384-def='
+ * @returns {Array<Object>} { algorithm, digest } per recognized hash
+ */
+function parseIntegrity(integrity) {
+  if (typeof integrity !== 'string') return [];
+  return integrity.trim().split(/\s+/).map((token) => {
+    const match = /^(sha256|sha384|sha512)-([A-Za-z0-9+/]+={0,2})(\?.*)?$/.exec(token);
+    return match ? { algorithm: match[1], digest: match[2] } : null;
+  }).filter(Boolean);
+}
+
+/**
+ * Encode bytes as base64
+ * @param {ArrayBuffer} buffer - Bytes
+ * @returns {string}
+ */
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Check script bytes against integrity metadata, the way browsers check SRI:
+ * only the strongest algorithm listed counts, and any of its hashes may match
+ * @param {ArrayBuffer} content - Script bytes
+ * @param {string} integrity - Integrity metadata
  * @returns {Promise<void>}
+ * @throws {Error} With code 'integrity-unavailable' or 'integrity-mismatch'
+ */
+export async function verifyIntegrity(content, integrity) {
+  const hashes = parseIntegrity(integrity);
+  const subtle = typeof crypto !== 'undefined' && crypto.subtle;
+  if (!subtle || typeof subtle.digest !== 'function') {
+    // SubtleCrypto only exists in secure contexts
+    throw loadFailure('integrity-unavailable', 'Cannot verify integrity without SubtleCrypto (HTTPS required)');
+  }
+
+  const strongest = hashes.reduce((best, hash) => (
+    INTEGRITY_ALGORITHMS.indexOf(hash.algorithm) > INTEGRITY_ALGORITHMS.indexOf(best) ? hash.algorithm : best
+  ), hashes[0].algorithm);
+  const digest = toBase64(await subtle.digest(`SHA-${strongest.slice(3)}`, content));
+
+  if (!hashes.some((hash) => hash.algorithm === strongest && hash.digest === digest)) {
+    throw loadFailure('integrity-mismatch', `Script does not match its ${strongest} integrity hash`);
+  }
+}
+
+/**
+ * Find the integrity hash for a script: the one passed in, or the manifest's
+ * @param {string} scriptUrl - Script URL
+ * @param {Object} options - Resolved loader options
+ * @returns {Promise<string|null>} Integrity metadata, or null when none is required
+ * @throws {Error} With code 'integrity-missing' when a manifest has no entry for the script
  */
-export async function loadSessionReplayScript(scriptUrl) {
+export async function resolveIntegrity(scriptUrl, options) {
+  if (options.integrity || !options.manifest) {
+    return options.integrity;
+  }
+
+  let manifest = options.manifest;
+  if (typeof manifest === 'string') {
+    try {
+      const response = await asLoaderRequest(() => fetch(manifest, { credentials: 'omit' }));
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      manifest = await response.json();
+    } catch (error) {
+      throw loadFailure('integrity-missing', `Could not read the integrity manifest: ${error.message}`);
+    }
+  }
+
+  const files = (manifest && manifest.files) || {};
+  const url = new URL(scriptUrl, window.location.href);
+  const fileName = url.pathname.split('/').pop();
+  const integrity = files[scriptUrl] || files[url.href] || files[url.pathname] || files[fileName];
+  if (!integrity || parseIntegrity(integrity).length === 0) {
+    throw loadFailure('integrity-missing', `The integrity manifest${manifest.version ? ` for version ${manifest.version}` : ''} has no hash for ${fileName}`);
+  }
+  return integrity;
+}
+
+/**
+ * Get the Trusted Types policy for the loader's script URLs and inline scripts
+ * @param {boolean|string|Object} option - Resolved trustedTypes option
+ * @returns {Object|null} Policy, or null when Trusted Types are off or unsupported
+ */
+function getTrustedTypesPolicy(option) {
+  if (!option) return null;
+  if (typeof option === 'object') return option;
+
+  const factory = typeof window !== 'undefined' && window.trustedTypes;
+  if (!factory || typeof factory.createPolicy !== 'function') return null;
+
+  const name = option === true ? DEFAULT_POLICY_NAME : option;
+  if (!trustedTypesPolicies.has(name)) {
+    // Module-private, so only the loader can mint trusted values with it
+    trustedTypesPolicies.set(name, factory.createPolicy(name, {
+      createScriptURL: (url) => url,
+      createScript: (script) => script
+    }));
+  }
+  return trustedTypesPolicies.get(name);
+}
+
+/**
+ * Create a script element carrying the nonce, integrity and Trusted Types the
+ * page's Content-Security-Policy expects. The caller appends it.
+ * @param {string|null} src - Script URL, or null for an inline script
+ * @param {Object} [options] - Resolved loader options
+ * @param {string|null} [integrity] - Integrity metadata checked by the browser
+ * @returns {HTMLScriptElement}
+ */
+export function createScriptTag(src, options = {}, integrity = null) {
+  const script = document.createElement('script');
+  if (options.nonce) {
+    script.nonce = options.nonce;
+  }
+  if (src) {
+    const policy = getTrustedTypesPolicy(options.trustedTypes);
+    script.src = policy ? policy.createScriptURL(src) : src;
+    script.async = true;
+    if (integrity) {
+      // SRI on cross-origin scripts needs a CORS response
+      script.integrity = integrity;
+      script.crossOrigin = 'anonymous';
+    }
+  }
+  return script;
+}
+
+/**
+ * Run fetched script text, with eval() or, in eval-free mode, as an inline script tag
+ * @param {string} text - Script source
+ * @param {Object} options - Resolved loader options
+ */
+function runScript(text, options) {
+  if (options.allowEval) {
+    // Indirect eval runs the script in global scope, like a script tag, not in this function's
+    (0, eval)(text);
+    return;
+  }
+  const policy = getTrustedTypesPolicy(options.trustedTypes);
+  const script = createScriptTag(null, options);
+  script.text = policy && typeof policy.createScript === 'function' ? policy.createScript(text) : text;
+  // Inline scripts run synchronously on insertion
+  document.head.appendChild(script);
+  script.parentNode.removeChild(script);
+}
+
+/**
+ * Decode script bytes, verify them and run them
+ * @param {ArrayBuffer} content - Script bytes
+ * @param {Object} options - Resolved loader options
+ * @param {string|null} integrity - Integrity metadata to check first
+ * @returns {Promise<void>}
+ */
+async function verifyAndRun(content, options, integrity) {
+  if (integrity) {
+    await verifyIntegrity(content, integrity);
+  }
+  try {
+    runScript(new TextDecoder().decode(content), options);
+  } catch (error) {
+    throw loadFailure('execution', `Script threw or was refused: ${error.message}`);
+  }
+}
+
+/**
+ * Load the session replay script using multiple fallback methods: a script
+ * tag, then fetch, then XMLHttpRequest, then a dynamic import.
+ * With allowEval false, the default when a nonce, integrity or manifest is
+ * set, fetched scripts run as nonce-carrying inline script tags instead of eval(). With an integrity hash, or a manifest that has one,
+ * every method checks the script before it runs, and methods that cannot
+ * check it are skipped.
+ * @param {string} scriptUrl - URL of the script to load
+ * @param {Object} [options] - Loader options, see resolveLoaderOptions
+ * @returns {Promise<Object>} Result with the method that loaded rrweb, the
+ * integrity checked and every attempt as { method, ok, code, message }
+ * @throws {LoadError} When no method loaded rrweb; its attempts list says why
+ */
+export async function loadSessionReplayScript(scriptUrl, options = {}) {
+  const resolved = resolveLoaderOptions(options);
+  const attempts = [];
+
+  let integrity;
+  try {
+    integrity = await resolveIntegrity(scriptUrl, resolved);
+  } catch (error) {
+    // Without the pinned hash nothing may run
+    attempts.push({ method: 'manifest', ok: false, code: error.code, message: error.message });
+    throw new LoadError(error.message, { attempts, cause: error });
+  }
+
   const methods = [
-    () => loadViaScriptTag(scriptUrl),
-    () => loadViaFetch(scriptUrl),
-    () => loadViaXHR(scriptUrl),
-    () => loadViaDynamicImport(scriptUrl)
+    { method: 'script', load: () => loadViaScriptTag(scriptUrl, resolved, integrity) },
+    { method: 'fetch', load: () => loadViaFetch(scriptUrl, resolved, integrity) },
+    { method: 'xhr', load: () => loadViaXHR(scriptUrl, resolved, integrity) },
+    { method: 'import', load: () => loadViaDynamicImport(scriptUrl, integrity) }
   ];
 
-  for (const method of methods) {
+  for (const { method, load } of methods) {
     try {
-      await method();
-      if (window.rrweb) {
-        console.log('✅ Session replay script loaded successfully');
-        return;
+      await load();
+      if (!window.rrweb) {
+        throw loadFailure('rrweb-missing', 'Script ran but window.rrweb is not defined');
       }
+      attempts.push({ method, ok: true, code: null, message: null });
+      logger.log('✅ Session replay script loaded successfully');
+      return { method, integrity, attempts };
     } catch (error) {
-      console.warn('Script loading method failed:', error.message);
-      continue;
+      attempts.push({
+        method,
+        ok: false,
+        code: error.code || 'unknown',
+        message: error.message
+      });
     }
   }
 
-  throw new Error('All script loading methods failed');
+  const reasons = attempts.map((attempt) => `${attempt.method}: ${attempt.code}`).join(', ');
+  throw new LoadError(`All script loading methods failed (${reasons})`, { attempts });
 }
 
 /**
  * Load script via traditional script tag
  * @param {string} scriptUrl - URL of the script
+ * @param {Object} options - Resolved loader options
+ * @param {string|null} integrity - Integrity metadata, checked by the browser
  * @returns {Promise<void>}
  */
-function loadViaScriptTag(scriptUrl) {
+function loadViaScriptTag(scriptUrl, options, integrity) {
   return new Promise((resolve, reject) => {
-    const script = document.createElement('script');
-    script.src = scriptUrl;
-    script.async = true;
+    let script;
+    try {
+      script = createScriptTag(scriptUrl, options, integrity);
+    } catch (error) {
+      // Trusted Types enforcement or a refused policy name
+      reject(loadFailure('blocked', error.message));
+      return;
+    }
     script.defer = true;
-    
+
     script.onload = () => resolve();
-    script.onerror = () => reject(new Error('Script tag loading failed'));
-    
+    // The browser does not say whether the network, CSP or an integrity mismatch refused it
+    script.onerror = () => reject(loadFailure('load-failed', 'Script tag loading failed'));
+
     document.head.appendChild(script);
   });
 }
 
 /**
- * Load script via fetch and eval
+ * Load script via fetch, then run it
  * @param {string} scriptUrl - URL of the script
+ * @param {Object} options - Resolved loader options
+ * @param {string|null} integrity - Integrity metadata to check before running
  * @returns {Promise<void>}
  */
-async function loadViaFetch(scriptUrl) {
-  const response = await fetch(scriptUrl);
+async function loadViaFetch(scriptUrl, options, integrity) {
+  if (typeof fetch !== 'function') {
+    throw loadFailure('unsupported', 'fetch is not available');
+  }
+  let response;
+  try {
+    response = await asLoaderRequest(() => fetch(scriptUrl));
+  } catch (error) {
+    throw loadFailure('network', `Fetch failed: ${error.message}`);
+  }
   if (!response.ok) {
-    throw new Error(`Fetch failed: ${response.status}`);
+    throw loadFailure('http', `Fetch failed: ${response.status}`);
   }
-  
-  const scriptContent = await response.text();
-  eval(scriptContent);
+
+  await verifyAndRun(await response.arrayBuffer(), options, integrity);
 }
 
 /**
- * Load script via XMLHttpRequest
+ * Load script via XMLHttpRequest, then run it
  * @param {string} scriptUrl - URL of the script
+ * @param {Object} options - Resolved loader options
+ * @param {string|null} integrity - Integrity metadata to check before running
  * @returns {Promise<void>}
  */
-function loadViaXHR(scriptUrl) {
+function loadViaXHR(scriptUrl, options, integrity) {
   return new Promise((resolve, reject) => {
+    if (typeof XMLHttpRequest === 'undefined') {
+      reject(loadFailure('unsupported', 'XMLHttpRequest is not available'));
+      return;
+    }
     const xhr = new XMLHttpRequest();
-    xhr.open('GET', scriptUrl, true);
-    xhr.responseType = 'text';
-    
+    asLoaderRequest(() => xhr.open('GET', scriptUrl, true));
+    xhr.responseType = 'arraybuffer';
+
     xhr.onload = () => {
       if (xhr.status === 200) {
-        eval(xhr.responseText);
-        resolve();
+        verifyAndRun(xhr.response, options, integrity).then(resolve, reject);
       } else {
-        reject(new Error(`XHR failed: ${xhr.status}`));
+        reject(loadFailure('http', `XHR failed: ${xhr.status}`));
       }
     };
-    
-    xhr.onerror = () => reject(new Error('XHR request failed'));
-    xhr.send();
+
+    xhr.onerror = () => reject(loadFailure('network', 'XHR request failed'));
+    asLoaderRequest(() => xhr.send());
   });
 }
 
 /**
  * Load script via dynamic import (for ES modules)
  * @param {string} scriptUrl - URL of the script
+ * @param {string|null} integrity - Integrity metadata; import() cannot check it
  * @returns {Promise<void>}
  */
-async function loadViaDynamicImport(scriptUrl) {
+async function loadViaDynamicImport(scriptUrl, integrity) {
+  if (integrity) {
+    throw loadFailure('integrity-unsupported', 'Dynamic import cannot verify integrity');
+  }
   // Convert to ES module if possible
   const moduleUrl = scriptUrl.replace('.js', '.mjs');
   try {
     await import(moduleUrl);
   } catch (error) {
-    // Fallback to regular script loading
-    throw new Error('Dynamic import not supported');
+    throw loadFailure('unsupported', `Dynamic import failed: ${error.message}`);
   }
 }
 
@@ -141,8 +472,11 @@ export function waitForRrweb(timeout = 10000) {
 }
 
 /**
- * Initialize session recording with rrweb
- * @param {Object} config - Recording configuration
+ * Initialize session recording with rrweb.
+ * Without a maskInputFn, the 'default' privacy policy masks the recording. The
+ * caller's maskAllInputs, maskInputOptions and selectors are applied through
+ * the policy, so passwords stay masked; other options the caller sets win.
+ * @param {Object} config - Recording configuration; events go to config.emit and are dropped without it
  * @returns {Object} Recording instance
  */
 export function startRecording(config = {}) {
@@ -151,16 +485,12 @@ export function startRecording(config = {}) {
   }
 
   const defaultConfig = {
-    emit: (event) => {
-      console.log('Session event recorded:', event.type);
-    },
+    emit: () => {},
     recordCanvas: false,
     recordCrossOriginIframes: false,
     recordAfter: 'DOMContentLoaded',
     inlineStylesheet: true,
     collectFonts: false,
-    maskAllInputs: false,
-    maskInputOptions: {},
     slimDOMOptions: {},
     recordInputs: true,
     recordClicks: true,
@@ -168,7 +498,18 @@ export function startRecording(config = {}) {
     recordMutations: true
   };
 
-  const recordingConfig = { ...defaultConfig, ...config };
+  // Masking defaults to the 'default' privacy policy unless the caller supplies its own;
+  // the masking the caller asked rrweb for becomes part of that policy
+  const privacyOptions = config.maskInputFn
+    ? {}
+    : getPrivacyRecordOptions(resolvePrivacyPolicy(getRecordOptionsPrivacy(config)), config);
+  // Options the caller set win, except those the policy was built from
+  const recordingConfig = { ...defaultConfig, ...privacyOptions, ...config };
+  POLICY_RECORD_OPTIONS.forEach((name) => {
+    if (privacyOptions[name] !== undefined) {
+      recordingConfig[name] = privacyOptions[name];
+    }
+  });
   
   return window.rrweb.record(recordingConfig);
 }
@@ -183,11 +524,52 @@ export function stopRecording(stopFn) {
   }
 }
 
+/**
+ * Add a custom event to the active recording
+ * @param {string} tag - Event tag
+ * @param {*} payload - Event payload
+ * @returns {boolean} true if rrweb accepted the event
+ */
+export function addCustomEvent(tag, payload) {
+  if (!isRrwebAvailable() || !window.rrweb.record || typeof window.rrweb.record.addCustomEvent !== 'function') {
+    return false;
+  }
+
+  try {
+    window.rrweb.record.addCustomEvent(tag, payload);
+    return true;
+  } catch (error) {
+    // rrweb throws when called while no recording is active
+    return false;
+  }
+}
+
+/**
+ * Get rrweb's ID for a DOM node, so events can point at it in the replay
+ * @param {Node} node - DOM node
+ * @returns {number|null} Node ID, or null if rrweb has not serialized the node
+ */
+export function getNodeId(node) {
+  const mirror = isRrwebAvailable() && window.rrweb.record && window.rrweb.record.mirror;
+  if (!node || !mirror || typeof mirror.getId !== 'function') {
+    return null;
+  }
+  const id = mirror.getId(node);
+  return typeof id === 'number' && id > 0 ? id : null;
+}
+
 // Default export
 export default {
   loadSessionReplayScript,
+  resolveLoaderOptions,
+  createScriptTag,
+  resolveIntegrity,
+  verifyIntegrity,
+  isLoaderRequest,
   isRrwebAvailable,
   waitForRrweb,
   startRecording,
-  stopRecording
+  stopRecording,
+  addCustomEvent,
+  getNodeId
 };
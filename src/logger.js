@@ -0,0 +1,44 @@
+/**
+ * Internal logging for session replay
+ * Writes the SDK's own messages to the console, marked so console capture
+ * does not record them
+ */
+
+let depth = 0;
+
+/**
+ * Check if the SDK itself is writing to the console right now
+ * @returns {boolean}
+ */
+export function isInternalLog() {
+  return depth > 0;
+}
+
+/**
+ * Write to the console while marked as internal
+ * @param {string} level - Console method
+ * @param {Array} args - Arguments
+ */
+function write(level, args) {
+  depth++;
+  try {
+    console[level](...args);
+  } finally {
+    depth--;
+  }
+}
+
+/**
+ * The SDK's logger; use it instead of console in src/
+ */
+export const logger = {
+  log: (...args) => write('log', args),
+  warn: (...args) => write('warn', args),
+  error: (...args) => write('error', args)
+};
+
+// Default export
+export default {
+  logger,
+  isInternalLog
+};
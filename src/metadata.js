@@ -0,0 +1,297 @@
+/**
+ * User identification and session metadata for session replay
+ * Holds the identified user, custom metadata, tags, release and environment
+ * so support engineers can find a customer's session
+ */
+
+import { createEmitter } from './emitter.js';
+import { toUtf8 } from './utf8.js';
+
+/**
+ * Limits that keep the metadata event small
+ */
+const MAX_TAGS = 50;
+const MAX_METADATA_KEYS = 100;
+const MAX_STRING_LENGTH = 1024;
+
+/**
+ * SHA-256 round constants
+ */
+const K = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+/**
+ * Convert bytes to a lowercase hex string
+ * @param {ArrayBuffer|Uint8Array} buffer - Bytes
+ * @returns {string}
+ */
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * SHA-256 in plain JavaScript, for insecure contexts without crypto.subtle
+ * @param {Uint8Array} bytes - Message
+ * @returns {Uint8Array} Digest
+ */
+function sha256Fallback(bytes) {
+  const length = bytes.length;
+  const padded = new Uint8Array(((length + 9 + 63) >> 6) << 6);
+  padded.set(bytes);
+  padded[length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, Math.floor(length / 0x20000000));
+  view.setUint32(padded.length - 4, (length << 3) >>> 0);
+
+  const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+  const w = new Uint32Array(64);
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      w[i] = view.getUint32(offset + i * 4);
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+    }
+
+    let [a, b, c, d, e, f, g, h] = hash;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i]) >>> 0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) >>> 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) >>> 0;
+    }
+
+    hash[0] = (hash[0] + a) >>> 0;
+    hash[1] = (hash[1] + b) >>> 0;
+    hash[2] = (hash[2] + c) >>> 0;
+    hash[3] = (hash[3] + d) >>> 0;
+    hash[4] = (hash[4] + e) >>> 0;
+    hash[5] = (hash[5] + f) >>> 0;
+    hash[6] = (hash[6] + g) >>> 0;
+    hash[7] = (hash[7] + h) >>> 0;
+  }
+
+  const digest = new Uint8Array(32);
+  const digestView = new DataView(digest.buffer);
+  hash.forEach((word, index) => digestView.setUint32(index * 4, word));
+  return digest;
+}
+
+/**
+ * Hash a string with SHA-256
+ * @param {string} value - String to hash
+ * @returns {Promise<string>} Lowercase hex digest
+ */
+export async function sha256(value) {
+  const bytes = toUtf8(value);
+  if (typeof crypto !== 'undefined' && crypto.subtle && typeof crypto.subtle.digest === 'function') {
+    try {
+      return toHex(await crypto.subtle.digest('SHA-256', bytes));
+    } catch (error) {
+      // Fall through to the JavaScript implementation
+    }
+  }
+  return toHex(sha256Fallback(bytes));
+}
+
+/**
+ * Check if a value can be stored as metadata
+ * @param {*} value - Candidate value
+ * @returns {boolean}
+ */
+function isMetadataValue(value) {
+  return value === null || typeof value === 'boolean' ||
+    (typeof value === 'number' && isFinite(value)) ||
+    (typeof value === 'string' && value.length <= MAX_STRING_LENGTH);
+}
+
+/**
+ * Check if a value is a plain object
+ * @param {*} value - Candidate value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check that a string option is non-empty and not too long
+ * @param {*} value - Candidate value
+ * @param {string} name - Option name for the error message
+ */
+function assertString(value, name) {
+  if (typeof value !== 'string' || !value || value.length > MAX_STRING_LENGTH) {
+    throw new Error(`${name} must be a non-empty string of at most ${MAX_STRING_LENGTH} characters`);
+  }
+}
+
+/**
+ * Create a metadata store.
+ * Setters throw plain Errors on invalid input; callers wrap them in their own error type.
+ * @returns {Object} Store with identify, setMetadata, setTags, setRelease, setEnvironment, getSnapshot, getUser and on
+ */
+export function createMetadataStore() {
+  const events = createEmitter();
+  let user = null;
+  let metadata = {};
+  let tags = [];
+  let release = null;
+  let environment = null;
+  // Each identify() call supersedes any hash still being computed
+  let identifyCall = 0;
+
+  function changed(field) {
+    events.emit('change', { field });
+  }
+
+  const store = {
+    /**
+     * Identify the user behind the session
+     * @param {string|number} userId - Your user ID
+     * @param {Object} [traits] - User traits, e.g. { plan: 'pro' }
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.hash] - Replace the ID with its SHA-256 hex digest before it is stored
+     * @returns {Promise<void>} Resolves once the user is set
+     */
+    async identify(userId, traits, options = {}) {
+      if ((typeof userId !== 'string' && typeof userId !== 'number') || userId === '') {
+        throw new Error('userId must be a non-empty string or number');
+      }
+      if (traits !== undefined && traits !== null) {
+        if (!isPlainObject(traits)) {
+          throw new Error('traits must be an object');
+        }
+        for (const key of Object.keys(traits)) {
+          if (!isMetadataValue(traits[key])) {
+            throw new Error(`Trait "${key}" must be a string, number, boolean or null`);
+          }
+        }
+      }
+
+      const call = ++identifyCall;
+      const id = options.hash ? await sha256(String(userId)) : String(userId);
+      if (call !== identifyCall) return;
+
+      user = { id, hashed: !!options.hash, traits: { ...traits } };
+      changed('user');
+    },
+
+    /**
+     * Set one metadata value; null removes the key
+     * @param {string} key - Metadata key
+     * @param {string|number|boolean|null} value - Metadata value
+     */
+    setMetadata(key, value) {
+      assertString(key, 'Metadata key');
+      if (!isMetadataValue(value)) {
+        throw new Error(`Metadata "${key}" must be a string, number, boolean or null`);
+      }
+
+      if (value === null) {
+        delete metadata[key];
+      } else {
+        if (!(key in metadata) && Object.keys(metadata).length >= MAX_METADATA_KEYS) {
+          throw new Error(`At most ${MAX_METADATA_KEYS} metadata keys are allowed`);
+        }
+        metadata = { ...metadata, [key]: value };
+      }
+      changed('metadata');
+    },
+
+    /**
+     * Replace the session's tags
+     * @param {Array<string>} nextTags - Tags, e.g. ['beta', 'checkout-v2']
+     */
+    setTags(nextTags) {
+      if (!Array.isArray(nextTags) || nextTags.length > MAX_TAGS) {
+        throw new Error(`tags must be an array of at most ${MAX_TAGS} strings`);
+      }
+      nextTags.forEach((tag) => assertString(tag, 'Each tag'));
+
+      tags = Array.from(new Set(nextTags));
+      changed('tags');
+    },
+
+    /**
+     * Set the release the session ran on
+     * @param {string} version - Release version, e.g. '2.4.1' or a commit SHA
+     */
+    setRelease(version) {
+      assertString(version, 'release');
+      release = version;
+      changed('release');
+    },
+
+    /**
+     * Set the environment the session ran in
+     * @param {string} name - Environment name, e.g. 'production' or 'staging'
+     */
+    setEnvironment(name) {
+      assertString(name, 'environment');
+      environment = name;
+      changed('environment');
+    },
+
+    /**
+     * Get the current values
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.requireHashedUser] - Leave out a user whose ID is not hashed
+     * @param {boolean} [options.omitUser] - Leave out the user, e.g. for anonymized sessions
+     * @returns {Object} user, metadata, tags, release and environment
+     */
+    getSnapshot(options = {}) {
+      const includeUser = user && !options.omitUser && (user.hashed || !options.requireHashedUser);
+      return {
+        user: includeUser ? { id: user.id, hashed: user.hashed, traits: { ...user.traits } } : null,
+        metadata: { ...metadata },
+        tags: tags.slice(),
+        release,
+        environment
+      };
+    },
+
+    /**
+     * Get the raw user, so a later hashUserId setting can hash an earlier identify()
+     * @returns {Object|null} id, hashed and traits
+     */
+    getUser() {
+      return user ? { ...user, traits: { ...user.traits } } : null;
+    },
+
+    /**
+     * Subscribe to changes
+     * @param {'change'} event - Event name
+     * @param {Function} handler - Called with { field }
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, handler) {
+      return events.on(event, handler);
+    }
+  };
+
+  return store;
+}
+
+// Default export
+export default {
+  createMetadataStore,
+  sha256
+};
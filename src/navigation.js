@@ -0,0 +1,205 @@
+/**
+ * SPA navigation tracking for session replay
+ * Patches history.pushState/replaceState and listens to popstate/hashchange,
+ * recording a page view whenever the normalized URL changes
+ */
+
+import { addCustomEvent } from './loader.js';
+
+/**
+ * Defaults: collapse ID-like path segments and keep the query string
+ */
+const DEFAULT_OPTIONS = {
+  collapseIds: true,
+  rules: [],
+  stripQuery: false,
+  stripHash: false
+};
+
+/**
+ * The document title is read this long after a navigation, once the router has rendered
+ */
+const TITLE_DELAY = 100;
+
+/**
+ * Path segments that look like IDs: numbers, UUIDs, hex hashes and long opaque tokens
+ */
+const ID_SEGMENT_PATTERNS = [
+  /^\d+$/,
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  /^[0-9a-f]{16,}$/i,
+  /^(?=.*\d)[A-Za-z0-9_-]{20,}$/
+];
+
+/**
+ * Resolve the navigation option of initSessionReplay.
+ * Tracking patches the page's history methods, so it is opt-in like the other recorders.
+ * @param {boolean|Object} [option] - true for the defaults, or options
+ * @returns {Object|null} Resolved options, or null when tracking is off
+ */
+export function resolveNavigationOptions(option) {
+  if (!option) {
+    return null;
+  }
+  const options = { ...DEFAULT_OPTIONS, ...(option === true ? {} : option) };
+
+  if (!Array.isArray(options.rules) || options.rules.some((rule) => (
+    !rule || !(rule.match instanceof RegExp || typeof rule.match === 'string') || typeof rule.replace !== 'string'
+  ))) {
+    throw new Error('navigation.rules must be an array of { match, replace } with a RegExp or string match and a string replace');
+  }
+  if (typeof options.stripQuery !== 'boolean' &&
+      !(Array.isArray(options.stripQuery) && options.stripQuery.every((name) => typeof name === 'string'))) {
+    throw new Error('navigation.stripQuery must be a boolean or an array of query parameter names');
+  }
+  for (const name of ['collapseIds', 'stripHash']) {
+    if (typeof options[name] !== 'boolean') {
+      throw new Error(`navigation.${name} must be a boolean`);
+    }
+  }
+  return options;
+}
+
+/**
+ * Normalize a URL so page views of the same route compare equal
+ * @param {string} url - Absolute or relative URL
+ * @param {Object} options - Resolved navigation options
+ * @returns {string} Normalized absolute URL, e.g. https://app.example/users/:id
+ */
+export function normalizeUrl(url, options) {
+  let parsed;
+  try {
+    parsed = new URL(url, window.location.href);
+  } catch (error) {
+    return String(url);
+  }
+
+  let path = parsed.pathname;
+  if (options.collapseIds) {
+    path = path.split('/').map((segment) => (
+      segment && ID_SEGMENT_PATTERNS.some((pattern) => pattern.test(segment)) ? ':id' : segment
+    )).join('/');
+  }
+  options.rules.forEach((rule) => {
+    path = typeof rule.match === 'string'
+      ? path.split(rule.match).join(rule.replace)
+      : path.replace(rule.match, rule.replace);
+  });
+
+  let search = '';
+  if (options.stripQuery !== true && parsed.search) {
+    const params = new URLSearchParams(parsed.search);
+    if (Array.isArray(options.stripQuery)) {
+      options.stripQuery.forEach((name) => params.delete(name));
+    }
+    const query = params.toString();
+    search = query ? `?${query}` : '';
+  }
+
+  const hash = options.stripHash ? '' : parsed.hash;
+  return `${parsed.origin}${path}${search}${hash}`;
+}
+
+/**
+ * Record page views for a session, including the page it starts on.
+ * Patches and listeners are removed when the session is destroyed.
+ * @param {Object} session - Session handle
+ * @param {Object} options - Resolved navigation options
+ */
+export function watchNavigation(session, options) {
+  let currentUrl = normalizeUrl(window.location.href, options);
+  let pageStart = Date.now();
+  let referrer = document.referrer ? normalizeUrl(document.referrer, options) : null;
+  let pending = null;
+  const history = window.history || {};
+
+  function emit(view) {
+    if (session.getState() !== 'recording') return;
+    const title = typeof document.title === 'string' ? document.title : '';
+    addCustomEvent('pageview', { ...view, title });
+  }
+
+  function cancelPending() {
+    const view = pending && pending.view;
+    if (pending) clearTimeout(pending.timer);
+    pending = null;
+    return view;
+  }
+
+  function flushPending() {
+    const view = cancelPending();
+    if (view) emit(view);
+  }
+
+  function handleNavigation(navigationType) {
+    const url = normalizeUrl(window.location.href, options);
+    // replaceState for scroll positions or stripped query params is not a new page
+    if (url === currentUrl) return;
+
+    const now = Date.now();
+    flushPending();
+    const view = {
+      url,
+      referrer: currentUrl,
+      navigationType,
+      timeOnPreviousPage: now - pageStart,
+      timestamp: now
+    };
+    referrer = currentUrl;
+    currentUrl = url;
+    pageStart = now;
+
+    pending = { view, timer: setTimeout(flushPending, TITLE_DELAY) };
+  }
+
+  // Every recording starts with the page it is on, including after restart or rotation
+  session.on('ready', ({ resumed }) => {
+    // A resumed recording continues the current page view; one still waiting for its title is recorded now
+    if (resumed) {
+      flushPending();
+      return;
+    }
+    cancelPending();
+    emit({
+      url: currentUrl,
+      referrer,
+      navigationType: 'load',
+      timeOnPreviousPage: null,
+      timestamp: Date.now()
+    });
+  });
+
+  ['pushState', 'replaceState'].forEach((method) => {
+    const original = history[method];
+    if (typeof original !== 'function') return;
+
+    const wrapper = function () {
+      const result = original.apply(this, arguments);
+      try {
+        handleNavigation(method === 'pushState' ? 'push' : 'replace');
+      } catch (error) {
+        // Never let tracking break the router
+      }
+      return result;
+    };
+
+    history[method] = wrapper;
+    session.addCleanup(() => {
+      // A router may have wrapped history after us; leave its wrapper in place
+      if (history[method] === wrapper) {
+        history[method] = original;
+      }
+    });
+  });
+
+  session.listen(window, 'popstate', () => handleNavigation('pop'));
+  session.listen(window, 'hashchange', () => handleNavigation('hash'));
+  session.addCleanup(cancelPending);
+}
+
+// Default export
+export default {
+  resolveNavigationOptions,
+  normalizeUrl,
+  watchNavigation
+};
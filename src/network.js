@@ -0,0 +1,406 @@
+/**
+ * Network capture for session replay
+ * Records fetch and XMLHttpRequest calls into the recording as custom events.
+ * Headers and bodies are only recorded when allowlisted.
+ */
+
+import { addCustomEvent, isLoaderRequest } from './loader.js';
+import { parseStack } from './console.js';
+
+/**
+ * Defaults: method, URL, status, timing and sizes, without headers or bodies
+ */
+const DEFAULT_OPTIONS = {
+  ignoreUrls: [],
+  requestHeaders: [],
+  responseHeaders: [],
+  bodyUrls: [],
+  maxBodyLength: 10000,
+  maxEvents: 500
+};
+
+/**
+ * Headers that carry credentials; stripped even when allowlisted
+ */
+export const DENIED_HEADERS = [
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'set-cookie',
+  'x-api-key',
+  'x-auth-token',
+  'x-csrf-token',
+  'x-xsrf-token'
+];
+
+/**
+ * Check if an option is an array of strings and regular expressions
+ * @param {*} value - Candidate value
+ * @returns {boolean}
+ */
+function isPatternList(value) {
+  return Array.isArray(value) && value.every((item) => typeof item === 'string' || item instanceof RegExp);
+}
+
+/**
+ * Resolve the network option of initSessionReplay
+ * @param {boolean|Object} [option] - true for the defaults, or options
+ * @returns {Object|null} Resolved options, or null when capture is off
+ */
+export function resolveNetworkOptions(option) {
+  if (!option) {
+    return null;
+  }
+  const options = { ...DEFAULT_OPTIONS, ...(option === true ? {} : option) };
+
+  for (const name of ['ignoreUrls', 'bodyUrls']) {
+    if (!isPatternList(options[name])) {
+      throw new Error(`network.${name} must be an array of strings or regular expressions`);
+    }
+  }
+  for (const name of ['requestHeaders', 'responseHeaders']) {
+    if (!Array.isArray(options[name]) || options[name].some((header) => typeof header !== 'string')) {
+      throw new Error(`network.${name} must be an array of header names`);
+    }
+  }
+  for (const name of ['maxBodyLength', 'maxEvents']) {
+    if (typeof options[name] !== 'number' || options[name] < 0) {
+      throw new Error(`network.${name} must be a non-negative number`);
+    }
+  }
+  return options;
+}
+
+/**
+ * Resolve a URL against the page
+ * @param {string|URL} url - Absolute or relative URL
+ * @returns {string} Absolute URL, or the input if it can't be parsed
+ */
+function toAbsoluteUrl(url) {
+  try {
+    return new URL(String(url), window.location.href).href;
+  } catch (error) {
+    return String(url);
+  }
+}
+
+/**
+ * Check if a URL matches any pattern. Strings match as substrings.
+ * @param {string} url - Absolute URL
+ * @param {Array<string|RegExp>} patterns - Patterns
+ * @returns {boolean}
+ */
+export function matchesUrl(url, patterns) {
+  return patterns.some((pattern) => (
+    typeof pattern === 'string' ? url.indexOf(pattern) !== -1 : pattern.test(url)
+  ));
+}
+
+/**
+ * Keep allowlisted headers, minus credentials
+ * @param {Array<Array<string>>} entries - [name, value] pairs
+ * @param {Array<string>} allowlist - Header names to keep
+ * @returns {Object|undefined} Headers by lowercase name, or undefined when none are kept
+ */
+function pickHeaders(entries, allowlist) {
+  if (!allowlist.length) return undefined;
+  const allowed = allowlist.map((name) => name.toLowerCase());
+  const headers = {};
+  entries.forEach(([name, value]) => {
+    const key = name.toLowerCase();
+    if (allowed.indexOf(key) !== -1 && DENIED_HEADERS.indexOf(key) === -1) {
+      headers[key] = String(value);
+    }
+  });
+  return Object.keys(headers).length ? headers : undefined;
+}
+
+/**
+ * Get [name, value] pairs from any fetch headers init
+ * @param {Headers|Array|Object} [headers] - Headers
+ * @returns {Array<Array<string>>}
+ */
+function headerEntries(headers) {
+  if (!headers) return [];
+  if (typeof headers.forEach === 'function' && !Array.isArray(headers)) {
+    const entries = [];
+    headers.forEach((value, name) => entries.push([name, value]));
+    return entries;
+  }
+  if (Array.isArray(headers)) return headers;
+  return Object.keys(headers).map((name) => [name, headers[name]]);
+}
+
+/**
+ * Parse the result of XMLHttpRequest.getAllResponseHeaders()
+ * @param {string} raw - Header block
+ * @returns {Array<Array<string>>}
+ */
+function parseHeaderBlock(raw) {
+  return (raw || '').trim().split(/[\r\n]+/).filter(Boolean).map((line) => {
+    const separator = line.indexOf(':');
+    return [line.slice(0, separator).trim(), line.slice(separator + 1).trim()];
+  });
+}
+
+/**
+ * Get the size of a request body in bytes, where it can be known without reading it
+ * @param {*} body - Request body
+ * @returns {number|null}
+ */
+function getBodySize(body) {
+  if (body === undefined || body === null) return 0;
+  if (typeof body === 'string') {
+    return typeof TextEncoder !== 'undefined' ? new TextEncoder().encode(body).length : body.length;
+  }
+  if (typeof URLSearchParams !== 'undefined' && body instanceof URLSearchParams) return getBodySize(body.toString());
+  if (typeof Blob !== 'undefined' && body instanceof Blob) return body.size;
+  if (typeof body.byteLength === 'number') return body.byteLength;
+  return null;
+}
+
+/**
+ * Describe a body for the recording: text is kept, anything else is named
+ * @param {*} body - Request or response body
+ * @param {number} maxLength - Characters kept
+ * @returns {string|undefined}
+ */
+function describeBody(body, maxLength) {
+  if (body === undefined || body === null || body === '') return undefined;
+  let text;
+  if (typeof body === 'string') {
+    text = body;
+  } else if (typeof URLSearchParams !== 'undefined' && body instanceof URLSearchParams) {
+    text = body.toString();
+  } else {
+    return `[${Object.prototype.toString.call(body).slice(8, -1)}]`;
+  }
+  return text.length > maxLength ? `${text.slice(0, maxLength)}…` : text;
+}
+
+/**
+ * Get the Content-Length of a response
+ * @param {string|null} value - Header value
+ * @returns {number|null}
+ */
+function parseContentLength(value) {
+  const length = parseInt(value, 10);
+  return isNaN(length) ? null : length;
+}
+
+/**
+ * Find the code that started a request: the first frame below the wrapper
+ * @param {string} type - 'fetch' or 'xmlhttprequest'
+ * @returns {Object} type, plus fn, file, line and column when a stack is available
+ */
+function getInitiator(type) {
+  const frame = parseStack(new Error().stack, 4)[2];
+  return frame ? { type, ...frame } : { type };
+}
+
+/**
+ * Capture fetch and XMLHttpRequest calls for a session.
+ * Patches are removed when the session is destroyed.
+ * @param {Object} session - Session handle
+ * @param {Object} options - Resolved network options
+ * @param {Array<string>} [ingestUrls] - The SDK's own upload URLs, which are never recorded
+ */
+export function watchNetwork(session, options, ingestUrls = []) {
+  const ignoreUrls = ingestUrls.filter(Boolean).map(toAbsoluteUrl).concat(options.ignoreUrls);
+  let recorded = 0;
+  let active = true;
+
+  session.on('ready', ({ resumed }) => {
+    // Limits are per session, and restart/rotation starts a new one; resume() continues it
+    if (!resumed) recorded = 0;
+  });
+
+  function shouldCapture(url) {
+    return active && session.getState() === 'recording' && !isLoaderRequest() && !matchesUrl(url, ignoreUrls);
+  }
+
+  function record(request) {
+    if (!active || session.getState() !== 'recording' || recorded >= options.maxEvents) {
+      return;
+    }
+    const payload = { ...request };
+    for (const field of ['requestHeaders', 'responseHeaders', 'requestBody', 'responseBody']) {
+      if (payload[field] === undefined) {
+        delete payload[field];
+      }
+    }
+    if (addCustomEvent('network', payload)) {
+      recorded++;
+    }
+  }
+
+  if (typeof window.fetch === 'function') {
+    const originalFetch = window.fetch;
+    const wrapper = function (input, init) {
+      const response = originalFetch.apply(this, arguments);
+      try {
+        const request = typeof Request !== 'undefined' && input instanceof Request ? input : null;
+        const url = toAbsoluteUrl(request ? request.url : input);
+        if (!shouldCapture(url)) return response;
+
+        const startTime = Date.now();
+        const start = performance.now();
+        const withBody = matchesUrl(url, options.bodyUrls);
+        const body = init && init.body;
+        const entry = {
+          type: 'fetch',
+          method: ((init && init.method) || (request && request.method) || 'GET').toUpperCase(),
+          url,
+          startTime,
+          requestSize: getBodySize(body),
+          initiator: getInitiator('fetch'),
+          requestHeaders: pickHeaders(headerEntries((init && init.headers) || (request && request.headers)), options.requestHeaders),
+          requestBody: withBody ? describeBody(body, options.maxBodyLength) : undefined
+        };
+
+        response.then((result) => {
+          const finish = (responseBody) => record({
+            ...entry,
+            status: result.status,
+            ok: result.ok,
+            duration: Math.round(performance.now() - start),
+            responseSize: responseBody !== undefined
+              ? getBodySize(responseBody)
+              : parseContentLength(result.headers.get('content-length')),
+            responseHeaders: pickHeaders(headerEntries(result.headers), options.responseHeaders),
+            responseBody: responseBody !== undefined ? describeBody(responseBody, options.maxBodyLength) : undefined
+          });
+          if (!withBody) {
+            finish(undefined);
+            return;
+          }
+          // A clone, so the page can still read the body
+          result.clone().text().then(finish, () => finish(undefined));
+        }, (error) => {
+          record({
+            ...entry,
+            status: 0,
+            ok: false,
+            duration: Math.round(performance.now() - start),
+            error: error && error.name === 'AbortError' ? 'aborted' : String((error && error.message) || error)
+          });
+        });
+      } catch (error) {
+        // Never let capture break the page's requests
+      }
+      return response;
+    };
+
+    window.fetch = wrapper;
+    session.addCleanup(() => {
+      // Another library may have wrapped fetch after us; leave its wrapper in place
+      if (window.fetch === wrapper) {
+        window.fetch = originalFetch;
+      }
+    });
+  }
+
+  if (typeof XMLHttpRequest !== 'undefined') {
+    const proto = XMLHttpRequest.prototype;
+    const originalOpen = proto.open;
+    const originalSend = proto.send;
+    const originalSetRequestHeader = proto.setRequestHeader;
+    const requests = new WeakMap();
+
+    const open = function (method, url) {
+      // The loader opens its request while marked, and sends it later
+      requests.set(this, {
+        method: String(method).toUpperCase(),
+        url: toAbsoluteUrl(url),
+        skip: isLoaderRequest(),
+        headers: []
+      });
+      return originalOpen.apply(this, arguments);
+    };
+
+    const setRequestHeader = function (name, value) {
+      const state = requests.get(this);
+      if (state) state.headers.push([name, value]);
+      return originalSetRequestHeader.apply(this, arguments);
+    };
+
+    const send = function (body) {
+      try {
+        const state = requests.get(this);
+        if (state && !state.skip && shouldCapture(state.url)) {
+          const xhr = this;
+          const start = performance.now();
+          const withBody = matchesUrl(state.url, options.bodyUrls);
+          const entry = {
+            type: 'xhr',
+            method: state.method,
+            url: state.url,
+            startTime: Date.now(),
+            requestSize: getBodySize(body),
+            initiator: getInitiator('xmlhttprequest'),
+            requestHeaders: pickHeaders(state.headers, options.requestHeaders),
+            requestBody: withBody ? describeBody(body, options.maxBodyLength) : undefined
+          };
+          let failure = null;
+          xhr.addEventListener('error', () => { failure = 'network error'; });
+          xhr.addEventListener('abort', () => { failure = 'aborted'; });
+          xhr.addEventListener('timeout', () => { failure = 'timeout'; });
+          xhr.addEventListener('loadend', () => {
+            const responseHeaders = parseHeaderBlock(xhr.getAllResponseHeaders());
+            const contentLength = responseHeaders.find(([name]) => name.toLowerCase() === 'content-length');
+            const text = xhr.responseType === '' || xhr.responseType === 'text' ? xhr.responseText : undefined;
+            record({
+              ...entry,
+              status: xhr.status,
+              ok: xhr.status >= 200 && xhr.status < 300,
+              duration: Math.round(performance.now() - start),
+              responseSize: text !== undefined ? getBodySize(text) : parseContentLength(contentLength && contentLength[1]),
+              responseHeaders: pickHeaders(responseHeaders, options.responseHeaders),
+              responseBody: withBody ? describeBody(text !== undefined ? text : xhr.response, options.maxBodyLength) : undefined,
+              ...(failure ? { error: failure } : {})
+            });
+          });
+        }
+      } catch (error) {
+        // Never let capture break the page's requests
+      }
+      return originalSend.apply(this, arguments);
+    };
+
+    proto.open = open;
+    proto.setRequestHeader = setRequestHeader;
+    proto.send = send;
+    session.addCleanup(() => {
+      if (proto.open === open) proto.open = originalOpen;
+      if (proto.setRequestHeader === setRequestHeader) proto.setRequestHeader = originalSetRequestHeader;
+      if (proto.send === send) proto.send = originalSend;
+    });
+  }
+
+  session.addCleanup(() => {
+    active = false;
+  });
+}
+
+/**
+ * Built-in plugin that captures fetch and XHR calls when the network option is set
+ */
+export const networkPlugin = {
+  name: 'network',
+  setup({ session, config, ingestUrls }) {
+    const options = resolveNetworkOptions(config.network);
+    if (options) {
+      // Recording the SDK's own uploads would feed back into the recording
+      watchNetwork(session, options, ingestUrls);
+    }
+  }
+};
+
+// Default export
+export default {
+  DENIED_HEADERS,
+  resolveNetworkOptions,
+  matchesUrl,
+  watchNetwork,
+  networkPlugin
+};
@@ -0,0 +1,131 @@
+/**
+ * Persistent opt-out for session replay
+ * Remembers a visitor's "stop recording me" choice in a first-party cookie,
+ * shared across subdomains, and in localStorage
+ */
+
+import { readCookie } from './consent.js';
+
+/**
+ * Cookie name and localStorage key of the opt-out flag
+ */
+export const OPT_OUT_KEY = 'replica-replay-opt-out';
+
+/**
+ * Opt-outs last a year unless the visitor opts in again
+ */
+const DEFAULT_MAX_AGE = 365 * 24 * 60 * 60;
+
+/**
+ * Find the widest domain that accepts cookies, e.g. example.com for app.example.com.
+ * Public suffixes such as co.uk refuse cookies, so the probe skips them.
+ * @returns {string|null} Domain, or null for localhost and IP addresses
+ */
+export function getCookieDomain() {
+  if (typeof location === 'undefined' || typeof document === 'undefined') {
+    return null;
+  }
+
+  const host = location.hostname || '';
+  if (host.indexOf('.') === -1 || host.indexOf(':') !== -1 || /^[\d.]+$/.test(host)) {
+    return null;
+  }
+
+  const probe = `${OPT_OUT_KEY}-probe`;
+  const parts = host.split('.');
+  for (let i = parts.length - 2; i >= 0; i--) {
+    const domain = parts.slice(i).join('.');
+    document.cookie = `${probe}=1; path=/; domain=${domain}`;
+    if (readCookie(probe) === '1') {
+      document.cookie = `${probe}=; path=/; domain=${domain}; max-age=0`;
+      return domain;
+    }
+  }
+  return null;
+}
+
+/**
+ * Write or delete the opt-out cookie
+ * @param {string} value - Cookie value
+ * @param {number} maxAge - Lifetime in seconds; 0 deletes the cookie
+ * @param {string|null} domain - Cookie domain, or null for the current host only
+ */
+function writeCookie(value, maxAge, domain) {
+  if (typeof document === 'undefined') {
+    return;
+  }
+
+  let cookie = `${OPT_OUT_KEY}=${value}; path=/; max-age=${maxAge}; SameSite=Lax`;
+  if (domain) {
+    cookie += `; domain=${domain}`;
+  }
+  if (typeof location !== 'undefined' && location.protocol === 'https:') {
+    cookie += '; Secure';
+  }
+  document.cookie = cookie;
+}
+
+/**
+ * Read the opt-out flag from localStorage
+ * @returns {string|null}
+ */
+function readLocalStorage() {
+  try {
+    return localStorage.getItem(OPT_OUT_KEY);
+  } catch (error) {
+    // localStorage throws in some privacy modes
+    return null;
+  }
+}
+
+/**
+ * Remember that the visitor opted out of recording
+ * @param {Object} [options] - Opt-out options
+ * @param {string} [options.domain] - Cookie domain (defaults to the widest domain that accepts cookies)
+ * @param {number} [options.maxAge] - Cookie lifetime in seconds (defaults to one year)
+ */
+export function writeOptOut(options = {}) {
+  const domain = options.domain || getCookieDomain();
+  writeCookie('1', options.maxAge || DEFAULT_MAX_AGE, domain);
+
+  try {
+    localStorage.setItem(OPT_OUT_KEY, '1');
+  } catch (error) {
+    // The cookie still carries the opt-out
+  }
+}
+
+/**
+ * Forget the visitor's opt-out
+ * @param {Object} [options] - Options
+ * @param {string} [options.domain] - Cookie domain passed to writeOptOut, if any
+ */
+export function clearOptOut(options = {}) {
+  const domain = options.domain || getCookieDomain();
+  writeCookie('', 0, domain);
+  // Also remove a host-only cookie, e.g. one written before the domain was known
+  writeCookie('', 0, null);
+
+  try {
+    localStorage.removeItem(OPT_OUT_KEY);
+  } catch (error) {
+    // Nothing to remove
+  }
+}
+
+/**
+ * Check if the visitor opted out of recording
+ * @returns {boolean}
+ */
+export function isOptedOut() {
+  return readCookie(OPT_OUT_KEY) === '1' || readLocalStorage() === '1';
+}
+
+// Default export
+export default {
+  OPT_OUT_KEY,
+  getCookieDomain,
+  writeOptOut,
+  clearOptOut,
+  isOptedOut
+};
@@ -0,0 +1,185 @@
+/**
+ * Event processing pipeline for session replay
+ * Runs recorded events and upload batches through ordered hooks that can
+ * change them, drop them, or wait on async work before passing them on
+ */
+
+import { logger } from './logger.js';
+
+/**
+ * Check if a value is a promise-like object
+ * @param {*} value - Candidate value
+ * @returns {boolean}
+ */
+export function isThenable(value) {
+  return !!value && typeof value.then === 'function';
+}
+
+/**
+ * Create an ordered chain of hooks.
+ * Hooks with a higher priority run first; equal priorities run in the order
+ * they were added. A hook returns the value to pass on, undefined to keep it
+ * as it is, or null or false to drop it. A hook that throws or rejects is
+ * skipped, so one broken hook never stops the others; its first failure is logged.
+ * @param {string} label - Name used in warnings, e.g. 'event processor'
+ * @returns {Object} Chain with add, run and size
+ */
+export function createHookChain(label) {
+  let hooks = [];
+  let added = 0;
+
+  function report(hook, error) {
+    // Hooks run on every event; one warning per hook is enough
+    if (hook.failed) return;
+    hook.failed = true;
+    logger.warn(`Session replay ${label} failed:`, error);
+  }
+
+  // Continue from hook `index` with `value`, going async only once a hook does
+  function runFrom(list, index, value, context) {
+    let current = value;
+    for (let i = index; i < list.length; i++) {
+      let result;
+      try {
+        result = list[i].fn(current, context);
+      } catch (error) {
+        report(list[i], error);
+        continue;
+      }
+
+      if (isThenable(result)) {
+        return Promise.resolve(result).then(
+          (resolved) => {
+            if (resolved === null || resolved === false) return null;
+            return runFrom(list, i + 1, resolved === undefined ? current : resolved, context);
+          },
+          (error) => {
+            report(list[i], error);
+            return runFrom(list, i + 1, current, context);
+          }
+        );
+      }
+      if (result === null || result === false) {
+        return null;
+      }
+      if (result !== undefined) {
+        current = result;
+      }
+    }
+    return current;
+  }
+
+  return {
+    /**
+     * Add a hook
+     * @param {Function} fn - Called with the value and a context object
+     * @param {Object} [options] - Hook options
+     * @param {number} [options.priority] - Higher runs first (defaults to 0)
+     * @returns {Function} Removes the hook
+     */
+    add(fn, options = {}) {
+      const { priority = 0 } = options;
+      if (typeof fn !== 'function') {
+        throw new Error(`${label} must be a function`);
+      }
+      if (typeof priority !== 'number' || isNaN(priority)) {
+        throw new Error(`${label} priority must be a number`);
+      }
+
+      const hook = { fn, priority, order: added++, failed: false };
+      hooks = hooks.concat(hook).sort((a, b) => b.priority - a.priority || a.order - b.order);
+      return () => {
+        hooks = hooks.filter((item) => item !== hook);
+      };
+    },
+
+    /**
+     * Run a value through every hook
+     * @param {*} value - Value to process
+     * @param {Object} [context] - Passed to every hook as its second argument
+     * @returns {*|null|Promise<*|null>} The processed value, or null when a hook
+     * dropped it; a promise only when some hook returned one
+     */
+    run(value, context = {}) {
+      // Hooks added or removed while a value is in flight apply to the next value
+      return runFrom(hooks, 0, value, context);
+    },
+
+    /**
+     * Get the number of hooks
+     * @returns {number}
+     */
+    size() {
+      return hooks.length;
+    }
+  };
+}
+
+/**
+ * Feed values through a hook chain and hand the results on in the order the
+ * values came in, even when an async hook makes one of them wait.
+ * Values dropped by a hook are not handed on.
+ * @param {Object} chain - Hook chain from createHookChain
+ * @param {Function} onResult - Called with each processed value and its context
+ * @returns {Object} Sequencer with push and pending
+ */
+export function createSequencer(chain, onResult) {
+  let tail = null;
+  let waiting = 0;
+
+  function handOn(result, context) {
+    if (result === null) return;
+    try {
+      onResult(result, context);
+    } catch (error) {
+      logger.warn('Session replay could not handle a processed event:', error);
+    }
+  }
+
+  function enqueue(promise, context) {
+    waiting++;
+    const next = promise
+      .then((result) => handOn(result, context))
+      .then(() => {
+        waiting--;
+        if (tail === next) tail = null;
+      });
+    tail = next;
+  }
+
+  return {
+    /**
+     * Process a value
+     * @param {*} value - Value to process
+     * @param {Object} [context] - Passed to the hooks and to onResult
+     */
+    push(value, context = {}) {
+      if (tail) {
+        // Something earlier is still waiting; keep this value behind it
+        enqueue(tail.then(() => chain.run(value, context)), context);
+        return;
+      }
+      const result = chain.run(value, context);
+      if (isThenable(result)) {
+        enqueue(result, context);
+      } else {
+        handOn(result, context);
+      }
+    },
+
+    /**
+     * Get the number of values still waiting on async hooks
+     * @returns {number}
+     */
+    pending() {
+      return waiting;
+    }
+  };
+}
+
+// Default export
+export default {
+  isThenable,
+  createHookChain,
+  createSequencer
+};
@@ -0,0 +1,249 @@
+/**
+ * Plugin API for session replay
+ * Plugins record extra data into a session through a sandboxed context.
+ * Everything a plugin registers is undone when it is removed or the session
+ * is destroyed, and a plugin that throws is logged and contained instead of
+ * stopping the recording.
+ */
+
+import { addCustomEvent } from './loader.js';
+import { logger } from './logger.js';
+
+/**
+ * Check that a value is a plugin
+ * @param {*} plugin - Candidate plugin
+ * @throws {Error} When the name, setup or teardown is missing or of the wrong type
+ */
+export function validatePlugin(plugin) {
+  if (!plugin || typeof plugin !== 'object') {
+    throw new Error('A plugin must be an object with name and setup. Example: registerPlugin({ name: "tenant", setup(context) {} })');
+  }
+  if (!plugin.name || typeof plugin.name !== 'string') {
+    throw new Error('plugin.name must be a non-empty string');
+  }
+  if (typeof plugin.setup !== 'function') {
+    throw new Error(`plugin "${plugin.name}" must have a setup function`);
+  }
+  if (plugin.teardown !== undefined && typeof plugin.teardown !== 'function') {
+    throw new Error(`plugin "${plugin.name}" teardown must be a function`);
+  }
+}
+
+/**
+ * Create the host that runs plugins for one session
+ * @param {Object} options - Host options
+ * @param {Object} options.session - Session handle
+ * @param {Object} options.config - Configuration passed to initSessionReplay
+ * @param {Object|null} options.redactor - PII redactor, or null when redaction is off; recorded events are redacted anyway
+ * @param {Array<string>} options.ingestUrls - URLs uploads go to, which recorders should ignore
+ * @param {Function} options.addEventProcessor - Adds an event processor, returns its remover
+ * @param {Function} options.beforeSend - Adds a beforeSend hook, returns its remover
+ * @param {Function} options.updateMetadata - Records the session metadata again
+ * @returns {Object} Host with install, uninstall, getMetadata and getInfo
+ */
+export function createPluginHost(options) {
+  const { session } = options;
+  const installed = new Map();
+  const metadata = new Map();
+
+  function report(record, error) {
+    record.errors++;
+    logger.warn(`Session replay plugin "${record.plugin.name}" failed:`, error);
+  }
+
+  // Wrap a plugin's callback so its errors stay inside the plugin
+  function guard(record, fn) {
+    return function () {
+      try {
+        return fn.apply(this, arguments);
+      } catch (error) {
+        report(record, error);
+        return undefined;
+      }
+    };
+  }
+
+  function runCleanups(record) {
+    while (record.cleanups.length) {
+      const cleanup = record.cleanups.pop();
+      try {
+        cleanup();
+      } catch (error) {
+        report(record, error);
+      }
+    }
+  }
+
+  function createContext(record) {
+    const addCleanup = (cleanup) => {
+      if (record.removed) {
+        cleanup();
+        return;
+      }
+      record.cleanups.push(cleanup);
+    };
+
+    return {
+      name: record.plugin.name,
+      config: options.config,
+      redactor: options.redactor,
+      ingestUrls: options.ingestUrls,
+      logger,
+
+      // The parts of the session handle a plugin may use; stop() and destroy() stay with the app
+      session: {
+        getSessionId: () => session.getSessionId(),
+        getState: () => session.getState(),
+        on(event, handler) {
+          const unsubscribe = session.on(event, guard(record, handler));
+          addCleanup(unsubscribe);
+          return unsubscribe;
+        },
+        listen(target, type, handler, listenerOptions) {
+          const listener = guard(record, handler);
+          target.addEventListener(type, listener, listenerOptions);
+          addCleanup(() => target.removeEventListener(type, listener, listenerOptions));
+        },
+        addCleanup,
+        addDiagnostics: (name, provider) => session.addDiagnostics(name, provider)
+      },
+
+      /**
+       * Add a custom event to the recording
+       * @param {string} tag - Event name
+       * @param {*} payload - Event data
+       * @returns {boolean} Whether the event was recorded
+       */
+      addCustomEvent(tag, payload) {
+        if (record.removed || session.getState() !== 'recording') return false;
+        try {
+          return addCustomEvent(tag, payload);
+        } catch (error) {
+          report(record, error);
+          return false;
+        }
+      },
+
+      addEventProcessor(fn, hookOptions) {
+        const remove = options.addEventProcessor(fn, hookOptions);
+        addCleanup(remove);
+        return remove;
+      },
+
+      beforeSend(fn, hookOptions) {
+        const remove = options.beforeSend(fn, hookOptions);
+        addCleanup(remove);
+        return remove;
+      },
+
+      /**
+       * Add a field to the session metadata
+       * @param {string} key - Metadata field
+       * @param {Function} provider - Returns the field's current value
+       */
+      addMetadata(key, provider) {
+        metadata.set(key, guard(record, provider));
+        addCleanup(() => metadata.delete(key));
+      },
+
+      /**
+       * Record the session metadata again, e.g. after a provider's value changed
+       */
+      updateMetadata() {
+        if (record.removed) return;
+        try {
+          options.updateMetadata();
+        } catch (error) {
+          report(record, error);
+        }
+      }
+    };
+  }
+
+  const host = {
+    /**
+     * Run a plugin's setup against this session
+     * @param {Object} plugin - Validated plugin
+     */
+    install(plugin) {
+      if (installed.has(plugin.name) || session.getState() === 'destroyed') return;
+
+      const record = { plugin, cleanups: [], errors: 0, status: 'active', removed: false, context: null };
+      record.context = createContext(record);
+      installed.set(plugin.name, record);
+
+      try {
+        const result = plugin.setup(record.context);
+        if (result && typeof result.then === 'function') {
+          result.then(null, (error) => report(record, error));
+        }
+      } catch (error) {
+        report(record, error);
+        // Undo whatever it registered before failing
+        record.status = 'failed';
+        runCleanups(record);
+      }
+    },
+
+    /**
+     * Run a plugin's teardown and undo everything it registered
+     * @param {string} name - Plugin name
+     */
+    uninstall(name) {
+      const record = installed.get(name);
+      if (!record) return;
+      installed.delete(name);
+
+      if (record.status === 'active' && typeof record.plugin.teardown === 'function') {
+        try {
+          record.plugin.teardown(record.context);
+        } catch (error) {
+          report(record, error);
+        }
+      }
+      record.removed = true;
+      runCleanups(record);
+    },
+
+    /**
+     * Get the metadata fields plugins added
+     * @returns {Object}
+     */
+    getMetadata() {
+      const fields = {};
+      metadata.forEach((provider, key) => {
+        const value = provider();
+        if (value !== undefined) {
+          fields[key] = value;
+        }
+      });
+      return fields;
+    },
+
+    /**
+     * Get the state of every installed plugin
+     * @returns {Array<Object>} name, status ('active' or 'failed') and error count
+     */
+    getInfo() {
+      return Array.from(installed.values()).map((record) => ({
+        name: record.plugin.name,
+        status: record.status,
+        errors: record.errors
+      }));
+    }
+  };
+
+  // Last in, first out, like the session's own cleanups
+  session.addCleanup(() => {
+    Array.from(installed.keys()).reverse().forEach((name) => host.uninstall(name));
+  });
+  session.addDiagnostics('plugins', () => host.getInfo());
+
+  return host;
+}
+
+// Default export
+export default {
+  validatePlugin,
+  createPluginHost
+};
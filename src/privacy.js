@@ -0,0 +1,251 @@
+/**
+ * Privacy masking policy for session replay
+ * Turns a declarative policy (block, mask and ignore selectors, per-input-type
+ * rules and presets) into rrweb record options, so the same rules apply to full
+ * snapshots, DOM mutations and input events
+ */
+
+/**
+ * Attributes that apply a privacy action to an element and its descendants
+ */
+export const PRIVACY_ATTRIBUTES = {
+  block: 'data-replay-block',
+  mask: 'data-replay-mask',
+  ignore: 'data-replay-ignore',
+  unmask: 'data-replay-unmask'
+};
+
+/**
+ * Built-in policies. 'strict' masks every text node and input value unless
+ * an element opts out with data-replay-unmask or an unmask selector.
+ */
+export const PRIVACY_PRESETS = {
+  default: {
+    maskAllText: false,
+    maskAllInputs: false,
+    inputTypes: { password: 'mask' }
+  },
+  strict: {
+    maskAllText: true,
+    maskAllInputs: true,
+    inputTypes: { password: 'mask' }
+  }
+};
+
+/**
+ * Actions allowed in inputTypes rules
+ */
+const INPUT_TYPE_ACTIONS = ['mask', 'ignore', 'record'];
+
+/**
+ * Normalize a selector option into an array
+ * @param {string|Array<string>} [value] - Selector or selectors
+ * @returns {Array<string>}
+ */
+function toSelectorList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : [value]).filter((selector) => typeof selector === 'string' && selector);
+}
+
+/**
+ * Join selectors into one selector list
+ * @param {Array<string>} selectors - Selectors
+ * @returns {string|null}
+ */
+function joinSelectors(selectors) {
+  return selectors.length > 0 ? selectors.join(', ') : null;
+}
+
+/**
+ * Check if an element or one of its ancestors matches a selector
+ * @param {Element|null} element - Element to test
+ * @param {string|null} selector - Selector list
+ * @returns {boolean}
+ */
+function closestMatches(element, selector) {
+  if (!selector || !element || typeof element.closest !== 'function') {
+    return false;
+  }
+  try {
+    return element.closest(selector) !== null;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Replace every non-whitespace character with '*', keeping the text's shape
+ * @param {string} text - Text to scramble
+ * @returns {string}
+ */
+export function scrambleText(text) {
+  return typeof text === 'string' ? text.replace(/\S/g, '*') : text;
+}
+
+/**
+ * Resolve a privacy config into a complete policy
+ * @param {string|Object} [privacy] - Preset name, or policy options
+ * @param {string} [privacy.preset] - 'default' or 'strict' (defaults to 'default')
+ * @param {string|Array<string>} [privacy.block] - Selectors replaced by a placeholder
+ * @param {string|Array<string>} [privacy.mask] - Selectors whose text and input values are scrambled
+ * @param {string|Array<string>} [privacy.ignore] - Selectors whose input events are dropped
+ * @param {string|Array<string>} [privacy.unmask] - Selectors exempt from maskAllText/maskAllInputs
+ * @param {boolean} [privacy.maskAllText] - Scramble every text node
+ * @param {boolean} [privacy.maskAllInputs] - Scramble every input value
+ * @param {Object} [privacy.inputTypes] - Per input type action: 'mask', 'ignore' or 'record'
+ * @returns {Object} Resolved policy
+ */
+export function resolvePrivacyPolicy(privacy = {}) {
+  const options = typeof privacy === 'string' ? { preset: privacy } : privacy || {};
+  const presetName = options.preset || 'default';
+  const preset = PRIVACY_PRESETS[presetName];
+
+  if (!preset) {
+    throw new Error(`Unknown privacy preset "${presetName}". Use one of: ${Object.keys(PRIVACY_PRESETS).join(', ')}`);
+  }
+
+  const inputTypes = { ...preset.inputTypes, ...options.inputTypes };
+  for (const [type, action] of Object.entries(inputTypes)) {
+    if (INPUT_TYPE_ACTIONS.indexOf(action) === -1) {
+      throw new Error(`Invalid privacy action "${action}" for input type "${type}". Use one of: ${INPUT_TYPE_ACTIONS.join(', ')}`);
+    }
+  }
+  // Password values never leave the page
+  inputTypes.password = 'mask';
+
+  return {
+    preset: presetName,
+    maskAllText: options.maskAllText !== undefined ? !!options.maskAllText : preset.maskAllText,
+    maskAllInputs: options.maskAllInputs !== undefined ? !!options.maskAllInputs : preset.maskAllInputs,
+    block: [`[${PRIVACY_ATTRIBUTES.block}]`, ...toSelectorList(options.block)],
+    mask: [`[${PRIVACY_ATTRIBUTES.mask}]`, ...toSelectorList(options.mask)],
+    ignore: [`[${PRIVACY_ATTRIBUTES.ignore}]`, ...toSelectorList(options.ignore)],
+    unmask: [`[${PRIVACY_ATTRIBUTES.unmask}]`, ...toSelectorList(options.unmask)],
+    inputTypes
+  };
+}
+
+/**
+ * Decide whether an input's value must be masked
+ * @param {Element|null} element - Input, textarea or select element
+ * @param {Object} policy - Resolved policy
+ * @returns {boolean}
+ */
+export function shouldMaskInput(element, policy) {
+  // Without the element (rrweb 1.x) we cannot apply selector rules, so fail closed
+  if (!element) {
+    return true;
+  }
+
+  const type = (element.type || element.tagName || '').toLowerCase();
+  if (type === 'password') {
+    return true;
+  }
+  if (closestMatches(element, joinSelectors(policy.mask))) {
+    return true;
+  }
+  if (closestMatches(element, joinSelectors(policy.unmask))) {
+    return false;
+  }
+  if (policy.maskAllInputs) {
+    return true;
+  }
+  return policy.inputTypes[type] === 'mask';
+}
+
+/**
+ * Decide whether a text node's content must be masked
+ * @param {Element|null} element - Parent element of the text node
+ * @param {Object} policy - Resolved policy
+ * @returns {boolean}
+ */
+export function shouldMaskText(element, policy) {
+  // rrweb only asks about nodes matching maskTextSelector; without the element (rrweb 1.x) fail closed
+  if (!element) {
+    return true;
+  }
+  if (closestMatches(element, joinSelectors(policy.mask))) {
+    return true;
+  }
+  if (policy.maskAllText) {
+    return !closestMatches(element, joinSelectors(policy.unmask));
+  }
+  return false;
+}
+
+/**
+ * Turn the input masking a caller asked rrweb for into privacy policy options
+ * @param {Object} [recordOptions] - rrweb record options
+ * @returns {Object} Options for resolvePrivacyPolicy
+ */
+export function getRecordOptionsPrivacy(recordOptions = {}) {
+  const privacy = {};
+  if (typeof recordOptions.maskAllInputs === 'boolean') {
+    privacy.maskAllInputs = recordOptions.maskAllInputs;
+  }
+  const maskInputOptions = recordOptions.maskInputOptions || {};
+  const masked = Object.keys(maskInputOptions).filter((type) => maskInputOptions[type]);
+  if (masked.length > 0) {
+    privacy.inputTypes = {};
+    masked.forEach((type) => {
+      privacy.inputTypes[type] = 'mask';
+    });
+  }
+  return privacy;
+}
+
+/**
+ * Build rrweb record options that enforce a policy
+ * @param {Object} policy - Resolved policy
+ * @param {Object} [recordOptions] - Caller's record options, whose selectors are kept
+ * @returns {Object} rrweb record options
+ */
+export function getPrivacyRecordOptions(policy, recordOptions = {}) {
+  policy = { ...policy, mask: [...policy.mask, ...toSelectorList(recordOptions.maskTextSelector)] };
+
+  const ignoredTypes = Object.keys(policy.inputTypes)
+    .filter((type) => policy.inputTypes[type] === 'ignore')
+    .map((type) => `input[type="${type}"]`);
+
+  const maskTextSelector = policy.maskAllText ? '*' : joinSelectors(policy.mask);
+
+  return {
+    blockSelector: joinSelectors([...policy.block, ...toSelectorList(recordOptions.blockSelector)]),
+    maskTextSelector,
+    ignoreSelector: joinSelectors([...policy.ignore, ...ignoredTypes, ...toSelectorList(recordOptions.ignoreSelector)]),
+    maskTextFn: (text, element) => (shouldMaskText(element, policy) ? scrambleText(text) : text),
+    // Route every input through maskInputFn so selector and type rules decide together
+    maskAllInputs: true,
+    maskInputOptions: {
+      color: true,
+      date: true,
+      'datetime-local': true,
+      email: true,
+      month: true,
+      number: true,
+      range: true,
+      search: true,
+      tel: true,
+      text: true,
+      time: true,
+      url: true,
+      week: true,
+      textarea: true,
+      select: true,
+      password: true
+    },
+    maskInputFn: (text, element) => (shouldMaskInput(element, policy) ? scrambleText(text) : text)
+  };
+}
+
+// Default export
+export default {
+  PRIVACY_ATTRIBUTES,
+  PRIVACY_PRESETS,
+  resolvePrivacyPolicy,
+  shouldMaskInput,
+  shouldMaskText,
+  getPrivacyRecordOptions,
+  getRecordOptionsPrivacy,
+  scrambleText
+};
@@ -0,0 +1,40 @@
+/**
+ * Opt-in recorders of the core CDN build, which leaves them out.
+ * They keep their names, so registerPlugin() still refuses them, and warn
+ * when a page turns them on.
+ */
+
+import { resolveConsoleOptions } from './console.js';
+import { resolveNetworkOptions } from './network.js';
+import { resolveVitalsOptions } from './vitals.js';
+
+/**
+ * Create a stand-in for a recorder this build leaves out
+ * @param {string} name - Recorder name, also its config option
+ * @param {Function} resolveOptions - Resolves the config option, null when the recorder is off
+ * @returns {Object} Plugin
+ */
+function createMissingRecorder(name, resolveOptions) {
+  return {
+    name,
+    setup({ config, logger }) {
+      if (resolveOptions(config[name])) {
+        logger.warn(`Session replay ${name} recording is not in this build; load replica-replay.full.min.js instead`);
+      }
+    }
+  };
+}
+
+/**
+ * Recorders set up for every session before registered plugins
+ */
+export const BUILT_IN_PLUGINS = [
+  createMissingRecorder('console', resolveConsoleOptions),
+  createMissingRecorder('network', resolveNetworkOptions),
+  createMissingRecorder('vitals', resolveVitalsOptions)
+];
+
+// Default export
+export default {
+  BUILT_IN_PLUGINS
+};
@@ -0,0 +1,19 @@
+/**
+ * Opt-in recorders shipped with the SDK
+ * The core CDN build swaps this module for recorders-core.js, so pages that
+ * record no console, network or vitals data don't download the code for them.
+ */
+
+import { consolePlugin } from './console.js';
+import { networkPlugin } from './network.js';
+import { vitalsPlugin } from './vitals.js';
+
+/**
+ * Recorders set up for every session before registered plugins
+ */
+export const BUILT_IN_PLUGINS = [consolePlugin, networkPlugin, vitalsPlugin];
+
+// Default export
+export default {
+  BUILT_IN_PLUGINS
+};
@@ -0,0 +1,324 @@
+/**
+ * PII redaction for session replay
+ * Detects emails, card numbers, SSNs, phone numbers, IBANs and secret-looking
+ * tokens in recorded text, attribute values and URLs, and replaces them
+ * before events leave the page
+ */
+
+/**
+ * rrweb event and node types the redactor looks into
+ */
+const EVENT_TYPE = { FullSnapshot: 2, IncrementalSnapshot: 3, Meta: 4, Custom: 5 };
+const INCREMENTAL_SOURCE = { Mutation: 0, Input: 5 };
+
+/**
+ * Attributes whose values are URLs
+ */
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'poster', 'data', 'cite'];
+
+/**
+ * Attributes that never contain user data worth scanning
+ */
+const SKIPPED_ATTRIBUTES = ['style', '_cssText', 'class', 'rr_dataURL'];
+
+/**
+ * Query parameters whose values are always replaced, in URLs and in URLs quoted in text
+ */
+const SENSITIVE_PARAM_NAMES = 'token|access_token|id_token|refresh_token|auth|authorization|password|passwd|pwd|secret|client_secret|api_key|apikey|key|session|sessionid|sid|code|otp|ssn|email';
+const SENSITIVE_QUERY_PARAMS = new RegExp(`^(?:${SENSITIVE_PARAM_NAMES})$`, 'i');
+const SENSITIVE_QUERY_PAIRS = new RegExp(`([?&](?:${SENSITIVE_PARAM_NAMES})=)[^&#\\s]+`, 'gi');
+
+/**
+ * Strings redactValue() treats as URLs: absolute URLs and paths, without whitespace
+ */
+const URL_VALUE = /^(?:[a-z][a-z\d+.-]*:\/\/|\/)\S*$/i;
+
+/**
+ * Check a digit string with the Luhn checksum
+ * @param {string} digits - Digits only
+ * @returns {boolean}
+ */
+export function luhnCheck(digits) {
+  let sum = 0;
+  let double = false;
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let digit = digits.charCodeAt(i) - 48;
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+    double = !double;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Check an IBAN with the ISO 7064 mod-97 checksum
+ * @param {string} value - IBAN, spaces allowed
+ * @returns {boolean}
+ */
+export function ibanCheck(value) {
+  const iban = value.replace(/\s/g, '').toUpperCase();
+  if (iban.length < 15 || iban.length > 34) {
+    return false;
+  }
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const code = char.charCodeAt(0);
+    const digits = code >= 65 && code <= 90 ? String(code - 55) : char;
+    for (const digit of digits) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+/**
+ * Built-in detectors, applied in this order
+ */
+export const DEFAULT_DETECTORS = [
+  {
+    name: 'jwt',
+    pattern: /\beyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]+/g
+  },
+  {
+    name: 'apiKey',
+    pattern: /\b(?:(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{16,}|AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{36}|xox[abprs]-[A-Za-z0-9-]{10,}|AIza[0-9A-Za-z_-]{35})\b/g
+  },
+  {
+    name: 'email',
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g
+  },
+  {
+    name: 'iban',
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/g,
+    validate: ibanCheck
+  },
+  {
+    name: 'creditCard',
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    validate: (match) => luhnCheck(match.replace(/\D/g, ''))
+  },
+  {
+    name: 'ssn',
+    pattern: /\b\d{3}-\d{2}-\d{4}\b/g,
+    validate: (match) => !/^(?:000|666|9\d\d)|-00-|-0000$/.test(match)
+  },
+  {
+    name: 'phone',
+    pattern: /(?:\+\d{1,3}[\s.-]?)?\(?\b\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b/g
+  }
+];
+
+/**
+ * Create a redactor
+ * @param {Object} [options] - Redaction options
+ * @param {Array<string>} [options.detectors] - Names of built-in detectors to use (defaults to all)
+ * @param {Array<Object>} [options.patterns] - Custom detectors: { name, pattern, validate?, replacement? }
+ * @param {string|Function} [options.replacement] - Replacement text, or function of the detector name
+ * @returns {Object} Redactor with redactString, redactUrl, redactValue, redactEvent and getCounts
+ */
+export function createRedactor(options = {}) {
+  const names = options.detectors;
+  const builtIn = Array.isArray(names)
+    ? DEFAULT_DETECTORS.filter((detector) => names.indexOf(detector.name) !== -1)
+    : DEFAULT_DETECTORS;
+
+  const custom = (options.patterns || []).map((detector, index) => {
+    if (!detector || !(detector.pattern instanceof RegExp)) {
+      throw new Error(`Redaction pattern at index ${index} must have a RegExp "pattern"`);
+    }
+    const flags = detector.pattern.flags.indexOf('g') === -1 ? detector.pattern.flags + 'g' : detector.pattern.flags;
+    return {
+      ...detector,
+      name: detector.name || `custom${index}`,
+      pattern: new RegExp(detector.pattern.source, flags)
+    };
+  });
+
+  const detectors = [...custom, ...builtIn];
+  const counts = {};
+  let total = 0;
+
+  function replacementFor(detector) {
+    if (detector.replacement !== undefined) return detector.replacement;
+    if (typeof options.replacement === 'function') return options.replacement(detector.name);
+    if (typeof options.replacement === 'string') return options.replacement;
+    return `[redacted:${detector.name}]`;
+  }
+
+  /**
+   * Redact PII from a string
+   * @param {string} value - Input
+   * @returns {string}
+   */
+  function redactString(value) {
+    if (typeof value !== 'string' || value.length < 5) {
+      return value;
+    }
+
+    // URLs quoted in messages, e.g. "Failed to load img https://...?token=..."
+    let result = value.replace(SENSITIVE_QUERY_PAIRS, (match, prefix) => {
+      counts.queryParam = (counts.queryParam || 0) + 1;
+      total++;
+      return `${prefix}redacted`;
+    });
+    for (const detector of detectors) {
+      result = result.replace(detector.pattern, (match) => {
+        if (detector.validate && !detector.validate(match)) {
+          return match;
+        }
+        counts[detector.name] = (counts[detector.name] || 0) + 1;
+        total++;
+        return replacementFor(detector);
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Redact PII from a URL, including decoded query parameter values
+   * @param {string} value - Absolute or relative URL
+   * @returns {string}
+   */
+  function redactUrl(value) {
+    if (typeof value !== 'string' || value.indexOf('data:') === 0) {
+      return value;
+    }
+
+    const queryStart = value.indexOf('?');
+    if (queryStart === -1) {
+      return redactString(value);
+    }
+
+    const hashStart = value.indexOf('#', queryStart);
+    const base = value.slice(0, queryStart);
+    const query = value.slice(queryStart + 1, hashStart === -1 ? undefined : hashStart);
+    const hash = hashStart === -1 ? '' : value.slice(hashStart);
+
+    const params = query.split('&').map((pair) => {
+      const separator = pair.indexOf('=');
+      if (separator === -1) return redactString(pair);
+
+      const key = pair.slice(0, separator);
+      const rawValue = pair.slice(separator + 1);
+      if (SENSITIVE_QUERY_PARAMS.test(key) && rawValue) {
+        counts.queryParam = (counts.queryParam || 0) + 1;
+        total++;
+        return `${key}=redacted`;
+      }
+
+      let decoded;
+      try {
+        decoded = decodeURIComponent(rawValue.replace(/\+/g, ' '));
+      } catch (error) {
+        decoded = rawValue;
+      }
+      const redacted = redactString(decoded);
+      return redacted === decoded ? pair : `${key}=${encodeURIComponent(redacted)}`;
+    });
+
+    return `${redactString(base)}?${params.join('&')}${redactString(hash)}`;
+  }
+
+  /**
+   * Redact PII from every string in a JSON-like value; strings that are URLs go through redactUrl
+   * @param {*} value - Input
+   * @param {number} [depth] - Current depth; stops at 10
+   * @returns {*} Redacted copy
+   */
+  function redactValue(value, depth = 0) {
+    if (typeof value === 'string') return URL_VALUE.test(value) ? redactUrl(value) : redactString(value);
+    if (!value || typeof value !== 'object' || depth > 10) return value;
+    if (Array.isArray(value)) return value.map((item) => redactValue(item, depth + 1));
+
+    const result = {};
+    for (const key of Object.keys(value)) {
+      result[key] = redactValue(value[key], depth + 1);
+    }
+    return result;
+  }
+
+  function redactAttributes(attributes) {
+    if (!attributes) return;
+    for (const name of Object.keys(attributes)) {
+      const value = attributes[name];
+      if (typeof value !== 'string' || SKIPPED_ATTRIBUTES.indexOf(name) !== -1) continue;
+      attributes[name] = URL_ATTRIBUTES.indexOf(name) !== -1 ? redactUrl(value) : redactString(value);
+    }
+  }
+
+  function redactNode(node) {
+    if (!node) return;
+    if (typeof node.textContent === 'string' && !node.isStyle) {
+      node.textContent = redactString(node.textContent);
+    }
+    redactAttributes(node.attributes);
+    if (Array.isArray(node.childNodes)) {
+      node.childNodes.forEach(redactNode);
+    }
+  }
+
+  /**
+   * Redact PII from an rrweb event. The event is modified in place.
+   * @param {Object} event - rrweb event
+   * @returns {Object} The same event
+   */
+  function redactEvent(event) {
+    if (!event || !event.data) {
+      return event;
+    }
+
+    const data = event.data;
+    switch (event.type) {
+      case EVENT_TYPE.FullSnapshot:
+        redactNode(data.node);
+        break;
+      case EVENT_TYPE.Meta:
+        data.href = redactUrl(data.href);
+        break;
+      case EVENT_TYPE.Custom:
+        data.payload = redactValue(data.payload);
+        break;
+      case EVENT_TYPE.IncrementalSnapshot:
+        if (data.source === INCREMENTAL_SOURCE.Mutation) {
+          (data.texts || []).forEach((text) => {
+            text.value = redactString(text.value);
+          });
+          (data.attributes || []).forEach((mutation) => redactAttributes(mutation.attributes));
+          (data.adds || []).forEach((add) => redactNode(add.node));
+        } else if (data.source === INCREMENTAL_SOURCE.Input) {
+          data.text = redactString(data.text);
+        }
+        break;
+      default:
+        break;
+    }
+    return event;
+  }
+
+  return {
+    redactString,
+    redactUrl,
+    redactValue,
+    redactEvent,
+
+    /**
+     * Get redaction counts for auditing
+     * @returns {Object} total and byDetector
+     */
+    getCounts() {
+      return { total, byDetector: { ...counts } };
+    }
+  };
+}
+
+// Default export
+export default {
+  DEFAULT_DETECTORS,
+  createRedactor,
+  luhnCheck,
+  ibanCheck
+};
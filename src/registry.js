@@ -0,0 +1,51 @@
+/**
+ * Session registry for session replay
+ * Keeps a single active session per page so repeated initialization
+ * (React StrictMode, HMR, plugin re-installs) reuses it instead of double-recording
+ */
+
+let activeEntry = null;
+
+/**
+ * Get the active registry entry
+ * @returns {Object|null} Entry with projectKey, config, session and promise
+ */
+export function getRegistration() {
+  return activeEntry;
+}
+
+/**
+ * Register a new active session, replacing any previous entry
+ * @param {Object} entry - Entry with projectKey, config, session and promise
+ * @returns {Object} The registered entry
+ */
+export function register(entry) {
+  activeEntry = entry;
+  return entry;
+}
+
+/**
+ * Remove an entry if it is still the active one
+ * @param {Object} entry - Entry to remove
+ */
+export function unregister(entry) {
+  if (activeEntry === entry) {
+    activeEntry = null;
+  }
+}
+
+/**
+ * Get the active session handle, if one exists
+ * @returns {Object|null}
+ */
+export function getActiveSession() {
+  return activeEntry ? activeEntry.session : null;
+}
+
+// Default export
+export default {
+  getRegistration,
+  register,
+  unregister,
+  getActiveSession
+};
@@ -0,0 +1,259 @@
+/**
+ * Session sampling for session replay
+ * Decides per session ID whether a session is recorded, from a base rate,
+ * rules keyed by URL, user traits, browser and device, and forced users
+ */
+
+import { sha256 } from './metadata.js';
+
+const STORAGE_PREFIX = 'replica-replay:sampled:';
+
+/**
+ * Device types a rule can match, as reported by getDeviceInfo()
+ */
+export const DEVICE_TYPES = ['mobile', 'tablet', 'desktop'];
+
+/**
+ * Check if a value is a sample rate
+ * @param {*} value - Candidate value
+ * @returns {boolean}
+ */
+function isRate(value) {
+  return typeof value === 'number' && value >= 0 && value <= 1;
+}
+
+/**
+ * Check if a value is a plain object
+ * @param {*} value - Candidate value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof RegExp);
+}
+
+/**
+ * Turn a rule condition into an array of allowed values
+ * @param {*} value - A value or an array of values
+ * @returns {Array}
+ */
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Resolve the sampleRate and sampling options of initSessionReplay
+ * @param {number} [sampleRate] - Share of sessions recorded, from 0 to 1
+ * @param {Object} [sampling] - Rules and forced users
+ * @returns {Object|null} Resolved options, or null when every session is recorded
+ */
+export function resolveSamplingOptions(sampleRate, sampling) {
+  if (sampleRate === undefined && sampling === undefined) {
+    return null;
+  }
+  if (sampleRate !== undefined && !isRate(sampleRate)) {
+    throw new Error('sampleRate must be a number from 0 to 1');
+  }
+  if (sampling !== undefined && !isPlainObject(sampling)) {
+    throw new Error('sampling must be an object with rules and forceRecord');
+  }
+
+  const { rules = [], forceRecord = {} } = sampling || {};
+  if (!Array.isArray(rules)) {
+    throw new Error('sampling.rules must be an array');
+  }
+  rules.forEach((rule, index) => {
+    if (!isPlainObject(rule) || !isRate(rule.rate)) {
+      throw new Error(`sampling.rules[${index}].rate must be a number from 0 to 1`);
+    }
+    if (rule.url !== undefined && !toList(rule.url).every((url) => typeof url === 'string' || url instanceof RegExp)) {
+      throw new Error(`sampling.rules[${index}].url must be a string, a RegExp or an array of them`);
+    }
+    if (rule.traits !== undefined && !isPlainObject(rule.traits)) {
+      throw new Error(`sampling.rules[${index}].traits must be an object`);
+    }
+    if (rule.browser !== undefined && !toList(rule.browser).every((name) => typeof name === 'string')) {
+      throw new Error(`sampling.rules[${index}].browser must be a browser name or an array of them`);
+    }
+    if (rule.device !== undefined && !toList(rule.device).every((type) => DEVICE_TYPES.indexOf(type) !== -1)) {
+      throw new Error(`sampling.rules[${index}].device must be one of: ${DEVICE_TYPES.join(', ')}`);
+    }
+  });
+
+  if (!isPlainObject(forceRecord)) {
+    throw new Error('sampling.forceRecord must be an object with userIds and traits');
+  }
+  const { userIds = [], traits = null } = forceRecord;
+  if (!Array.isArray(userIds) || userIds.some((id) => typeof id !== 'string' && typeof id !== 'number')) {
+    throw new Error('sampling.forceRecord.userIds must be an array of user IDs');
+  }
+  if (traits !== null && !isPlainObject(traits)) {
+    throw new Error('sampling.forceRecord.traits must be an object');
+  }
+
+  return {
+    sampleRate: sampleRate === undefined ? 1 : sampleRate,
+    rules,
+    forceRecord: { userIds: userIds.map(String), traits }
+  };
+}
+
+/**
+ * Map a session ID to a number in [0, 1), the same for the same ID everywhere
+ * @param {string} sessionId - Session ID
+ * @returns {number}
+ */
+export function getSampleValue(sessionId) {
+  // 32-bit FNV-1a
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < sessionId.length; i++) {
+    hash ^= sessionId.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash / 0x100000000;
+}
+
+/**
+ * Check if every expected trait has the same value on the user
+ * @param {Object} expected - Trait values
+ * @param {Object|null} user - Identified user
+ * @returns {boolean}
+ */
+function matchesTraits(expected, user) {
+  if (!user) return false;
+  return Object.keys(expected).every((key) => user.traits[key] === expected[key]);
+}
+
+/**
+ * Check if a rule applies; every condition it sets must match
+ * @param {Object} rule - Sampling rule
+ * @param {Object} context - url, user, browser and device
+ * @returns {boolean}
+ */
+export function matchesRule(rule, context) {
+  if (rule.url !== undefined && !toList(rule.url).some((pattern) => (
+    typeof pattern === 'string' ? context.url.indexOf(pattern) !== -1 : pattern.test(context.url)
+  ))) {
+    return false;
+  }
+  if (rule.traits !== undefined && !matchesTraits(rule.traits, context.user)) return false;
+  if (rule.browser !== undefined && toList(rule.browser).indexOf(context.browser) === -1) return false;
+  if (rule.device !== undefined && toList(rule.device).indexOf(context.device) === -1) return false;
+  return true;
+}
+
+/**
+ * Read a stored decision
+ * @param {string} type - 'localStorage' or 'sessionStorage'
+ * @param {string} key - Storage key
+ * @returns {Object|null}
+ */
+function readDecision(type, key) {
+  try {
+    return JSON.parse(window[type].getItem(key));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Create a sampler.
+ * A session that is sampled in stays in: the decision is kept in storage, so
+ * reloads and other tabs on a URL with a lower rate keep recording it.
+ * @param {Object} options - Resolved sampling options
+ * @param {Object} sources - Where decisions come from
+ * @param {string} sources.namespace - Separates decisions of different projects
+ * @param {Function} sources.getContext - Returns { url, user, browser, device }
+ * @returns {Object} Sampler with decide, getDecision and ready
+ */
+export function createSampler(options, sources) {
+  const key = `${STORAGE_PREFIX}${sources.namespace}`;
+  let decision = null;
+  // With hashUserId, identify() keeps only the digest, so forced IDs are compared hashed too
+  let hashedUserIds = [];
+  const hashing = options.forceRecord.userIds.length
+    ? Promise.all(options.forceRecord.userIds.map(sha256))
+      .then((ids) => { hashedUserIds = ids; })
+      .catch(() => {})
+    : Promise.resolve();
+
+  function isForcedUser(user) {
+    if (!user.hashed) {
+      return options.forceRecord.userIds.indexOf(String(user.id)) !== -1;
+    }
+    return hashedUserIds.indexOf(user.id) !== -1;
+  }
+
+  function remember(sessionId, result) {
+    const record = { sessionId, ...result };
+    ['localStorage', 'sessionStorage'].forEach((type) => {
+      try {
+        window[type].setItem(key, JSON.stringify(record));
+      } catch (error) {
+        // Storage blocked; the hash still gives the same answer at the same rate
+      }
+    });
+  }
+
+  function evaluate(sessionId) {
+    const context = sources.getContext();
+    const { traits } = options.forceRecord;
+    if (context.user && (isForcedUser(context.user) || (traits && matchesTraits(traits, context.user)))) {
+      return { sampled: true, reason: 'forced', rate: 1, rule: null };
+    }
+
+    const index = options.rules.findIndex((rule) => matchesRule(rule, context));
+    const rate = index === -1 ? options.sampleRate : options.rules[index].rate;
+    return {
+      sampled: getSampleValue(sessionId) < rate,
+      reason: index === -1 ? 'rate' : 'rule',
+      rate,
+      rule: index === -1 ? null : index
+    };
+  }
+
+  return {
+    /**
+     * Decide whether a session is recorded
+     * @param {string} sessionId - Session ID
+     * @returns {Object} sampled, reason ('forced', 'rule' or 'rate'), rate and rule index
+     */
+    decide(sessionId) {
+      const stored = readDecision('localStorage', key) || readDecision('sessionStorage', key);
+      if (stored && stored.sessionId === sessionId && stored.sampled) {
+        decision = { sampled: true, reason: stored.reason, rate: stored.rate, rule: stored.rule };
+        return { ...decision };
+      }
+
+      decision = evaluate(sessionId);
+      if (decision.sampled) {
+        remember(sessionId, decision);
+      }
+      return { ...decision };
+    },
+
+    /**
+     * Get the latest decision
+     * @returns {Object|null}
+     */
+    getDecision() {
+      return decision ? { ...decision } : null;
+    },
+
+    /**
+     * Wait until forced user IDs are hashed; until then, hashed users are not forced
+     * @returns {Promise<void>}
+     */
+    ready() {
+      return hashing;
+    }
+  };
+}
+
+// Default export
+export default {
+  DEVICE_TYPES,
+  resolveSamplingOptions,
+  getSampleValue,
+  matchesRule,
+  createSampler
+};
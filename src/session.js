@@ -0,0 +1,278 @@
+/**
+ * Session handle for session replay
+ * Wraps the rrweb recorder with stop, pause, resume and teardown controls
+ */
+
+import { startRecording, stopRecording, isRrwebAvailable } from './loader.js';
+import { createEmitter } from './emitter.js';
+import { logger } from './logger.js';
+
+/**
+ * Generate a random session identifier
+ * @returns {string}
+ */
+export function generateSessionId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (char) => {
+    const random = (Math.random() * 16) | 0;
+    const value = char === 'x' ? random : (random & 0x3) | 0x8;
+    return value.toString(16);
+  });
+}
+
+/**
+ * Create a controllable session handle
+ * @param {Object} [options] - Session options
+ * @param {Object} [options.recordOptions] - Options passed to startRecording
+ * @param {Function} [options.onDestroy] - Called once the session is destroyed
+ * @param {Function} [options.onEvent] - Called with (event, payload) for every status event
+ * @param {Function} [options.createSessionId] - Called with 'start' or 'restart'; returns the session ID (defaults to a random UUID)
+ * @returns {Object} Session handle
+ */
+export function createSession(options = {}) {
+  const {
+    recordOptions = {},
+    onDestroy,
+    onEvent,
+    createSessionId = generateSessionId
+  } = options;
+
+  let state = 'idle';
+  let stopFn = null;
+  let sessionId = createSessionId('start');
+  const cleanups = [];
+  const diagnostics = new Map();
+  const events = createEmitter();
+
+  function emit(event, payload) {
+    events.emit(event, payload);
+    if (typeof onEvent === 'function') {
+      onEvent(event, payload);
+    }
+  }
+
+  function begin() {
+    if (!isRrwebAvailable()) {
+      return false;
+    }
+
+    stopFn = startRecording(recordOptions);
+    state = 'recording';
+    return true;
+  }
+
+  function halt() {
+    const wasActive = state === 'recording' || state === 'paused';
+    stopRecording(stopFn);
+    stopFn = null;
+    if (wasActive) {
+      emit('stopped', { sessionId });
+    }
+  }
+
+  const session = {
+    /**
+     * Start recording once rrweb is available
+     * @returns {boolean} true if recording started
+     */
+    start() {
+      if (state !== 'idle') {
+        return state === 'recording';
+      }
+      const started = begin();
+      if (started) {
+        emit('ready', { sessionId });
+      }
+      return started;
+    },
+
+    /**
+     * Stop recording. A stopped session can only be started again via restart()
+     */
+    stop() {
+      if (state === 'destroyed') return;
+      halt();
+      state = 'stopped';
+    },
+
+    /**
+     * Temporarily stop recording while keeping the current session ID
+     */
+    pause() {
+      if (state !== 'recording') return;
+      stopRecording(stopFn);
+      stopFn = null;
+      state = 'paused';
+    },
+
+    /**
+     * Resume a paused session. rrweb takes a fresh full snapshot on resume,
+     * and 'ready' fires again with resumed: true
+     */
+    resume() {
+      if (state !== 'paused') return;
+      if (begin()) {
+        emit('ready', { sessionId, resumed: true });
+      }
+    },
+
+    /**
+     * Stop the current recording and start a new session with a new ID
+     */
+    restart() {
+      if (state === 'destroyed') return;
+      halt();
+      sessionId = createSessionId('restart');
+      state = 'idle';
+      session.start();
+    },
+
+    /**
+     * Continue under another session ID, e.g. after an idle timeout or when
+     * another tab started a new session. A recording restarts with a full snapshot.
+     * @param {string} nextSessionId - Session ID to continue under
+     * @param {Object} [rotateOptions] - Options
+     * @param {boolean} [rotateOptions.record] - false to stop recording and wait idle, e.g. when the new session is sampled out (defaults to true)
+     */
+    rotate(nextSessionId, rotateOptions = {}) {
+      if (state === 'destroyed' || nextSessionId === sessionId) return;
+      if (state !== 'recording') {
+        sessionId = nextSessionId;
+        return;
+      }
+      halt();
+      sessionId = nextSessionId;
+      state = 'idle';
+      if (rotateOptions.record !== false) {
+        session.start();
+      }
+    },
+
+    /**
+     * Get the current session ID
+     * @returns {string}
+     */
+    getSessionId() {
+      return sessionId;
+    },
+
+    /**
+     * Get the current recording state
+     * @returns {'idle'|'recording'|'paused'|'stopped'|'destroyed'}
+     */
+    getState() {
+      return state;
+    },
+
+    /**
+     * Subscribe to a status event: 'ready', 'error' or 'stopped'
+     * @param {string} event - Event name
+     * @param {Function} handler - Event handler
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, handler) {
+      return events.on(event, handler);
+    },
+
+    /**
+     * Unsubscribe from a status event
+     * @param {string} event - Event name
+     * @param {Function} handler - Event handler
+     */
+    off(event, handler) {
+      events.off(event, handler);
+    },
+
+    /**
+     * Report a failure to 'error' subscribers
+     * @param {Error} error - The failure
+     */
+    reportError(error) {
+      emit('error', error);
+    },
+
+    /**
+     * Register a diagnostics provider reported by getDiagnostics()
+     * @param {string} name - Section name
+     * @param {Function} provider - Returns the section's current values
+     */
+    addDiagnostics(name, provider) {
+      diagnostics.set(name, provider);
+    },
+
+    /**
+     * Get the session's current diagnostics
+     * @returns {Object} sessionId, state and one entry per registered provider
+     */
+    getDiagnostics() {
+      const report = { sessionId, state };
+      diagnostics.forEach((provider, name) => {
+        try {
+          report[name] = provider();
+        } catch (error) {
+          report[name] = { error: error.message };
+        }
+      });
+      return report;
+    },
+
+    /**
+     * Register a teardown function to run on destroy()
+     * @param {Function} cleanup - Teardown function
+     */
+    addCleanup(cleanup) {
+      if (state === 'destroyed') {
+        cleanup();
+        return;
+      }
+      cleanups.push(cleanup);
+    },
+
+    /**
+     * Add an event listener that is removed on destroy()
+     * @param {EventTarget} target - Event target
+     * @param {string} type - Event type
+     * @param {Function} handler - Event handler
+     * @param {Object|boolean} [listenerOptions] - addEventListener options
+     */
+    listen(target, type, handler, listenerOptions) {
+      target.addEventListener(type, handler, listenerOptions);
+      session.addCleanup(() => target.removeEventListener(type, handler, listenerOptions));
+    },
+
+    /**
+     * Stop recording and tear down every listener registered by the session
+     */
+    destroy() {
+      if (state === 'destroyed') return;
+      halt();
+      state = 'destroyed';
+
+      while (cleanups.length) {
+        const cleanup = cleanups.pop();
+        try {
+          cleanup();
+        } catch (error) {
+          logger.warn('Session replay cleanup failed:', error);
+        }
+      }
+
+      events.clear();
+
+      if (typeof onDestroy === 'function') {
+        onDestroy(session);
+      }
+    }
+  };
+
+  return session;
+}
+
+// Default export
+export default {
+  createSession,
+  generateSessionId
+};
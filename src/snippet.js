@@ -0,0 +1,40 @@
+/**
+ * Inline loader snippet for the CDN build
+ *
+ * Pasted into the page as an inline <script>, it defines a stub
+ * window.ReplicaReplay that records calls in ReplicaReplay.q and loads the
+ * bundle asynchronously. src/cdn.js replays the queue in order once loaded.
+ * Stubbed calls return nothing: nobody could handle a rejected promise from a
+ * fire-and-forget call, so failures are logged once the bundle runs them.
+ *
+ * A plain ES5 script, not a module: build-cdn.cjs minifies it into
+ * build/cdn/snippet.min.js and fills in __REPLICA_REPLAY_SRC__.
+ * The minified snippet must stay under 1KB.
+ */
+
+(function (window, document, src) {
+  // Already loaded, or the snippet is on the page twice
+  if (window.ReplicaReplay) return;
+
+  var replay = window.ReplicaReplay = { q: [] };
+  var methods = [
+    'init', 'identify', 'track', 'flush', 'setMetadata', 'setTags', 'setRelease',
+    'setEnvironment', 'setConsent', 'optOut', 'optIn', 'on', 'off',
+    'addEventProcessor', 'beforeSend', 'registerPlugin',
+    'stop', 'pause', 'resume', 'restart'
+  ];
+
+  methods.forEach(function (method) {
+    replay[method] = function () {
+      replay.q.push([method, [].slice.call(arguments)]);
+    };
+  });
+
+  var script = document.createElement('script');
+  script.async = true;
+  script.src = src;
+  // Under a nonce-based CSP, the bundle reuses the snippet's nonce
+  var current = document.currentScript;
+  if (current && current.nonce) script.nonce = current.nonce;
+  document.head.appendChild(script);
+})(window, document, __REPLICA_REPLAY_SRC__);
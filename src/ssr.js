@@ -0,0 +1,144 @@
+/**
+ * Server-rendered state for session replay
+ * renderReplayScript() from @replica-replay/core/server puts the configuration,
+ * consent state, user identity and a first session token in a JSON script tag.
+ * The client picks it up, and every SDK copy on the page (npm bundle, CDN build)
+ * starts at most one session from it.
+ */
+
+import { tokenEndpoint } from './token.js';
+
+/**
+ * ID of the JSON script tag; must match STATE_ELEMENT_ID in server/index.cjs
+ */
+export const STATE_ELEMENT_ID = 'replica-replay-state';
+
+/**
+ * Expando on the state tag holding the session started from it.
+ * Symbol.for() so that separate bundles on the same page see the same key.
+ */
+const CLAIM = typeof Symbol === 'function' ? Symbol.for('replica-replay.ssr') : '__replicaReplaySsr';
+
+/**
+ * Read the server-rendered state, if the page has one
+ * @returns {Object|null} config, token, consent, user and nonce, plus the element; null without a valid state tag
+ */
+export function readServerState() {
+  if (typeof document === 'undefined' || typeof document.getElementById !== 'function') {
+    return null;
+  }
+
+  const element = document.getElementById(STATE_ELEMENT_ID);
+  if (!element) {
+    return null;
+  }
+
+  let state;
+  try {
+    state = JSON.parse(element.textContent);
+  } catch (error) {
+    return null;
+  }
+  if (!state || typeof state !== 'object' || !state.config || typeof state.config.projectKey !== 'string') {
+    return null;
+  }
+
+  return {
+    config: state.config,
+    token: state.token || null,
+    consent: state.consent,
+    user: state.user || null,
+    // Browsers hide the nonce attribute from the DOM, but keep the property
+    nonce: element.nonce || undefined,
+    element
+  };
+}
+
+/**
+ * Create a getToken function that hands out the server-rendered token first,
+ * then fetches fresh ones from the token URL
+ * @param {Object|null} token - { token, expiresAt } from the server
+ * @param {string} [tokenUrl] - Token endpoint for refreshes
+ * @returns {Function} getToken
+ */
+function createServerTokenSource(token, tokenUrl) {
+  let initial = token;
+  const fetchToken = tokenUrl ? tokenEndpoint(tokenUrl) : null;
+
+  return () => {
+    // A page served from cache may carry a token that has already expired
+    if (initial && initial.expiresAt > Date.now()) {
+      const result = initial;
+      initial = null;
+      return result;
+    }
+    initial = null;
+    if (!fetchToken) {
+      throw new Error('The server-rendered session token has expired; pass tokenUrl to renderReplayScript() so it can be refreshed');
+    }
+    return fetchToken();
+  };
+}
+
+/**
+ * Fill in configuration the caller left out from the server-rendered state.
+ * Options passed on the client win; a state for another project is ignored.
+ * @param {Object} config - Configuration passed to initSessionReplay
+ * @param {Object} state - State from readServerState()
+ * @returns {Object} Merged configuration
+ */
+export function mergeServerState(config, state) {
+  if (config.projectKey && config.projectKey !== state.config.projectKey) {
+    return config;
+  }
+
+  const { tokenUrl, ...serverConfig } = state.config;
+  const merged = { ...serverConfig };
+  Object.keys(config).forEach((key) => {
+    // Options left undefined, e.g. missing data attributes, keep the server's value
+    if (config[key] !== undefined) merged[key] = config[key];
+  });
+  if (!config.getToken && merged.mode !== 'local' && (state.token || tokenUrl)) {
+    merged.getToken = createServerTokenSource(state.token, tokenUrl);
+  }
+  if (config.nonce === undefined && state.nonce) {
+    merged.nonce = state.nonce;
+  }
+  if (config.consent === undefined && state.consent) {
+    merged.consent = state.consent;
+  }
+  return merged;
+}
+
+/**
+ * Get the session another SDK copy on the page started from the state
+ * @param {Object} state - State from readServerState()
+ * @returns {Object|null} projectKey and promise of the session handle
+ */
+export function getServerStateClaim(state) {
+  return state.element[CLAIM] || null;
+}
+
+/**
+ * Record the session started from the state, so other SDK copies reuse it
+ * @param {Object} state - State from readServerState()
+ * @param {Object} claim - projectKey and promise of the session handle
+ * @returns {Function} Releases the claim, if it is still this one
+ */
+export function claimServerState(state, claim) {
+  state.element[CLAIM] = claim;
+  return () => {
+    if (state.element[CLAIM] === claim) {
+      delete state.element[CLAIM];
+    }
+  };
+}
+
+// Default export
+export default {
+  STATE_ELEMENT_ID,
+  readServerState,
+  mergeServerState,
+  getServerStateClaim,
+  claimServerState
+};
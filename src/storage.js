@@ -0,0 +1,336 @@
+/**
+ * Persistent batch storage for session replay
+ * Keeps pending upload batches in IndexedDB, falling back to localStorage
+ * and then memory, so crashed tabs and flaky connections don't lose sessions
+ *
+ * Every tab of a project shares the store, so each batch is tagged with the
+ * uploader that owns it, and each owner renews a lease while it runs. A tab
+ * only takes over batches of other owners whose lease has run out; its own
+ * batches are still in its memory, possibly on the wire.
+ *
+ * Each batch is stored with the session token it was sealed under, so a tab
+ * that takes it over does not send it as its own session's.
+ */
+
+import { logger } from './logger.js';
+
+const DB_NAME = 'replica-replay';
+const STORE_NAME = 'batches';
+const LOCAL_STORAGE_PREFIX = 'replica-replay:queue:';
+const LEASE_STORAGE_PREFIX = 'replica-replay:leases:';
+
+/**
+ * How long an owner keeps its batches without renewing its lease.
+ * Browsers may run timers in hidden tabs only once a minute.
+ */
+export const LEASE_DURATION = 3 * 60 * 1000;
+
+/**
+ * Check if a stored batch may be taken over by an owner
+ * @param {Object} batch - Stored batch
+ * @param {string} owner - Owner taking over
+ * @param {Object} leases - Lease expiry times by owner
+ * @param {number} now - Current time
+ * @returns {boolean}
+ */
+function isClaimable(batch, owner, leases, now) {
+  // Batches persisted before ownership existed have no owner
+  return batch.owner !== owner && (!batch.owner || !(leases[batch.owner] > now));
+}
+
+/**
+ * Build a stored record from a batch
+ * @param {Object} batch - Event batch
+ * @param {string} owner - Uploader that owns the batch
+ * @param {string|null} token - Session token the batch was sealed under
+ * @returns {Object} Record
+ */
+function toRecord(batch, owner, token) {
+  return token ? { ...batch, owner, sessionToken: token } : { ...batch, owner };
+}
+
+/**
+ * Split a stored record into its batch and token
+ * @param {Object} record - Stored record
+ * @returns {Object} batch, and token or null
+ */
+function fromRecord(record) {
+  const { namespace: _namespace, owner: _owner, sessionToken, ...batch } = record;
+  return { batch, token: sessionToken || null };
+}
+
+/**
+ * Wrap an IDBRequest in a Promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>}
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open the session replay database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  const request = indexedDB.open(DB_NAME, 1);
+  request.onupgradeneeded = () => {
+    const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+    store.createIndex('namespace', 'namespace');
+  };
+  return promisifyRequest(request);
+}
+
+/**
+ * Batch store backed by IndexedDB
+ * Leases are records of their own in a separate namespace.
+ * @param {string} namespace - Separates batches of different projects
+ * @param {string} owner - Uploader that owns the batches it puts
+ * @param {number} leaseDuration - Milliseconds a lease lasts without renewal
+ * @returns {Object} Store
+ */
+function createIndexedDBStore(namespace, owner, leaseDuration) {
+  const leaseNamespace = LEASE_STORAGE_PREFIX + namespace;
+  const leaseId = leaseNamespace + ':' + owner;
+  let dbPromise = null;
+
+  function withStore(mode, fn) {
+    if (!dbPromise) {
+      dbPromise = openDatabase();
+    }
+    return dbPromise.then((db) => {
+      const tx = db.transaction(STORE_NAME, mode);
+      return fn(tx.objectStore(STORE_NAME));
+    });
+  }
+
+  return {
+    type: 'indexeddb',
+    put: (batch, token) => withStore('readwrite', (store) => promisifyRequest(store.put({ ...toRecord(batch, owner, token), namespace }))),
+    remove: (id) => withStore('readwrite', (store) => promisifyRequest(store.delete(id))),
+    heartbeat: () => withStore('readwrite', (store) => promisifyRequest(
+      store.put({ id: leaseId, namespace: leaseNamespace, owner, expiresAt: Date.now() + leaseDuration })
+    )),
+    release: () => withStore('readwrite', (store) => promisifyRequest(store.delete(leaseId))),
+    // One readwrite transaction, so two tabs never take over the same batch
+    claim: () => withStore('readwrite', async (store) => {
+      const index = store.index('namespace');
+      const [leaseRecords, batches] = await Promise.all([
+        promisifyRequest(index.getAll(leaseNamespace)),
+        promisifyRequest(index.getAll(namespace))
+      ]);
+      const now = Date.now();
+      const leases = {};
+      leaseRecords.forEach((lease) => {
+        if (lease.expiresAt > now) {
+          leases[lease.owner] = lease.expiresAt;
+        } else {
+          store.delete(lease.id);
+        }
+      });
+
+      const claimed = batches.filter((batch) => isClaimable(batch, owner, leases, now));
+      claimed.forEach((batch) => store.put({ ...batch, owner }));
+      return claimed.map(fromRecord);
+    })
+  };
+}
+
+/**
+ * Batch store backed by localStorage
+ * @param {string} namespace - Separates batches of different projects
+ * @param {string} owner - Uploader that owns the batches it puts
+ * @param {number} leaseDuration - Milliseconds a lease lasts without renewal
+ * @param {number} maxBatches - Oldest batches are dropped beyond this count
+ * @returns {Object} Store
+ */
+function createLocalStorageStore(namespace, owner, leaseDuration, maxBatches) {
+  const key = LOCAL_STORAGE_PREFIX + namespace;
+  const leaseKey = LEASE_STORAGE_PREFIX + namespace;
+
+  function read() {
+    try {
+      return JSON.parse(localStorage.getItem(key)) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  // Drops expired leases, so owners that went away don't pile up
+  function updateLeases(fn) {
+    let leases;
+    try {
+      leases = JSON.parse(localStorage.getItem(leaseKey)) || {};
+    } catch (error) {
+      leases = {};
+    }
+    const now = Date.now();
+    Object.keys(leases).forEach((leaseOwner) => {
+      if (!(leases[leaseOwner] > now)) delete leases[leaseOwner];
+    });
+    fn(leases, now);
+    try {
+      if (Object.keys(leases).length === 0) {
+        localStorage.removeItem(leaseKey);
+      } else {
+        localStorage.setItem(leaseKey, JSON.stringify(leases));
+      }
+    } catch (error) {
+      logger.warn('Session replay could not renew its upload lease:', error);
+    }
+    return leases;
+  }
+
+  function write(batches) {
+    try {
+      if (batches.length === 0) {
+        localStorage.removeItem(key);
+      } else {
+        localStorage.setItem(key, JSON.stringify(batches));
+      }
+    } catch (error) {
+      // Quota exceeded: keep the newest half and try once more
+      try {
+        localStorage.setItem(key, JSON.stringify(batches.slice(Math.floor(batches.length / 2))));
+      } catch (retryError) {
+        logger.warn('Session replay could not persist pending uploads:', retryError);
+      }
+    }
+  }
+
+  return {
+    type: 'localstorage',
+    async put(batch, token) {
+      const batches = read().filter((stored) => stored.id !== batch.id);
+      batches.push(toRecord(batch, owner, token));
+      write(batches.slice(-maxBatches));
+    },
+    async remove(id) {
+      write(read().filter((stored) => stored.id !== id));
+    },
+    async heartbeat() {
+      updateLeases((leases, now) => {
+        leases[owner] = now + leaseDuration;
+      });
+    },
+    async release() {
+      updateLeases((leases) => {
+        delete leases[owner];
+      });
+    },
+    async claim() {
+      const now = Date.now();
+      const leases = updateLeases(() => {});
+      const batches = read();
+      const claimed = batches.filter((batch) => isClaimable(batch, owner, leases, now));
+      if (claimed.length > 0) {
+        write(batches.map((batch) => (claimed.includes(batch) ? { ...batch, owner } : batch)));
+      }
+      return claimed.map(fromRecord);
+    }
+  };
+}
+
+/**
+ * Batch store that only lives as long as the page.
+ * Nothing is shared between tabs, so leases are no-ops and there is never
+ * anything to take over.
+ * @returns {Object} Store
+ */
+function createMemoryStore() {
+  return {
+    type: 'memory',
+    async put() {},
+    async remove() {},
+    async heartbeat() {},
+    async release() {},
+    async claim() {
+      return [];
+    }
+  };
+}
+
+/**
+ * Check if IndexedDB can be used
+ * @returns {boolean}
+ */
+function isIndexedDBAvailable() {
+  try {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check if localStorage can be used (it throws in some privacy modes)
+ * @returns {boolean}
+ */
+function isLocalStorageAvailable() {
+  try {
+    const probe = LOCAL_STORAGE_PREFIX + 'probe';
+    localStorage.setItem(probe, '1');
+    localStorage.removeItem(probe);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Create the best available batch store
+ * @param {Object} options - Store options
+ * @param {string} options.namespace - Separates batches of different projects
+ * @param {string} options.owner - Uploader that owns the batches it puts, unique per page load
+ * @param {boolean} [options.persist] - Set to false to keep batches in memory only
+ * @param {number} [options.leaseDuration] - Milliseconds a lease lasts without a heartbeat (defaults to LEASE_DURATION)
+ * @param {number} [options.maxBatches] - localStorage keeps at most this many batches (defaults to 50)
+ * @returns {Object} Store with put(batch, token), remove, heartbeat, release and claim, all returning
+ * Promises; claim() takes over the batches of other owners whose lease has run out, and returns
+ * them as { batch, token }
+ */
+export function createBatchStore(options) {
+  const { namespace, owner, persist = true, leaseDuration = LEASE_DURATION, maxBatches = 50 } = options;
+
+  if (persist && isIndexedDBAvailable()) {
+    const indexedDBStore = createIndexedDBStore(namespace, owner, leaseDuration);
+    let fallback = null;
+
+    // Private browsing modes can expose indexedDB but fail on open
+    const withFallback = (method) => (...args) => {
+      if (fallback) {
+        return fallback[method](...args);
+      }
+      return indexedDBStore[method](...args).catch(() => {
+        fallback = isLocalStorageAvailable()
+          ? createLocalStorageStore(namespace, owner, leaseDuration, maxBatches)
+          : createMemoryStore();
+        return fallback[method](...args);
+      });
+    };
+
+    return {
+      type: 'indexeddb',
+      put: withFallback('put'),
+      remove: withFallback('remove'),
+      heartbeat: withFallback('heartbeat'),
+      release: withFallback('release'),
+      claim: withFallback('claim')
+    };
+  }
+
+  if (persist && isLocalStorageAvailable()) {
+    return createLocalStorageStore(namespace, owner, leaseDuration, maxBatches);
+  }
+
+  return createMemoryStore();
+}
+
+// Default export
+export default {
+  LEASE_DURATION,
+  createBatchStore
+};
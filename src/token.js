@@ -0,0 +1,230 @@
+/**
+ * Session tokens for session replay
+ * The browser only knows the projectKey; short-lived tokens signed with the
+ * secret key come from the customer's own endpoint through getToken() and are
+ * refreshed before they expire
+ */
+
+import { getRetryDelay } from './uploader.js';
+import { logger } from './logger.js';
+
+/**
+ * Tokens are refreshed this long before they expire
+ */
+const REFRESH_MARGIN = 60 * 1000;
+
+/**
+ * Lifetime assumed for tokens that carry no expiry
+ */
+const DEFAULT_TOKEN_LIFETIME = 5 * 60 * 1000;
+
+/**
+ * Shortest wait between refreshes, so a token that is almost expired on arrival
+ * does not cause a refresh loop
+ */
+const MIN_REFRESH_DELAY = 5 * 1000;
+
+/**
+ * Retry delays for a failed refresh
+ */
+const RETRY_BASE_DELAY = 2000;
+const MAX_RETRY_DELAY = 60 * 1000;
+
+/**
+ * Read the claims of a JWT without verifying them; only the server can do that
+ * @param {string} token - Token
+ * @returns {Object|null} Claims, or null if the token is not a JWT
+ */
+function decodeTokenClaims(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) return null;
+  try {
+    const base64 = parts[1].replace(/-/g, '+').replace(/_/g, '/');
+    const claims = JSON.parse(atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4)));
+    return claims && typeof claims === 'object' ? claims : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read the expiry of a JWT without verifying it
+ * @param {string} token - Token
+ * @returns {number|null} Expiry in milliseconds since the epoch, or null if the token has none
+ */
+export function decodeTokenExpiry(token) {
+  const claims = decodeTokenClaims(token);
+  return claims && typeof claims.exp === 'number' ? claims.exp * 1000 : null;
+}
+
+/**
+ * Turn what getToken() returned into a token and its expiry
+ * @param {string|Object} result - A token, or { token, expiresAt }
+ * @returns {Object} token and expiresAt
+ * @throws {Error} When no token was returned
+ */
+function normalizeToken(result) {
+  const token = typeof result === 'string' ? result : result && result.token;
+  if (!token || typeof token !== 'string') {
+    throw new Error('getToken must resolve with a token string or { token, expiresAt }');
+  }
+  const expiresAt = result && typeof result.expiresAt === 'number'
+    ? result.expiresAt
+    : decodeTokenExpiry(token) || Date.now() + DEFAULT_TOKEN_LIFETIME;
+  return { token, expiresAt };
+}
+
+/**
+ * Create a getToken function that fetches tokens from an endpoint
+ * answering with JSON { token, expiresAt }, such as createTokenHandler()
+ * from @replica-replay/core/server
+ * @param {string} url - Token endpoint URL
+ * @param {Object} [options] - Request options
+ * @param {string} [options.credentials] - fetch credentials mode (defaults to 'same-origin')
+ * @param {Object} [options.headers] - Extra request headers
+ * @returns {Function} getToken
+ */
+export function tokenEndpoint(url, options = {}) {
+  if (!url || typeof url !== 'string') {
+    throw new Error('tokenEndpoint requires a URL');
+  }
+
+  return async () => {
+    const response = await fetch(url, {
+      method: 'GET',
+      headers: { Accept: 'application/json', ...options.headers },
+      credentials: options.credentials || 'same-origin'
+    });
+    if (!response.ok) {
+      throw new Error(`Token request failed: ${response.status}`);
+    }
+    return response.json();
+  };
+}
+
+/**
+ * Create a token manager
+ * @param {Object} options - Manager options
+ * @param {Function} options.getToken - Returns a token, { token, expiresAt }, or a promise of either
+ * @param {Function} [options.isActive] - Whether tokens are still needed; refreshes skip while it returns false
+ * @returns {Object} Manager with get, current, forBatch, getInfo and destroy
+ */
+export function createTokenManager(options) {
+  const { getToken, isActive = () => true } = options;
+
+  let current = null;
+  let pending = null;
+  let timer = null;
+  let failures = 0;
+  let destroyed = false;
+
+  function schedule(delay) {
+    clearTimeout(timer);
+    timer = null;
+    if (destroyed) return;
+    timer = setTimeout(() => {
+      timer = null;
+      if (!isActive()) {
+        // Fetched again on the next get()
+        return;
+      }
+      refresh().catch(() => {});
+    }, delay);
+  }
+
+  function refresh() {
+    if (!pending) {
+      pending = Promise.resolve()
+        .then(() => getToken())
+        .then((result) => {
+          pending = null;
+          current = normalizeToken(result);
+          failures = 0;
+          schedule(Math.max(MIN_REFRESH_DELAY, current.expiresAt - Date.now() - REFRESH_MARGIN));
+          return current.token;
+        }, (error) => {
+          pending = null;
+          logger.warn('Session replay could not get a session token:', error);
+          // Keep trying while the current token, if any, is still good
+          schedule(getRetryDelay(failures++, RETRY_BASE_DELAY, MAX_RETRY_DELAY));
+          throw error;
+        });
+    }
+    return pending;
+  }
+
+  function isValid() {
+    return !!current && current.expiresAt > Date.now();
+  }
+
+  return {
+    /**
+     * Get a valid token, fetching one if needed
+     * @returns {Promise<string>}
+     */
+    get() {
+      if (isValid() && (timer !== null || pending)) {
+        return Promise.resolve(current.token);
+      }
+      return refresh();
+    },
+
+    /**
+     * Get the cached token without fetching, e.g. during page unload
+     * @returns {string|null} The token, or null if there is none or it has expired
+     */
+    current() {
+      return isValid() ? current.token : null;
+    },
+
+    /**
+     * Choose the token for a batch sealed under an earlier token, e.g. one
+     * restored from a tab that crashed. The batch keeps its own token while that
+     * is valid; after that only a token for the same user may stand in for it.
+     * @param {string|null} signedWith - Token that was current when the batch was sealed
+     * @param {string|null} token - Current token
+     * @returns {string|null} Token to send the batch with, or null if none may be used
+     */
+    forBatch(signedWith, token) {
+      if (!signedWith || signedWith === token) {
+        return token;
+      }
+      const expiresAt = decodeTokenExpiry(signedWith);
+      if (expiresAt !== null && expiresAt > Date.now()) {
+        return signedWith;
+      }
+      const claims = decodeTokenClaims(signedWith) || {};
+      const currentClaims = decodeTokenClaims(token) || {};
+      return token && claims.sub === currentClaims.sub && claims.uid === currentClaims.uid ? token : null;
+    },
+
+    /**
+     * Get token diagnostics; never the token itself
+     * @returns {Object} hasToken, expiresAt and failures
+     */
+    getInfo() {
+      return {
+        hasToken: isValid(),
+        expiresAt: current ? current.expiresAt : null,
+        failures
+      };
+    },
+
+    /**
+     * Stop refreshing and forget the token
+     */
+    destroy() {
+      destroyed = true;
+      clearTimeout(timer);
+      timer = null;
+      current = null;
+    }
+  };
+}
+
+// Default export
+export default {
+  decodeTokenExpiry,
+  tokenEndpoint,
+  createTokenManager
+};
@@ -0,0 +1,99 @@
+/**
+ * Custom event tracking for session replay
+ * Validates product events such as "checkout_started" before they are written
+ * into the recording as rrweb custom events
+ */
+
+/**
+ * Custom event tags the SDK writes itself
+ */
+export const RESERVED_EVENT_NAMES = ['session', 'metadata', 'visibility', 'console', 'error', 'network', 'vitals', 'performance', 'pageview', 'trigger'];
+
+const MAX_NAME_LENGTH = 128;
+const MAX_PROPERTIES_BYTES = 8 * 1024;
+const MAX_DEPTH = 5;
+
+/**
+ * Check that a value only holds JSON types, with no cycles or deep nesting
+ * @param {*} value - Value to check
+ * @param {string} path - Property path for error messages
+ * @param {number} depth - Current depth
+ * @param {Set} seen - Objects on the current path
+ */
+function assertJsonValue(value, path, depth, seen) {
+  if (value === null || typeof value === 'string' || typeof value === 'boolean') {
+    return;
+  }
+  if (typeof value === 'number') {
+    if (!isFinite(value)) {
+      throw new Error(`Property "${path}" must be a finite number`);
+    }
+    return;
+  }
+  if (typeof value !== 'object') {
+    throw new Error(`Property "${path}" is a ${typeof value}, which is not JSON-serializable`);
+  }
+
+  const prototype = Object.getPrototypeOf(value);
+  if (!Array.isArray(value) && prototype !== Object.prototype && prototype !== null) {
+    throw new Error(`Property "${path}" must be a plain object, array or primitive`);
+  }
+  if (depth >= MAX_DEPTH) {
+    throw new Error(`Property "${path}" is nested more than ${MAX_DEPTH} levels deep`);
+  }
+  if (seen.has(value)) {
+    throw new Error(`Property "${path}" contains a circular reference`);
+  }
+
+  seen.add(value);
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => assertJsonValue(item, `${path}[${index}]`, depth + 1, seen));
+  } else {
+    for (const key of Object.keys(value)) {
+      assertJsonValue(value[key], `${path}.${key}`, depth + 1, seen);
+    }
+  }
+  seen.delete(value);
+}
+
+/**
+ * Validate a tracked event and return a copy of its properties
+ * @param {string} name - Event name, e.g. 'checkout_started'
+ * @param {Object} [properties] - Event properties
+ * @returns {Object} Copy of the properties
+ * @throws {Error} If the name or properties are invalid
+ */
+export function normalizeTrackEvent(name, properties) {
+  if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+    throw new Error(`Event name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+  }
+  if (RESERVED_EVENT_NAMES.indexOf(name) !== -1) {
+    throw new Error(`Event name "${name}" is reserved. Reserved names: ${RESERVED_EVENT_NAMES.join(', ')}`);
+  }
+
+  if (properties === undefined || properties === null) {
+    return {};
+  }
+  if (typeof properties !== 'object' || Array.isArray(properties)) {
+    throw new Error('Event properties must be an object');
+  }
+
+  for (const key of Object.keys(properties)) {
+    assertJsonValue(properties[key], key, 1, new Set([properties]));
+  }
+
+  const json = JSON.stringify(properties);
+  const bytes = typeof TextEncoder !== 'undefined' ? new TextEncoder().encode(json).length : json.length;
+  if (bytes > MAX_PROPERTIES_BYTES) {
+    throw new Error(`Event properties are ${bytes} bytes; the limit is ${MAX_PROPERTIES_BYTES}`);
+  }
+
+  // A copy, so later changes by the caller don't alter the buffered event
+  return JSON.parse(json);
+}
+
+// Default export
+export default {
+  RESERVED_EVENT_NAMES,
+  normalizeTrackEvent
+};
@@ -0,0 +1,222 @@
+/**
+ * Transports for session replay
+ * A transport receives batches of recorded events and delivers them somewhere.
+ * Any object with a send(batch, sendOptions) method returning a Promise can be used.
+ * sendOptions.compression carries the SDK's compression setting; a transport may
+ * resolve with { rawBytes, encodedBytes } so diagnostics can report the ratio.
+ * sendOptions.token carries the session token when getToken is configured.
+ * Transports reject with an UploadError so the uploader knows whether to retry.
+ *
+ * Transports may also implement sendUnload(batch, sendOptions), a synchronous
+ * best-effort send used while the page is being hidden or unloaded. It returns
+ * false if the browser refused the request.
+ */
+
+import { UploadError } from './errors.js';
+import { encodeBatch } from './compression.js';
+import { byteLength, UNLOAD_QUOTA_BYTES } from './uploader.js';
+
+/**
+ * Serialize a batch for the wire
+ * @param {Object} batch - Event batch
+ * @returns {string}
+ */
+function serializeBatch(batch) {
+  return JSON.stringify(batch);
+}
+
+/**
+ * Parse a Retry-After header into milliseconds
+ * @param {string|null} value - Header value, in seconds or as an HTTP date
+ * @returns {number|undefined}
+ */
+export function parseRetryAfter(value) {
+  if (!value) {
+    return undefined;
+  }
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Get the Authorization header for a session token
+ * @param {Object} sendOptions - Options passed to send or sendUnload
+ * @returns {Object} Headers
+ */
+function getAuthHeaders(sendOptions) {
+  return sendOptions && sendOptions.token ? { Authorization: `Bearer ${sendOptions.token}` } : {};
+}
+
+/**
+ * Send batches as JSON with fetch.
+ * A session token, if configured, is sent as a Bearer Authorization header.
+ * @param {string} url - Endpoint URL
+ * @param {Object} [options] - Transport options
+ * @param {Object} [options.headers] - Extra request headers
+ * @param {string} [options.credentials] - fetch credentials mode (defaults to 'omit')
+ * @param {'gzip'|'none'} [options.compression] - Overrides the SDK's compression setting
+ * @returns {Object} Transport
+ */
+export function fetchTransport(url, options = {}) {
+  if (!url || typeof url !== 'string') {
+    throw new Error('fetchTransport requires a URL');
+  }
+
+  return {
+    name: 'fetch',
+    url,
+    async send(batch, sendOptions = {}) {
+      const compression = options.compression || sendOptions.compression || 'none';
+      const encoded = await encodeBatch(batch, compression);
+
+      let response;
+      try {
+        response = await fetch(url, {
+          method: 'POST',
+          headers: { ...encoded.headers, ...getAuthHeaders(sendOptions), ...options.headers },
+          credentials: options.credentials || 'omit',
+          body: encoded.body
+        });
+      } catch (error) {
+        throw new UploadError(`Upload request failed: ${error.message}`, { cause: error });
+      }
+
+      if (!response.ok) {
+        throw new UploadError(`Upload failed: ${response.status}`, {
+          status: response.status,
+          retryAfter: parseRetryAfter(response.headers.get('Retry-After'))
+        });
+      }
+
+      return {
+        compression: encoded.compression,
+        rawBytes: encoded.rawBytes,
+        encodedBytes: encoded.encodedBytes
+      };
+    },
+    sendUnload(batch, sendOptions = {}) {
+      // keepalive lets the request outlive the page, like sendBeacon.
+      // Unload sends are synchronous, so they are never compressed.
+      const body = serializeBatch(batch);
+      if (typeof fetch !== 'function' || byteLength(body) > UNLOAD_QUOTA_BYTES) {
+        return false;
+      }
+      try {
+        fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...getAuthHeaders(sendOptions), ...options.headers },
+          credentials: options.credentials || 'omit',
+          body,
+          keepalive: true
+        }).catch(() => {});
+      } catch (error) {
+        return false;
+      }
+      return true;
+    }
+  };
+}
+
+/**
+ * Send batches with navigator.sendBeacon.
+ * Beacons cannot carry headers, so session tokens are not sent.
+ * @param {string} url - Endpoint URL
+ * @returns {Object} Transport
+ */
+export function beaconTransport(url) {
+  if (!url || typeof url !== 'string') {
+    throw new Error('beaconTransport requires a URL');
+  }
+
+  const transport = {
+    name: 'beacon',
+    url,
+    async send(batch) {
+      if (typeof navigator === 'undefined' || typeof navigator.sendBeacon !== 'function') {
+        throw new UploadError('sendBeacon is not supported', { retryable: false });
+      }
+
+      if (!transport.sendUnload(batch)) {
+        throw new UploadError('sendBeacon was rejected by the browser');
+      }
+    },
+    sendUnload(batch) {
+      if (typeof navigator === 'undefined' || typeof navigator.sendBeacon !== 'function') {
+        return false;
+      }
+      const blob = new Blob([serializeBatch(batch)], { type: 'application/json' });
+      return navigator.sendBeacon(url, blob);
+    }
+  };
+
+  return transport;
+}
+
+/**
+ * Keep batches in memory, for tests and local debugging
+ * @returns {Object} Transport with batches, getEvents() and clear()
+ */
+export function memoryTransport() {
+  const transport = {
+    name: 'memory',
+    batches: [],
+    async send(batch) {
+      transport.batches.push(batch);
+    },
+    /**
+     * Get every event from every batch, in order
+     * @returns {Array<Object>}
+     */
+    getEvents() {
+      return transport.batches.reduce((events, batch) => events.concat(batch.events), []);
+    },
+    clear() {
+      transport.batches.length = 0;
+    }
+  };
+
+  return transport;
+}
+
+/**
+ * Hand batches to a callback
+ * @param {Function} callback - Called with each batch; may return a Promise
+ * @returns {Object} Transport
+ */
+export function callbackTransport(callback) {
+  if (typeof callback !== 'function') {
+    throw new Error('callbackTransport requires a function');
+  }
+
+  return {
+    name: 'callback',
+    async send(batch) {
+      await callback(batch);
+    }
+  };
+}
+
+/**
+ * Check if a value can be used as a transport
+ * @param {*} transport - Candidate transport
+ * @returns {boolean}
+ */
+export function isTransport(transport) {
+  return !!transport && typeof transport.send === 'function';
+}
+
+// Default export
+export default {
+  fetchTransport,
+  beaconTransport,
+  memoryTransport,
+  callbackTransport,
+  isTransport,
+  parseRetryAfter
+};
@@ -0,0 +1,504 @@
+/**
+ * Event uploader for session replay
+ * Buffers recorded events, seals them into batches by count, size and time,
+ * and delivers the batches through a transport with retries. Pending batches
+ * are persisted so they survive offline periods and crashed tabs.
+ */
+
+import { createBatchStore } from './storage.js';
+import { isOnline, isConstrainedNetwork } from './browser.js';
+import { generateSessionId } from './session.js';
+import { UploadError } from './errors.js';
+import { logger } from './logger.js';
+
+/**
+ * Batch limits are divided by this on saveData and 2g connections
+ */
+const CONSTRAINED_NETWORK_DIVISOR = 4;
+
+/**
+ * sendBeacon and keepalive fetch refuse bodies over 64KB; leave room for the envelope
+ */
+const MAX_UNLOAD_BYTES = 60 * 1024;
+
+/**
+ * All beacons and keepalive requests in flight share one 64KB quota; the
+ * browser refuses the rest, usually without telling the caller in time
+ */
+export const UNLOAD_QUOTA_BYTES = 64 * 1024;
+
+/**
+ * Unload sends older than this are assumed to have left the quota
+ */
+const UNLOAD_QUOTA_WINDOW = 30 * 1000;
+
+/**
+ * Milliseconds between renewals of the uploader's lease on its persisted
+ * batches; well inside the store's LEASE_DURATION
+ */
+const HEARTBEAT_INTERVAL = 30 * 1000;
+
+/**
+ * Get the UTF-8 byte length of a string
+ * @param {string} value - String to measure
+ * @returns {number}
+ */
+export function byteLength(value) {
+  if (typeof TextEncoder !== 'undefined') {
+    return new TextEncoder().encode(value).length;
+  }
+  return unescape(encodeURIComponent(value)).length;
+}
+
+/**
+ * Split a batch into parts whose serialized size stays under maxBytes.
+ * A single event larger than maxBytes still gets a part of its own.
+ * @param {Object} batch - Event batch
+ * @param {number} maxBytes - Size limit per part
+ * @returns {Array<Object>} Parts, each a batch with part and parts fields
+ */
+export function splitBatch(batch, maxBytes) {
+  const envelopeBytes = byteLength(JSON.stringify({ ...batch, events: [], part: 0, parts: 0 }));
+  const groups = [];
+  let current = [];
+  let currentBytes = envelopeBytes;
+
+  for (const event of batch.events) {
+    const eventBytes = byteLength(JSON.stringify(event)) + 1;
+    if (current.length > 0 && currentBytes + eventBytes > maxBytes) {
+      groups.push(current);
+      current = [];
+      currentBytes = envelopeBytes;
+    }
+    current.push(event);
+    currentBytes += eventBytes;
+  }
+  if (current.length > 0) {
+    groups.push(current);
+  }
+
+  if (groups.length <= 1) {
+    return [batch];
+  }
+
+  return groups.map((events, index) => ({
+    ...batch,
+    id: `${batch.id}-${index}`,
+    part: index,
+    parts: groups.length,
+    events
+  }));
+}
+
+/**
+ * Estimate the serialized size of an event in bytes
+ * @param {Object} event - rrweb event
+ * @returns {number}
+ */
+function estimateSize(event) {
+  try {
+    return JSON.stringify(event).length;
+  } catch (error) {
+    return 0;
+  }
+}
+
+/**
+ * Get the delay before a retry, with exponential backoff and jitter
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {number} baseDelay - Delay of the first retry in milliseconds
+ * @param {number} maxDelay - Upper bound in milliseconds
+ * @returns {number} Delay in milliseconds, between half and all of the backoff
+ */
+export function getRetryDelay(attempt, baseDelay, maxDelay) {
+  const backoff = Math.min(maxDelay, baseDelay * Math.pow(2, attempt));
+  return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+}
+
+/**
+ * Create an uploader
+ * @param {Object} options - Uploader options
+ * @param {Object} options.transport - Transport with a send(batch) method
+ * @param {Function} [options.getContext] - Returns fields merged into every batch (e.g. sessionId)
+ * @param {string} [options.namespace] - Separates persisted batches of different projects
+ * @param {boolean} [options.persist] - Persist pending batches in IndexedDB/localStorage (defaults to true)
+ * @param {number} [options.batchSize] - Events per batch (defaults to 50)
+ * @param {number} [options.maxBatchBytes] - Approximate bytes per batch (defaults to 512KB)
+ * @param {number} [options.flushInterval] - Milliseconds between flushes (defaults to 5000)
+ * @param {number} [options.maxRetries] - Retries per batch before it is dropped (defaults to 5)
+ * @param {number} [options.retryBaseDelay] - Delay of the first retry in milliseconds (defaults to 1000)
+ * @param {number} [options.maxRetryDelay] - Longest delay between retries in milliseconds (defaults to 60000)
+ * @param {'gzip'|'none'} [options.compression] - Passed to the transport (defaults to 'none')
+ * @param {Function} [options.beforeSend] - Called with each sealed batch; returns the batch to
+ * send, null to drop it, or a promise of either
+ * @param {Object} [options.tokens] - Token manager; its token is passed to the transport as sendOptions.token,
+ * and each batch keeps the token it was sealed under
+ * @returns {Object} Uploader with push, flush, flushOnUnload, getStats and destroy
+ */
+export function createUploader(options) {
+  const {
+    transport,
+    getContext = () => ({}),
+    namespace = 'default',
+    persist = true,
+    batchSize = 50,
+    maxBatchBytes = 512 * 1024,
+    flushInterval = 5000,
+    maxRetries = 5,
+    retryBaseDelay = 1000,
+    maxRetryDelay = 60000,
+    compression = 'none',
+    beforeSend = null,
+    tokens = null
+  } = options;
+
+  // Other tabs of the project share the store; they leave this page load's batches alone
+  const store = createBatchStore({ namespace, owner: generateSessionId(), persist });
+  const queue = [];
+  // IDs of batches this uploader holds, from sealing or restoring until their removal from the store settles
+  const held = new Set();
+  const stats = { sent: 0, dropped: 0, filtered: 0, retries: 0, rawBytes: 0, encodedBytes: 0 };
+
+  let buffer = [];
+  let bufferBytes = 0;
+  let sequence = 0;
+  let flushTimer = null;
+  let retryTimer = null;
+  let draining = null;
+  let inFlight = null;
+  let destroyed = false;
+  let unloadBytes = 0;
+  let unloadAt = 0;
+
+  function getLimits() {
+    if (isConstrainedNetwork()) {
+      return {
+        count: Math.max(1, Math.floor(batchSize / CONSTRAINED_NETWORK_DIVISOR)),
+        bytes: Math.max(1024, Math.floor(maxBatchBytes / CONSTRAINED_NETWORK_DIVISOR))
+      };
+    }
+    return { count: batchSize, bytes: maxBatchBytes };
+  }
+
+  function schedule() {
+    if (flushTimer === null && !destroyed) {
+      flushTimer = setTimeout(() => {
+        flushTimer = null;
+        uploader.flush();
+      }, flushInterval);
+    }
+  }
+
+  function enqueue(batch) {
+    if (!batch) {
+      stats.filtered++;
+      return;
+    }
+    const token = tokens ? tokens.current() : null;
+    held.add(batch.id);
+    queue.push({ batch, token, attempts: 0 });
+    store.put(batch, token).catch((error) => {
+      logger.warn('Session replay could not persist pending upload:', error);
+    });
+  }
+
+  // Returns a promise only while an async beforeSend hook holds the batch
+  function seal() {
+    if (buffer.length === 0) {
+      return null;
+    }
+
+    const batch = {
+      id: generateSessionId(),
+      ...getContext(),
+      sequence: sequence++,
+      timestamp: Date.now(),
+      events: buffer
+    };
+    buffer = [];
+    bufferBytes = 0;
+
+    const processed = beforeSend ? beforeSend(batch) : batch;
+    if (processed && typeof processed.then === 'function') {
+      // Held in memory until the hook settles, like events not yet sealed
+      return processed.then(enqueue, (error) => {
+        logger.warn('Session replay beforeSend failed, dropping batch:', error);
+        stats.filtered++;
+      });
+    }
+    enqueue(processed);
+    return null;
+  }
+
+  function remove(entry) {
+    const index = queue.indexOf(entry);
+    if (index !== -1) {
+      queue.splice(index, 1);
+    }
+    const id = entry.batch.id;
+    store.remove(id).catch(() => {}).then(() => {
+      held.delete(id);
+    });
+  }
+
+  async function sendQueued() {
+    try {
+      await sendLoop();
+    } finally {
+      // Cleared in the same tick the loop ends, so a batch sealed right after starts a new drain
+      draining = null;
+    }
+  }
+
+  async function sendLoop() {
+    while (queue.length > 0 && isOnline()) {
+      const entry = queue[0];
+      inFlight = entry;
+
+      try {
+        // A token that cannot be fetched fails the send like a network error, and is retried
+        const token = tokens ? tokens.forBatch(entry.token, await tokens.get()) : null;
+        if (tokens && !token) {
+          inFlight = null;
+          logger.warn('Session replay dropped a pending upload recorded for another user');
+          remove(entry);
+          stats.dropped++;
+          continue;
+        }
+        const sendOptions = token ? { compression, token } : { compression };
+        const result = await transport.send(entry.batch, sendOptions);
+        inFlight = null;
+        remove(entry);
+        stats.sent++;
+        if (result && typeof result.rawBytes === 'number' && typeof result.encodedBytes === 'number') {
+          stats.rawBytes += result.rawBytes;
+          stats.encodedBytes += result.encodedBytes;
+        }
+      } catch (error) {
+        inFlight = null;
+        const retryable = !(error instanceof UploadError) || error.isRetryable();
+        entry.attempts++;
+
+        if (!retryable || entry.attempts > maxRetries) {
+          logger.warn('Session replay upload dropped:', error);
+          remove(entry);
+          stats.dropped++;
+          continue;
+        }
+
+        stats.retries++;
+        if (!destroyed) {
+          const delay = error && typeof error.retryAfter === 'number'
+            ? Math.min(error.retryAfter, maxRetryDelay)
+            : getRetryDelay(entry.attempts - 1, retryBaseDelay, maxRetryDelay);
+          retryTimer = setTimeout(() => {
+            retryTimer = null;
+            drain();
+          }, delay);
+        }
+        return;
+      }
+    }
+  }
+
+  function drain() {
+    if (draining || retryTimer !== null) {
+      return draining || Promise.resolve();
+    }
+    if (queue.length === 0 || !isOnline()) {
+      return Promise.resolve();
+    }
+
+    draining = sendQueued();
+    return draining;
+  }
+
+  function reserveUnloadQuota(bytes) {
+    if (Date.now() - unloadAt > UNLOAD_QUOTA_WINDOW) {
+      unloadBytes = 0;
+    }
+    if (unloadBytes + bytes > UNLOAD_QUOTA_BYTES) {
+      return false;
+    }
+    unloadBytes += bytes;
+    unloadAt = Date.now();
+    return true;
+  }
+
+  function sendUnload(part, token) {
+    // Parts over the shared quota stay queued and persisted for the next page load
+    if (!reserveUnloadQuota(byteLength(JSON.stringify(part)))) {
+      return false;
+    }
+    const sendOptions = token ? { token } : {};
+    try {
+      if (typeof transport.sendUnload === 'function') {
+        return transport.sendUnload(part, sendOptions) !== false;
+      }
+      // Transports without an unload path get a fire-and-forget send
+      Promise.resolve(transport.send(part, { ...sendOptions, compression: 'none' })).catch(() => {});
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  function handleOnline() {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    drain();
+  }
+
+  if (typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+    window.addEventListener('online', handleOnline);
+  }
+
+  // Pick up batches left behind by page loads whose lease has run out
+  function restore() {
+    return store.claim()
+      .then((batches) => {
+        if (destroyed) return;
+        const restored = batches
+          .filter(({ batch }) => !held.has(batch.id))
+          .sort((a, b) => a.batch.timestamp - b.batch.timestamp)
+          .map(({ batch, token }) => ({ batch, token, attempts: 0 }));
+        restored.forEach((entry) => held.add(entry.batch.id));
+        if (restored.length > 0) {
+          queue.unshift(...restored);
+          drain();
+        }
+      })
+      .catch((error) => {
+        logger.warn('Session replay could not restore pending uploads:', error);
+      });
+  }
+
+  function heartbeat() {
+    return store.heartbeat().catch((error) => {
+      logger.warn('Session replay could not renew its upload lease:', error);
+    });
+  }
+
+  // Take the lease before the first batch is persisted, then keep checking for
+  // batches of tabs that have closed or crashed since
+  heartbeat().then(restore);
+  const heartbeatTimer = setInterval(() => {
+    heartbeat().then(restore);
+  }, HEARTBEAT_INTERVAL);
+
+  const uploader = {
+    /**
+     * Add a recorded event to the buffer
+     * @param {Object} event - rrweb event
+     */
+    push(event) {
+      if (destroyed) return;
+
+      buffer.push(event);
+      bufferBytes += estimateSize(event);
+
+      const limits = getLimits();
+      if (buffer.length >= limits.count || bufferBytes >= limits.bytes) {
+        uploader.flush();
+      } else {
+        schedule();
+      }
+    },
+
+    /**
+     * Seal everything buffered so far into a batch and send pending batches.
+     * While offline or waiting to retry, batches stay queued and persisted.
+     * @returns {Promise<void>}
+     */
+    flush() {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+      const sealing = seal();
+      return sealing ? sealing.then(drain) : drain();
+    },
+
+    /**
+     * Send everything synchronously while the page is being hidden or unloaded.
+     * Batches are split to stay under the 64KB sendBeacon/keepalive limit, and
+     * parts beyond the shared 64KB in-flight quota stay queued and persisted.
+     * Events the browser refuses stay persisted for the next page load; a batch
+     * an async beforeSend hook is still holding goes out only if the page survives.
+     */
+    flushOnUnload() {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+      const sealing = seal();
+      if (sealing) {
+        sealing.then(drain);
+      }
+
+      for (const entry of queue.slice()) {
+        // The regular upload already has this batch on the wire
+        if (entry === inFlight) continue;
+
+        // No time to fetch a token now; the refresh keeps the cached one valid
+        const token = tokens ? tokens.forBatch(entry.token, tokens.current()) : null;
+        if (tokens && !token) continue;
+
+        const unsent = [];
+        for (const part of splitBatch(entry.batch, MAX_UNLOAD_BYTES)) {
+          if (!sendUnload(part, token)) {
+            unsent.push(...part.events);
+          }
+        }
+
+        if (unsent.length === 0) {
+          remove(entry);
+          stats.sent++;
+        } else if (unsent.length < entry.batch.events.length) {
+          entry.batch = { ...entry.batch, events: unsent };
+          store.put(entry.batch, entry.token).catch(() => {});
+        }
+      }
+    },
+
+    /**
+     * Get upload counters
+     * @returns {Object} pending, sent, dropped, filtered (by beforeSend), retries, byte totals and compressionRatio
+     */
+    getStats() {
+      return {
+        pending: queue.length,
+        ...stats,
+        compression,
+        compressionRatio: stats.encodedBytes > 0
+          ? Math.round((stats.rawBytes / stats.encodedBytes) * 100) / 100
+          : null
+      };
+    },
+
+    /**
+     * Flush what is left and stop all timers and listeners.
+     * Batches that still fail stay persisted, and the lease on them is given up
+     * so that the next page load or another tab sends them.
+     * @returns {Promise<void>}
+     */
+    destroy() {
+      const flushed = uploader.flush();
+      destroyed = true;
+      clearTimeout(retryTimer);
+      retryTimer = null;
+      clearInterval(heartbeatTimer);
+      if (typeof window !== 'undefined' && typeof window.removeEventListener === 'function') {
+        window.removeEventListener('online', handleOnline);
+      }
+      return flushed.then(() => {
+        store.release().catch(() => {});
+      });
+    }
+  };
+
+  return uploader;
+}
+
+// Default export
+export default {
+  createUploader,
+  getRetryDelay,
+  splitBatch
+};
@@ -0,0 +1,25 @@
+/**
+ * UTF-8 encoding shared by hashing and upload compression
+ */
+
+/**
+ * Encode a string as UTF-8 bytes
+ * @param {string} value - String to encode
+ * @returns {Uint8Array}
+ */
+export function toUtf8(value) {
+  if (typeof TextEncoder !== 'undefined') {
+    return new TextEncoder().encode(value);
+  }
+  const binary = unescape(encodeURIComponent(value));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// Default export
+export default {
+  toUtf8
+};
@@ -0,0 +1,414 @@
+/**
+ * Core Web Vitals and performance timeline capture for session replay
+ * Observes LCP, CLS, INP, FCP and TTFB, long tasks and navigation/resource
+ * timing, and records them as custom events that point at the elements involved
+ */
+
+import { addCustomEvent, getNodeId } from './loader.js';
+import { describeNode } from './console.js';
+import { getVisibilityState } from './browser.js';
+
+/**
+ * Defaults: every metric, long tasks and timing summaries
+ */
+const DEFAULT_OPTIONS = {
+  longTasks: true,
+  resources: true,
+  maxEvents: 300
+};
+
+/**
+ * [good, poor] thresholds from web.dev; values in between need improvement
+ */
+export const VITALS_THRESHOLDS = {
+  LCP: [2500, 4000],
+  CLS: [0.1, 0.25],
+  INP: [200, 500],
+  FCP: [1800, 3000],
+  TTFB: [800, 1800]
+};
+
+/**
+ * Events reported while recording has not started yet are kept up to this count
+ */
+const MAX_PENDING_EVENTS = 50;
+
+/**
+ * Interactions kept for INP; the estimate only needs the slowest few
+ */
+const MAX_INTERACTIONS = 10;
+
+/**
+ * Slowest resources listed in a resource summary
+ */
+const MAX_SLOW_RESOURCES = 5;
+
+/**
+ * Resolve the vitals option of initSessionReplay
+ * @param {boolean|Object} [option] - true for the defaults, or options
+ * @returns {Object|null} Resolved options, or null when capture is off
+ */
+export function resolveVitalsOptions(option) {
+  if (!option) {
+    return null;
+  }
+  const options = { ...DEFAULT_OPTIONS, ...(option === true ? {} : option) };
+
+  for (const name of ['longTasks', 'resources']) {
+    if (typeof options[name] !== 'boolean') {
+      throw new Error(`vitals.${name} must be a boolean`);
+    }
+  }
+  if (typeof options.maxEvents !== 'number' || options.maxEvents < 0) {
+    throw new Error('vitals.maxEvents must be a non-negative number');
+  }
+  return options;
+}
+
+/**
+ * Rate a metric value
+ * @param {string} name - Metric name, e.g. 'LCP'
+ * @param {number} value - Metric value
+ * @returns {'good'|'needs-improvement'|'poor'}
+ */
+export function rateMetric(name, value) {
+  const [good, poor] = VITALS_THRESHOLDS[name];
+  if (value <= good) return 'good';
+  if (value <= poor) return 'needs-improvement';
+  return 'poor';
+}
+
+/**
+ * Round a metric: CLS to 4 decimals, times to whole milliseconds
+ * @param {string} name - Metric name
+ * @param {number} value - Metric value
+ * @returns {number}
+ */
+function roundMetric(name, value) {
+  return name === 'CLS' ? Math.round(value * 10000) / 10000 : Math.round(value);
+}
+
+/**
+ * Describe the element behind a metric, with the rrweb node ID the replay can highlight
+ * @param {Node} [node] - DOM node
+ * @returns {Object|undefined} element and nodeId
+ */
+function describeTarget(node) {
+  if (!node || typeof node.nodeType !== 'number') return undefined;
+  return { element: describeNode(node), nodeId: getNodeId(node) };
+}
+
+/**
+ * Convert a performance timestamp to epoch milliseconds
+ * @param {number} startTime - DOMHighResTimeStamp
+ * @returns {number}
+ */
+function toEpoch(startTime) {
+  const origin = performance.timeOrigin || (performance.timing && performance.timing.navigationStart) || 0;
+  return Math.round(origin + startTime);
+}
+
+/**
+ * Get the navigation timing entry, if the browser has one
+ * @returns {PerformanceNavigationTiming|null}
+ */
+function getNavigationEntry() {
+  if (typeof performance.getEntriesByType !== 'function') return null;
+  return performance.getEntriesByType('navigation')[0] || null;
+}
+
+/**
+ * Capture Web Vitals and performance timing for a session.
+ * Observers are disconnected when the session is destroyed.
+ * @param {Object} session - Session handle
+ * @param {Object} options - Resolved vitals options
+ * @param {Object} [callbacks] - Callbacks
+ * @param {Function} [callbacks.onSummary] - Called when the page is hidden, with the latest summary
+ * @returns {Object} Watcher with getSummary
+ */
+export function watchVitals(session, options, callbacks = {}) {
+  const metrics = { LCP: null, CLS: null, INP: null, FCP: null, TTFB: null };
+  const longTasks = { count: 0, totalDuration: 0 };
+  const resources = { count: 0, transferSize: 0 };
+  const pending = [];
+  let recorded = 0;
+  let hiddenReported = false;
+
+  const watcher = {
+    /**
+     * Get the page's metric values and performance totals so far
+     * @returns {Object} LCP, CLS, INP, FCP, TTFB, longTasks and resources
+     */
+    getSummary() {
+      const summary = {};
+      Object.keys(metrics).forEach((name) => {
+        summary[name] = metrics[name] ? metrics[name].value : null;
+      });
+      return { ...summary, longTasks: { ...longTasks }, resources: { ...resources } };
+    }
+  };
+
+  if (typeof performance === 'undefined' || typeof PerformanceObserver === 'undefined') {
+    return watcher;
+  }
+
+  function record(tag, payload) {
+    if (session.getState() !== 'recording') {
+      // FCP and TTFB usually happen before the recording starts
+      if (pending.length < MAX_PENDING_EVENTS) pending.push([tag, payload]);
+      return;
+    }
+    if (recorded >= options.maxEvents) return;
+    if (addCustomEvent(tag, payload)) {
+      recorded++;
+    }
+  }
+
+  session.on('ready', ({ resumed }) => {
+    // Limits are per session, and restart/rotation starts a new one; resume() continues it
+    if (!resumed) recorded = 0;
+    pending.splice(0).forEach(([tag, payload]) => record(tag, payload));
+  });
+
+  function report(name, value, details = {}) {
+    const rounded = roundMetric(name, value);
+    const previous = metrics[name];
+    metrics[name] = { value: rounded };
+    record('vitals', {
+      name,
+      value: rounded,
+      rating: rateMetric(name, rounded),
+      ...(previous ? { delta: roundMetric(name, rounded - previous.value) } : {}),
+      ...details
+    });
+  }
+
+  function observe(type, handler, extra = {}) {
+    const supported = PerformanceObserver.supportedEntryTypes;
+    if (supported && supported.indexOf(type) === -1) return;
+    try {
+      const observer = new PerformanceObserver((list) => handler(list.getEntries()));
+      observer.observe({ type, buffered: true, ...extra });
+      session.addCleanup(() => observer.disconnect());
+    } catch (error) {
+      // Entry type not supported by this browser
+    }
+  }
+
+  // TTFB and navigation timing
+  const navigation = getNavigationEntry();
+  if (navigation) {
+    report('TTFB', Math.max(navigation.responseStart - (navigation.activationStart || 0), 0), {
+      timestamp: toEpoch(navigation.responseStart)
+    });
+  }
+
+  function recordNavigationTiming() {
+    const entry = getNavigationEntry();
+    if (!entry) return;
+    record('performance', {
+      type: 'navigation',
+      navigationType: entry.type,
+      dns: Math.round(entry.domainLookupEnd - entry.domainLookupStart),
+      connect: Math.round(entry.connectEnd - entry.connectStart),
+      tls: entry.secureConnectionStart > 0 ? Math.round(entry.connectEnd - entry.secureConnectionStart) : 0,
+      ttfb: Math.round(entry.responseStart),
+      domContentLoaded: Math.round(entry.domContentLoadedEventEnd),
+      load: Math.round(entry.loadEventEnd),
+      transferSize: entry.transferSize || 0
+    });
+  }
+
+  if (document.readyState === 'complete') {
+    recordNavigationTiming();
+  } else {
+    // loadEventEnd is only set once load handlers have run
+    session.listen(window, 'load', () => setTimeout(recordNavigationTiming, 0), { once: true });
+  }
+
+  // FCP
+  observe('paint', (entries) => {
+    entries.forEach((entry) => {
+      if (entry.name === 'first-contentful-paint' && !metrics.FCP) {
+        report('FCP', entry.startTime, { timestamp: toEpoch(entry.startTime) });
+      }
+    });
+  });
+
+  // LCP: the latest candidate counts until the user interacts or the page is hidden
+  let lcpEntry = null;
+  let lcpFinal = false;
+  observe('largest-contentful-paint', (entries) => {
+    if (lcpFinal) return;
+    lcpEntry = entries[entries.length - 1] || lcpEntry;
+  });
+
+  function finalizeLcp() {
+    if (lcpFinal || !lcpEntry) return;
+    lcpFinal = true;
+    report('LCP', lcpEntry.startTime, {
+      timestamp: toEpoch(lcpEntry.startTime),
+      ...describeTarget(lcpEntry.element),
+      url: lcpEntry.url || undefined
+    });
+  }
+
+  ['keydown', 'pointerdown'].forEach((type) => {
+    session.listen(window, type, finalizeLcp, { capture: true, once: true });
+  });
+
+  // CLS: the largest session window of shifts less than 1s apart and at most 5s long
+  let clsWindow = 0;
+  let clsWindowStart = 0;
+  let clsLastShift = 0;
+  let clsValue = 0;
+  observe('layout-shift', (entries) => {
+    entries.forEach((entry) => {
+      if (entry.hadRecentInput) return;
+
+      if (clsWindow && entry.startTime - clsLastShift < 1000 && entry.startTime - clsWindowStart < 5000) {
+        clsWindow += entry.value;
+      } else {
+        clsWindow = entry.value;
+        clsWindowStart = entry.startTime;
+      }
+      clsLastShift = entry.startTime;
+
+      // Every shift is recorded, so the replay can jump to it and show what moved
+      const source = (entry.sources || []).find((item) => item.node) || null;
+      clsValue = Math.max(clsValue, clsWindow);
+      report('CLS', clsValue, {
+        shift: roundMetric('CLS', entry.value),
+        timestamp: toEpoch(entry.startTime),
+        ...describeTarget(source && source.node)
+      });
+    });
+  });
+
+  // INP: the slowest interaction, ignoring one outlier per 50 interactions
+  const interactions = [];
+  let interactionCount = 0;
+  function handleInteraction(entry) {
+    if (!entry.interactionId) return;
+    const existing = interactions.find((item) => item.id === entry.interactionId);
+    if (existing) {
+      if (entry.duration > existing.duration) {
+        existing.duration = entry.duration;
+        existing.entry = entry;
+      }
+      return;
+    }
+    interactionCount++;
+    interactions.push({ id: entry.interactionId, duration: entry.duration, entry });
+    interactions.sort((a, b) => b.duration - a.duration);
+    interactions.splice(MAX_INTERACTIONS);
+  }
+
+  observe('event', (entries) => entries.forEach(handleInteraction), { durationThreshold: 40 });
+  observe('first-input', (entries) => entries.forEach(handleInteraction));
+
+  function reportInp() {
+    if (!interactions.length) return;
+    const candidate = interactions[Math.min(interactions.length - 1, Math.floor(interactionCount / 50))];
+    if (metrics.INP && metrics.INP.value === Math.round(candidate.duration)) return;
+    report('INP', candidate.duration, {
+      timestamp: toEpoch(candidate.entry.startTime),
+      eventType: candidate.entry.name,
+      ...describeTarget(candidate.entry.target)
+    });
+  }
+
+  if (options.longTasks) {
+    observe('longtask', (entries) => {
+      entries.forEach((entry) => {
+        longTasks.count++;
+        longTasks.totalDuration += Math.round(entry.duration);
+        const attribution = (entry.attribution || [])[0];
+        record('performance', {
+          type: 'longtask',
+          duration: Math.round(entry.duration),
+          timestamp: toEpoch(entry.startTime),
+          ...(attribution ? { container: attribution.containerType, source: attribution.containerSrc || undefined } : {})
+        });
+      });
+    });
+  }
+
+  // Resources are summarized when the page is hidden, rather than recorded one by one
+  let unreported = [];
+  if (options.resources) {
+    observe('resource', (entries) => {
+      entries.forEach((entry) => {
+        resources.count++;
+        resources.transferSize += entry.transferSize || 0;
+        unreported.push(entry);
+      });
+    });
+  }
+
+  function recordResourceSummary() {
+    if (!unreported.length) return;
+    const byType = {};
+    unreported.forEach((entry) => {
+      const type = entry.initiatorType || 'other';
+      const totals = byType[type] || (byType[type] = { count: 0, transferSize: 0, duration: 0 });
+      totals.count++;
+      totals.transferSize += entry.transferSize || 0;
+      totals.duration += Math.round(entry.duration);
+    });
+    const slowest = unreported
+      .slice()
+      .sort((a, b) => b.duration - a.duration)
+      .slice(0, MAX_SLOW_RESOURCES)
+      .map((entry) => ({ url: entry.name, type: entry.initiatorType, duration: Math.round(entry.duration) }));
+    record('performance', { type: 'resources', count: unreported.length, byType, slowest });
+    unreported = [];
+  }
+
+  function handleHidden() {
+    // pagehide usually follows visibilitychange
+    if (hiddenReported) return;
+    hiddenReported = true;
+    finalizeLcp();
+    reportInp();
+    recordResourceSummary();
+    if (typeof callbacks.onSummary === 'function') {
+      callbacks.onSummary(watcher.getSummary());
+    }
+  }
+
+  session.listen(document, 'visibilitychange', () => {
+    if (getVisibilityState() === 'hidden') {
+      handleHidden();
+    } else {
+      hiddenReported = false;
+    }
+  });
+  session.listen(window, 'pagehide', handleHidden);
+
+  return watcher;
+}
+
+/**
+ * Built-in plugin that captures Web Vitals when the vitals option is set,
+ * and adds their summary to the session metadata
+ */
+export const vitalsPlugin = {
+  name: 'vitals',
+  setup({ session, config, addMetadata, updateMetadata }) {
+    const options = resolveVitalsOptions(config.vitals);
+    if (options) {
+      const watcher = watchVitals(session, options, { onSummary: updateMetadata });
+      addMetadata('vitals', () => watcher.getSummary());
+    }
+  }
+};
+
+// Default export
+export default {
+  VITALS_THRESHOLDS,
+  resolveVitalsOptions,
+  rateMetric,
+  watchVitals,
+  vitalsPlugin
+};
@@ -7,18 +7,26 @@
 export const BasicNextjsIntegration = `
 // pages/_app.js
 import { useEffect } from 'react';
-import { initSessionReplay } from '@replica-replay/core';
+import { initSessionReplay, tokenEndpoint } from '@replica-replay/core';
 
 export default function App({ Component, pageProps }) {
   useEffect(() => {
     initSessionReplay({
       projectKey: '{{PROJECT_KEY}}',
-      secretKey: '{{SECRET_KEY}}'
+      getToken: tokenEndpoint('/api/replay-token')
     });
   }, []);
 
   return <Component {...pageProps} />;
 }
+
+// pages/api/replay-token.js: signs short-lived session tokens; the secret key never reaches the browser
+import { createTokenHandler } from '@replica-replay/core/server';
+
+export default createTokenHandler({
+  projectKey: process.env.REPLAY_PROJECT_KEY,
+  secretKey: process.env.REPLAY_SECRET_KEY
+});
 `;
 
 // Example 2: Integration with App Router (Next.js 13+)
@@ -27,13 +35,13 @@ export const NextjsAppRouterIntegration = `
 'use client';
 
 import { useEffect } from 'react';
-import { initSessionReplay } from '@replica-replay/core';
+import { initSessionReplay, tokenEndpoint } from '@replica-replay/core';
 
 export default function RootLayout({ children }) {
   useEffect(() => {
     initSessionReplay({
       projectKey: 'PROJECT_KEY',
-      secretKey: 'SECRET_KEY'
+      getToken: tokenEndpoint('/api/replay-token')
     });
   }, []);
 
@@ -49,36 +57,75 @@ export default function RootLayout({ children }) {
 export const NextjsCustomHook = `
 // hooks/useSessionReplay.js
 import { useEffect, useState } from 'react';
-import { initSessionReplay } from '@replica-replay/core';
+import {
+  initSessionReplay,
+  identify,
+  setMetadata,
+  setTags,
+  setRelease,
+  setEnvironment
+} from '@replica-replay/core';
 
 export function useSessionReplay(config) {
-  const [isInitialized, setIsInitialized] = useState(false);
+  // 'loading' | 'idle' | 'recording' | 'stopped' | 'error'
+  const [status, setStatus] = useState('loading');
   const [error, setError] = useState(null);
+  const [session, setSession] = useState(null);
 
   useEffect(() => {
-    if (!config.projectKey || !config.secretKey) {
-      setError('Project key and secret key are required');
-      return;
-    }
-
-    try {
-      initSessionReplay(config);
-      setIsInitialized(true);
-    } catch (err) {
-      setError(err.message);
-    }
-  }, [config.projectKey, config.secretKey]);
+    let active = true;
+    const unsubscribers = [];
+
+    // Every mount shares one session (StrictMode mounts twice), so unmounting
+    // only unsubscribes; call session.destroy() to end recording for good
+    initSessionReplay(config)
+      .then((handle) => {
+        if (!active) return;
+        setSession(handle);
+        // 'idle' while consent is pending; 'ready' fires once recording starts
+        setStatus(handle.getState() === 'recording' ? 'recording' : 'idle');
+        unsubscribers.push(handle.on('ready', () => setStatus('recording')));
+        unsubscribers.push(handle.on('stopped', () => setStatus('stopped')));
+        unsubscribers.push(handle.on('error', (err) => {
+          setError(err.message);
+          setStatus('error');
+        }));
+      })
+      .catch((err) => {
+        if (!active) return;
+        // err is a ConfigError, LoadError, TimeoutError or UnsupportedEnvironmentError
+        setError(err.message);
+        setStatus('error');
+      });
 
-  return { isInitialized, error };
+    return () => {
+      active = false;
+      unsubscribers.forEach((unsubscribe) => unsubscribe());
+    };
+  }, [config.projectKey]);
+
+  // identify() and the setters work before recording starts and update it mid-session
+  return {
+    status,
+    isRecording: status === 'recording',
+    error,
+    session,
+    identify,
+    setMetadata,
+    setTags,
+    setRelease,
+    setEnvironment
+  };
 }
 
 // pages/_app.js
+import { tokenEndpoint } from '@replica-replay/core';
 import { useSessionReplay } from '../hooks/useSessionReplay';
 
 export default function App({ Component, pageProps }) {
-  const { isInitialized, error } = useSessionReplay({
+  const { isRecording, error } = useSessionReplay({
     projectKey: 'PROJECT_KEY',
-    secretKey: 'SECRET_KEY'
+    getToken: tokenEndpoint('/api/replay-token')
   });
 
   if (error) {
@@ -93,7 +140,7 @@ export default function App({ Component, pageProps }) {
 export const NextjsEnvironmentConfig = `
 // pages/_app.js
 import { useEffect } from 'react';
-import { initSessionReplay } from '@replica-replay/core';
+import { initSessionReplay, tokenEndpoint } from '@replica-replay/core';
 
 export default function App({ Component, pageProps }) {
   useEffect(() => {
@@ -101,7 +148,7 @@ export default function App({ Component, pageProps }) {
     if (process.env.NODE_ENV === 'production' || process.env.NEXT_PUBLIC_ENABLE_REPLAY === 'true') {
       initSessionReplay({
         projectKey: process.env.NEXT_PUBLIC_REPLAY_PROJECT_KEY,
-        secretKey: process.env.NEXT_PUBLIC_REPLAY_SECRET_KEY
+        getToken: tokenEndpoint('/api/replay-token')
       });
     }
   }, []);
@@ -112,7 +159,9 @@ export default function App({ Component, pageProps }) {
 // .env.local
 NEXT_PUBLIC_ENABLE_REPLAY=true
 NEXT_PUBLIC_REPLAY_PROJECT_KEY=your_project_key
-NEXT_PUBLIC_REPLAY_SECRET_KEY=your_secret_key
+# Server only: no NEXT_PUBLIC_ prefix, so it is never bundled for the browser
+REPLAY_PROJECT_KEY=your_project_key
+REPLAY_SECRET_KEY=your_secret_key
 `;
 
 // Example 5: Integration with Next.js middleware
@@ -145,13 +194,13 @@ export const config = {
 
 // pages/_app.js
 import { useEffect } from 'react';
-import { initSessionReplay } from '@replica-replay/core';
+import { initSessionReplay, tokenEndpoint } from '@replica-replay/core';
 
 export default function App({ Component, pageProps }) {
   useEffect(() => {
     initSessionReplay({
       projectKey: 'PROJECT_KEY',
-      secretKey: 'SECRET_KEY'
+      getToken: tokenEndpoint('/api/replay-token')
     });
   }, []);
 
@@ -164,22 +213,16 @@ export const NextjsTypeScriptIntegration = `
 // pages/_app.tsx
 import { useEffect } from 'react';
 import { AppProps } from 'next/app';
-import { initSessionReplay } from '@replica-replay/core';
-
-interface SessionReplayConfig {
-  projectKey: string;
-  secretKey: string;
-  serverUrl?: string;
-}
+import { initSessionReplay, tokenEndpoint, SessionReplayConfig } from '@replica-replay/core';
 
 export default function App({ Component, pageProps }: AppProps) {
   useEffect(() => {
     const config: SessionReplayConfig = {
       projectKey: process.env.NEXT_PUBLIC_REPLAY_PROJECT_KEY || '',
-      secretKey: process.env.NEXT_PUBLIC_REPLAY_SECRET_KEY || ''
+      getToken: tokenEndpoint('/api/replay-token')
     };
 
-    if (config.projectKey && config.secretKey) {
+    if (config.projectKey) {
       initSessionReplay(config);
     }
   }, []);
@@ -193,7 +236,7 @@ export const NextjsAnalyticsIntegration = `
 // pages/_app.js
 import { useEffect } from 'react';
 import { useRouter } from 'next/router';
-import { initSessionReplay } from '@replica-replay/core';
+import { initSessionReplay, tokenEndpoint } from '@replica-replay/core';
 
 export default function App({ Component, pageProps }) {
   const router = useRouter();
@@ -202,12 +245,13 @@ export default function App({ Component, pageProps }) {
     // Initialize session replay
     initSessionReplay({
       projectKey: 'PROJECT_KEY',
-      secretKey: 'SECRET_KEY'
+      getToken: tokenEndpoint('/api/replay-token'),
+      navigation: true
     });
 
     // Track route changes
     const handleRouteChange = (url) => {
-      // Session replay will automatically track navigation
+      // Session replay records route changes as page views with navigation: true
       console.log('Route changed to:', url);
     };
 
@@ -226,7 +270,7 @@ export default function App({ Component, pageProps }) {
 export const NextjsSSRIntegration = `
 // pages/_app.js
 import { useEffect } from 'react';
-import { initSessionReplay } from '@replica-replay/core';
+import { initSessionReplay, tokenEndpoint } from '@replica-replay/core';
 
 export default function App({ Component, pageProps }) {
   useEffect(() => {
@@ -234,7 +278,7 @@ export default function App({ Component, pageProps }) {
     if (typeof window !== 'undefined') {
       initSessionReplay({
         projectKey: 'PROJECT_KEY',
-        secretKey: 'SECRET_KEY'
+        getToken: tokenEndpoint('/api/replay-token')
       });
     }
   }, []);
@@ -263,13 +307,13 @@ export default function App({ Component, pageProps }) {
 
 // components/SessionReplay.js
 import { useEffect } from 'react';
-import { initSessionReplay } from '@replica-replay/core';
+import { initSessionReplay, tokenEndpoint } from '@replica-replay/core';
 
 export default function SessionReplay() {
   useEffect(() => {
     initSessionReplay({
       projectKey: 'PROJECT_KEY',
-      secretKey: 'SECRET_KEY'
+      getToken: tokenEndpoint('/api/replay-token')
     });
   }, []);
 
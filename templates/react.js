@@ -7,13 +7,13 @@
 export const BasicReactIntegration = `
 // App.js
 import React, { useEffect } from 'react';
-import { initSessionReplay } from '@replica-replay/core';
+import { initSessionReplay, tokenEndpoint } from '@replica-replay/core';
 
 function App() {
   useEffect(() => {
     initSessionReplay({
       projectKey: '{{PROJECT_KEY}}',
-      secretKey: '{{SECRET_KEY}}'
+      getToken: tokenEndpoint('/api/replay-token')
     });
   }, []);
 
@@ -25,19 +25,27 @@ function App() {
 }
 
 export default App;
+
+// server.js (Express): signs short-lived session tokens; the secret key never reaches the browser
+const { createTokenHandler } = require('@replica-replay/core/server');
+
+app.get('/api/replay-token', createTokenHandler({
+  projectKey: process.env.REPLAY_PROJECT_KEY,
+  secretKey: process.env.REPLAY_SECRET_KEY
+}));
 `;
 
 // Example 2: Using environment variables
 export const ReactEnvIntegration = `
 // App.js
 import React, { useEffect } from 'react';
-import { initSessionReplay } from '@replica-replay/core';
+import { initSessionReplay, tokenEndpoint } from '@replica-replay/core';
 
 function App() {
   useEffect(() => {
     initSessionReplay({
       projectKey: process.env.REACT_APP_REPLAY_PROJECT_KEY,
-      secretKey: process.env.REACT_APP_REPLAY_SECRET_KEY
+      getToken: tokenEndpoint('/api/replay-token')
     });
   }, []);
 
@@ -55,43 +63,87 @@ export default App;
 export const CustomReactHook = `
 // hooks/useSessionReplay.js
 import { useEffect, useState } from 'react';
-import { initSessionReplay } from '@replica-replay/core';
+import {
+  initSessionReplay,
+  identify,
+  setMetadata,
+  setTags,
+  setRelease,
+  setEnvironment
+} from '@replica-replay/core';
 
 export function useSessionReplay(config) {
-  const [isInitialized, setIsInitialized] = useState(false);
+  // 'loading' | 'idle' | 'recording' | 'stopped' | 'error'
+  const [status, setStatus] = useState('loading');
   const [error, setError] = useState(null);
+  const [session, setSession] = useState(null);
 
   useEffect(() => {
-    if (!config.projectKey || !config.secretKey) {
-      setError('Project key and secret key are required');
-      return;
-    }
-
-    try {
-      initSessionReplay(config);
-      setIsInitialized(true);
-    } catch (err) {
-      setError(err.message);
-    }
-  }, [config.projectKey, config.secretKey]);
+    let active = true;
+    const unsubscribers = [];
+
+    // Every mount shares one session (StrictMode mounts twice), so unmounting
+    // only unsubscribes; call session.destroy() to end recording for good
+    initSessionReplay(config)
+      .then((handle) => {
+        if (!active) return;
+        setSession(handle);
+        // 'idle' while consent is pending; 'ready' fires once recording starts
+        setStatus(handle.getState() === 'recording' ? 'recording' : 'idle');
+        unsubscribers.push(handle.on('ready', () => setStatus('recording')));
+        unsubscribers.push(handle.on('stopped', () => setStatus('stopped')));
+        unsubscribers.push(handle.on('error', (err) => {
+          setError(err.message);
+          setStatus('error');
+        }));
+      })
+      .catch((err) => {
+        if (!active) return;
+        // err is a ConfigError, LoadError, TimeoutError or UnsupportedEnvironmentError
+        setError(err.message);
+        setStatus('error');
+      });
 
-  return { isInitialized, error };
+    return () => {
+      active = false;
+      unsubscribers.forEach((unsubscribe) => unsubscribe());
+    };
+  }, [config.projectKey]);
+
+  // identify() and the setters work before recording starts and update it mid-session
+  return {
+    status,
+    isRecording: status === 'recording',
+    error,
+    session,
+    identify,
+    setMetadata,
+    setTags,
+    setRelease,
+    setEnvironment
+  };
 }
 
 // App.js
-import React from 'react';
+import React, { useEffect } from 'react';
+import { tokenEndpoint } from '@replica-replay/core';
 import { useSessionReplay } from './hooks/useSessionReplay';
 
-function App() {
-  const { isInitialized, error } = useSessionReplay({
+function App({ user }) {
+  const { isRecording, error, identify } = useSessionReplay({
     projectKey: 'PROJECT_KEY',
-    secretKey: 'SECRET_KEY'
+    getToken: tokenEndpoint('/api/replay-token'),
+    hashUserId: true
   });
 
+  useEffect(() => {
+    if (user) identify(user.id, { plan: user.plan });
+  }, [user && user.id]);
+
   return (
     <div className="App">
       {error && <div>Error: {error}</div>}
-      {isInitialized && <div>Session replay initialized</div>}
+      {isRecording && <div>Session replay recording</div>}
       {/* Your app content */}
     </div>
   );
@@ -105,14 +157,19 @@ export const ReactRouterIntegration = `
 // App.js
 import React, { useEffect } from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
-import { initSessionReplay } from '@replica-replay/core';
+import { initSessionReplay, tokenEndpoint } from '@replica-replay/core';
 
 function App() {
   useEffect(() => {
-    // Initialize session replay once when app loads
+    // Initialize session replay once when app loads.
+    // Route changes are recorded as page views automatically.
     initSessionReplay({
       projectKey: 'PROJECT_KEY',
-      secretKey: 'SECRET_KEY'
+      getToken: tokenEndpoint('/api/replay-token'),
+      navigation: {
+        // /users/123 is recorded as /users/:id by default; add rules for other params
+        rules: [{ match: /^\/teams\/[^/]+/, replace: '/teams/:team' }]
+      }
     });
   }, []);
 
@@ -136,7 +193,7 @@ export default App;
 export const ConditionalLoading = `
 // App.js
 import React, { useEffect } from 'react';
-import { initSessionReplay } from '@replica-replay/core';
+import { initSessionReplay, tokenEndpoint } from '@replica-replay/core';
 
 function App() {
   useEffect(() => {
@@ -144,7 +201,7 @@ function App() {
     if (process.env.NODE_ENV === 'production' || process.env.REACT_APP_ENABLE_REPLAY === 'true') {
       initSessionReplay({
         projectKey: process.env.REACT_APP_REPLAY_PROJECT_KEY,
-        secretKey: process.env.REACT_APP_REPLAY_SECRET_KEY
+        getToken: tokenEndpoint('/api/replay-token')
       });
     }
   }, []);
@@ -7,13 +7,24 @@
 export const BasicScriptTagIntegration = `
 <!-- Add to your HTML head -->
 <script type="module">
-  import { initSessionReplay } from '@replica-replay/core';
+  import { initSessionReplay, tokenEndpoint } from '@replica-replay/core';
   
   initSessionReplay({
     projectKey: '{{PROJECT_KEY}}',
-    secretKey: '{{SECRET_KEY}}'
+    getToken: tokenEndpoint('/api/replay-token')
   });
 </script>
+
+<!-- Serve session tokens from your server -->
+<!--
+// server.js (Express): signs short-lived session tokens; the secret key never reaches the browser
+const { createTokenHandler } = require('@replica-replay/core/server');
+
+app.get('/api/replay-token', createTokenHandler({
+  projectKey: process.env.REPLAY_PROJECT_KEY,
+  secretKey: process.env.REPLAY_SECRET_KEY
+}));
+-->
 `;
 
 // Example 2: Regular script tag with dynamic import
@@ -21,10 +32,10 @@ export const DynamicImportIntegration = `
 <!-- Add to your HTML head -->
 <script>
   // Load the module dynamically
-  import('@replica-replay/core').then(({ initSessionReplay }) => {
+  import('@replica-replay/core').then(({ initSessionReplay, tokenEndpoint }) => {
     initSessionReplay({
       projectKey: 'PROJECT_KEY',
-      secretKey: 'SECRET_KEY'
+      getToken: tokenEndpoint('/api/replay-token')
     });
   }).catch(error => {
     console.error('Failed to load session replay:', error);
@@ -37,10 +48,10 @@ export const DOMReadyIntegration = `
 <!-- Add to your HTML head -->
 <script>
   document.addEventListener('DOMContentLoaded', function() {
-    import('@replica-replay/core').then(({ initSessionReplay }) => {
+    import('@replica-replay/core').then(({ initSessionReplay, tokenEndpoint }) => {
       initSessionReplay({
         projectKey: 'PROJECT_KEY',
-        secretKey: 'SECRET_KEY'
+        getToken: tokenEndpoint('/api/replay-token')
       });
     });
   });
@@ -52,10 +63,10 @@ export const WindowLoadIntegration = `
 <!-- Add to your HTML head -->
 <script>
   window.addEventListener('load', function() {
-    import('@replica-replay/core').then(({ initSessionReplay }) => {
+    import('@replica-replay/core').then(({ initSessionReplay, tokenEndpoint }) => {
       initSessionReplay({
         projectKey: 'PROJECT_KEY',
-        secretKey: 'SECRET_KEY'
+        getToken: tokenEndpoint('/api/replay-token')
       });
     });
   });
@@ -68,10 +79,10 @@ export const ConditionalLoading = `
 <script>
   // Only load in production or when explicitly enabled
   if (window.location.hostname !== 'localhost' || window.ENABLE_REPLAY === true) {
-    import('@replica-replay/core').then(({ initSessionReplay }) => {
+    import('@replica-replay/core').then(({ initSessionReplay, tokenEndpoint }) => {
       initSessionReplay({
         projectKey: window.REPLAY_PROJECT_KEY || 'PROJECT_KEY',
-        secretKey: window.REPLAY_SECRET_KEY || 'SECRET_KEY'
+        getToken: tokenEndpoint('/api/replay-token')
       });
     });
   }
@@ -84,11 +95,11 @@ export const ErrorHandlingIntegration = `
 <script>
   async function initializeSessionReplay() {
     try {
-      const { initSessionReplay } = await import('@replica-replay/core');
+      const { initSessionReplay, tokenEndpoint } = await import('@replica-replay/core');
       
       await initSessionReplay({
         projectKey: 'PROJECT_KEY',
-        secretKey: 'SECRET_KEY'
+        getToken: tokenEndpoint('/api/replay-token')
       });
       
       console.log('Session replay initialized successfully');
@@ -113,13 +124,14 @@ export const ConfigurationObjectIntegration = `
   // Configuration object
   window.REPLAY_CONFIG = {
     projectKey: 'PROJECT_KEY',
-    secretKey: 'SECRET_KEY',
+    tokenUrl: '/api/replay-token',
     serverUrl: 'https://rrweb-ingest-825071668012.us-central1.run.app'
   };
 
   // Initialize session replay
-  import('@replica-replay/core').then(({ initSessionReplay }) => {
-    initSessionReplay(window.REPLAY_CONFIG);
+  import('@replica-replay/core').then(({ initSessionReplay, tokenEndpoint }) => {
+    const { tokenUrl, ...config } = window.REPLAY_CONFIG;
+    initSessionReplay({ ...config, getToken: tokenEndpoint(tokenUrl) });
   });
 </script>
 `;
@@ -131,8 +143,8 @@ export const MultiPageIntegration = `
   // Global session replay initialization
   window.initSessionReplay = async function(config) {
     try {
-      const { initSessionReplay } = await import('@replica-replay/core');
-      await initSessionReplay(config);
+      const { initSessionReplay, tokenEndpoint } = await import('@replica-replay/core');
+      await initSessionReplay({ getToken: tokenEndpoint('/api/replay-token'), ...config });
       return true;
     } catch (error) {
       console.error('Session replay initialization failed:', error);
@@ -142,8 +154,7 @@ export const MultiPageIntegration = `
 
   // Initialize with default config
   window.initSessionReplay({
-    projectKey: 'PROJECT_KEY',
-    secretKey: 'SECRET_KEY'
+    projectKey: 'PROJECT_KEY'
   });
 </script>
 
@@ -152,8 +163,7 @@ export const MultiPageIntegration = `
   // Re-initialize if needed
   if (window.initSessionReplay) {
     window.initSessionReplay({
-      projectKey: 'PROJECT_KEY',
-      secretKey: 'SECRET_KEY'
+      projectKey: 'PROJECT_KEY'
     });
   }
 </script>
@@ -162,12 +172,12 @@ export const MultiPageIntegration = `
 // Example 9: Integration with build tools (Webpack, Vite, etc.)
 export const BuildToolIntegration = `
 // main.js or index.js
-import { initSessionReplay } from '@replica-replay/core';
+import { initSessionReplay, tokenEndpoint } from '@replica-replay/core';
 
 // Initialize session replay
 initSessionReplay({
   projectKey: 'PROJECT_KEY',
-  secretKey: 'SECRET_KEY'
+  getToken: tokenEndpoint('/api/replay-token')
 });
 
 // Your other application code
@@ -180,10 +190,10 @@ export const JQueryIntegration = `
 <script src="https://code.jquery.com/jquery-3.6.0.min.js"></script>
 <script>
   $(document).ready(function() {
-    import('@replica-replay/core').then(({ initSessionReplay }) => {
+    import('@replica-replay/core').then(({ initSessionReplay, tokenEndpoint }) => {
       initSessionReplay({
         projectKey: 'PROJECT_KEY',
-        secretKey: 'SECRET_KEY'
+        getToken: tokenEndpoint('/api/replay-token')
       });
     });
   });
@@ -202,7 +212,7 @@ export const AnalyticsIntegration = `
     // Initialize session replay
     sessionReplay.initSessionReplay({
       projectKey: 'PROJECT_KEY',
-      secretKey: 'SECRET_KEY'
+      getToken: sessionReplay.tokenEndpoint('/api/replay-token')
     });
 
     // Initialize other analytics
@@ -216,10 +226,10 @@ export const ServiceWorkerIntegration = `
 <!-- Add to your HTML head -->
 <script>
   // Initialize session replay
-  import('@replica-replay/core').then(({ initSessionReplay }) => {
+  import('@replica-replay/core').then(({ initSessionReplay, tokenEndpoint }) => {
     initSessionReplay({
       projectKey: 'PROJECT_KEY',
-      secretKey: 'SECRET_KEY'
+      getToken: tokenEndpoint('/api/replay-token')
     });
   });
 
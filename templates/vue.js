@@ -7,7 +7,7 @@
 export const BasicVueIntegration = `
 // main.js
 import { createApp } from 'vue';
-import { initSessionReplay } from '@replica-replay/core';
+import { initSessionReplay, tokenEndpoint } from '@replica-replay/core';
 import App from './App.vue';
 
 const app = createApp(App);
@@ -15,17 +15,25 @@ const app = createApp(App);
 // Initialize session replay
 initSessionReplay({
   projectKey: '{{PROJECT_KEY}}',
-  secretKey: '{{SECRET_KEY}}'
+  getToken: tokenEndpoint('/api/replay-token')
 });
 
 app.mount('#app');
+
+// server.js (Express): signs short-lived session tokens; the secret key never reaches the browser
+const { createTokenHandler } = require('@replica-replay/core/server');
+
+app.get('/api/replay-token', createTokenHandler({
+  projectKey: process.env.REPLAY_PROJECT_KEY,
+  secretKey: process.env.REPLAY_SECRET_KEY
+}));
 `;
 
 // Example 2: Using Vue plugin
 export const VuePluginIntegration = `
 // main.js
 import { createApp } from 'vue';
-import { SessionReplayPlugin } from '@replica-replay/core';
+import { SessionReplayPlugin, tokenEndpoint } from '@replica-replay/core';
 import App from './App.vue';
 
 const app = createApp(App);
@@ -33,7 +41,7 @@ const app = createApp(App);
 // Install session replay plugin
 app.use(SessionReplayPlugin, {
   projectKey: '{{PROJECT_KEY}}',
-  secretKey: '{{SECRET_KEY}}'
+  getToken: tokenEndpoint('/api/replay-token')
 });
 
 app.mount('#app');
@@ -55,26 +63,36 @@ export const VueComponentIntegration = `
 </template>
 
 <script>
-import { initSessionReplay } from '@replica-replay/core';
+import { initSessionReplay, tokenEndpoint } from '@replica-replay/core';
 
 export default {
   name: 'App',
   data() {
     return {
       replayInitialized: false,
-      replayError: null
+      replayError: null,
+      replaySession: null
     };
   },
-  mounted() {
+  async mounted() {
     try {
-      initSessionReplay({
+      this.replaySession = await initSessionReplay({
         projectKey: 'PROJECT_KEY',
-        secretKey: 'SECRET_KEY'
+        getToken: tokenEndpoint('/api/replay-token')
       });
       this.replayInitialized = true;
+      this.replaySession.on('stopped', () => {
+        this.replayInitialized = false;
+      });
     } catch (error) {
+      // ConfigError, LoadError, TimeoutError or UnsupportedEnvironmentError
       this.replayError = error.message;
     }
+  },
+  beforeUnmount() {
+    if (this.replaySession) {
+      this.replaySession.destroy();
+    }
   }
 };
 </script>
@@ -96,23 +114,32 @@ export const VueCompositionAPI = `
 </template>
 
 <script setup>
-import { ref, onMounted } from 'vue';
-import { initSessionReplay } from '@replica-replay/core';
+import { ref, onMounted, onUnmounted } from 'vue';
+import { initSessionReplay, tokenEndpoint } from '@replica-replay/core';
 
 const isInitialized = ref(false);
 const error = ref(null);
 
+let session = null;
+
 onMounted(async () => {
   try {
-    await initSessionReplay({
+    session = await initSessionReplay({
       projectKey: 'PROJECT_KEY',
-      secretKey: 'SECRET_KEY'
+      getToken: tokenEndpoint('/api/replay-token')
     });
     isInitialized.value = true;
+    session.on('stopped', () => {
+      isInitialized.value = false;
+    });
   } catch (err) {
     error.value = err.message;
   }
 });
+
+onUnmounted(() => {
+  if (session) session.destroy();
+});
 </script>
 `;
 
@@ -121,7 +148,7 @@ export const VueRouterIntegration = `
 // main.js
 import { createApp } from 'vue';
 import { createRouter, createWebHistory } from 'vue-router';
-import { initSessionReplay } from '@replica-replay/core';
+import { initSessionReplay, tokenEndpoint } from '@replica-replay/core';
 import App from './App.vue';
 import Home from './components/Home.vue';
 import About from './components/About.vue';
@@ -138,10 +165,15 @@ const router = createRouter({
 
 const app = createApp(App);
 
-// Initialize session replay before mounting
+// Initialize session replay before mounting.
+// Route changes are recorded as page views automatically.
 initSessionReplay({
   projectKey: 'PROJECT_KEY',
-  secretKey: 'SECRET_KEY'
+  getToken: tokenEndpoint('/api/replay-token'),
+  navigation: {
+    // Leave search terms out of page-view URLs
+    stripQuery: ['q']
+  }
 });
 
 app.use(router);
@@ -152,7 +184,7 @@ app.mount('#app');
 export const ConditionalVueLoading = `
 // main.js
 import { createApp } from 'vue';
-import { initSessionReplay } from '@replica-replay/core';
+import { initSessionReplay, tokenEndpoint } from '@replica-replay/core';
 import App from './App.vue';
 
 const app = createApp(App);
@@ -161,7 +193,7 @@ const app = createApp(App);
 if (import.meta.env.PROD || import.meta.env.VITE_ENABLE_REPLAY === 'true') {
   initSessionReplay({
     projectKey: import.meta.env.VITE_REPLAY_PROJECT_KEY,
-    secretKey: import.meta.env.VITE_REPLAY_SECRET_KEY
+    getToken: tokenEndpoint('/api/replay-token')
   });
 }
 
@@ -171,42 +203,61 @@ app.mount('#app');
 // Example 7: Custom Vue plugin
 export const CustomVuePlugin = `
 // plugins/sessionReplay.js
-import { initSessionReplay } from '@replica-replay/core';
+import { reactive } from 'vue';
+import {
+  initSessionReplay,
+  identify,
+  setMetadata,
+  setTags,
+  setRelease,
+  setEnvironment
+} from '@replica-replay/core';
 
 export default {
   install(app, options) {
     const config = {
       projectKey: options.projectKey,
-      secretKey: options.secretKey,
       ...options
     };
 
-    try {
-      initSessionReplay(config);
-      
-      // Add global properties
-      app.config.globalProperties.$replay = {
-        initialized: true,
-        config
-      };
-      
-      // Provide for composition API
-      app.provide('replay', {
-        initialized: true,
-        config
+    const replay = reactive({
+      status: 'loading',
+      error: null,
+      session: null,
+      config,
+      // this.$replay.identify(user.id, { plan: user.plan })
+      identify,
+      setMetadata,
+      setTags,
+      setRelease,
+      setEnvironment
+    });
+
+    // Add global properties
+    app.config.globalProperties.$replay = replay;
+
+    // Provide for composition API
+    app.provide('replay', replay);
+
+    initSessionReplay(config)
+      .then((session) => {
+        replay.session = session;
+        replay.status = 'recording';
+        session.on('stopped', () => {
+          replay.status = 'stopped';
+        });
+      })
+      .catch((error) => {
+        console.error('Failed to initialize session replay:', error);
+        replay.status = 'error';
+        replay.error = error.message;
       });
-    } catch (error) {
-      console.error('Failed to initialize session replay:', error);
-      app.config.globalProperties.$replay = {
-        initialized: false,
-        error: error.message
-      };
-    }
   }
 };
 
 // main.js
 import { createApp } from 'vue';
+import { tokenEndpoint } from '@replica-replay/core';
 import App from './App.vue';
 import SessionReplayPlugin from './plugins/sessionReplay';
 
@@ -214,7 +265,7 @@ const app = createApp(App);
 
 app.use(SessionReplayPlugin, {
   projectKey: 'PROJECT_KEY',
-  secretKey: 'SECRET_KEY'
+  getToken: tokenEndpoint('/api/replay-token')
 });
 
 app.mount('#app');
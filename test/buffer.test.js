@@ -0,0 +1,131 @@
+import { test, before, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom, waitFor } from './helpers/dom.js';
+import { initRemote, getUploadedEvents, findCustomEvent } from './helpers/replay.js';
+import { resolveBufferOptions, isTriggerEvent, createReplayBuffer, watchErrorTriggers } from '../src/buffer.js';
+import { createSession } from '../src/session.js';
+
+let env;
+let replay;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  env = installDom();
+  replay = await import('../src/index.js');
+});
+
+afterEach(async () => {
+  const session = replay.getActiveSession();
+  if (session) session.destroy();
+  // Let the final flush of the destroyed session land before the next test looks at requests
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  env.requests.length = 0;
+});
+
+const meta = { type: 4, data: {} };
+const snapshot = { type: 2, data: {} };
+const click = { type: 3, data: { source: 2 } };
+
+test('resolveBufferOptions fills in defaults and rejects invalid options', () => {
+  assert.equal(resolveBufferOptions(undefined), null);
+  assert.equal(resolveBufferOptions(false), null);
+  assert.deepEqual(resolveBufferOptions(true), { duration: 60000, errors: true, events: [] });
+  assert.deepEqual(resolveBufferOptions({ duration: 5000, events: ['checkout_failed'] }), {
+    duration: 5000,
+    errors: true,
+    events: ['checkout_failed']
+  });
+  assert.throws(() => resolveBufferOptions({ duration: 500 }), /at least 1000 milliseconds/);
+  assert.throws(() => resolveBufferOptions({ errors: 'yes' }), /buffer\.errors must be a boolean/);
+  assert.throws(() => resolveBufferOptions({ events: [42] }), /buffer\.events must be an array/);
+});
+
+test('isTriggerEvent matches custom event tags by name or RegExp', () => {
+  const patterns = ['checkout_failed', /^payment_/];
+  assert.equal(isTriggerEvent({ type: 5, data: { tag: 'checkout_failed' } }, patterns), true);
+  assert.equal(isTriggerEvent({ type: 5, data: { tag: 'payment_declined' } }, patterns), true);
+  assert.equal(isTriggerEvent({ type: 5, data: { tag: 'checkout_started' } }, patterns), false);
+  assert.equal(isTriggerEvent({ type: 3, data: { tag: 'checkout_failed' } }, patterns), false);
+});
+
+test('the buffer keeps the segments before and after the latest checkout', () => {
+  const buffer = createReplayBuffer();
+  buffer.push(meta, false);
+  buffer.push(snapshot, false);
+  buffer.push(click);
+  const second = { ...meta, checkout: 2 };
+  buffer.push(second, true);
+  buffer.push(snapshot, true);
+  const third = { ...meta, checkout: 3 };
+  buffer.push(third, true);
+  buffer.push(click);
+
+  assert.equal(buffer.size(), 4);
+  assert.deepEqual(buffer.drain(), [second, snapshot, third, click]);
+  assert.equal(buffer.size(), 0);
+
+  buffer.push(click);
+  buffer.clear();
+  assert.deepEqual(buffer.drain(), []);
+});
+
+test('watchErrorTriggers reports page errors but not failed resource loads, until destroy()', () => {
+  const session = createSession();
+  const reasons = [];
+  watchErrorTriggers(session, (reason) => reasons.push(reason));
+
+  window.dispatchEvent(new window.Event('error'));
+  const image = document.createElement('img');
+  document.body.appendChild(image);
+  image.dispatchEvent(new window.Event('error'));
+  window.dispatchEvent(new window.Event('unhandledrejection'));
+  session.destroy();
+  window.dispatchEvent(new window.Event('error'));
+
+  assert.deepEqual(reasons, ['error', 'unhandledrejection']);
+});
+
+test('a buffered remote session uploads nothing until flush(reason)', async () => {
+  const { session } = await initRemote(env, replay, { buffer: true });
+  replay.track('browse', { page: 1 });
+  await new Promise((resolve) => setTimeout(resolve, 20));
+
+  assert.deepEqual(getUploadedEvents(env), []);
+  assert.equal(session.getDiagnostics().buffer.triggered, false);
+  assert.ok(session.getDiagnostics().buffer.bufferedEvents > 0);
+
+  assert.equal(replay.flush('support_ticket_opened'), true);
+  await waitFor(() => findCustomEvent(env, 'trigger'));
+  const events = getUploadedEvents(env);
+  assert.equal(events[0].type, 2);
+  assert.ok(findCustomEvent(env, 'browse'));
+  assert.ok(findCustomEvent(env, 'session'));
+  assert.equal(findCustomEvent(env, 'trigger').data.payload.reason, 'support_ticket_opened');
+  assert.equal(session.getDiagnostics().buffer.triggered, true);
+
+  // Triggered sessions upload like any other
+  replay.track('after', {});
+  assert.equal(replay.flush(), true);
+  await waitFor(() => findCustomEvent(env, 'after'));
+});
+
+test('a listed custom event triggers the upload', async () => {
+  await initRemote(env, replay, { buffer: { events: [/^payment_/] } });
+  replay.track('payment_declined', { code: 51 });
+
+  await waitFor(() => findCustomEvent(env, 'trigger'));
+  assert.equal(findCustomEvent(env, 'trigger').data.payload.reason, 'event:payment_declined');
+  assert.ok(findCustomEvent(env, 'payment_declined'));
+});
+
+test('an uncaught error triggers the upload', async () => {
+  await initRemote(env, replay, { buffer: true });
+  window.dispatchEvent(new window.Event('error'));
+
+  await waitFor(() => findCustomEvent(env, 'trigger'));
+  assert.equal(findCustomEvent(env, 'trigger').data.payload.reason, 'error');
+});
+
+test('flush() without a session returns false', () => {
+  assert.equal(replay.flush('nothing'), false);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { gunzipSync } from 'node:zlib';
+import { encodeBatch, gzip } from '../src/compression.js';
+import { loadGzipFallback } from '../src/gzip-fallback-core.js';
+import { toUtf8 } from '../src/utf8.js';
+
+const batch = { id: 'batch-1', sessionId: 'session-1', events: [{ type: 3, data: { text: 'héllo ✓'.repeat(50) } }] };
+
+/**
+ * Run a test body with CompressionStream removed, like older Safari
+ * @param {Function} fn - Test body
+ */
+async function withoutCompressionStream(fn) {
+  const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'CompressionStream');
+  delete globalThis.CompressionStream;
+  try {
+    await fn();
+  } finally {
+    Object.defineProperty(globalThis, 'CompressionStream', descriptor);
+  }
+}
+
+test('toUtf8 encodes multi-byte characters', () => {
+  assert.deepEqual(Array.from(toUtf8('é✓')), [0xc3, 0xa9, 0xe2, 0x9c, 0x93]);
+});
+
+test('encodeBatch gzips with CompressionStream', async () => {
+  const encoded = await encodeBatch(batch, 'gzip');
+  const json = JSON.stringify(batch);
+
+  assert.equal(encoded.compression, 'gzip');
+  assert.equal(encoded.headers['Content-Encoding'], 'gzip');
+  assert.equal(encoded.rawBytes, Buffer.byteLength(json));
+  assert.equal(encoded.encodedBytes, encoded.body.length);
+  assert.ok(encoded.encodedBytes < encoded.rawBytes);
+  assert.equal(gunzipSync(encoded.body).toString('utf8'), json);
+});
+
+test('gzip falls back to fflate without CompressionStream', async () => {
+  await withoutCompressionStream(async () => {
+    const body = await gzip('héllo ✓'.repeat(50));
+    assert.equal(gunzipSync(body).toString('utf8'), 'héllo ✓'.repeat(50));
+  });
+});
+
+test('encodeBatch sends JSON as is without compression', async () => {
+  const encoded = await encodeBatch(batch);
+
+  assert.equal(encoded.compression, 'none');
+  assert.equal(encoded.body, JSON.stringify(batch));
+  assert.deepEqual(encoded.headers, { 'Content-Type': 'application/json' });
+  assert.equal(encoded.encodedBytes, encoded.rawBytes);
+});
+
+test('the core CDN build has no gzip fallback', async () => {
+  assert.equal(await loadGzipFallback(), null);
+});
@@ -0,0 +1,217 @@
+import { test, before, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom, waitFor } from './helpers/dom.js';
+import { installRrweb } from './helpers/rrweb.js';
+
+let env;
+let replay;
+let consent;
+
+before(async () => {
+  // Keeps the SDK's status messages out of the test runner's output
+  mock.method(console, 'log', () => {});
+  env = installDom({ url: 'https://shop.test/' });
+  replay = await import('../src/index.js');
+  consent = await import('../src/consent.js');
+});
+
+afterEach(async () => {
+  const session = replay.getActiveSession();
+  if (session) session.destroy();
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  env.requests.length = 0;
+  delete window.__tcfapi;
+  delete window.__gpp;
+  delete window.rrweb;
+  document.cookie = 'replay_consent=; expires=Thu, 01 Jan 1970 00:00:00 GMT';
+});
+
+/**
+ * Fake CMP API that keeps its listeners so tests can send them updates
+ * @returns {Object} API function with listeners, removed and update(data)
+ */
+function createCmpApi() {
+  const api = (command, ...args) => {
+    if (command === 'addEventListener') {
+      api.listeners.push(args.find((arg) => typeof arg === 'function'));
+    } else if (command === 'removeEventListener') {
+      api.removed.push(args[args.length - 1]);
+    }
+  };
+  api.listeners = [];
+  api.removed = [];
+  api.update = (data, success = true) => api.listeners.forEach((listener) => listener(data, success));
+  return api;
+}
+
+/**
+ * Subscribe to an adapter and collect the states it reports
+ * @param {Object} adapter - Consent adapter
+ * @returns {Object} { states, unsubscribe }
+ */
+function subscribe(adapter) {
+  const states = [];
+  const unsubscribe = adapter.subscribe((state) => states.push(state));
+  return { states, unsubscribe };
+}
+
+test('resolveConsentOptions defaults to granted, or pending with adapters', () => {
+  const adapter = { subscribe: () => {} };
+
+  assert.deepEqual(consent.resolveConsentOptions(), { state: 'granted', adapters: [], preConsentBuffer: false });
+  assert.equal(consent.resolveConsentOptions('denied').state, 'denied');
+  assert.deepEqual(consent.resolveConsentOptions({ adapter }), { state: 'pending', adapters: [adapter], preConsentBuffer: false });
+  assert.equal(consent.resolveConsentOptions({ adapters: [adapter], state: 'granted' }).state, 'granted');
+  assert.throws(() => consent.resolveConsentOptions('maybe'), /consent must be one of: pending, granted, denied/);
+  assert.throws(() => consent.resolveConsentOptions({ adapters: [{}] }), /subscribe\(callback\)/);
+});
+
+test('the controller follows adapters and reports who changed the state', () => {
+  let report;
+  let unsubscribed = false;
+  const adapter = {
+    name: 'banner',
+    subscribe(callback) {
+      report = callback;
+      return () => { unsubscribed = true; };
+    }
+  };
+  const controller = consent.createConsentController({ state: 'pending', adapters: [adapter] });
+  const changes = [];
+  controller.on('change', (change) => changes.push(change));
+
+  report('granted');
+  report('granted');
+  report('unknown');
+  controller.set('denied');
+
+  assert.equal(controller.getState(), 'denied');
+  assert.deepEqual(changes, [
+    { state: 'granted', previous: 'pending', source: 'banner' },
+    { state: 'denied', previous: 'granted', source: 'api' }
+  ]);
+  assert.throws(() => controller.set('maybe'), /consent must be one of/);
+
+  controller.destroy();
+  assert.equal(unsubscribed, true);
+});
+
+test('tcfConsentAdapter waits for the CMP and checks every purpose and the vendor', () => {
+  window.__tcfapi = createCmpApi();
+  const { states, unsubscribe } = subscribe(consent.tcfConsentAdapter({ purposes: [1, 7], vendorId: 123 }));
+  const tcData = (extra) => ({ listenerId: 4, gdprApplies: true, purpose: { consents: { 1: true, 7: true } }, vendor: { consents: { 123: true } }, ...extra });
+
+  window.__tcfapi.update(tcData({ eventStatus: 'cmpuishown' }));
+  window.__tcfapi.update(tcData({ eventStatus: 'tcloaded' }), false);
+  assert.deepEqual(states, []);
+
+  window.__tcfapi.update(tcData({ eventStatus: 'tcloaded' }));
+  window.__tcfapi.update(tcData({ eventStatus: 'useractioncomplete', purpose: { consents: { 1: true } } }));
+  window.__tcfapi.update(tcData({ eventStatus: 'useractioncomplete', vendor: { consents: {} } }));
+  window.__tcfapi.update({ eventStatus: 'useractioncomplete', listenerId: 4, gdprApplies: false });
+  assert.deepEqual(states, ['granted', 'denied', 'denied', 'granted']);
+
+  unsubscribe();
+  assert.deepEqual(window.__tcfapi.removed, [4]);
+});
+
+test('tcfConsentAdapter does nothing without a CMP', () => {
+  const { states, unsubscribe } = subscribe(consent.tcfConsentAdapter());
+  unsubscribe();
+  assert.deepEqual(states, []);
+});
+
+test('gppConsentAdapter reads the EU TCF section and US opt-outs', () => {
+  window.__gpp = createCmpApi();
+  const { states, unsubscribe } = subscribe(consent.gppConsentAdapter());
+  const ping = (parsedSections, signalStatus = 'ready') => ({ listenerId: 2, pingData: { signalStatus, parsedSections } });
+
+  window.__gpp.update(ping({}, 'not ready'));
+  window.__gpp.update(ping({ tcfeuv2: { PurposeConsent: [true, false] } }));
+  window.__gpp.update(ping({ tcfeuv2: { PurposeConsent: [false] } }));
+  window.__gpp.update(ping({ usnat: { SaleOptOut: 2, SharingOptOut: 2 } }));
+  window.__gpp.update(ping({ usca: [{ SharingOptOut: 1 }] }));
+  assert.deepEqual(states, ['pending', 'granted', 'denied', 'granted', 'denied']);
+
+  unsubscribe();
+  assert.deepEqual(window.__gpp.removed, [2]);
+});
+
+test('gppConsentAdapter uses a custom decision', () => {
+  window.__gpp = createCmpApi();
+  const { states } = subscribe(consent.gppConsentAdapter({ decide: (pingData) => (pingData.gppString ? 'granted' : 'denied') }));
+
+  window.__gpp.update({ pingData: { gppString: 'DBABMA~CPXxRfAPXxRfAAfKABENB-CgAAAAAAAAAAYgAAAAAAAA' } });
+  window.__gpp.update({ pingData: {} });
+  assert.deepEqual(states, ['granted', 'denied']);
+});
+
+test('readCookie finds and decodes a cookie value', () => {
+  document.cookie = 'other=1';
+  document.cookie = 'replay_consent=accepted%20all';
+
+  assert.equal(consent.readCookie('replay_consent'), 'accepted all');
+  assert.equal(consent.readCookie('missing'), null);
+  document.cookie = 'other=; expires=Thu, 01 Jan 1970 00:00:00 GMT';
+});
+
+test('cookieConsentAdapter polls the cookie and reports changes', (t) => {
+  t.mock.timers.enable({ apis: ['setInterval'] });
+  assert.throws(() => consent.cookieConsentAdapter(), /requires a cookie name/);
+  const { states, unsubscribe } = subscribe(consent.cookieConsentAdapter({ name: 'replay_consent', pollInterval: 500 }));
+
+  document.cookie = 'replay_consent=true';
+  t.mock.timers.tick(500);
+  t.mock.timers.tick(500);
+  document.cookie = 'replay_consent=no';
+  t.mock.timers.tick(500);
+  assert.deepEqual(states, ['pending', 'granted', 'denied']);
+
+  unsubscribe();
+  document.cookie = 'replay_consent=1';
+  t.mock.timers.tick(500);
+  assert.equal(states.length, 3);
+});
+
+test('preConsentBuffer is rejected in remote mode', async () => {
+  await assert.rejects(
+    replay.initSessionReplay({ projectKey: 'demo key', consent: { state: 'pending', preConsentBuffer: true } }),
+    { name: 'ConfigError', message: /preConsentBuffer requires mode: "local"/ }
+  );
+});
+
+for (const [decision, uploaded] of [['granted', true], ['denied', false]]) {
+  test(`events buffered before consent are ${uploaded ? 'uploaded once granted' : 'dropped when denied'}`, async () => {
+    const recorder = installRrweb();
+    const transport = replay.memoryTransport();
+    const session = await replay.initSessionReplay({
+      projectKey: 'demo key',
+      mode: 'local',
+      transport,
+      persist: false,
+      consent: { state: 'pending', preConsentBuffer: true }
+    });
+    recorder.active.options.emit({ type: 3, data: { source: 2 }, timestamp: Date.now() });
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    // The full snapshot, the session event and the mouse move
+    assert.equal(session.getDiagnostics().consent.bufferedEvents, 3);
+    assert.equal(transport.batches.length, 0);
+
+    replay.setConsent(decision);
+    replay.flush();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    if (uploaded) {
+      await waitFor(() => transport.getEvents().some((event) => event.type === 3));
+      assert.deepEqual(transport.getEvents().filter((event) => event.type !== 5).map((event) => event.type), [2, 3]);
+      assert.ok(transport.getEvents().some((event) => event.type === 5 && event.data.tag === 'session'));
+    } else {
+      assert.equal(transport.batches.length, 0);
+      assert.equal(session.getDiagnostics().consent.bufferedEvents, 0);
+      assert.equal(recorder.active, null);
+    }
+    // setConsent() outlives the session; leave the next test pending again
+    replay.setConsent('pending');
+  });
+}
@@ -0,0 +1,156 @@
+import { test, before, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom } from './helpers/dom.js';
+import { initRemote, getUploadedEvents } from './helpers/replay.js';
+
+let env;
+let replay;
+let capture;
+let logger;
+
+before(async () => {
+  // Keeps the SDK's and the tests' console output out of the test runner's output
+  ['log', 'info', 'warn', 'error', 'debug'].forEach((level) => mock.method(console, level, () => {}));
+  env = installDom({ url: 'https://shop.test/' });
+  replay = await import('../src/index.js');
+  capture = await import('../src/console.js');
+  ({ logger } = await import('../src/logger.js'));
+});
+
+afterEach(async () => {
+  const session = replay.getActiveSession();
+  if (session) session.destroy();
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  env.requests.length = 0;
+});
+
+/**
+ * Upload what was recorded and return the console and error events
+ * @returns {Promise<Array<Object>>} Payloads, oldest first
+ */
+async function getCaptured() {
+  replay.flush();
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  return getUploadedEvents(env)
+    .filter((event) => event.type === 5 && (event.data.tag === 'console' || event.data.tag === 'error'))
+    .map((event) => event.data.payload);
+}
+
+const options = (extra) => capture.resolveConsoleOptions({ ...extra });
+
+test('resolveConsoleOptions is off by default and captures warnings and errors when on', () => {
+  assert.equal(capture.resolveConsoleOptions(undefined), null);
+  assert.equal(capture.resolveConsoleOptions(false), null);
+  assert.deepEqual(capture.resolveConsoleOptions(true).levels, ['warn', 'error']);
+  assert.equal(capture.resolveConsoleOptions({ levels: ['log'] }).errors, true);
+  assert.throws(() => capture.resolveConsoleOptions({ levels: ['trace'] }), /console\.levels must be an array of: log, info, warn, error, debug/);
+  assert.throws(() => capture.resolveConsoleOptions({ maxEvents: -1 }), /console\.maxEvents must be a non-negative number/);
+});
+
+test('serializeArg previews values up to maxDepth and maxLength', () => {
+  const circular = { name: 'cart' };
+  circular.self = circular;
+  const button = document.createElement('button');
+  button.id = 'save';
+  button.className = 'primary large';
+
+  assert.equal(capture.serializeArg('x'.repeat(20), options({ maxLength: 5 })), 'xxxxx…');
+  assert.deepEqual(capture.serializeArg({ a: { b: { c: { d: 1 } } }, list: [1, [2]] }, options({ maxDepth: 2 })), { a: { b: '[Object]' }, list: [1, '[Array]'] });
+  assert.deepEqual(capture.serializeArg(circular, options()), { name: 'cart', self: '[Circular]' });
+  assert.equal(capture.serializeArg(button, options()), '<button#save.primary.large>');
+  assert.deepEqual(capture.serializeArg(new TypeError('bad'), options()), { name: 'TypeError', message: 'bad' });
+  assert.deepEqual(
+    [undefined, NaN, 10n, function save() {}, new Date(0)].map((value) => capture.serializeArg(value, options())),
+    ['[undefined]', 'NaN', '10n', '[Function save]', '1970-01-01T00:00:00.000Z']
+  );
+  const many = capture.serializeArg(Array.from({ length: 25 }, (_, index) => index), options());
+  assert.equal(many.length, 21);
+  assert.equal(many[20], '… 5 more');
+});
+
+test('parseStack reads Chrome, Firefox and Safari frames', () => {
+  const chrome = 'TypeError: x is undefined\n    at submit (https://shop.test/app.js:10:5)\n    at https://shop.test/vendor.js:1:200';
+  const firefox = 'submit@https://shop.test/app.js:10:5\n@https://shop.test/vendor.js:1:200';
+
+  const expected = [
+    { fn: 'submit', file: 'https://shop.test/app.js', line: 10, column: 5 },
+    { fn: '<anonymous>', file: 'https://shop.test/vendor.js', line: 1, column: 200 }
+  ];
+  assert.deepEqual(capture.parseStack(chrome), expected);
+  assert.deepEqual(capture.parseStack(firefox), expected);
+  assert.deepEqual(capture.parseStack(chrome, 1), expected.slice(0, 1));
+  assert.deepEqual(capture.parseStack(undefined), []);
+});
+
+test('console: true records warnings and errors with args and stack, redacted', async () => {
+  await initRemote(env, replay, { console: true });
+
+  console.log('not captured');
+  console.warn('Slow response', { ms: 1200 });
+  console.error(new Error('Payment failed for jane@example.com'));
+
+  const [warning, error] = await getCaptured();
+  assert.equal(warning.level, 'warn');
+  assert.equal(warning.message, 'Slow response {"ms":1200}');
+  assert.deepEqual(warning.args, ['Slow response', { ms: 1200 }]);
+  assert.ok(warning.stack.length > 0);
+  assert.equal(error.level, 'error');
+  assert.doesNotMatch(error.message, /jane@example\.com/);
+  assert.match(error.message, /^Error: Payment failed for /);
+});
+
+test('the SDK’s own logging is not captured', async () => {
+  await initRemote(env, replay, { console: { levels: ['log', 'warn'] } });
+
+  logger.warn('Session replay upload failed');
+  console.log('page log');
+
+  assert.deepEqual((await getCaptured()).map(({ message }) => message), ['page log']);
+});
+
+test('uncaught errors, unhandled rejections and failed resource loads are recorded', async () => {
+  await initRemote(env, replay, { console: true });
+
+  const error = new TypeError('x is undefined');
+  window.dispatchEvent(new window.ErrorEvent('error', { message: 'Uncaught TypeError: x is undefined', error }));
+  const rejection = new Event('unhandledrejection');
+  rejection.reason = new Error('timeout');
+  window.dispatchEvent(rejection);
+  const image = document.createElement('img');
+  image.src = 'https://cdn.test/logo.png';
+  document.body.appendChild(image);
+  image.dispatchEvent(new Event('error'));
+  image.remove();
+
+  const captured = await getCaptured();
+  assert.deepEqual(captured.map(({ source, message }) => [source, message]), [
+    ['onerror', 'Uncaught TypeError: x is undefined'],
+    ['unhandledrejection', 'Error: timeout'],
+    ['resource', 'Failed to load img https://cdn.test/logo.png']
+  ]);
+  assert.ok(captured[0].stack.length > 0);
+  assert.equal(captured[2].element, '<img>');
+});
+
+test('capture stops at maxEvents per session', async () => {
+  await initRemote(env, replay, { console: { maxEvents: 2 } });
+
+  ['one', 'two', 'three'].forEach((message) => console.warn(message));
+  assert.deepEqual((await getCaptured()).map(({ message }) => message), ['one', 'two']);
+});
+
+test('destroy() puts the console back', async () => {
+  const warn = console.warn;
+  const { session } = await initRemote(env, replay, { console: true });
+  assert.notEqual(console.warn, warn);
+
+  session.destroy();
+  assert.equal(console.warn, warn);
+});
+
+test('invalid console options are rejected', async () => {
+  await assert.rejects(
+    replay.initSessionReplay({ projectKey: 'demo key', getToken: () => 'token-1', console: { levels: 'warn' } }),
+    { name: 'ConfigError', message: /console\.levels/ }
+  );
+});
@@ -0,0 +1,153 @@
+import { test, before, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom, waitFor } from './helpers/dom.js';
+import { initRemote, getUploadedEvents } from './helpers/replay.js';
+
+const MINUTE = 60 * 1000;
+
+let env;
+let replay;
+let continuity;
+let managers = [];
+
+before(async () => {
+  // Keeps the SDK's status messages out of the test runner's output
+  mock.method(console, 'log', () => {});
+  env = installDom({ url: 'https://shop.test/' });
+  replay = await import('../src/index.js');
+  continuity = await import('../src/continuity.js');
+});
+
+afterEach(async () => {
+  const session = replay.getActiveSession();
+  if (session) session.destroy();
+  // Open BroadcastChannels would keep the test process alive
+  managers.forEach((manager) => manager.destroy());
+  managers = [];
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  env.requests.length = 0;
+  localStorage.clear();
+  sessionStorage.clear();
+});
+
+/**
+ * Create a session manager that is destroyed after the test
+ * @param {Object} [options] - Manager options
+ * @returns {Object}
+ */
+function createManager(options) {
+  const manager = continuity.createSessionManager({ namespace: 'demo', ...options });
+  managers.push(manager);
+  return manager;
+}
+
+/**
+ * Forget this tab's own state, as if the next manager ran in a new tab
+ */
+function openNewTab() {
+  sessionStorage.clear();
+}
+
+test('the session ID is kept across page loads, and each tab gets its own index', () => {
+  const first = createManager({ sessionId: 'session-1' });
+  assert.equal(first.getSessionId(), 'session-1');
+  first.destroy();
+
+  // A reload of the same tab continues the session under the same index
+  const reloaded = createManager();
+  assert.equal(reloaded.getSessionId(), 'session-1');
+  assert.equal(reloaded.getTabIndex(), 0);
+
+  openNewTab();
+  const second = createManager();
+  assert.equal(second.getSessionId(), 'session-1');
+  assert.equal(second.getTabIndex(), 1);
+
+  assert.notEqual(createManager({ namespace: 'other' }).getSessionId(), 'session-1');
+});
+
+test('a new session starts after the idle timeout', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-01T00:00:00Z') });
+  const manager = createManager({ idleTimeout: 30 * MINUTE });
+  const changes = [];
+  manager.on('change', (change) => changes.push(change));
+  const first = manager.getSessionId();
+
+  t.mock.timers.tick(29 * MINUTE);
+  manager.touch();
+  t.mock.timers.tick(29 * MINUTE);
+  assert.equal(manager.getSessionId(), first);
+
+  t.mock.timers.tick(2 * MINUTE);
+  const second = manager.getSessionId();
+  assert.notEqual(second, first);
+  assert.deepEqual(changes, [{ sessionId: second, previousSessionId: first, reason: 'idle' }]);
+});
+
+test('a new session starts after the maximum duration, however active the user is', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-01T00:00:00Z') });
+  const manager = createManager({ maxDuration: 60 * MINUTE });
+  const changes = [];
+  manager.on('change', (change) => changes.push(change));
+  const first = manager.getSessionId();
+
+  for (let minute = 0; minute < 60; minute += 10) {
+    t.mock.timers.tick(10 * MINUTE);
+    manager.touch();
+  }
+  t.mock.timers.tick(MINUTE);
+  manager.check();
+
+  assert.notEqual(manager.getSessionId(), first);
+  assert.equal(changes[0].reason, 'maxDuration');
+  assert.equal(manager.getInfo().maxDuration, 60 * MINUTE);
+});
+
+test('renew() in one tab moves the other tabs to the new session', async () => {
+  const first = createManager();
+  openNewTab();
+  const second = createManager();
+  const changes = [];
+  first.on('change', (change) => changes.push(change));
+  const previous = first.getSessionId();
+  // Let the tabs answer each other's startup queries first
+  await new Promise((resolve) => setTimeout(resolve, 20));
+
+  const renewed = second.renew();
+  await waitFor(() => changes.length > 0);
+
+  assert.deepEqual(changes, [{ sessionId: renewed, previousSessionId: previous, reason: 'tab' }]);
+  assert.equal(first.getSessionId(), renewed);
+});
+
+test('getSessionId() and getSessionReplayUrl() expose the active session, and events carry the tab index', async () => {
+  assert.equal(replay.getSessionId(), null);
+  assert.equal(replay.getSessionReplayUrl(), null);
+
+  const { session } = await initRemote(env, replay);
+  const sessionId = replay.getSessionId();
+  assert.equal(sessionId, session.getSessionId());
+  assert.equal(replay.getSessionReplayUrl(), `https://replay.test/view/demo%20key/${sessionId}`);
+
+  replay.flush();
+  await waitFor(() => getUploadedEvents(env).length > 0);
+  assert.ok(getUploadedEvents(env).every((event) => event.tabIndex === 0));
+});
+
+test('a session started again on the next page load continues the same ID', async () => {
+  const { session: first } = await initRemote(env, replay);
+  const sessionId = first.getSessionId();
+  first.destroy();
+
+  const { session: second } = await initRemote(env, replay);
+  assert.equal(second.getSessionId(), sessionId);
+});
+
+test('invalid idleTimeout and maxSessionDuration are rejected', async () => {
+  for (const option of ['idleTimeout', 'maxSessionDuration']) {
+    await assert.rejects(
+      replay.initSessionReplay({ projectKey: 'demo key', getToken: () => 'token-1', [option]: 0 }),
+      { name: 'ConfigError', message: new RegExp(`${option} must be a positive number of milliseconds`) }
+    );
+  }
+});
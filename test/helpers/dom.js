@@ -0,0 +1,85 @@
+/**
+ * Browser environment for tests
+ * Exposes a jsdom window as the globals the SDK reads, and answers the
+ * SDK's script tags and requests without touching the network.
+ */
+
+import { JSDOM } from 'jsdom';
+import { installRrweb } from './rrweb.js';
+
+const GLOBALS = [
+  'window', 'document', 'navigator', 'location', 'history', 'localStorage', 'sessionStorage',
+  'Event', 'CustomEvent', 'HTMLElement', 'Element', 'Node', 'MutationObserver', 'getComputedStyle'
+];
+
+/**
+ * Install a jsdom window as the global browser environment
+ * @param {Object} [options] - Options
+ * @param {string} [options.url] - Page URL (defaults to https://example.com/)
+ * @returns {Object} Environment with window, scripts, requests, loadScripts, respond and rrweb
+ */
+export function installDom(options = {}) {
+  const dom = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', {
+    url: options.url || 'https://example.com/'
+  });
+  const { window } = dom;
+  GLOBALS.forEach((name) => {
+    Object.defineProperty(globalThis, name, {
+      value: name === 'window' ? window : window[name],
+      configurable: true,
+      writable: true
+    });
+  });
+
+  const env = {
+    window,
+    // Script tags appended to the page, in order
+    scripts: [],
+    // fetch() calls as { url, init }, answered by respond
+    requests: [],
+    respond: () => new Response('{}', { status: 200 }),
+    rrweb: null,
+
+    /**
+     * Finish loading every pending script tag; the first one installs rrweb
+     */
+    loadScripts() {
+      env.scripts.splice(0).forEach((script) => {
+        if (!env.rrweb) env.rrweb = installRrweb();
+        if (script.onload) script.onload();
+      });
+    }
+  };
+
+  const appendChild = window.document.head.appendChild.bind(window.document.head);
+  window.document.head.appendChild = (node) => {
+    if (node.tagName === 'SCRIPT') {
+      env.scripts.push(node);
+      return node;
+    }
+    return appendChild(node);
+  };
+
+  globalThis.fetch = window.fetch = async (url, init = {}) => {
+    env.requests.push({ url: String(url), init });
+    return env.respond(String(url), init);
+  };
+
+  return env;
+}
+
+/**
+ * Wait until a condition holds, checking on every macrotask
+ * @param {Function} condition - Returns true once done
+ * @param {number} [timeout] - Milliseconds before giving up (defaults to 2000)
+ * @returns {Promise<void>}
+ */
+export async function waitFor(condition, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
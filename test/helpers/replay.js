@@ -0,0 +1,47 @@
+/**
+ * Shortcuts for tests that run initSessionReplay in remote mode
+ */
+
+import { waitFor } from './dom.js';
+
+/**
+ * Start a remote-mode session and finish loading its init.js
+ * @param {Object} env - Environment from installDom()
+ * @param {Object} replay - The SDK module
+ * @param {Object} [config] - Configuration overrides
+ * @returns {Promise<Object>} { session, src } with the session handle and the init.js URL
+ */
+export async function initRemote(env, replay, config = {}) {
+  const starting = replay.initSessionReplay({
+    projectKey: 'demo key',
+    serverUrl: 'https://replay.test',
+    getToken: async () => ({ token: 'token-1', expiresAt: Date.now() + 3600000 }),
+    persist: false,
+    ...config
+  });
+  await waitFor(() => env.scripts.length > 0);
+  const src = env.scripts[0].src;
+  env.loadScripts();
+  return { session: await starting, src };
+}
+
+/**
+ * Get every event uploaded to the ingest endpoint so far, oldest first
+ * @param {Object} env - Environment from installDom()
+ * @returns {Array<Object>}
+ */
+export function getUploadedEvents(env) {
+  return env.requests
+    .filter(({ url }) => url.endsWith('/events'))
+    .flatMap(({ init }) => JSON.parse(init.body).events);
+}
+
+/**
+ * Find an uploaded custom event by tag
+ * @param {Object} env - Environment from installDom()
+ * @param {string} tag - Custom event tag
+ * @returns {Object|undefined}
+ */
+export function findCustomEvent(env, tag) {
+  return getUploadedEvents(env).find((event) => event.type === 5 && event.data.tag === tag);
+}
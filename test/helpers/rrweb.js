@@ -0,0 +1,44 @@
+/**
+ * Fake rrweb for tests
+ * record() emits a full snapshot through the options it is given, and
+ * record.addCustomEvent() emits custom events while a recording is active.
+ */
+
+/**
+ * Install a fake window.rrweb, creating window as an EventTarget when needed
+ * @returns {Object} Recorder with recordings, active and uninstall
+ */
+export function installRrweb() {
+  if (typeof globalThis.window === 'undefined') {
+    globalThis.window = new EventTarget();
+  }
+
+  const recorder = {
+    recordings: [],
+    active: null,
+    uninstall() {
+      delete window.rrweb;
+    }
+  };
+
+  function record(options) {
+    const recording = { options, stopped: false };
+    recorder.recordings.push(recording);
+    recorder.active = recording;
+    options.emit({ type: 2, data: { node: {} }, timestamp: Date.now() }, true);
+    return () => {
+      recording.stopped = true;
+      if (recorder.active === recording) recorder.active = null;
+    };
+  }
+
+  record.addCustomEvent = (tag, payload) => {
+    if (!recorder.active) {
+      throw new Error('Please add custom event after start recording.');
+    }
+    recorder.active.options.emit({ type: 5, data: { tag, payload }, timestamp: Date.now() });
+  };
+
+  window.rrweb = { record };
+  return recorder;
+}
@@ -0,0 +1,151 @@
+import { test, before, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom, waitFor } from './helpers/dom.js';
+import { initRemote } from './helpers/replay.js';
+
+let env;
+let replay;
+let errors;
+
+before(async () => {
+  // Keeps the SDK's status messages out of the test runner's output
+  mock.method(console, 'log', () => {});
+  env = installDom({ url: 'https://shop.test/' });
+  replay = await import('../src/index.js');
+  errors = await import('../src/errors.js');
+});
+
+afterEach(async () => {
+  const session = replay.getActiveSession();
+  if (session) session.destroy();
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  env.requests.length = 0;
+  env.scripts.length = 0;
+  delete window.rrweb;
+  env.rrweb = null;
+});
+
+const remoteConfig = (extra) => ({
+  projectKey: 'demo key',
+  serverUrl: 'https://replay.test',
+  getToken: async () => 'token-1',
+  persist: false,
+  ...extra
+});
+
+/**
+ * Collect the status events fired while a test runs
+ * @returns {Object} { events, stop }
+ */
+function listen() {
+  const events = [];
+  const handlers = ['ready', 'error', 'stopped'].map((name) => {
+    const handler = (payload) => events.push([name, payload]);
+    replay.on(name, handler);
+    return [name, handler];
+  });
+  return { events, stop: () => handlers.forEach(([name, handler]) => replay.off(name, handler)) };
+}
+
+test('invalid configuration is rejected with a ConfigError', async () => {
+  for (const [config, message] of [
+    [undefined, /Configuration object is required/],
+    [{ getToken: () => 'token' }, /projectKey is required/],
+    [{ projectKey: 'demo', mode: 'hybrid' }, /mode must be "remote" or "local"/],
+    [{ projectKey: 'demo' }, /getToken is required/],
+    [{ projectKey: 'demo', mode: 'local' }, /transport is required in local mode/],
+    [{ projectKey: 'demo', getToken: () => 'token', timeout: -1 }, /timeout must be a positive number/]
+  ]) {
+    const error = await replay.initSessionReplay(config).then(() => null, (caught) => caught);
+    assert.ok(error instanceof errors.ConfigError, String(config && JSON.stringify(config)));
+    assert.ok(error instanceof errors.SessionReplayError);
+    assert.equal(error.code, 'CONFIG_ERROR');
+    assert.match(error.message, message);
+  }
+  assert.equal(replay.getActiveSession(), null);
+});
+
+test('initialization outside a browser rejects with an UnsupportedEnvironmentError', async () => {
+  const { document } = globalThis;
+  globalThis.document = undefined;
+  try {
+    await assert.rejects(replay.initSessionReplay(remoteConfig()), { name: 'UnsupportedEnvironmentError', code: 'UNSUPPORTED_ENVIRONMENT' });
+  } finally {
+    globalThis.document = document;
+  }
+});
+
+test('the init promise settles only once the script has loaded and recording started', async () => {
+  const { events, stop } = listen();
+  let settled = false;
+  const starting = replay.initSessionReplay(remoteConfig()).then((session) => {
+    settled = true;
+    return session;
+  });
+  await waitFor(() => env.scripts.length > 0);
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.equal(settled, false);
+  assert.deepEqual(events, []);
+
+  env.loadScripts();
+  const session = await starting;
+  assert.equal(session.getState(), 'recording');
+  assert.deepEqual(events, [['ready', { sessionId: session.getSessionId() }]]);
+
+  session.stop();
+  assert.deepEqual(events[1], ['stopped', { sessionId: session.getSessionId() }]);
+  stop();
+});
+
+test('a script that fails to load rejects with a LoadError and fires error', async () => {
+  const { events, stop } = listen();
+  const starting = replay.initSessionReplay(remoteConfig());
+  await waitFor(() => env.scripts.length > 0);
+  env.scripts[0].onerror();
+
+  const error = await starting.then(() => null, (caught) => caught);
+  assert.ok(error instanceof errors.LoadError);
+  assert.match(error.message, /Failed to load session replay script: https:\/\/replay\.test\/s\/demo%20key\/init\.js/);
+  assert.deepEqual(events, [['error', error]]);
+  assert.equal(replay.getActiveSession(), null);
+  stop();
+});
+
+test('a script that never loads rejects with a TimeoutError after config.timeout', async () => {
+  const { events, stop } = listen();
+  const error = await replay.initSessionReplay(remoteConfig({ timeout: 50 })).then(() => null, (caught) => caught);
+
+  assert.ok(error instanceof errors.TimeoutError);
+  assert.equal(error.code, 'TIMEOUT_ERROR');
+  assert.match(error.message, /did not load within 50ms/);
+  assert.deepEqual(events.map(([name]) => name), ['error']);
+  stop();
+});
+
+test('a script that loads without rrweb rejects with a TimeoutError', async () => {
+  const starting = replay.initSessionReplay(remoteConfig({ timeout: 100 }));
+  await waitFor(() => env.scripts.length > 0);
+  // Loaded, but never defines window.rrweb
+  env.scripts[0].onload();
+
+  await assert.rejects(starting, { name: 'TimeoutError', message: /rrweb did not become available within 100ms/ });
+});
+
+test('a failing getToken rejects with a LoadError that keeps the cause', async () => {
+  const cause = new Error('401 from /api/replay-token');
+  const error = await replay.initSessionReplay(remoteConfig({ getToken: async () => { throw cause; } }))
+    .then(() => null, (caught) => caught);
+
+  assert.ok(error instanceof errors.LoadError);
+  assert.match(error.message, /Could not get a session token/);
+  assert.equal(error.cause, cause);
+});
+
+test('status subscribers can unsubscribe', async () => {
+  const ready = [];
+  const handler = () => ready.push(true);
+  const unsubscribe = replay.on('ready', handler);
+  unsubscribe();
+  await initRemote(env, replay);
+  assert.deepEqual(ready, []);
+});
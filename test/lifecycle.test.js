@@ -0,0 +1,93 @@
+import { test, before, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom } from './helpers/dom.js';
+import { initRemote, getUploadedEvents } from './helpers/replay.js';
+
+let env;
+let replay;
+let visibilityState = 'visible';
+
+before(async () => {
+  // Keeps the SDK's status messages out of the test runner's output
+  mock.method(console, 'log', () => {});
+  env = installDom({ url: 'https://shop.test/' });
+  Object.defineProperty(document, 'visibilityState', { get: () => visibilityState, configurable: true });
+  replay = await import('../src/index.js');
+});
+
+afterEach(async () => {
+  const session = replay.getActiveSession();
+  if (session) session.destroy();
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  env.requests.length = 0;
+  visibilityState = 'visible';
+});
+
+/**
+ * Change the tab's visibility and fire visibilitychange
+ * @param {'visible'|'hidden'} state - New visibility state
+ */
+function setVisibility(state) {
+  visibilityState = state;
+  document.dispatchEvent(new Event('visibilitychange'));
+}
+
+const getUnloadRequests = () => env.requests.filter(({ url, init }) => url.endsWith('/events') && init.keepalive);
+
+/**
+ * Start a remote session with one recorded mouse move waiting to be uploaded
+ * @returns {Promise<Object>} Session handle
+ */
+async function startWithPendingEvent() {
+  const { session } = await initRemote(env, replay);
+  env.rrweb.active.options.emit({ type: 3, data: { source: 1 }, timestamp: Date.now() });
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  return session;
+}
+
+test('hiding the tab records a visibility event and sends what is pending with keepalive', async () => {
+  await startWithPendingEvent();
+  setVisibility('hidden');
+
+  const [request] = getUnloadRequests();
+  assert.ok(request);
+  assert.equal(request.init.headers.Authorization, 'Bearer token-1');
+  const events = JSON.parse(request.init.body).events;
+  assert.ok(events.some((event) => event.type === 3 && event.data.source === 1));
+  assert.deepEqual(events.filter((event) => event.type === 5 && event.data.tag === 'visibility').map((event) => event.data.payload.state), ['hidden']);
+});
+
+test('coming back records a visible event with the next upload', async () => {
+  await startWithPendingEvent();
+  setVisibility('hidden');
+  setVisibility('visible');
+  // The same state twice is one change
+  setVisibility('visible');
+  replay.flush();
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  const states = getUploadedEvents(env)
+    .filter((event) => event.type === 5 && event.data.tag === 'visibility')
+    .map((event) => event.data.payload.state);
+  assert.deepEqual(states, ['hidden', 'visible']);
+});
+
+for (const [name, target] of [['pagehide', () => window], ['freeze', () => document]]) {
+  test(`${name} sends what is pending`, async () => {
+    await startWithPendingEvent();
+    target().dispatchEvent(new Event(name));
+
+    assert.equal(getUnloadRequests().length, 1);
+  });
+}
+
+test('a destroyed session stops listening', async () => {
+  const session = await startWithPendingEvent();
+  session.destroy();
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  env.requests.length = 0;
+
+  window.dispatchEvent(new Event('pagehide'));
+  setVisibility('hidden');
+  assert.deepEqual(env.requests, []);
+});
@@ -0,0 +1,154 @@
+import { test, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { installDom, waitFor } from './helpers/dom.js';
+
+const RRWEB_SOURCE = 'globalThis.scriptScope = typeof options; window.rrweb = { record() {} };';
+
+/**
+ * Subresource Integrity metadata for a script
+ * @param {string} algorithm - sha256, sha384 or sha512
+ * @param {string} text - Script source
+ * @returns {string}
+ */
+function sri(algorithm, text) {
+  return `${algorithm}-${createHash(algorithm).update(text).digest('base64')}`;
+}
+
+const toBuffer = (text) => new TextEncoder().encode(text).buffer;
+
+let env;
+let loader;
+let LoadError;
+
+before(async () => {
+  env = installDom({ url: 'https://shop.test/checkout' });
+  loader = await import('../src/loader.js');
+  ({ LoadError } = await import('../src/errors.js'));
+});
+
+afterEach(() => {
+  delete window.rrweb;
+  delete globalThis.scriptScope;
+  env.scripts.length = 0;
+  env.requests.length = 0;
+  env.respond = () => new Response('{}', { status: 200 });
+});
+
+/**
+ * Fail every script tag the loader adds, as a CSP or network error would
+ */
+async function failScriptTag() {
+  await waitFor(() => env.scripts.length > 0);
+  env.scripts.shift().onerror();
+}
+
+test('verifyIntegrity accepts a matching hash of the strongest algorithm listed', async () => {
+  const text = 'window.rrweb = {};';
+  await loader.verifyIntegrity(toBuffer(text), sri('sha384', text));
+  await loader.verifyIntegrity(toBuffer(text), `sha384-wrong ${sri('sha384', text)}`);
+  // A weaker hash that matches does not count next to a stronger one that does not
+  await assert.rejects(
+    loader.verifyIntegrity(toBuffer(text), `${sri('sha256', text)} ${sri('sha512', 'other')}`),
+    { code: 'integrity-mismatch', message: /sha512/ }
+  );
+  await assert.rejects(loader.verifyIntegrity(toBuffer('tampered'), sri('sha384', text)), { code: 'integrity-mismatch' });
+});
+
+test('verifyIntegrity needs SubtleCrypto', async (t) => {
+  t.mock.getter(globalThis, 'crypto', () => ({}));
+  await assert.rejects(loader.verifyIntegrity(toBuffer('x'), sri('sha256', 'x')), { code: 'integrity-unavailable' });
+});
+
+test('resolveIntegrity prefers the integrity option, then looks the script up in the manifest', async () => {
+  const files = { 'rrweb.min.js': sri('sha384', 'by name'), '/vendor/other.js': sri('sha384', 'by path') };
+  const options = (extra) => loader.resolveLoaderOptions({ manifest: { version: '2.0.0', files }, ...extra });
+
+  assert.equal(await loader.resolveIntegrity('https://cdn.test/rrweb.min.js', options({ integrity: sri('sha256', 'x') })), sri('sha256', 'x'));
+  assert.equal(await loader.resolveIntegrity('https://cdn.test/rrweb@2/rrweb.min.js', options()), files['rrweb.min.js']);
+  assert.equal(await loader.resolveIntegrity('/vendor/other.js', options()), files['/vendor/other.js']);
+  assert.equal(await loader.resolveIntegrity('https://cdn.test/rrweb.min.js', loader.resolveLoaderOptions()), null);
+  await assert.rejects(
+    loader.resolveIntegrity('https://cdn.test/record.js', options()),
+    { code: 'integrity-missing', message: /for version 2\.0\.0 has no hash for record\.js/ }
+  );
+});
+
+test('resolveIntegrity fetches a manifest URL', async () => {
+  env.respond = () => Response.json({ files: { 'rrweb.min.js': sri('sha384', 'fetched') } });
+  const options = loader.resolveLoaderOptions({ manifest: '/rrweb-manifest.json' });
+
+  assert.equal(await loader.resolveIntegrity('https://cdn.test/rrweb.min.js', options), sri('sha384', 'fetched'));
+  assert.equal(env.requests[0].url, '/rrweb-manifest.json');
+
+  env.respond = () => new Response('', { status: 404 });
+  await assert.rejects(loader.resolveIntegrity('https://cdn.test/rrweb.min.js', options), { code: 'integrity-missing', message: /HTTP 404/ });
+});
+
+test('eval is off by default when a nonce, integrity or manifest is set', () => {
+  assert.equal(loader.resolveLoaderOptions().allowEval, true);
+  assert.equal(loader.resolveLoaderOptions({ nonce: 'abc' }).allowEval, false);
+  assert.equal(loader.resolveLoaderOptions({ integrity: sri('sha384', 'x') }).allowEval, false);
+  assert.equal(loader.resolveLoaderOptions({ manifest: '/manifest.json' }).allowEval, false);
+  assert.equal(loader.resolveLoaderOptions({ nonce: 'abc', allowEval: true }).allowEval, true);
+  assert.throws(() => loader.resolveLoaderOptions({ allowEval: 'yes' }), /allowEval must be a boolean/);
+});
+
+test('fetched scripts are checked, then run in global scope', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  env.respond = () => new Response(RRWEB_SOURCE);
+  const loading = loader.loadSessionReplayScript('https://cdn.test/rrweb.min.js', {
+    integrity: sri('sha384', RRWEB_SOURCE),
+    allowEval: true
+  });
+  await failScriptTag();
+  const result = await loading;
+
+  assert.equal(result.method, 'fetch');
+  assert.equal(result.integrity, sri('sha384', RRWEB_SOURCE));
+  assert.deepEqual(result.attempts.map(({ method, ok, code }) => ({ method, ok, code })), [
+    { method: 'script', ok: false, code: 'load-failed' },
+    { method: 'fetch', ok: true, code: null }
+  ]);
+  assert.ok(window.rrweb);
+  assert.equal(globalThis.scriptScope, 'undefined');
+});
+
+test('eval-free loading runs fetched scripts as inline script tags with the nonce', async () => {
+  env.respond = () => new Response(RRWEB_SOURCE);
+  const loading = loader.loadSessionReplayScript('https://cdn.test/rrweb.min.js', { nonce: 'n0nce' });
+  await failScriptTag();
+  // The DOM helper never runs inline scripts, so rrweb stays missing
+  await assert.rejects(loading, LoadError);
+
+  const inline = env.scripts.find((script) => !script.src);
+  assert.equal(inline.text, RRWEB_SOURCE);
+  assert.equal(inline.nonce, 'n0nce');
+  assert.equal(globalThis.scriptScope, undefined);
+});
+
+test('a failed load lists every attempt and why it failed', async () => {
+  env.respond = () => new Response('window.rrweb = {};');
+  const loading = loader.loadSessionReplayScript('https://cdn.test/rrweb.min.js', { integrity: sri('sha384', RRWEB_SOURCE) });
+  await failScriptTag();
+
+  const error = await loading.then(() => null, (caught) => caught);
+  assert.ok(error instanceof LoadError);
+  assert.match(error.message, /All script loading methods failed \(script: load-failed, fetch: integrity-mismatch, xhr: unsupported, import: integrity-unsupported\)/);
+  assert.deepEqual(error.attempts.map(({ method, ok, code }) => ({ method, ok, code })), [
+    { method: 'script', ok: false, code: 'load-failed' },
+    { method: 'fetch', ok: false, code: 'integrity-mismatch' },
+    { method: 'xhr', ok: false, code: 'unsupported' },
+    { method: 'import', ok: false, code: 'integrity-unsupported' }
+  ]);
+  assert.equal(window.rrweb, undefined);
+});
+
+test('a manifest without the script fails before anything runs', async () => {
+  const error = await loader.loadSessionReplayScript('https://cdn.test/rrweb.min.js', { manifest: { files: {} } })
+    .then(() => null, (caught) => caught);
+
+  assert.ok(error instanceof LoadError);
+  assert.deepEqual(error.attempts.map(({ method, code }) => ({ method, code })), [{ method: 'manifest', code: 'integrity-missing' }]);
+  assert.equal(env.scripts.length, 0);
+});
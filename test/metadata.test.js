@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { sha256, createMetadataStore } from '../src/metadata.js';
+
+// FIPS 180-2 examples, plus the long message from the NIST test vectors
+const NIST_VECTORS = [
+  ['', 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'],
+  ['abc', 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'],
+  [
+    'abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq',
+    '248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1'
+  ],
+  ['a'.repeat(1000000), 'cdc76e5c9914fb9281a1c7e284d73e67f1809a48a497200e046d39ccc7112cd0']
+];
+
+/**
+ * Run a test body with crypto.subtle unavailable, as in insecure contexts
+ * @param {Function} fn - Test body
+ */
+async function withoutSubtleCrypto(fn) {
+  const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+  Object.defineProperty(globalThis, 'crypto', { value: undefined, configurable: true });
+  try {
+    await fn();
+  } finally {
+    Object.defineProperty(globalThis, 'crypto', descriptor);
+  }
+}
+
+test('sha256 matches the NIST vectors', async () => {
+  for (const [message, digest] of NIST_VECTORS) {
+    assert.equal(await sha256(message), digest);
+  }
+});
+
+test('sha256 without crypto.subtle matches the NIST vectors', async () => {
+  await withoutSubtleCrypto(async () => {
+    for (const [message, digest] of NIST_VECTORS) {
+      assert.equal(await sha256(message), digest);
+    }
+  });
+});
+
+test('sha256 without crypto.subtle matches node:crypto at padding boundaries and for non-ASCII input', async () => {
+  const messages = [55, 56, 63, 64, 65, 119, 120, 128].map((length) => 'x'.repeat(length));
+  messages.push('user-42', 'ünïcødé', '用户', '👤 user');
+  await withoutSubtleCrypto(async () => {
+    for (const message of messages) {
+      assert.equal(await sha256(message), createHash('sha256').update(message, 'utf8').digest('hex'), `length ${message.length}`);
+    }
+  });
+});
+
+test('identify with hash stores the digest instead of the ID', async () => {
+  const metadata = createMetadataStore();
+  await metadata.identify('user-42', { plan: 'pro' }, { hash: true });
+  assert.deepEqual(metadata.getUser(), {
+    id: createHash('sha256').update('user-42').digest('hex'),
+    hashed: true,
+    traits: { plan: 'pro' }
+  });
+
+  await metadata.identify(7);
+  assert.deepEqual(metadata.getUser(), { id: '7', hashed: false, traits: {} });
+});
@@ -0,0 +1,90 @@
+import { test, before, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom, waitFor } from './helpers/dom.js';
+import { initRemote, getUploadedEvents } from './helpers/replay.js';
+
+let env;
+let replay;
+let navigation;
+
+before(async () => {
+  // Keeps the SDK's status messages out of the test runner's output
+  mock.method(console, 'log', () => {});
+  env = installDom({ url: 'https://shop.test/products/12345?ref=home' });
+  replay = await import('../src/index.js');
+  navigation = await import('../src/navigation.js');
+});
+
+afterEach(async () => {
+  const session = replay.getActiveSession();
+  if (session) session.destroy();
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  env.requests.length = 0;
+  history.replaceState(null, '', 'https://shop.test/products/12345?ref=home');
+});
+
+const getPageViews = () => getUploadedEvents(env)
+  .filter((event) => event.type === 5 && event.data.tag === 'pageview')
+  .map((event) => event.data.payload);
+
+test('navigation tracking is off unless turned on', () => {
+  assert.equal(navigation.resolveNavigationOptions(undefined), null);
+  assert.equal(navigation.resolveNavigationOptions(false), null);
+  assert.equal(navigation.resolveNavigationOptions(true).collapseIds, true);
+  assert.equal(navigation.resolveNavigationOptions({ stripHash: true }).stripHash, true);
+  assert.throws(() => navigation.resolveNavigationOptions({ stripQuery: 'ref' }), /navigation\.stripQuery/);
+  assert.throws(() => navigation.resolveNavigationOptions({ rules: [{ match: /x/ }] }), /navigation\.rules/);
+});
+
+test('normalizeUrl collapses IDs, applies rules and strips what it is told to', () => {
+  const options = navigation.resolveNavigationOptions({
+    rules: [{ match: /^\/teams\/[^/]+/, replace: '/teams/:team' }],
+    stripQuery: ['token'],
+    stripHash: true
+  });
+
+  assert.equal(
+    navigation.normalizeUrl('/teams/acme/users/550e8400-e29b-41d4-a716-446655440000?token=abc&tab=2#top', options),
+    'https://shop.test/teams/:team/users/:id?tab=2'
+  );
+  assert.equal(navigation.normalizeUrl('/orders/42?q=1', navigation.resolveNavigationOptions({ collapseIds: false, stripQuery: true })), 'https://shop.test/orders/42');
+});
+
+test('without the navigation option, history is left alone', async () => {
+  const pushState = history.pushState;
+  await initRemote(env, replay);
+
+  assert.equal(history.pushState, pushState);
+  history.pushState(null, '', '/cart');
+  replay.flush();
+  await new Promise((resolve) => setTimeout(resolve, 150));
+  assert.deepEqual(getPageViews(), []);
+});
+
+test('navigation: true records page views and restores history on destroy', async () => {
+  const pushState = history.pushState;
+  const replaceState = history.replaceState;
+  const { session } = await initRemote(env, replay, { navigation: true });
+  assert.notEqual(history.pushState, pushState);
+
+  history.pushState(null, '', '/products/67890');
+  history.replaceState(null, '', '/products/67890?ref=search');
+  // The same normalized URL is not a new page view
+  history.replaceState(null, '', '/products/11111?ref=search');
+  history.pushState(null, '', '/cart');
+  await new Promise((resolve) => setTimeout(resolve, 150));
+  replay.flush();
+  await waitFor(() => getPageViews().length === 4);
+
+  assert.deepEqual(getPageViews().map(({ url, navigationType }) => [url, navigationType]), [
+    ['https://shop.test/products/:id?ref=home', 'load'],
+    ['https://shop.test/products/:id', 'push'],
+    ['https://shop.test/products/:id?ref=search', 'replace'],
+    ['https://shop.test/cart', 'push']
+  ]);
+  assert.equal(getPageViews()[3].referrer, 'https://shop.test/products/:id?ref=search');
+
+  session.destroy();
+  assert.equal(history.pushState, pushState);
+  assert.equal(history.replaceState, replaceState);
+});
@@ -0,0 +1,207 @@
+import { test, before, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom, waitFor } from './helpers/dom.js';
+import { initRemote, getUploadedEvents } from './helpers/replay.js';
+
+/**
+ * XMLHttpRequest stand-in that answers every request with 200 and a JSON body
+ */
+class FakeXMLHttpRequest {
+  constructor() {
+    this.listeners = {};
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  }
+
+  open(method, url) {
+    this.method = method;
+    this.url = url;
+    this.headers = [];
+  }
+
+  setRequestHeader(name, value) {
+    this.headers.push([name, value]);
+  }
+
+  send() {
+    setTimeout(() => {
+      this.status = 200;
+      this.responseType = '';
+      this.responseText = '{"saved":true}';
+      (this.listeners.loadend || []).forEach((listener) => listener());
+    }, 5);
+  }
+
+  getAllResponseHeaders() {
+    return 'content-type: application/json\r\nset-cookie: sid=abc\r\n';
+  }
+}
+
+let env;
+let replay;
+let network;
+let loader;
+let pageFetch;
+
+before(async () => {
+  // Keeps the SDK's status messages out of the test runner's output
+  mock.method(console, 'log', () => {});
+  env = installDom({ url: 'https://shop.test/cart' });
+  globalThis.XMLHttpRequest = FakeXMLHttpRequest;
+  pageFetch = globalThis.fetch;
+  replay = await import('../src/index.js');
+  network = await import('../src/network.js');
+  loader = await import('../src/loader.js');
+});
+
+afterEach(async () => {
+  const session = replay.getActiveSession();
+  if (session) session.destroy();
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  globalThis.fetch = pageFetch;
+  env.requests.length = 0;
+  env.scripts.length = 0;
+  env.respond = () => new Response('{}', { status: 200 });
+});
+
+/**
+ * Start a session with network capture, where page code and the SDK share
+ * window.fetch as they do in a browser
+ * @param {Object} [options] - network option
+ * @returns {Promise<Object>} Session handle
+ */
+async function startCapture(options = true) {
+  const { session } = await initRemote(env, replay, { network: options });
+  globalThis.fetch = window.fetch;
+  return session;
+}
+
+/**
+ * Upload what was recorded and return the network events
+ * @returns {Promise<Array<Object>>} Payloads, oldest first
+ */
+async function getRequests() {
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  replay.flush();
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  return getUploadedEvents(env)
+    .filter((event) => event.type === 5 && event.data.tag === 'network')
+    .map((event) => event.data.payload);
+}
+
+test('resolveNetworkOptions is off by default and validates its lists', () => {
+  assert.equal(network.resolveNetworkOptions(undefined), null);
+  assert.deepEqual(network.resolveNetworkOptions(true).requestHeaders, []);
+  assert.throws(() => network.resolveNetworkOptions({ ignoreUrls: '/health' }), /network\.ignoreUrls must be an array of strings or regular expressions/);
+  assert.throws(() => network.resolveNetworkOptions({ requestHeaders: [1] }), /network\.requestHeaders must be an array of header names/);
+  assert.throws(() => network.resolveNetworkOptions({ maxEvents: -1 }), /network\.maxEvents must be a non-negative number/);
+  assert.equal(network.matchesUrl('https://shop.test/api/health', ['/health']), true);
+  assert.equal(network.matchesUrl('https://shop.test/api/orders', [/\/health$/]), false);
+});
+
+test('fetch calls are recorded with method, URL, status, timing and sizes', async () => {
+  await startCapture();
+  env.respond = () => new Response('{"id":1}', { status: 201, headers: { 'Content-Length': '8' } });
+
+  const response = await window.fetch('/api/orders', { method: 'post', body: '{"sku":"A-1"}' });
+  assert.equal(await response.text(), '{"id":1}');
+
+  const [request] = await getRequests();
+  assert.equal(request.type, 'fetch');
+  assert.equal(request.method, 'POST');
+  assert.equal(request.url, 'https://shop.test/api/orders');
+  assert.equal(request.status, 201);
+  assert.equal(request.ok, true);
+  assert.equal(request.requestSize, 13);
+  assert.equal(request.responseSize, 8);
+  assert.equal(typeof request.duration, 'number');
+  assert.equal(request.initiator.type, 'fetch');
+  assert.equal(request.requestHeaders, undefined);
+  assert.equal(request.requestBody, undefined);
+});
+
+test('headers and bodies are recorded only when allowlisted, and credentials never', async () => {
+  await startCapture({ requestHeaders: ['Content-Type', 'Authorization'], responseHeaders: ['x-request-id', 'set-cookie'], bodyUrls: ['/api/search'] });
+  env.respond = () => new Response('{"results":[]}', { headers: { 'X-Request-Id': 'req-1', 'Set-Cookie': 'sid=abc' } });
+
+  const headers = { 'Content-Type': 'application/json', Authorization: 'Bearer secret', 'X-Trace': '1' };
+  await window.fetch('/api/search', { method: 'POST', headers, body: '{"q":"shoes"}' });
+  await window.fetch('/api/profile', { headers });
+
+  // The search is recorded once its response body has been read
+  const requests = await getRequests();
+  const search = requests.find(({ url }) => url.endsWith('/api/search'));
+  const profile = requests.find(({ url }) => url.endsWith('/api/profile'));
+  assert.deepEqual(search.requestHeaders, { 'content-type': 'application/json' });
+  assert.deepEqual(search.responseHeaders, { 'x-request-id': 'req-1' });
+  assert.equal(search.requestBody, '{"q":"shoes"}');
+  assert.equal(search.responseBody, '{"results":[]}');
+  assert.equal(profile.requestBody, undefined);
+  assert.equal(profile.responseBody, undefined);
+});
+
+test('failed fetch calls are recorded with the error', async () => {
+  await startCapture();
+  env.respond = () => { throw new TypeError('Failed to fetch'); };
+
+  await assert.rejects(window.fetch('/api/orders'));
+  env.respond = () => new Response('{}', { status: 200 });
+
+  const [request] = await getRequests();
+  assert.equal(request.status, 0);
+  assert.equal(request.ok, false);
+  assert.equal(request.error, 'Failed to fetch');
+});
+
+test('ignored URLs, the SDK’s uploads and the loader’s requests are never recorded', async () => {
+  await startCapture({ ignoreUrls: ['/health', /\.png$/] });
+  env.respond = (url) => (url.startsWith('https://cdn.test/') ? new Response('void 0') : new Response('{}', { status: 200 }));
+
+  await window.fetch('/health');
+  await window.fetch('/logo.png');
+  await window.fetch('https://replay.test/s/demo%20key/events', { method: 'POST', body: '{"events":[]}' });
+  const loading = loader.loadSessionReplayScript('https://cdn.test/rrweb.min.js', { allowEval: true });
+  await waitFor(() => env.scripts.length > 0);
+  env.scripts.shift().onerror();
+  assert.equal((await loading).method, 'fetch');
+  await window.fetch('/api/cart');
+
+  // The SDK's own uploads also go through the patched fetch here
+  assert.deepEqual((await getRequests()).map(({ url }) => url), ['https://shop.test/api/cart']);
+});
+
+test('XMLHttpRequest calls are recorded, without credential headers', async () => {
+  await startCapture({ requestHeaders: ['X-Trace', 'X-CSRF-Token'], responseHeaders: ['content-type', 'set-cookie'] });
+
+  const xhr = new XMLHttpRequest();
+  xhr.open('put', '/api/profile');
+  xhr.setRequestHeader('X-Trace', 'abc');
+  xhr.setRequestHeader('X-CSRF-Token', 'secret');
+  xhr.send('{"name":"Jane"}');
+  await new Promise((resolve) => xhr.addEventListener('loadend', resolve));
+
+  const [request] = await getRequests();
+  assert.equal(request.type, 'xhr');
+  assert.equal(request.method, 'PUT');
+  assert.equal(request.url, 'https://shop.test/api/profile');
+  assert.equal(request.status, 200);
+  assert.equal(request.requestSize, 15);
+  assert.equal(request.responseSize, 14);
+  assert.deepEqual(request.requestHeaders, { 'x-trace': 'abc' });
+  assert.deepEqual(request.responseHeaders, { 'content-type': 'application/json' });
+});
+
+test('destroy() removes the fetch and XMLHttpRequest patches', async () => {
+  const fetchBefore = window.fetch;
+  const { open, send } = XMLHttpRequest.prototype;
+  const session = await startCapture();
+  assert.notEqual(window.fetch, fetchBefore);
+  assert.notEqual(XMLHttpRequest.prototype.send, send);
+
+  session.destroy();
+  assert.equal(window.fetch, fetchBefore);
+  assert.equal(XMLHttpRequest.prototype.open, open);
+  assert.equal(XMLHttpRequest.prototype.send, send);
+});
@@ -0,0 +1,149 @@
+import { test, before, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom, waitFor } from './helpers/dom.js';
+import { initRemote } from './helpers/replay.js';
+
+let env;
+let replay;
+let browser;
+let optout;
+
+before(async () => {
+  // Keeps the SDK's status messages out of the test runner's output
+  mock.method(console, 'log', () => {});
+  env = installDom({ url: 'https://app.shop.test/privacy' });
+  replay = await import('../src/index.js');
+  browser = await import('../src/browser.js');
+  optout = await import('../src/optout.js');
+});
+
+afterEach(async () => {
+  const session = replay.getActiveSession();
+  if (session) session.destroy();
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  env.requests.length = 0;
+  env.scripts.length = 0;
+  delete window.rrweb;
+  env.rrweb = null;
+  delete navigator.globalPrivacyControl;
+  delete navigator.doNotTrack;
+  delete window.doNotTrack;
+  optout.clearOptOut();
+});
+
+/**
+ * Send a privacy signal from the browser
+ * @param {string} name - 'globalPrivacyControl' or 'doNotTrack'
+ * @param {*} value - Signal value
+ * @param {Object} [target] - Object that carries it (defaults to navigator)
+ */
+function setSignal(name, value, target = navigator) {
+  Object.defineProperty(target, name, { value, configurable: true });
+}
+
+const remoteConfig = (extra) => ({
+  projectKey: 'demo key',
+  serverUrl: 'https://replay.test',
+  getToken: async () => 'token-1',
+  persist: false,
+  ...extra
+});
+
+test('getPrivacySignals reads GPC and every form of Do-Not-Track', () => {
+  assert.deepEqual(browser.getPrivacySignals(), { globalPrivacyControl: false, doNotTrack: false, optedOut: false });
+
+  setSignal('globalPrivacyControl', true);
+  assert.equal(browser.getPrivacySignals().globalPrivacyControl, true);
+  delete navigator.globalPrivacyControl;
+
+  for (const [value, target] of [['1', navigator], ['yes', navigator], ['1', window]]) {
+    setSignal('doNotTrack', value, target);
+    assert.equal(browser.hasPrivacySignal(), true, `${value} on ${target === window ? 'window' : 'navigator'}`);
+    delete target.doNotTrack;
+  }
+  setSignal('doNotTrack', '0');
+  assert.equal(browser.hasPrivacySignal(), false);
+});
+
+test('checkEnvironment reports privacy signals and opt-outs', () => {
+  setSignal('globalPrivacyControl', true);
+  optout.writeOptOut();
+
+  const { privacySignals, warnings } = browser.checkEnvironment();
+  assert.deepEqual(privacySignals, { globalPrivacyControl: true, doNotTrack: false, optedOut: true });
+  assert.ok(warnings.some((warning) => /Global Privacy Control or Do-Not-Track/.test(warning)));
+  assert.ok(warnings.some((warning) => /opted out/.test(warning)));
+});
+
+test('optOut() is kept in a cookie for every subdomain and in localStorage until optIn()', () => {
+  assert.equal(optout.getCookieDomain(), 'shop.test');
+
+  replay.optOut();
+  assert.equal(replay.isOptedOut(), true);
+  assert.match(document.cookie, /replica-replay-opt-out=1/);
+  assert.equal(localStorage.getItem(optout.OPT_OUT_KEY), '1');
+
+  // Either copy is enough, e.g. after the cookie was cleared
+  document.cookie = `${optout.OPT_OUT_KEY}=; path=/; domain=shop.test; max-age=0`;
+  assert.equal(replay.isOptedOut(), true);
+
+  replay.optIn();
+  assert.equal(replay.isOptedOut(), false);
+  assert.equal(localStorage.getItem(optout.OPT_OUT_KEY), null);
+  assert.doesNotMatch(document.cookie, /replica-replay-opt-out/);
+});
+
+test('opted-out visitors are never loaded or recorded', async () => {
+  replay.optOut();
+  const session = await replay.initSessionReplay(remoteConfig());
+
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.equal(session.getState(), 'idle');
+  assert.equal(env.scripts.length, 0);
+  assert.deepEqual(env.requests, []);
+});
+
+test('optOut() stops the active session and optIn() records again', async () => {
+  const { session } = await initRemote(env, replay);
+
+  replay.optOut();
+  assert.equal(session.getState(), 'stopped');
+  replay.optIn();
+  await waitFor(() => session.getState() === 'recording');
+  assert.equal(env.rrweb.recordings.length, 2);
+});
+
+test('GPC holds recording back under the default respect policy', async () => {
+  setSignal('globalPrivacyControl', true);
+  const session = await replay.initSessionReplay(remoteConfig());
+
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.equal(session.getState(), 'idle');
+  assert.equal(env.scripts.length, 0);
+});
+
+test('privacySignals: ignore records visitors who send DNT', async () => {
+  setSignal('doNotTrack', '1');
+  const { session } = await initRemote(env, replay, { privacySignals: 'ignore' });
+
+  assert.equal(session.getState(), 'recording');
+  assert.equal(env.rrweb.recordings[0].options.maskTextSelector, '[data-replay-mask]');
+});
+
+test('privacySignals: anonymize records them with all text and inputs masked', async () => {
+  setSignal('globalPrivacyControl', true);
+  const { session } = await initRemote(env, replay, { privacySignals: 'anonymize' });
+
+  assert.equal(session.getState(), 'recording');
+  const { options } = env.rrweb.recordings[0];
+  assert.equal(options.maskTextSelector, '*');
+  assert.equal(options.maskAllInputs, true);
+  assert.notEqual(options.maskInputFn('secret', document.createElement('input')), 'secret');
+});
+
+test('invalid privacySignals policies are rejected', async () => {
+  await assert.rejects(
+    replay.initSessionReplay(remoteConfig({ privacySignals: 'honor' })),
+    { name: 'ConfigError', message: /privacySignals must be one of: respect, ignore, anonymize/ }
+  );
+});
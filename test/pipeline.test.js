@@ -0,0 +1,181 @@
+import { test, before, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom, waitFor } from './helpers/dom.js';
+import { initRemote, getUploadedEvents, findCustomEvent } from './helpers/replay.js';
+
+let env;
+let replay;
+let pipeline;
+let removers = [];
+
+before(async () => {
+  // Keeps the SDK's status messages and hook warnings out of the test runner's output
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  env = installDom({ url: 'https://shop.test/' });
+  replay = await import('../src/index.js');
+  pipeline = await import('../src/pipeline.js');
+});
+
+afterEach(async () => {
+  // Hooks are kept across sessions, so each test removes its own
+  removers.splice(0).forEach((remove) => remove());
+  const session = replay.getActiveSession();
+  if (session) session.destroy();
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  env.requests.length = 0;
+  console.warn.mock.resetCalls();
+});
+
+/**
+ * Add a hook through the SDK and remove it after the test
+ * @param {Function} add - addEventProcessor or beforeSend
+ * @param {Function} hook - Hook
+ * @param {Object} [options] - Hook options
+ */
+function addHook(add, hook, options) {
+  removers.push(add(hook, options));
+}
+
+const tick = (ms = 5) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('hooks run by priority, then in the order they were added', () => {
+  const chain = pipeline.createHookChain('event processor');
+  chain.add((value) => `${value}-a`);
+  chain.add((value) => `${value}-b`, { priority: 10 });
+  const removeC = chain.add((value) => `${value}-c`);
+  chain.add((value) => `${value}-d`, { priority: -1 });
+
+  assert.equal(chain.run('x'), 'x-b-a-c-d');
+  removeC();
+  assert.equal(chain.size(), 3);
+  assert.equal(chain.run('x'), 'x-b-a-d');
+});
+
+test('undefined keeps the value and null or false drops it', () => {
+  const chain = pipeline.createHookChain('event processor');
+  const seen = [];
+  chain.add(() => undefined);
+  chain.add((value) => (value === 'drop' ? null : value));
+  chain.add((value) => (value === 'skip' ? false : value));
+  chain.add((value, context) => { seen.push([value, context.sessionId]); });
+
+  assert.equal(chain.run('keep', { sessionId: 's1' }), 'keep');
+  assert.equal(chain.run('drop'), null);
+  assert.equal(chain.run('skip'), null);
+  assert.deepEqual(seen, [['keep', 's1']]);
+});
+
+test('a hook that throws or rejects is skipped and warned about once', async () => {
+  const chain = pipeline.createHookChain('beforeSend hook');
+  chain.add(() => { throw new Error('broken'); });
+  chain.add(async () => { throw new Error('offline'); });
+  chain.add((value) => value + 1);
+
+  assert.equal(await chain.run(1), 2);
+  assert.equal(await chain.run(1), 2);
+  assert.deepEqual(console.warn.mock.calls.map(({ arguments: [message, error] }) => [message, error.message]), [
+    ['Session replay beforeSend hook failed:', 'broken'],
+    ['Session replay beforeSend hook failed:', 'offline']
+  ]);
+});
+
+test('the chain stays synchronous until a hook returns a promise', async () => {
+  const chain = pipeline.createHookChain('event processor');
+  chain.add((value) => value * 2);
+  assert.equal(chain.run(2), 4);
+
+  chain.add(async (value) => value + 1);
+  chain.add((value) => value * 10);
+  const result = chain.run(2);
+  assert.equal(pipeline.isThenable(result), true);
+  assert.equal(await result, 50);
+});
+
+test('invalid hooks are rejected', () => {
+  const chain = pipeline.createHookChain('event processor');
+  assert.throws(() => chain.add('hook'), /event processor must be a function/);
+  assert.throws(() => chain.add(() => {}, { priority: NaN }), /event processor priority must be a number/);
+});
+
+test('the sequencer hands results on in order, even when an earlier value waits', async () => {
+  const chain = pipeline.createHookChain('event processor');
+  chain.add((value) => (value === 'slow' ? tick(20).then(() => value.toUpperCase()) : value));
+  chain.add((value) => (value === 'dropped' ? null : value));
+  const results = [];
+  const sequencer = pipeline.createSequencer(chain, (value, context) => results.push([value, context.index]));
+
+  sequencer.push('first', { index: 1 });
+  sequencer.push('slow', { index: 2 });
+  sequencer.push('dropped', { index: 3 });
+  sequencer.push('last', { index: 4 });
+  assert.deepEqual(results, [['first', 1]]);
+  assert.equal(sequencer.pending(), 3);
+
+  await waitFor(() => sequencer.pending() === 0);
+  assert.deepEqual(results, [['first', 1], ['SLOW', 2], ['last', 4]]);
+});
+
+test('addEventProcessor() changes and drops recorded events, after redaction', async () => {
+  const seen = [];
+  addHook(replay.addEventProcessor, (event, { sessionId, isCheckout }) => {
+    if (event.type !== 5) return event;
+    seen.push({ tag: event.data.tag, sessionId, isCheckout });
+    if (event.data.tag === 'internal') return null;
+    return { ...event, data: { ...event.data, payload: { ...event.data.payload, processed: true } } };
+  });
+  const { session } = await initRemote(env, replay);
+
+  replay.track('contact', { email: 'jane@example.com' });
+  replay.track('internal');
+  replay.flush();
+  await waitFor(() => findCustomEvent(env, 'contact'));
+
+  const { payload } = findCustomEvent(env, 'contact').data;
+  assert.equal(payload.processed, true);
+  assert.equal(payload.properties.email, '[redacted:email]');
+  assert.equal(findCustomEvent(env, 'internal'), undefined);
+  assert.deepEqual(seen.find(({ tag }) => tag === 'contact'), { tag: 'contact', sessionId: session.getSessionId(), isCheckout: false });
+});
+
+test('async event processors keep the recording in order', async () => {
+  addHook(replay.addEventProcessor, (event) => (event.type === 5 && event.data.tag === 'first' ? tick(30).then(() => event) : event));
+  await initRemote(env, replay);
+
+  replay.track('first');
+  replay.track('second');
+  await tick(50);
+  replay.flush();
+  await waitFor(() => findCustomEvent(env, 'second'));
+
+  const tags = getUploadedEvents(env).filter((event) => event.type === 5).map((event) => event.data.tag);
+  assert.ok(tags.indexOf('first') < tags.indexOf('second'));
+});
+
+test('beforeSend() sees each upload batch and can change or drop it', async () => {
+  const batches = [];
+  addHook(replay.beforeSend, async (batch, { sessionId }) => {
+    batches.push(sessionId);
+    return { ...batch, tenantId: 'acme' };
+  });
+  const { session } = await initRemote(env, replay);
+
+  replay.flush();
+  await waitFor(() => getUploadedEvents(env).length > 0);
+
+  const [upload] = env.requests.filter(({ url }) => url.endsWith('/events'));
+  assert.equal(JSON.parse(upload.init.body).tenantId, 'acme');
+  assert.equal(batches[0], session.getSessionId());
+
+  addHook(replay.beforeSend, () => null, { priority: 10 });
+  env.requests.length = 0;
+  replay.track('dropped');
+  replay.flush();
+  await tick(100);
+  assert.deepEqual(getUploadedEvents(env), []);
+});
+
+test('invalid hooks passed to the SDK throw a ConfigError', () => {
+  assert.throws(() => replay.addEventProcessor({}), { name: 'ConfigError', message: /event processor must be a function/ });
+  assert.throws(() => replay.beforeSend(() => {}, { priority: '1' }), { name: 'ConfigError', message: /beforeSend hook priority must be a number/ });
+});
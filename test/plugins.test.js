@@ -0,0 +1,181 @@
+import { test, before, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom, waitFor } from './helpers/dom.js';
+import { initRemote, getUploadedEvents, findCustomEvent } from './helpers/replay.js';
+
+let env;
+let replay;
+let plugins;
+let removers = [];
+
+before(async () => {
+  // Keeps the SDK's status messages and plugin warnings out of the test runner's output
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  env = installDom({ url: 'https://shop.test/' });
+  replay = await import('../src/index.js');
+  plugins = await import('../src/plugins.js');
+});
+
+afterEach(async () => {
+  // Plugins are kept across sessions, so each test removes its own
+  removers.splice(0).forEach((remove) => remove());
+  const session = replay.getActiveSession();
+  if (session) session.destroy();
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  env.requests.length = 0;
+});
+
+/**
+ * Register a plugin and remove it after the test
+ * @param {Object} plugin - Plugin
+ * @returns {Function} Removes the plugin
+ */
+function register(plugin) {
+  const remove = replay.registerPlugin(plugin);
+  removers.push(remove);
+  return remove;
+}
+
+/**
+ * Upload what was recorded and return the latest session metadata
+ * @returns {Promise<Object|undefined>} Payload of the session event or the latest metadata event
+ */
+async function getLatestMetadata() {
+  replay.flush();
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  const events = getUploadedEvents(env).filter((event) => event.type === 5 && ['session', 'metadata'].includes(event.data.tag));
+  return events.length ? events[events.length - 1].data.payload : undefined;
+}
+
+test('validatePlugin checks the name, setup and teardown', () => {
+  assert.throws(() => plugins.validatePlugin(null), /A plugin must be an object with name and setup/);
+  assert.throws(() => plugins.validatePlugin({ setup() {} }), /plugin\.name must be a non-empty string/);
+  assert.throws(() => plugins.validatePlugin({ name: 'flags' }), /plugin "flags" must have a setup function/);
+  assert.throws(() => plugins.validatePlugin({ name: 'flags', setup() {}, teardown: true }), /plugin "flags" teardown must be a function/);
+  assert.doesNotThrow(() => plugins.validatePlugin({ name: 'flags', setup() {} }));
+});
+
+test('a plugin registered before init is set up for the session and records events', async () => {
+  const contexts = [];
+  register({
+    name: 'flags',
+    setup(context) {
+      contexts.push(context);
+      context.session.on('ready', () => context.addCustomEvent('flags', { checkout: 'v2' }));
+    }
+  });
+  const { session } = await initRemote(env, replay);
+
+  replay.flush();
+  await waitFor(() => findCustomEvent(env, 'flags'));
+  assert.deepEqual(findCustomEvent(env, 'flags').data.payload, { checkout: 'v2' });
+
+  const [context] = contexts;
+  assert.equal(context.name, 'flags');
+  assert.equal(context.config.projectKey, 'demo key');
+  assert.equal(context.session.getSessionId(), session.getSessionId());
+  assert.equal(context.session.stop, undefined);
+  assert.equal(context.session.destroy, undefined);
+});
+
+test('a plugin registered during a session is set up for it and each new one', async () => {
+  const { session } = await initRemote(env, replay);
+  const sessions = [];
+  register({ name: 'counter', setup: (context) => sessions.push(context.session) });
+  assert.equal(sessions.length, 1);
+  assert.equal(sessions[0].getSessionId(), session.getSessionId());
+
+  session.destroy();
+  const { session: next } = await initRemote(env, replay);
+  assert.equal(sessions.length, 2);
+  assert.equal(sessions[1].getSessionId(), next.getSessionId());
+});
+
+test('addMetadata() fields are added to the session metadata, and updateMetadata() records them again', async () => {
+  let plan = 'free';
+  let context;
+  register({
+    name: 'billing',
+    setup(pluginContext) {
+      context = pluginContext;
+      context.addMetadata('plan', () => plan);
+    }
+  });
+  await initRemote(env, replay);
+  assert.equal((await getLatestMetadata()).plan, 'free');
+
+  plan = 'pro';
+  context.updateMetadata();
+  assert.equal((await getLatestMetadata()).plan, 'pro');
+});
+
+test('removing a plugin runs its teardown and undoes what it registered', async () => {
+  const calls = [];
+  const remove = register({
+    name: 'tenant',
+    setup(context) {
+      context.addMetadata('tenant', () => 'acme');
+      context.addEventProcessor((event) => ({ ...event, tenant: 'acme' }));
+      context.session.listen(window, 'resize', () => calls.push('resize'));
+      context.session.addCleanup(() => calls.push('cleanup'));
+    },
+    teardown: () => calls.push('teardown')
+  });
+  const { session } = await initRemote(env, replay);
+
+  window.dispatchEvent(new Event('resize'));
+  remove();
+  window.dispatchEvent(new Event('resize'));
+  assert.deepEqual(calls, ['resize', 'teardown', 'cleanup']);
+
+  replay.track('after_removal');
+  replay.flush();
+  await waitFor(() => findCustomEvent(env, 'after_removal'));
+  assert.equal(findCustomEvent(env, 'after_removal').tenant, undefined);
+  assert.equal(session.getDiagnostics().metadata.tenant, undefined);
+  assert.deepEqual(session.getDiagnostics().plugins.map(({ name }) => name), ['console', 'network', 'vitals']);
+});
+
+test('destroying the session tears its plugins down, last registered first', async () => {
+  const calls = [];
+  register({ name: 'first', setup() {}, teardown: () => calls.push('first') });
+  register({ name: 'second', setup() {}, teardown: () => calls.push('second') });
+  const { session } = await initRemote(env, replay);
+
+  session.destroy();
+  assert.deepEqual(calls, ['second', 'first']);
+});
+
+test('a plugin that throws is logged and contained, and recording carries on', async () => {
+  const cleanups = [];
+  register({
+    name: 'broken',
+    setup(context) {
+      context.session.addCleanup(() => cleanups.push('undone'));
+      throw new Error('setup failed');
+    }
+  });
+  register({
+    name: 'noisy',
+    setup(context) {
+      context.session.on('ready', () => { throw new Error('handler failed'); });
+    }
+  });
+  const { session } = await initRemote(env, replay);
+
+  assert.equal(session.getState(), 'recording');
+  assert.deepEqual(cleanups, ['undone']);
+  const info = session.getDiagnostics().plugins;
+  assert.deepEqual(info.find(({ name }) => name === 'broken'), { name: 'broken', status: 'failed', errors: 1 });
+  assert.deepEqual(info.find(({ name }) => name === 'noisy'), { name: 'noisy', status: 'active', errors: 1 });
+  assert.ok(console.warn.mock.calls.some(({ arguments: [message] }) => message === 'Session replay plugin "broken" failed:'));
+});
+
+test('registerPlugin() rejects malformed plugins and taken names with a ConfigError', () => {
+  register({ name: 'flags', setup() {} });
+
+  assert.throws(() => replay.registerPlugin({ name: 'flags', setup() {} }), { name: 'ConfigError', message: /A plugin named "flags" is already registered/ });
+  assert.throws(() => replay.registerPlugin({ name: 'vitals', setup() {} }), { name: 'ConfigError', message: /"vitals" is already registered/ });
+  assert.throws(() => replay.registerPlugin({ name: 'flags' }), { name: 'ConfigError', message: /must have a setup function/ });
+});
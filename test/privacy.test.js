@@ -0,0 +1,100 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom } from './helpers/dom.js';
+import { installRrweb } from './helpers/rrweb.js';
+
+let loader;
+let privacy;
+
+before(async () => {
+  installDom();
+  loader = await import('../src/loader.js');
+  privacy = await import('../src/privacy.js');
+});
+
+beforeEach(() => {
+  document.body.innerHTML = `
+    <input id="name" type="text">
+    <input id="email" type="email">
+    <input id="password" type="password">
+  `;
+});
+
+/**
+ * Start a recording against a fake rrweb and return the options it was given
+ * @param {Object} [config] - startRecording configuration
+ * @returns {Object} rrweb record options
+ */
+function record(config) {
+  const recorder = installRrweb();
+  const stop = loader.startRecording(config);
+  stop();
+  recorder.uninstall();
+  return recorder.recordings[0].options;
+}
+
+const masks = (options, id) => options.maskInputFn('secret', document.getElementById(id)) !== 'secret';
+
+test('startRecording masks with the default policy', () => {
+  const options = record();
+
+  assert.equal(options.maskAllInputs, true);
+  assert.equal(masks(options, 'password'), true);
+  assert.equal(masks(options, 'name'), false);
+  assert.match(options.blockSelector, /\[data-replay-block\]/);
+});
+
+test('the caller’s maskAllInputs applies through the policy', () => {
+  const all = record({ maskAllInputs: true });
+  assert.equal(masks(all, 'name'), true);
+  assert.equal(masks(all, 'email'), true);
+
+  const none = record({ maskAllInputs: false });
+  assert.equal(masks(none, 'name'), false);
+  // Password values never leave the page
+  assert.equal(masks(none, 'password'), true);
+});
+
+test('the caller’s maskInputOptions masks those input types without exposing passwords', () => {
+  const options = record({ maskInputOptions: { email: true, text: false } });
+
+  assert.equal(masks(options, 'email'), true);
+  assert.equal(masks(options, 'name'), false);
+  assert.equal(masks(options, 'password'), true);
+  assert.equal(options.maskAllInputs, true);
+});
+
+test('the caller’s selectors are added to the policy’s', () => {
+  const options = record({ maskTextSelector: '.secret', blockSelector: '#chat', ignoreSelector: '.typing' });
+
+  assert.equal(options.maskTextSelector, '[data-replay-mask], .secret');
+  assert.equal(options.blockSelector, '[data-replay-block], #chat');
+  assert.match(options.ignoreSelector, /\[data-replay-ignore\].*\.typing/);
+});
+
+test('other options the caller sets win over the defaults and the policy', () => {
+  const maskTextFn = (text) => text.toUpperCase();
+  const options = record({ recordCanvas: true, maskTextFn, recordAfter: 'load' });
+
+  assert.equal(options.recordCanvas, true);
+  assert.equal(options.recordAfter, 'load');
+  assert.equal(options.maskTextFn, maskTextFn);
+});
+
+test('a caller’s maskInputFn replaces the policy', () => {
+  const maskInputFn = () => '***';
+  const options = record({ maskInputFn, maskAllInputs: false, maskTextSelector: '.secret' });
+
+  assert.equal(options.maskInputFn, maskInputFn);
+  assert.equal(options.maskAllInputs, false);
+  assert.equal(options.maskTextSelector, '.secret');
+  assert.equal(options.blockSelector, undefined);
+});
+
+test('getRecordOptionsPrivacy reads input masking from record options', () => {
+  assert.deepEqual(privacy.getRecordOptionsPrivacy({}), {});
+  assert.deepEqual(
+    privacy.getRecordOptionsPrivacy({ maskAllInputs: false, maskInputOptions: { email: true, tel: true, text: false } }),
+    { maskAllInputs: false, inputTypes: { email: 'mask', tel: 'mask' } }
+  );
+});
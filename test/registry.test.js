@@ -0,0 +1,114 @@
+import { test, before, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom, waitFor } from './helpers/dom.js';
+import { initRemote } from './helpers/replay.js';
+
+let env;
+let replay;
+
+before(async () => {
+  // Keeps the SDK's status messages out of the test runner's output
+  mock.method(console, 'log', () => {});
+  env = installDom({ url: 'https://shop.test/' });
+  replay = await import('../src/index.js');
+});
+
+afterEach(async () => {
+  const session = replay.getActiveSession();
+  if (session) session.destroy();
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  env.requests.length = 0;
+  env.scripts.length = 0;
+  delete window.rrweb;
+  env.rrweb = null;
+});
+
+const config = (extra) => ({
+  projectKey: 'demo key',
+  serverUrl: 'https://replay.test',
+  getToken: async () => 'token-1',
+  persist: false,
+  ...extra
+});
+
+test('repeated initialization returns the session already starting, with one script tag', async () => {
+  // React StrictMode runs the effect twice before the first call settles
+  const first = replay.initSessionReplay(config());
+  const second = replay.initSessionReplay(config());
+  await waitFor(() => env.scripts.length > 0);
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.equal(env.scripts.length, 1);
+
+  env.loadScripts();
+  const session = await first;
+  assert.equal(await second, session);
+  assert.equal(await replay.initSessionReplay(config()), session);
+  assert.equal(env.rrweb.recordings.length, 1);
+});
+
+test('another projectKey is rejected while a session is active', async () => {
+  const { session } = await initRemote(env, replay);
+
+  await assert.rejects(
+    replay.initSessionReplay(config({ projectKey: 'other' })),
+    { name: 'ConfigError', message: /already initialized for project "demo key". Pass force: true to switch to "other"/ }
+  );
+  assert.equal(replay.getActiveSession(), session);
+  assert.equal(session.getState(), 'recording');
+});
+
+test('force: true destroys the active session and starts a new one', async () => {
+  const { session: first } = await initRemote(env, replay);
+  const { session: second, src } = await initRemote(env, replay, { projectKey: 'other', force: true });
+
+  assert.equal(first.getState(), 'destroyed');
+  assert.notEqual(second, first);
+  assert.equal(replay.getActiveSession(), second);
+  assert.match(src, /\/s\/other\/init\.js/);
+});
+
+test('a destroyed session is removed, so the next call starts over', async () => {
+  const { session: first } = await initRemote(env, replay);
+  first.destroy();
+  assert.equal(replay.getActiveSession(), null);
+
+  const { session: second } = await initRemote(env, replay);
+  assert.notEqual(second, first);
+});
+
+test('SessionReplayPlugin.install shares the registry with initSessionReplay', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { session } = await initRemote(env, replay);
+  const apps = [{ config: { globalProperties: {} } }, { config: { globalProperties: {} } }];
+
+  await replay.SessionReplayPlugin.install(apps[0], config());
+  await replay.SessionReplayPlugin.install(apps[1], config({ projectKey: 'other' }));
+
+  assert.equal(apps[0].config.globalProperties.$replay.session, session);
+  assert.equal(apps[1].config.globalProperties.$replay.initialized, false);
+  assert.equal(apps[1].config.globalProperties.$replay.code, 'CONFIG_ERROR');
+});
+
+test('the CDN data-attribute auto-init shares the registry too', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  env.respond = (url) => (url === '/api/replay-token'
+    ? Response.json({ token: 'token-1', expiresAt: Date.now() + 3600000 })
+    : new Response('{}', { status: 200 }));
+  const tag = document.createElement('script');
+  tag.setAttribute('src', 'https://cdn.test/replica-replay.min.js');
+  tag.dataset.projectKey = 'demo key';
+  tag.dataset.tokenUrl = '/api/replay-token';
+  tag.dataset.serverUrl = 'https://replay.test';
+  document.body.appendChild(tag);
+
+  await import('../src/cdn.js');
+  await waitFor(() => env.scripts.length > 0);
+  const manual = replay.initSessionReplay(config());
+  env.loadScripts();
+
+  const session = await manual;
+  assert.equal(window.ReplicaReplay.getSession(), session);
+  assert.equal(env.scripts.length, 0);
+  assert.equal(env.rrweb.recordings.length, 1);
+  tag.remove();
+});
@@ -0,0 +1,80 @@
+import { test, before, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom, waitFor } from './helpers/dom.js';
+import { initRemote, findCustomEvent } from './helpers/replay.js';
+
+let env;
+let replay;
+
+before(async () => {
+  // Keeps the SDK's status messages out of the test runner's output
+  mock.method(console, 'log', () => {});
+  env = installDom();
+  replay = await import('../src/index.js');
+});
+
+afterEach(async () => {
+  const session = replay.getActiveSession();
+  if (session) session.destroy();
+  // Let the final flush of the destroyed session land before the next test looks at requests
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  env.requests.length = 0;
+});
+
+test('remote mode loads init.js under the versioned protocol and records with its rrweb', async () => {
+  const { session, src } = await initRemote(env, replay);
+
+  assert.equal(src, 'https://replay.test/s/demo%20key/init.js?token=token-1&protocol=2');
+  assert.equal(session.getState(), 'recording');
+  assert.equal(env.rrweb.recordings.length, 1);
+  assert.equal(typeof env.rrweb.active.options.emit, 'function');
+
+  session.stop();
+  assert.equal(env.rrweb.active, null);
+});
+
+test('remote mode uploads event batches to the ingest endpoint with the session token', async () => {
+  const { session } = await initRemote(env, replay);
+  replay.track('signup', { plan: 'pro' });
+  replay.flush();
+
+  const findUpload = () => env.requests.find(({ url, init }) => url.endsWith('/events') && init.body.indexOf('signup') !== -1);
+  await waitFor(findUpload);
+  const upload = findUpload();
+  assert.equal(upload.url, 'https://replay.test/s/demo%20key/events');
+  assert.equal(upload.init.headers.Authorization, 'Bearer token-1');
+
+  const batch = JSON.parse(upload.init.body);
+  assert.equal(batch.sessionId, session.getSessionId());
+  const tags = batch.events.filter((event) => event.type === 5).map((event) => event.data.tag);
+  assert.ok(tags.includes('session'));
+  assert.ok(tags.includes('signup'));
+});
+
+test('resume() fires ready again with resumed: true and records a new snapshot', async () => {
+  const ready = [];
+  const unsubscribe = replay.on('ready', (payload) => ready.push(payload));
+  const { session } = await initRemote(env, replay);
+  const recordings = env.rrweb.recordings.length;
+
+  session.pause();
+  session.resume();
+  unsubscribe();
+
+  assert.equal(env.rrweb.recordings.length, recordings + 1);
+  assert.deepEqual(ready, [
+    { sessionId: session.getSessionId() },
+    { sessionId: session.getSessionId(), resumed: true }
+  ]);
+});
+
+test('remote mode redacts each uploaded event once', async () => {
+  const { session } = await initRemote(env, replay, { navigation: false });
+  replay.track('contact', { email: 'jane@example.com', page: '/help?token=abc123' });
+  replay.flush();
+
+  await waitFor(() => findCustomEvent(env, 'contact'));
+  const event = findCustomEvent(env, 'contact');
+  assert.deepEqual(event.data.payload.properties, { email: '[redacted:email]', page: '/help?token=redacted' });
+  assert.deepEqual(session.getDiagnostics().redaction, { total: 2, byDetector: { email: 1, queryParam: 1 } });
+});
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveSamplingOptions, createSampler, matchesRule, getSampleValue } from '../src/sampling.js';
+import { createMetadataStore } from '../src/metadata.js';
+
+function createUserSampler(metadata, sampling, context = {}) {
+  return createSampler(resolveSamplingOptions(0, sampling), {
+    namespace: 'test',
+    getContext: () => ({
+      url: 'https://example.com/',
+      user: metadata.getUser(),
+      browser: 'chrome',
+      device: 'desktop',
+      ...context
+    })
+  });
+}
+
+const context = {
+  url: 'https://example.com/checkout?step=2',
+  user: { id: 'user-42', hashed: false, traits: { plan: 'pro' } },
+  browser: 'safari',
+  device: 'mobile'
+};
+
+test('forceRecord.userIds matches users identified with hashUserId', async () => {
+  const metadata = createMetadataStore();
+  const sampler = createUserSampler(metadata, { forceRecord: { userIds: ['user-42', 7] } });
+  await sampler.ready();
+
+  await metadata.identify('user-42', {}, { hash: true });
+  assert.notEqual(metadata.getUser().id, 'user-42');
+  assert.deepEqual(sampler.decide('session-1'), { sampled: true, reason: 'forced', rate: 1, rule: null });
+
+  await metadata.identify(7, {}, { hash: true });
+  assert.equal(sampler.decide('session-2').reason, 'forced');
+});
+
+test('forceRecord.userIds matches unhashed users by raw ID', async () => {
+  const metadata = createMetadataStore();
+  const sampler = createUserSampler(metadata, { forceRecord: { userIds: ['user-42'] } });
+
+  await metadata.identify('user-42');
+  assert.equal(sampler.decide('session-1').reason, 'forced');
+});
+
+test('users outside forceRecord.userIds fall back to the sample rate', async () => {
+  const metadata = createMetadataStore();
+  const sampler = createUserSampler(metadata, { forceRecord: { userIds: ['user-42'] } });
+  await sampler.ready();
+
+  await metadata.identify('user-43', {}, { hash: true });
+  assert.deepEqual(sampler.decide('session-1'), { sampled: false, reason: 'rate', rate: 0, rule: null });
+});
+
+test('forceRecord.traits forces users with matching traits', async () => {
+  const metadata = createMetadataStore();
+  const sampler = createUserSampler(metadata, { forceRecord: { traits: { plan: 'enterprise' } } });
+
+  await metadata.identify('user-1', { plan: 'free' });
+  assert.equal(sampler.decide('session-1').reason, 'rate');
+  await metadata.identify('user-1', { plan: 'enterprise' });
+  assert.equal(sampler.decide('session-2').reason, 'forced');
+});
+
+test('rules match detectBrowser() names and device types', () => {
+  assert.equal(matchesRule({ browser: 'safari', rate: 1 }, context), true);
+  assert.equal(matchesRule({ browser: ['chrome', 'firefox'], rate: 1 }, context), false);
+  assert.equal(matchesRule({ device: ['mobile', 'tablet'], rate: 1 }, context), true);
+  assert.equal(matchesRule({ device: 'desktop', rate: 1 }, context), false);
+});
+
+test('rules match URLs by substring and RegExp', () => {
+  assert.equal(matchesRule({ url: '/checkout', rate: 1 }, context), true);
+  assert.equal(matchesRule({ url: [/\/cart$/, /step=\d/], rate: 1 }, context), true);
+  assert.equal(matchesRule({ url: '/account', rate: 1 }, context), false);
+});
+
+test('rules match user traits and need every condition', () => {
+  assert.equal(matchesRule({ traits: { plan: 'pro' }, rate: 1 }, context), true);
+  assert.equal(matchesRule({ traits: { plan: 'pro' }, rate: 1 }, { ...context, user: null }), false);
+  assert.equal(matchesRule({ traits: { plan: 'pro' }, browser: 'chrome', rate: 1 }, context), false);
+});
+
+test('the first matching rule sets the rate', async () => {
+  const metadata = createMetadataStore();
+  const sampler = createUserSampler(metadata, {
+    rules: [
+      { url: '/account', rate: 0 },
+      { browser: 'chrome', rate: 1 },
+      { device: 'desktop', rate: 0 }
+    ]
+  });
+
+  assert.deepEqual(sampler.decide('session-1'), { sampled: true, reason: 'rule', rate: 1, rule: 1 });
+  assert.deepEqual(sampler.getDecision(), { sampled: true, reason: 'rule', rate: 1, rule: 1 });
+});
+
+test('the sample value depends only on the session ID', () => {
+  const value = getSampleValue('session-1');
+  assert.equal(getSampleValue('session-1'), value);
+  assert.ok(value >= 0 && value < 1);
+  assert.notEqual(getSampleValue('session-2'), value);
+});
+
+test('invalid sampling options are rejected', () => {
+  assert.equal(resolveSamplingOptions(undefined, undefined), null);
+  assert.throws(() => resolveSamplingOptions(1.5), /sampleRate must be a number from 0 to 1/);
+  assert.throws(() => resolveSamplingOptions(1, { rules: [{ rate: 2 }] }), /sampling\.rules\[0\]\.rate/);
+  assert.throws(() => resolveSamplingOptions(1, { rules: [{ rate: 1, device: 'watch' }] }), /must be one of: mobile, tablet, desktop/);
+  assert.throws(() => resolveSamplingOptions(1, { forceRecord: { userIds: [{}] } }), /forceRecord\.userIds/);
+});
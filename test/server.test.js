@@ -0,0 +1,206 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const {
+  createSessionToken,
+  verifySessionToken,
+  createTokenHandler,
+  getReplayState,
+  serializeReplayState,
+  renderReplayScript,
+  renderReplayElement
+} = require('../server/index.cjs');
+
+const projectKey = 'demo-project';
+const secretKey = 'secret-1';
+
+function decodeClaims(token) {
+  return JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+}
+
+function createResponse() {
+  return {
+    statusCode: 0,
+    headers: {},
+    body: null,
+    setHeader(name, value) {
+      this.headers[name] = value;
+    },
+    end(body) {
+      this.body = JSON.parse(body);
+    }
+  };
+}
+
+test('tokens round-trip through verifySessionToken', () => {
+  const { token, expiresAt } = createSessionToken({ projectKey, secretKey, userId: 42, origin: 'https://shop.test' });
+  const claims = verifySessionToken(token, { secretKey, projectKey });
+
+  assert.equal(claims.iss, 'replica-replay');
+  assert.equal(claims.sub, projectKey);
+  assert.equal(claims.uid, '42');
+  assert.equal(claims.origin, 'https://shop.test');
+  assert.equal(claims.exp - claims.iat, 900);
+  assert.equal(expiresAt, claims.exp * 1000);
+});
+
+test('expired tokens are rejected after the clock tolerance', (t) => {
+  const { token } = createSessionToken({ projectKey, secretKey, expiresIn: 60 });
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + 80 * 1000);
+  assert.equal(verifySessionToken(token, { secretKey }).sub, projectKey);
+
+  Date.now.mock.mockImplementation(() => now + 120 * 1000);
+  assert.throws(() => verifySessionToken(token, { secretKey }), /Session token has expired/);
+  assert.equal(verifySessionToken(token, { secretKey, clockTolerance: 120 }).sub, projectKey);
+});
+
+test('tampered tokens are rejected', () => {
+  const { token } = createSessionToken({ projectKey, secretKey, userId: 'user-1' });
+  const [header, payload, signature] = token.split('.');
+
+  const forged = Buffer.from(JSON.stringify({ ...decodeClaims(token), uid: 'admin' })).toString('base64url');
+  assert.throws(() => verifySessionToken(`${header}.${forged}.${signature}`, { secretKey }), /Invalid session token signature/);
+
+  const flipped = (signature[0] === 'A' ? 'B' : 'A') + signature.slice(1);
+  assert.throws(() => verifySessionToken(`${header}.${payload}.${flipped}`, { secretKey }), /Invalid session token signature/);
+  assert.throws(() => verifySessionToken(`${header}.${payload}`, { secretKey }), /Malformed session token/);
+  assert.throws(() => verifySessionToken(null, { secretKey }), /Malformed session token/);
+});
+
+test('tokens signed with another secret or for another project are rejected', () => {
+  const { token } = createSessionToken({ projectKey, secretKey });
+
+  assert.throws(() => verifySessionToken(token, { secretKey: 'secret-2' }), /Invalid session token signature/);
+  assert.throws(() => verifySessionToken(token, { secretKey, projectKey: 'other-project' }), /Session token is for another project/);
+  assert.throws(() => verifySessionToken(token, {}), /secretKey is required/);
+});
+
+test('hashUserId puts the SHA-256 hex digest of the user ID in the uid claim', () => {
+  const { token } = createSessionToken({ projectKey, secretKey, userId: 'user-42', hashUserId: true });
+  const claims = verifySessionToken(token, { secretKey });
+
+  assert.equal(claims.uid, createHash('sha256').update('user-42').digest('hex'));
+  assert.doesNotMatch(token, /user-42/);
+});
+
+test('invalid token options are rejected', () => {
+  assert.throws(() => createSessionToken({ secretKey }), /projectKey is required/);
+  assert.throws(() => createSessionToken({ projectKey }), /secretKey is required/);
+  assert.throws(() => createSessionToken({ projectKey, secretKey, expiresIn: 0 }), /expiresIn must be a number of seconds/);
+  assert.throws(() => createSessionToken({ projectKey, secretKey, expiresIn: 86401 }), /expiresIn must be a number of seconds/);
+});
+
+test('createTokenHandler answers with an uncached token for the request user', async () => {
+  const getUserId = mock.fn(async (req) => req.user.id);
+  const handler = createTokenHandler({ projectKey, secretKey, expiresIn: 300, getUserId, hashUserId: true });
+  const res = createResponse();
+  await handler({ user: { id: 'user-7' } }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['Content-Type'], 'application/json');
+  assert.equal(res.headers['Cache-Control'], 'no-store');
+  const claims = verifySessionToken(res.body.token, { secretKey, projectKey });
+  assert.equal(claims.uid, createHash('sha256').update('user-7').digest('hex'));
+  assert.equal(claims.exp - claims.iat, 300);
+  assert.equal(res.body.expiresAt, claims.exp * 1000);
+});
+
+test('createTokenHandler answers 500 without details when getUserId fails', async () => {
+  const handler = createTokenHandler({
+    projectKey,
+    secretKey,
+    getUserId: () => {
+      throw new Error('database is down');
+    }
+  });
+  const res = createResponse();
+  await handler({}, res);
+
+  assert.equal(res.statusCode, 500);
+  assert.deepEqual(res.body, { error: 'Could not create a session token' });
+  assert.throws(() => createTokenHandler({ projectKey }), /secretKey is required/);
+});
+
+/**
+ * React stand-in that builds plain objects, so elements can be inspected
+ */
+const FakeReact = {
+  Fragment: 'Fragment',
+  createElement: (type, props, ...children) => ({ type, props, children })
+};
+
+test('getReplayState signs a first token for the user and never includes the secret key', () => {
+  const state = getReplayState({
+    projectKey,
+    secretKey,
+    expiresIn: 120,
+    tokenUrl: '/api/replay-token',
+    serverUrl: 'https://replay.test',
+    consent: 'pending',
+    user: { id: 'user-1', traits: { plan: 'pro' } },
+    config: { sampleRate: 0.5, hashUserId: true }
+  });
+
+  assert.deepEqual(state.config, {
+    sampleRate: 0.5,
+    hashUserId: true,
+    projectKey,
+    serverUrl: 'https://replay.test',
+    tokenUrl: '/api/replay-token'
+  });
+  assert.equal(state.consent, 'pending');
+  assert.deepEqual(state.user, { id: 'user-1', traits: { plan: 'pro' } });
+  const claims = verifySessionToken(state.token.token, { secretKey, projectKey });
+  assert.equal(claims.uid, createHash('sha256').update('user-1').digest('hex'));
+  assert.equal(claims.exp - claims.iat, 120);
+  assert.doesNotMatch(JSON.stringify(state), /secret-1/);
+
+  // Local mode uploads nowhere, so it needs no token
+  assert.equal(getReplayState({ projectKey, secretKey, mode: 'local' }).token, undefined);
+});
+
+test('getReplayState rejects options that cannot be rendered into the page', () => {
+  assert.throws(() => getReplayState({}), /projectKey is required/);
+  assert.throws(() => getReplayState({ projectKey, config: [] }), /config must be an object of JSON-serializable options/);
+  for (const field of ['secretKey', 'getToken', 'transport']) {
+    assert.throws(() => getReplayState({ projectKey, config: { [field]: 'x' } }), new RegExp(`config\\.${field} cannot be rendered into the page`));
+  }
+  assert.throws(() => getReplayState({ projectKey, consent: 'yes' }), /consent must be one of: pending, granted, denied/);
+  assert.throws(() => getReplayState({ projectKey, user: { name: 'Jane' } }), /user must be an object with a string or number id/);
+});
+
+test('serializeReplayState escapes what could end the script tag early', () => {
+  const json = serializeReplayState({ projectKey, user: { id: 1, traits: { note: '</script><b>&\u2028' } } });
+
+  assert.doesNotMatch(json, /[<>&\u2028]/);
+  assert.deepEqual(JSON.parse(json).user.traits, { note: '</script><b>&\u2028' });
+});
+
+test('renderReplayScript renders the state tag and the CDN script with the nonce', () => {
+  assert.equal(
+    renderReplayScript({ projectKey, consent: 'granted' }),
+    `<script id="replica-replay-state" type="application/json">{"config":{"projectKey":"${projectKey}"},"consent":"granted"}</script>`
+  );
+
+  const html = renderReplayScript({ projectKey, nonce: 'abc"123', src: 'https://cdn.test/replica-replay.min.js?v=1&x=2' });
+  assert.match(html, /^<script id="replica-replay-state" type="application\/json" nonce="abc&quot;123">/);
+  assert.match(html, /<script src="https:\/\/cdn\.test\/replica-replay\.min\.js\?v=1&amp;x=2" nonce="abc&quot;123" defer><\/script>$/);
+});
+
+test('renderReplayElement renders the same tags as React elements', () => {
+  const element = renderReplayElement({ projectKey, nonce: 'abc', src: 'https://cdn.test/replica-replay.min.js' }, FakeReact);
+
+  assert.equal(element.type, 'Fragment');
+  const [state, sdk] = element.children;
+  assert.equal(state.props.id, 'replica-replay-state');
+  assert.equal(state.props.type, 'application/json');
+  assert.equal(state.props.nonce, 'abc');
+  assert.equal(state.props.suppressHydrationWarning, true);
+  assert.equal(state.props.dangerouslySetInnerHTML.__html, serializeReplayState({ projectKey }));
+  assert.deepEqual(sdk.props, { key: 'sdk', src: 'https://cdn.test/replica-replay.min.js', nonce: 'abc', defer: true, suppressHydrationWarning: true });
+  assert.equal(renderReplayElement({ projectKey }, FakeReact).children.length, 1);
+});
@@ -0,0 +1,154 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installRrweb } from './helpers/rrweb.js';
+import { createSession } from '../src/session.js';
+
+let recorder;
+beforeEach(() => {
+  recorder = installRrweb();
+});
+
+function createTestSession(options = {}) {
+  let next = 0;
+  const emitted = [];
+  const session = createSession({
+    recordOptions: { emit: () => {} },
+    onEvent: (event, payload) => emitted.push([event, payload]),
+    createSessionId: () => `session-${++next}`,
+    ...options
+  });
+  return { session, emitted };
+}
+
+test('start() records and fires ready once', () => {
+  const { session, emitted } = createTestSession();
+
+  assert.equal(session.getState(), 'idle');
+  assert.equal(session.start(), true);
+  assert.equal(session.start(), true);
+  assert.equal(session.getState(), 'recording');
+  assert.equal(recorder.recordings.length, 1);
+  assert.deepEqual(emitted, [['ready', { sessionId: 'session-1' }]]);
+});
+
+test('start() waits idle while rrweb is missing', () => {
+  recorder.uninstall();
+  const { session, emitted } = createTestSession();
+
+  assert.equal(session.start(), false);
+  assert.equal(session.getState(), 'idle');
+  assert.deepEqual(emitted, []);
+});
+
+test('pause() stops the recorder and resume() records again and fires ready with resumed', () => {
+  const { session, emitted } = createTestSession();
+  session.start();
+
+  session.pause();
+  assert.equal(session.getState(), 'paused');
+  assert.equal(recorder.recordings[0].stopped, true);
+
+  session.resume();
+  assert.equal(session.getState(), 'recording');
+  assert.equal(session.getSessionId(), 'session-1');
+  assert.equal(recorder.recordings.length, 2);
+  assert.deepEqual(emitted, [
+    ['ready', { sessionId: 'session-1' }],
+    ['ready', { sessionId: 'session-1', resumed: true }]
+  ]);
+
+  session.resume();
+  assert.equal(recorder.recordings.length, 2);
+});
+
+test('stop() fires stopped and only restart() records again, under a new ID', () => {
+  const { session, emitted } = createTestSession();
+  session.start();
+
+  session.stop();
+  assert.equal(session.getState(), 'stopped');
+  assert.equal(session.start(), false);
+  session.resume();
+  assert.equal(session.getState(), 'stopped');
+
+  session.restart();
+  assert.equal(session.getState(), 'recording');
+  assert.deepEqual(emitted, [
+    ['ready', { sessionId: 'session-1' }],
+    ['stopped', { sessionId: 'session-1' }],
+    ['ready', { sessionId: 'session-2' }]
+  ]);
+});
+
+test('rotate() restarts a recording under the new ID, or leaves it idle with record: false', () => {
+  const { session, emitted } = createTestSession();
+
+  session.rotate('other');
+  assert.equal(session.getSessionId(), 'other');
+  assert.equal(session.getState(), 'idle');
+
+  session.start();
+  session.rotate('next');
+  assert.equal(session.getState(), 'recording');
+  assert.equal(recorder.recordings.length, 2);
+
+  session.rotate('sampled-out', { record: false });
+  assert.equal(session.getState(), 'idle');
+  assert.equal(recorder.active, null);
+  assert.deepEqual(emitted.map(([event, payload]) => `${event}:${payload.sessionId}`), [
+    'ready:other',
+    'stopped:other',
+    'ready:next',
+    'stopped:next'
+  ]);
+});
+
+test('destroy() removes listeners, runs cleanups once and stops emitting', () => {
+  const destroyed = [];
+  const { session } = createTestSession({ onDestroy: (handle) => destroyed.push(handle) });
+  const target = new EventTarget();
+  const seen = [];
+  const cleanups = [];
+  session.listen(target, 'ping', () => seen.push('ping'));
+  session.addCleanup(() => cleanups.push('first'));
+  session.addCleanup(() => { throw new Error('cleanup failed'); });
+  session.addCleanup(() => cleanups.push('last'));
+  const stopped = [];
+  session.on('stopped', () => stopped.push('stopped'));
+  const ready = [];
+  session.on('ready', () => ready.push('ready'));
+  session.start();
+
+  target.dispatchEvent(new Event('ping'));
+  session.destroy();
+  session.destroy();
+  target.dispatchEvent(new Event('ping'));
+
+  assert.equal(session.getState(), 'destroyed');
+  assert.equal(recorder.active, null);
+  assert.deepEqual(seen, ['ping']);
+  assert.deepEqual(cleanups, ['last', 'first']);
+  assert.deepEqual(stopped, ['stopped']);
+  assert.deepEqual(destroyed, [session]);
+
+  // Nothing restarts a destroyed session, and later cleanups run right away
+  session.restart();
+  session.rotate('other');
+  assert.equal(session.getState(), 'destroyed');
+  assert.deepEqual(ready, ['ready']);
+  session.addCleanup(() => cleanups.push('late'));
+  assert.deepEqual(cleanups, ['last', 'first', 'late']);
+});
+
+test('getDiagnostics() reports every provider, and failures by message', () => {
+  const { session } = createTestSession();
+  session.addDiagnostics('upload', () => ({ sent: 2 }));
+  session.addDiagnostics('broken', () => { throw new Error('no stats'); });
+
+  assert.deepEqual(session.getDiagnostics(), {
+    sessionId: 'session-1',
+    state: 'idle',
+    upload: { sent: 2 },
+    broken: { error: 'no stats' }
+  });
+});
@@ -0,0 +1,143 @@
+import { test, before, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import esbuild from 'esbuild';
+import { installDom, waitFor } from './helpers/dom.js';
+import { findCustomEvent } from './helpers/replay.js';
+
+const BUNDLE_URL = 'https://cdn.test/replica-replay.min.js';
+
+let env;
+let replay;
+
+before(async () => {
+  // Keeps the SDK's status messages and queue warnings out of the test runner's output
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  env = installDom({ url: 'https://shop.test/' });
+  replay = await import('../src/index.js');
+});
+
+afterEach(async () => {
+  const session = replay.getActiveSession();
+  if (session) session.destroy();
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  delete window.ReplicaReplay;
+  env.requests.length = 0;
+  env.scripts.length = 0;
+  console.warn.mock.resetCalls();
+});
+
+/**
+ * Build the snippet as build-cdn.cjs does
+ * @param {Object} [options] - esbuild transform options, e.g. { minify: true }
+ * @returns {Promise<string>} Snippet code
+ */
+async function buildSnippet(options = {}) {
+  const source = readFileSync(new URL('../src/snippet.js', import.meta.url), 'utf8');
+  const { code } = await esbuild.transform(source, {
+    target: 'es5',
+    define: { __REPLICA_REPLAY_SRC__: JSON.stringify(BUNDLE_URL) },
+    ...options
+  });
+  return code.trim();
+}
+
+/**
+ * Run the minified snippet as an inline script would
+ * @returns {Promise<void>}
+ */
+async function runSnippet() {
+  new Function(await buildSnippet({ minify: true, legalComments: 'none' }))();
+}
+
+test('the minified snippet stays under 1KB, with the bundle URL filled in', async () => {
+  const minified = await buildSnippet({ minify: true, legalComments: 'none' });
+
+  assert.ok(Buffer.byteLength(minified) <= 1024, `${Buffer.byteLength(minified)} bytes`);
+  assert.ok(minified.includes(JSON.stringify(BUNDLE_URL)));
+  assert.doesNotMatch(minified, /__REPLICA_REPLAY_SRC__/);
+  // Inline scripts run as written, so the snippet must parse in ES5 browsers
+  assert.doesNotMatch(await buildSnippet(), /=>|\bconst\b|\blet\b/);
+});
+
+test('the snippet queues calls and loads the bundle asynchronously with the page’s nonce', async () => {
+  const inline = document.createElement('script');
+  inline.nonce = 'abc123';
+  Object.defineProperty(document, 'currentScript', { value: inline, configurable: true });
+  try {
+    await runSnippet();
+  } finally {
+    delete document.currentScript;
+  }
+
+  const [script] = env.scripts;
+  assert.equal(script.src, BUNDLE_URL);
+  assert.equal(script.async, true);
+  assert.equal(script.nonce, 'abc123');
+
+  assert.equal(window.ReplicaReplay.track('landing_viewed', { step: 1 }), undefined);
+  window.ReplicaReplay.setConsent('granted');
+  assert.deepEqual(window.ReplicaReplay.q, [['track', ['landing_viewed', { step: 1 }]], ['setConsent', ['granted']]]);
+});
+
+test('a second copy of the snippet keeps the first one’s queue', async () => {
+  await runSnippet();
+  window.ReplicaReplay.track('first');
+  await runSnippet();
+
+  assert.deepEqual(window.ReplicaReplay.q, [['track', ['first']]]);
+  assert.equal(env.scripts.length, 1);
+});
+
+test('the bundle replays queued calls in order once it has loaded', async () => {
+  await runSnippet();
+  env.scripts.length = 0;
+  const ready = [];
+  window.ReplicaReplay.on('ready', (payload) => ready.push(payload));
+  window.ReplicaReplay.init({
+    projectKey: 'demo key',
+    serverUrl: 'https://replay.test',
+    getToken: async () => ({ token: 'token-1', expiresAt: Date.now() + 3600000 }),
+    persist: false
+  });
+  window.ReplicaReplay.identify('user-123', { plan: 'pro' });
+  window.ReplicaReplay.track('landing_viewed');
+
+  await import('../src/cdn.js');
+  assert.equal(window.ReplicaReplay.q, undefined);
+  assert.equal(window.ReplicaReplay.track, replay.track);
+  await waitFor(() => env.scripts.length > 0);
+  env.loadScripts();
+  await waitFor(() => ready.length > 0);
+
+  const session = replay.getActiveSession();
+  assert.equal(ready[0].sessionId, session.getSessionId());
+  await waitFor(() => session.getDiagnostics().metadata.user);
+  assert.equal(session.getDiagnostics().metadata.user.id, 'user-123');
+  replay.flush();
+  await waitFor(() => findCustomEvent(env, 'landing_viewed'));
+});
+
+test('queued calls to unknown methods or that fail are logged, and the rest still run', async () => {
+  window.ReplicaReplay = {
+    q: [
+      ['unknownMethod', []],
+      ['track', ['session']],
+      'not an entry',
+      ['setConsent', ['denied']]
+    ]
+  };
+
+  // A fresh copy of the bundle, as if loaded on another page
+  await import('../src/cdn.js?queue-failures');
+
+  assert.equal(replay.getConsent(), 'denied');
+  const messages = console.warn.mock.calls.map(({ arguments: [message] }) => message);
+  assert.deepEqual(messages, [
+    'Queued call to unknown method ReplicaReplay.unknownMethod was dropped',
+    'Queued call to ReplicaReplay.track failed:'
+  ]);
+  // setConsent() outlives the session; let later sessions record again
+  replay.setConsent('granted');
+});
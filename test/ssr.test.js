@@ -0,0 +1,150 @@
+import { test, before, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { installDom, waitFor } from './helpers/dom.js';
+
+const require = createRequire(import.meta.url);
+const { renderReplayScript } = require('../server/index.cjs');
+
+let env;
+let replay;
+let ssr;
+
+before(async () => {
+  // Keeps the SDK's status messages out of the test runner's output
+  mock.method(console, 'log', () => {});
+  env = installDom({ url: 'https://shop.test/' });
+  replay = await import('../src/index.js');
+  ssr = await import('../src/ssr.js');
+});
+
+afterEach(async () => {
+  const session = replay.getActiveSession();
+  if (session) session.destroy();
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  document.getElementById(ssr.STATE_ELEMENT_ID)?.remove();
+  env.requests.length = 0;
+  env.scripts.length = 0;
+  env.respond = () => new Response('{}', { status: 200 });
+});
+
+/**
+ * Put a server-rendered state into the page, as renderReplayScript() would
+ * @param {Object} options - Render options, or { html } with the tag's HTML
+ * @returns {Object} The state from readServerState()
+ */
+function renderState(options) {
+  document.head.insertAdjacentHTML('beforeend', options.html || renderReplayScript(options));
+  return ssr.readServerState();
+}
+
+const baseOptions = (extra) => ({
+  projectKey: 'demo key',
+  secretKey: 'secret-1',
+  serverUrl: 'https://replay.test',
+  config: { persist: false },
+  ...extra
+});
+
+/**
+ * Start recording from the init.js script the SDK appended
+ * @param {Promise<Object>} starting - initSessionReplay() promise
+ * @returns {Promise<Object>} { session, src }
+ */
+async function finishLoading(starting) {
+  await waitFor(() => env.scripts.length > 0);
+  const src = env.scripts[0].src;
+  env.loadScripts();
+  return { session: await starting, src };
+}
+
+test('readServerState reads the JSON state tag, and ignores missing or invalid ones', () => {
+  assert.equal(ssr.readServerState(), null);
+
+  const state = renderState(baseOptions({ consent: 'pending', user: { id: 'user-1' } }));
+  assert.equal(state.config.projectKey, 'demo key');
+  assert.equal(state.consent, 'pending');
+  assert.deepEqual(state.user, { id: 'user-1' });
+  assert.equal(typeof state.token.token, 'string');
+  assert.equal(state.element.id, 'replica-replay-state');
+  state.element.remove();
+
+  for (const json of ['{not json', '{"config":{}}', 'null']) {
+    assert.equal(renderState({ html: `<script id="replica-replay-state" type="application/json">${json}</script>` }), null, json);
+    document.getElementById(ssr.STATE_ELEMENT_ID).remove();
+  }
+});
+
+test('mergeServerState fills in what the client left out, and client options win', async () => {
+  const state = renderState(baseOptions({ tokenUrl: '/api/replay-token', consent: 'pending', config: { sampleRate: 0.5, persist: false } }));
+  const merged = ssr.mergeServerState({ sampleRate: 1, consent: undefined }, state);
+
+  assert.equal(merged.projectKey, 'demo key');
+  assert.equal(merged.serverUrl, 'https://replay.test');
+  assert.equal(merged.sampleRate, 1);
+  assert.equal(merged.consent, 'pending');
+  assert.equal(merged.tokenUrl, undefined);
+  assert.deepEqual(await merged.getToken(), state.token);
+
+  const getToken = () => 'client-token';
+  assert.equal(ssr.mergeServerState({ getToken }, state).getToken, getToken);
+  const other = { projectKey: 'other', getToken };
+  assert.equal(ssr.mergeServerState(other, state), other);
+});
+
+test('initSessionReplay() with no arguments starts from the state with the rendered token', async () => {
+  const state = renderState(baseOptions({ consent: 'granted' }));
+
+  const { session, src } = await finishLoading(replay.initSessionReplay());
+  assert.equal(session.getState(), 'recording');
+  assert.ok(src.startsWith('https://replay.test/s/demo%20key/init.js?'));
+  assert.equal(new URL(src).searchParams.get('token'), state.token.token);
+});
+
+test('an expired rendered token is replaced by one from tokenUrl', async () => {
+  renderState({
+    html: `<script id="replica-replay-state" type="application/json">${JSON.stringify({
+      config: { projectKey: 'demo key', serverUrl: 'https://replay.test', tokenUrl: '/api/replay-token', persist: false },
+      token: { token: 'stale', expiresAt: Date.now() - 1000 }
+    })}</script>`
+  });
+  env.respond = (url) => new Response(JSON.stringify(url === '/api/replay-token' ? { token: 'fresh', expiresAt: Date.now() + 60000 } : {}));
+
+  const { src } = await finishLoading(replay.initSessionReplay());
+  assert.equal(new URL(src).searchParams.get('token'), 'fresh');
+  assert.equal(env.requests[0].url, '/api/replay-token');
+});
+
+test('the rendered consent state and user are applied', async () => {
+  renderState(baseOptions({ consent: 'pending', user: { id: 'user-1', traits: { plan: 'pro' } } }));
+
+  const session = await replay.initSessionReplay();
+  await waitFor(() => session.getDiagnostics().metadata.user);
+  assert.equal(replay.getConsent(), 'pending');
+  assert.equal(session.getState(), 'idle');
+  assert.equal(env.scripts.length, 0);
+  const { user } = session.getDiagnostics().metadata;
+  assert.equal(user.id, 'user-1');
+  assert.deepEqual(user.traits, { plan: 'pro' });
+});
+
+test('every SDK copy on the page shares the session started from the state', async () => {
+  const state = renderState(baseOptions({ consent: 'granted' }));
+
+  const { session } = await finishLoading(replay.initSessionReplay());
+  const claim = ssr.getServerStateClaim(state);
+  assert.equal(claim.projectKey, 'demo key');
+  assert.equal(await claim.promise, session);
+
+  // What another bundle sees once this copy's registration is out of reach
+  const release = ssr.claimServerState(state, { projectKey: 'demo key', promise: Promise.resolve('other copy') });
+  assert.equal(await ssr.getServerStateClaim(state).promise, 'other copy');
+  release();
+  assert.equal(ssr.getServerStateClaim(state), null);
+});
+
+test('getSessionReplayConfig() reads the state before initSessionReplay runs', () => {
+  renderState(baseOptions({ mode: 'local' }));
+
+  assert.deepEqual(replay.getSessionReplayConfig(), { projectKey: 'demo key', serverUrl: 'https://replay.test', mode: 'local' });
+});
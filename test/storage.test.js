@@ -0,0 +1,111 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { IDBFactory } from 'fake-indexeddb';
+import { createBatchStore } from '../src/storage.js';
+
+/**
+ * localStorage backed by a Map
+ * @returns {Object}
+ */
+function createLocalStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+    items
+  };
+}
+
+/**
+ * indexedDB whose databases fail to open, like in some private browsing modes
+ * @returns {Object}
+ */
+function createBlockedIndexedDB() {
+  return {
+    open() {
+      const request = { error: new Error('The operation is insecure') };
+      setTimeout(() => request.onerror());
+      return request;
+    }
+  };
+}
+
+const batch = (id, timestamp = 1) => ({ id, sessionId: 'session-1', sequence: 0, timestamp, events: [{ type: 3 }] });
+
+beforeEach(() => {
+  globalThis.localStorage = createLocalStorage();
+});
+
+afterEach(() => {
+  delete globalThis.indexedDB;
+  delete globalThis.localStorage;
+});
+
+for (const type of ['indexeddb', 'localstorage']) {
+  test(`${type}: batches are only taken over from other owners whose lease has run out`, async () => {
+    if (type === 'indexeddb') globalThis.indexedDB = new IDBFactory();
+    const crashed = createBatchStore({ namespace: 'demo', owner: 'crashed', leaseDuration: 0 });
+    const alive = createBatchStore({ namespace: 'demo', owner: 'alive' });
+    const next = createBatchStore({ namespace: 'demo', owner: 'next' });
+    assert.equal(crashed.type, type);
+
+    await alive.heartbeat();
+    await alive.put(batch('alive-1'), 'token-alive');
+    await crashed.heartbeat();
+    await crashed.put(batch('crashed-1'), 'token-crashed');
+
+    assert.deepEqual(await alive.claim(), [{ batch: batch('crashed-1'), token: 'token-crashed' }]);
+    // Taken over batches and the owner's own batches are never handed out again
+    assert.deepEqual(await alive.claim(), []);
+    assert.deepEqual(await next.claim(), []);
+
+    await alive.release();
+    const claimed = await next.claim();
+    assert.deepEqual(claimed.map((entry) => entry.batch.id).sort(), ['alive-1', 'crashed-1']);
+    assert.deepEqual(claimed.map((entry) => entry.token).sort(), ['token-alive', 'token-crashed']);
+  });
+}
+
+test('batches stored without a token are claimed with a null token', async () => {
+  globalThis.indexedDB = new IDBFactory();
+  const crashed = createBatchStore({ namespace: 'demo', owner: 'crashed' });
+  const next = createBatchStore({ namespace: 'demo', owner: 'next' });
+
+  await crashed.put(batch('crashed-1'), null);
+  assert.deepEqual(await next.claim(), [{ batch: batch('crashed-1'), token: null }]);
+});
+
+test('a store falls back to localStorage when IndexedDB cannot be opened', async () => {
+  globalThis.indexedDB = createBlockedIndexedDB();
+  const crashed = createBatchStore({ namespace: 'demo', owner: 'crashed' });
+  const next = createBatchStore({ namespace: 'demo', owner: 'next' });
+  assert.equal(crashed.type, 'indexeddb');
+
+  await crashed.put(batch('crashed-1'), 'token-crashed');
+  const stored = JSON.parse(globalThis.localStorage.getItem('replica-replay:queue:demo'));
+  assert.deepEqual(stored, [{ ...batch('crashed-1'), owner: 'crashed', sessionToken: 'token-crashed' }]);
+
+  assert.deepEqual(await next.claim(), [{ batch: batch('crashed-1'), token: 'token-crashed' }]);
+  await next.remove('crashed-1');
+  assert.equal(globalThis.localStorage.getItem('replica-replay:queue:demo'), null);
+});
+
+test('localStorage keeps the newest batches up to maxBatches', async () => {
+  const store = createBatchStore({ namespace: 'demo', owner: 'crashed', maxBatches: 2 });
+  await store.put(batch('batch-1'));
+  await store.put(batch('batch-2'));
+  await store.put(batch('batch-3'));
+
+  const stored = JSON.parse(globalThis.localStorage.getItem('replica-replay:queue:demo'));
+  assert.deepEqual(stored.map((entry) => entry.id), ['batch-2', 'batch-3']);
+});
+
+test('memory stores have nothing to take over', async () => {
+  delete globalThis.localStorage;
+  const store = createBatchStore({ namespace: 'demo', owner: 'crashed', persist: false });
+  await store.put(batch('batch-1'));
+
+  assert.equal(store.type, 'memory');
+  assert.deepEqual(await store.claim(), []);
+});
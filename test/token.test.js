@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTokenManager, decodeTokenExpiry } from '../src/token.js';
+
+function createJwt(claims) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  return `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}.signature`;
+}
+
+test('decodeTokenExpiry reads the exp claim of a JWT', () => {
+  assert.equal(decodeTokenExpiry(createJwt({ exp: 1700000000 })), 1700000000 * 1000);
+  assert.equal(decodeTokenExpiry(createJwt({ sub: 'demo' })), null);
+  assert.equal(decodeTokenExpiry('not-a-jwt'), null);
+});
+
+test('tokens are refreshed a minute before they expire', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+  let issued = 0;
+  const manager = createTokenManager({
+    getToken: () => ({ token: `token-${++issued}`, expiresAt: Date.now() + 5 * 60 * 1000 })
+  });
+
+  assert.equal(await manager.get(), 'token-1');
+  assert.equal(await manager.get(), 'token-1');
+
+  t.mock.timers.tick(4 * 60 * 1000 - 1);
+  assert.equal(issued, 1);
+  t.mock.timers.tick(1);
+  await Promise.resolve();
+  await Promise.resolve();
+  assert.equal(issued, 2);
+  assert.equal(manager.current(), 'token-2');
+  assert.equal(await manager.get(), 'token-2');
+  manager.destroy();
+});
+
+test('refreshes skip while inactive and resume on the next get()', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+  let active = true;
+  let issued = 0;
+  const manager = createTokenManager({
+    getToken: () => ({ token: `token-${++issued}`, expiresAt: Date.now() + 2 * 60 * 1000 }),
+    isActive: () => active
+  });
+
+  await manager.get();
+  active = false;
+  t.mock.timers.tick(2 * 60 * 1000);
+  assert.equal(issued, 1);
+  assert.equal(manager.current(), null);
+
+  active = true;
+  assert.equal(await manager.get(), 'token-2');
+  manager.destroy();
+});
+
+test('failed refreshes are retried and counted', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+  t.mock.method(console, 'warn', () => {});
+  let calls = 0;
+  const manager = createTokenManager({
+    getToken: () => {
+      calls++;
+      if (calls === 1) throw new Error('offline');
+      return 'token-1';
+    }
+  });
+
+  await assert.rejects(manager.get(), /offline/);
+  assert.equal(manager.getInfo().failures, 1);
+  assert.equal(manager.current(), null);
+
+  t.mock.timers.tick(60 * 1000);
+  await Promise.resolve();
+  await Promise.resolve();
+  assert.equal(calls, 2);
+  assert.equal(manager.current(), 'token-1');
+  assert.deepEqual(Object.keys(manager.getInfo()), ['hasToken', 'expiresAt', 'failures']);
+  assert.equal(manager.getInfo().failures, 0);
+  manager.destroy();
+});
+
+test('getToken must return a token', async () => {
+  const manager = createTokenManager({ getToken: () => ({}) });
+  await assert.rejects(manager.get(), /getToken must resolve with a token string/);
+  manager.destroy();
+});
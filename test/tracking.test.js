@@ -0,0 +1,102 @@
+import { test, before, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom, waitFor } from './helpers/dom.js';
+import { initRemote, findCustomEvent, getUploadedEvents } from './helpers/replay.js';
+
+let env;
+let replay;
+let tracking;
+
+before(async () => {
+  // Keeps the SDK's status messages out of the test runner's output
+  mock.method(console, 'log', () => {});
+  env = installDom({ url: 'https://shop.test/' });
+  replay = await import('../src/index.js');
+  tracking = await import('../src/tracking.js');
+});
+
+afterEach(async () => {
+  const session = replay.getActiveSession();
+  if (session) session.destroy();
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  env.requests.length = 0;
+});
+
+test('normalizeTrackEvent returns a copy of JSON properties', () => {
+  const properties = { plan: 'pro', seats: 3, trial: false, coupon: null, items: [{ sku: 'A-1' }] };
+  const normalized = tracking.normalizeTrackEvent('checkout_started', properties);
+
+  assert.deepEqual(normalized, properties);
+  properties.items[0].sku = 'changed';
+  assert.equal(normalized.items[0].sku, 'A-1');
+  assert.deepEqual(tracking.normalizeTrackEvent('signup'), {});
+});
+
+test('normalizeTrackEvent rejects bad names and properties that are not JSON', () => {
+  const circular = {};
+  circular.self = circular;
+
+  for (const [name, properties, message] of [
+    ['', undefined, /non-empty string of at most 128 characters/],
+    ['x'.repeat(129), undefined, /at most 128 characters/],
+    ['pageview', undefined, /"pageview" is reserved/],
+    ['event', 'pro', /must be an object/],
+    ['event', { callback: () => {} }, /"callback" is a function/],
+    ['event', { total: NaN }, /"total" must be a finite number/],
+    ['event', { at: new Date() }, /"at" must be a plain object/],
+    ['event', { a: { b: { c: { d: { e: {} } } } } }, /"a\.b\.c\.d\.e" is nested more than 5 levels deep/],
+    ['event', circular, /"self" contains a circular reference/],
+    ['event', { note: 'x'.repeat(8 * 1024) }, /the limit is 8192/]
+  ]) {
+    assert.throws(() => tracking.normalizeTrackEvent(name, properties), message);
+  }
+});
+
+test('track() writes a custom event into the recording, with PII redacted', async () => {
+  await initRemote(env, replay);
+
+  assert.equal(replay.track('checkout_started', { plan: 'pro', contact: 'jane@example.com' }), true);
+  replay.flush();
+  await waitFor(() => findCustomEvent(env, 'checkout_started'));
+
+  const { payload } = findCustomEvent(env, 'checkout_started').data;
+  assert.equal(payload.properties.plan, 'pro');
+  assert.doesNotMatch(payload.properties.contact, /jane@example\.com/);
+  assert.equal(typeof payload.trackedAt, 'number');
+});
+
+test('track() before recording starts is buffered and recorded once ready, in order', async () => {
+  assert.equal(replay.track('landing_viewed', { step: 1 }), false);
+  assert.equal(replay.track('cta_clicked', { step: 2 }), false);
+  const trackedAt = Date.now();
+
+  await initRemote(env, replay);
+  replay.flush();
+  await waitFor(() => findCustomEvent(env, 'cta_clicked'));
+
+  const tags = getUploadedEvents(env).filter((event) => event.type === 5).map((event) => event.data.tag);
+  assert.ok(tags.indexOf('landing_viewed') < tags.indexOf('cta_clicked'));
+  const landing = findCustomEvent(env, 'landing_viewed');
+  assert.deepEqual(landing.data.payload.properties, { step: 1 });
+  assert.ok(landing.data.payload.trackedAt <= trackedAt);
+});
+
+test('track() drops events while the session is paused', async () => {
+  const { session } = await initRemote(env, replay);
+  session.pause();
+
+  assert.equal(replay.track('ignored'), false);
+  session.resume();
+  replay.flush();
+  await new Promise((resolve) => setTimeout(resolve, 150));
+  assert.equal(findCustomEvent(env, 'ignored'), undefined);
+});
+
+test('invalid track() calls throw a ConfigError', () => {
+  assert.throws(() => replay.track('session'), { name: 'ConfigError', message: /reserved/ });
+});
+
+test('the CDN build exposes track on window.ReplicaReplay', async () => {
+  await import('../src/cdn.js');
+  assert.equal(window.ReplicaReplay.track, replay.track);
+});
@@ -0,0 +1,147 @@
+import { test, before, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom, waitFor } from './helpers/dom.js';
+import { installRrweb } from './helpers/rrweb.js';
+
+let env;
+let replay;
+let transports;
+let UploadError;
+
+before(async () => {
+  // Keeps the SDK's status messages out of the test runner's output
+  mock.method(console, 'log', () => {});
+  env = installDom({ url: 'https://shop.test/' });
+  replay = await import('../src/index.js');
+  transports = await import('../src/transports.js');
+  ({ UploadError } = await import('../src/errors.js'));
+});
+
+afterEach(async () => {
+  const session = replay.getActiveSession();
+  if (session) session.destroy();
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  env.requests.length = 0;
+  env.respond = () => new Response('{}', { status: 200 });
+  delete window.rrweb;
+});
+
+const batch = { id: 'batch-1', sessionId: 'session-1', events: [{ type: 3, data: { source: 2 } }] };
+
+test('fetchTransport posts JSON with the session token and extra headers', async () => {
+  const transport = transports.fetchTransport('https://collect.test/replay', { headers: { 'X-Tenant': 'acme' } });
+  const result = await transport.send(batch, { token: 'token-1' });
+
+  const [{ url, init }] = env.requests;
+  assert.equal(url, 'https://collect.test/replay');
+  assert.equal(init.method, 'POST');
+  assert.equal(init.credentials, 'omit');
+  assert.deepEqual(init.headers, { 'Content-Type': 'application/json', Authorization: 'Bearer token-1', 'X-Tenant': 'acme' });
+  assert.deepEqual(JSON.parse(init.body), batch);
+  assert.equal(result.compression, 'none');
+  assert.equal(result.rawBytes, result.encodedBytes);
+});
+
+test('fetchTransport rejects with an UploadError that knows whether to retry', async () => {
+  const transport = transports.fetchTransport('/replay');
+
+  env.respond = () => new Response('', { status: 429, headers: { 'Retry-After': '5' } });
+  const limited = await transport.send(batch).then(() => null, (caught) => caught);
+  assert.ok(limited instanceof UploadError);
+  assert.equal(limited.status, 429);
+  assert.equal(limited.retryAfter, 5000);
+  assert.equal(limited.isRetryable(), true);
+
+  env.respond = () => new Response('', { status: 413 });
+  const tooLarge = await transport.send(batch).then(() => null, (caught) => caught);
+  assert.equal(tooLarge.isRetryable(), false);
+
+  env.respond = () => { throw new TypeError('Failed to fetch'); };
+  const offline = await transport.send(batch).then(() => null, (caught) => caught);
+  assert.match(offline.message, /Upload request failed: Failed to fetch/);
+  assert.equal(offline.isRetryable(), true);
+});
+
+test('fetchTransport sends unload batches with keepalive, up to the 64KB quota', () => {
+  const transport = transports.fetchTransport('/replay');
+
+  assert.equal(transport.sendUnload(batch, { token: 'token-1' }), true);
+  assert.equal(env.requests[0].init.keepalive, true);
+  assert.equal(env.requests[0].init.headers.Authorization, 'Bearer token-1');
+
+  const large = { ...batch, events: [{ type: 3, data: 'x'.repeat(64 * 1024) }] };
+  assert.equal(transport.sendUnload(large), false);
+  assert.equal(env.requests.length, 1);
+});
+
+test('beaconTransport sends with navigator.sendBeacon', async () => {
+  const beacons = [];
+  let accept = true;
+  // jsdom has no sendBeacon
+  navigator.sendBeacon = (url, blob) => {
+    beacons.push({ url, blob });
+    return accept;
+  };
+  const transport = transports.beaconTransport('/replay');
+
+  try {
+    await transport.send(batch);
+    assert.equal(beacons[0].url, '/replay');
+    assert.equal(beacons[0].blob.type, 'application/json');
+    assert.deepEqual(JSON.parse(await beacons[0].blob.text()), batch);
+
+    accept = false;
+    await assert.rejects(transport.send(batch), { name: 'UploadError', message: /rejected by the browser/ });
+  } finally {
+    delete navigator.sendBeacon;
+  }
+});
+
+test('beaconTransport fails for good without sendBeacon', async () => {
+  const error = await transports.beaconTransport('/replay').send(batch).then(() => null, (caught) => caught);
+  assert.equal(typeof navigator.sendBeacon, 'undefined');
+  assert.equal(error.isRetryable(), false);
+});
+
+test('memoryTransport and callbackTransport keep or hand over each batch', async () => {
+  const memory = transports.memoryTransport();
+  await memory.send(batch);
+  await memory.send({ ...batch, id: 'batch-2', events: [{ type: 2 }] });
+  assert.deepEqual(memory.getEvents().map((event) => event.type), [3, 2]);
+  memory.clear();
+  assert.deepEqual(memory.batches, []);
+
+  const received = [];
+  await transports.callbackTransport(async (sent) => received.push(sent)).send(batch);
+  assert.deepEqual(received, [batch]);
+
+  assert.throws(() => transports.fetchTransport(), /requires a URL/);
+  assert.throws(() => transports.callbackTransport('nope'), /requires a function/);
+  assert.equal(transports.isTransport({ send() {} }), true);
+  assert.equal(transports.isTransport({}), false);
+});
+
+test('local mode records with the page’s rrweb and uploads to the transport', async () => {
+  const recorder = installRrweb();
+  const transport = transports.memoryTransport();
+  const session = await replay.initSessionReplay({ projectKey: 'demo key', mode: 'local', transport, persist: false });
+
+  assert.equal(env.scripts.length, 0);
+  assert.equal(recorder.recordings.length, 1);
+  recorder.active.options.emit({ type: 3, data: { source: 2 }, timestamp: Date.now() });
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  replay.flush();
+
+  await waitFor(() => transport.getEvents().some((event) => event.type === 3));
+  assert.equal(transport.batches[0].sessionId, session.getSessionId());
+  assert.equal(transport.getEvents()[0].type, 2);
+  assert.deepEqual(env.requests, []);
+  assert.equal(replay.getSessionReplayUrl(), null);
+});
+
+test('local mode times out when the page never loads rrweb', async () => {
+  await assert.rejects(
+    replay.initSessionReplay({ projectKey: 'demo key', mode: 'local', transport: transports.memoryTransport(), timeout: 50 }),
+    { name: 'TimeoutError', message: /Local mode requires rrweb to be loaded on the page/ }
+  );
+});
@@ -0,0 +1,220 @@
+import { test, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { IDBFactory } from 'fake-indexeddb';
+import { createUploader, getRetryDelay, splitBatch } from '../src/uploader.js';
+import { parseRetryAfter } from '../src/transports.js';
+import { createBatchStore } from '../src/storage.js';
+import { createTokenManager } from '../src/token.js';
+import { UploadError } from '../src/errors.js';
+import { waitFor } from './helpers/dom.js';
+
+/**
+ * Transport that records every send and fails while failures are queued
+ * @param {Array<Error>} [failures] - Errors to throw from the next sends, in order
+ * @returns {Object}
+ */
+function createTransport(failures = []) {
+  const transport = {
+    sends: [],
+    unloads: [],
+    async send(batch, sendOptions) {
+      transport.sends.push({ batch, sendOptions });
+      if (failures.length > 0) throw failures.shift();
+    },
+    sendUnload(batch, sendOptions) {
+      transport.unloads.push({ batch, sendOptions });
+      return true;
+    }
+  };
+  return transport;
+}
+
+function createJwt(claims) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  return `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}.signature`;
+}
+
+// Lets pending promise chains, including fake-indexeddb's, settle
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+let uploader = null;
+
+before(() => {
+  Object.defineProperty(globalThis, 'navigator', { value: { onLine: true }, configurable: true, writable: true });
+});
+
+afterEach(async () => {
+  if (uploader) await uploader.destroy();
+  uploader = null;
+  delete globalThis.indexedDB;
+});
+
+test('getRetryDelay backs off exponentially with jitter up to the maximum', (t) => {
+  t.mock.method(Math, 'random', () => 0);
+  assert.equal(getRetryDelay(0, 1000, 60000), 500);
+  assert.equal(getRetryDelay(3, 1000, 60000), 4000);
+  Math.random.mock.mockImplementation(() => 0.999999);
+  assert.equal(getRetryDelay(3, 1000, 60000), 8000);
+  assert.equal(getRetryDelay(10, 1000, 60000), 60000);
+});
+
+test('failed uploads are retried with backoff until they succeed', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+  t.mock.method(Math, 'random', () => 0.999999);
+  const transport = createTransport([new UploadError('Upload failed: 503', { status: 503 }), new Error('offline')]);
+  uploader = createUploader({ transport, persist: false, retryBaseDelay: 1000 });
+
+  uploader.push({ type: 3 });
+  await uploader.flush();
+  assert.equal(transport.sends.length, 1);
+
+  t.mock.timers.tick(999);
+  await settle();
+  assert.equal(transport.sends.length, 1);
+  t.mock.timers.tick(1);
+  await settle();
+  assert.equal(transport.sends.length, 2);
+
+  t.mock.timers.tick(2000);
+  await settle();
+  assert.equal(transport.sends.length, 3);
+  assert.equal(transport.sends[2].batch.id, transport.sends[0].batch.id);
+  assert.deepEqual(
+    (({ pending, sent, dropped, retries }) => ({ pending, sent, dropped, retries }))(uploader.getStats()),
+    { pending: 0, sent: 1, dropped: 0, retries: 2 }
+  );
+});
+
+test('uploads are dropped after maxRetries or on errors that cannot be retried', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+  t.mock.method(console, 'warn', () => {});
+  const transport = createTransport([
+    new UploadError('Upload failed: 400', { status: 400 }),
+    new UploadError('Upload failed: 500', { status: 500 }),
+    new UploadError('Upload failed: 500', { status: 500 })
+  ]);
+  uploader = createUploader({ transport, persist: false, maxRetries: 1, retryBaseDelay: 1000 });
+
+  uploader.push({ type: 3 });
+  await uploader.flush();
+  assert.equal(uploader.getStats().dropped, 1);
+
+  uploader.push({ type: 3 });
+  await uploader.flush();
+  t.mock.timers.tick(1000);
+  await settle();
+  assert.equal(transport.sends.length, 3);
+  assert.deepEqual(
+    (({ pending, sent, dropped, retries }) => ({ pending, sent, dropped, retries }))(uploader.getStats()),
+    { pending: 0, sent: 0, dropped: 2, retries: 1 }
+  );
+});
+
+test('Retry-After overrides the backoff, up to maxRetryDelay', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+  const transport = createTransport([
+    new UploadError('Upload failed: 429', { status: 429, retryAfter: 30000 }),
+    new UploadError('Upload failed: 503', { status: 503, retryAfter: 600000 })
+  ]);
+  uploader = createUploader({ transport, persist: false, retryBaseDelay: 1000, maxRetryDelay: 60000 });
+
+  uploader.push({ type: 3 });
+  await uploader.flush();
+  t.mock.timers.tick(29999);
+  await settle();
+  assert.equal(transport.sends.length, 1);
+  t.mock.timers.tick(1);
+  await settle();
+  assert.equal(transport.sends.length, 2);
+
+  t.mock.timers.tick(60000);
+  await settle();
+  assert.equal(transport.sends.length, 3);
+});
+
+test('parseRetryAfter reads seconds and HTTP dates', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-01T00:00:00Z') });
+  assert.equal(parseRetryAfter('120'), 120000);
+  assert.equal(parseRetryAfter('Thu, 01 Jan 2026 00:00:30 GMT'), 30000);
+  assert.equal(parseRetryAfter('Wed, 31 Dec 2025 00:00:00 GMT'), 0);
+  assert.equal(parseRetryAfter(null), undefined);
+  assert.equal(parseRetryAfter('soon'), undefined);
+});
+
+test('splitBatch keeps each part under the size limit', () => {
+  const events = Array.from({ length: 5 }, (_, index) => ({ type: 3, data: 'x'.repeat(20 * 1024), index }));
+  const parts = splitBatch({ id: 'batch-1', sessionId: 'session-1', events }, 60 * 1024);
+
+  assert.deepEqual(parts.map((part) => part.events.length), [2, 2, 1]);
+  assert.deepEqual(parts.map((part) => part.id), ['batch-1-0', 'batch-1-1', 'batch-1-2']);
+  parts.forEach((part, index) => {
+    assert.equal(part.part, index);
+    assert.equal(part.parts, 3);
+    assert.ok(Buffer.byteLength(JSON.stringify(part)) <= 60 * 1024);
+  });
+  assert.deepEqual(splitBatch({ id: 'batch-2', events: events.slice(0, 1) }, 60 * 1024), [{ id: 'batch-2', events: events.slice(0, 1) }]);
+});
+
+test('flushOnUnload splits batches and keeps parts beyond the 64KB quota', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+  const transport = createTransport();
+  uploader = createUploader({ transport, persist: false });
+
+  for (let index = 0; index < 5; index++) {
+    uploader.push({ type: 3, data: 'x'.repeat(20 * 1024), index });
+  }
+  uploader.flushOnUnload();
+
+  // Two parts of about 40KB and 20KB fit in the quota; the other 40KB part waits
+  assert.deepEqual(transport.unloads.map(({ batch }) => batch.events.map((event) => event.index)), [[0, 1], [4]]);
+  assert.ok(transport.unloads.every(({ batch }) => Buffer.byteLength(JSON.stringify(batch)) <= 60 * 1024));
+  assert.equal(uploader.getStats().pending, 1);
+
+  // If the page survives, the rest goes out with the next flush
+  await uploader.flush();
+  assert.deepEqual(transport.sends.map(({ batch }) => batch.events.map((event) => event.index)), [[2, 3]]);
+});
+
+test('batches left by a crashed tab are sent once, with the token they were sealed under', async (t) => {
+  t.mock.timers.enable({ apis: ['setInterval'] });
+  globalThis.indexedDB = new IDBFactory();
+  const now = Math.floor(Date.now() / 1000);
+  const sealedWith = createJwt({ sub: 'demo', uid: 'user-1', exp: now + 600 });
+  const crashed = createBatchStore({ namespace: 'demo', owner: 'crashed', leaseDuration: 0 });
+  await crashed.heartbeat();
+  await crashed.put({ id: 'crashed-1', sessionId: 'session-0', sequence: 0, timestamp: 1, events: [{ type: 3 }] }, sealedWith);
+
+  const transport = createTransport();
+  const tokens = createTokenManager({ getToken: () => createJwt({ sub: 'demo', uid: 'user-2', exp: now + 900 }) });
+  uploader = createUploader({ transport, namespace: 'demo', tokens });
+  await waitFor(() => transport.sends.length === 1);
+  assert.equal(transport.sends[0].batch.sessionId, 'session-0');
+  assert.equal(transport.sends[0].sendOptions.token, sealedWith);
+
+  uploader.push({ type: 3 });
+  await uploader.flush();
+  t.mock.timers.tick(30000);
+  t.mock.timers.tick(30000);
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.deepEqual(transport.sends.map(({ batch }) => batch.sessionId), ['session-0', undefined]);
+  tokens.destroy();
+});
+
+test('restored batches with an expired token are only sent for the same user', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  globalThis.indexedDB = new IDBFactory();
+  const now = Math.floor(Date.now() / 1000);
+  const crashed = createBatchStore({ namespace: 'demo', owner: 'crashed', leaseDuration: 0 });
+  await crashed.heartbeat();
+  await crashed.put({ id: 'same-user', timestamp: 1, events: [{ type: 3 }] }, createJwt({ sub: 'demo', uid: 'user-1', exp: now - 60 }));
+  await crashed.put({ id: 'other-user', timestamp: 2, events: [{ type: 3 }] }, createJwt({ sub: 'demo', uid: 'user-2', exp: now - 60 }));
+
+  const current = createJwt({ sub: 'demo', uid: 'user-1', exp: now + 900 });
+  const transport = createTransport();
+  const tokens = createTokenManager({ getToken: () => current });
+  uploader = createUploader({ transport, namespace: 'demo', tokens });
+  await waitFor(() => uploader.getStats().dropped === 1);
+
+  assert.deepEqual(transport.sends.map(({ batch, sendOptions }) => [batch.id, sendOptions.token]), [['same-user', current]]);
+  tokens.destroy();
+});
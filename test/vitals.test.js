@@ -0,0 +1,268 @@
+import { test, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom } from './helpers/dom.js';
+import { initRemote, getUploadedEvents } from './helpers/replay.js';
+
+/**
+ * PerformanceObserver stand-in; tests deliver entries with emitEntries()
+ */
+class FakePerformanceObserver {
+  constructor(callback) {
+    this.callback = callback;
+  }
+
+  observe({ type }) {
+    this.type = type;
+    FakePerformanceObserver.active.push(this);
+  }
+
+  disconnect() {
+    FakePerformanceObserver.active = FakePerformanceObserver.active.filter((observer) => observer !== this);
+  }
+}
+FakePerformanceObserver.supportedEntryTypes = ['paint', 'largest-contentful-paint', 'layout-shift', 'event', 'first-input', 'longtask', 'resource'];
+FakePerformanceObserver.active = [];
+
+/**
+ * Deliver performance entries to the observers of their type
+ * @param {string} type - Entry type
+ * @param {Array<Object>} entries - Entries
+ */
+function emitEntries(type, entries) {
+  FakePerformanceObserver.active
+    .filter((observer) => observer.type === type)
+    .forEach((observer) => observer.callback({ getEntries: () => entries }));
+}
+
+let env;
+let replay;
+let vitals;
+let pageObserver;
+let visibilityState = 'visible';
+
+before(async () => {
+  // Keeps the SDK's status messages out of the test runner's output
+  mock.method(console, 'log', () => {});
+  env = installDom({ url: 'https://shop.test/' });
+  Object.defineProperty(document, 'visibilityState', { get: () => visibilityState, configurable: true });
+  pageObserver = globalThis.PerformanceObserver;
+  globalThis.PerformanceObserver = FakePerformanceObserver;
+  replay = await import('../src/index.js');
+  vitals = await import('../src/vitals.js');
+});
+
+after(() => {
+  globalThis.PerformanceObserver = pageObserver;
+});
+
+afterEach(async () => {
+  const session = replay.getActiveSession();
+  if (session) session.destroy();
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  env.requests.length = 0;
+  visibilityState = 'visible';
+});
+
+/**
+ * Hide the tab and fire visibilitychange
+ */
+function hidePage() {
+  visibilityState = 'hidden';
+  document.dispatchEvent(new Event('visibilitychange'));
+}
+
+/**
+ * Upload what was recorded and return the payloads of one custom event tag
+ * @param {string} tag - 'vitals', 'performance' or 'metadata'
+ * @returns {Promise<Array<Object>>} Payloads, oldest first
+ */
+async function getRecorded(tag) {
+  replay.flush();
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  return getUploadedEvents(env)
+    .filter((event) => event.type === 5 && event.data.tag === tag)
+    .map((event) => event.data.payload);
+}
+
+test('rateMetric uses the web.dev thresholds', () => {
+  assert.equal(vitals.rateMetric('LCP', 2500), 'good');
+  assert.equal(vitals.rateMetric('LCP', 3000), 'needs-improvement');
+  assert.equal(vitals.rateMetric('CLS', 0.3), 'poor');
+  assert.equal(vitals.rateMetric('INP', 200), 'good');
+  assert.equal(vitals.rateMetric('TTFB', 1801), 'poor');
+});
+
+test('resolveVitalsOptions is off by default and validates its options', () => {
+  assert.equal(vitals.resolveVitalsOptions(undefined), null);
+  assert.deepEqual(vitals.resolveVitalsOptions(true), { longTasks: true, resources: true, maxEvents: 300 });
+  assert.equal(vitals.resolveVitalsOptions({ longTasks: false }).longTasks, false);
+  assert.throws(() => vitals.resolveVitalsOptions({ resources: 'yes' }), /vitals\.resources must be a boolean/);
+  assert.throws(() => vitals.resolveVitalsOptions({ maxEvents: -1 }), /vitals\.maxEvents must be a non-negative number/);
+});
+
+test('TTFB and navigation timing are recorded from the navigation entry', async (t) => {
+  const navigation = {
+    type: 'navigate',
+    responseStart: 320.4,
+    domainLookupStart: 10,
+    domainLookupEnd: 30,
+    connectStart: 30,
+    secureConnectionStart: 45,
+    connectEnd: 80,
+    domContentLoadedEventEnd: 900,
+    loadEventEnd: 1200,
+    transferSize: 5120
+  };
+  t.mock.method(performance, 'getEntriesByType', (type) => (type === 'navigation' ? [navigation] : []));
+  await initRemote(env, replay, { vitals: true });
+
+  const [ttfb] = await getRecorded('vitals');
+  assert.equal(ttfb.name, 'TTFB');
+  assert.equal(ttfb.value, 320);
+  assert.equal(ttfb.rating, 'good');
+  const timing = (await getRecorded('performance')).find(({ type }) => type === 'navigation');
+  assert.deepEqual(timing, {
+    type: 'navigation',
+    navigationType: 'navigate',
+    dns: 20,
+    connect: 50,
+    tls: 35,
+    ttfb: 320,
+    domContentLoaded: 900,
+    load: 1200,
+    transferSize: 5120
+  });
+});
+
+test('FCP reported before recording starts is recorded once it does', async () => {
+  const starting = initRemote(env, replay, { vitals: true });
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  emitEntries('paint', [{ name: 'first-paint', startTime: 800 }, { name: 'first-contentful-paint', startTime: 1000.6 }]);
+  await starting;
+
+  const [fcp] = (await getRecorded('vitals')).filter(({ name }) => name === 'FCP');
+  assert.equal(fcp.value, 1001);
+  assert.equal(fcp.rating, 'good');
+  assert.equal(typeof fcp.timestamp, 'number');
+});
+
+test('LCP is final on the first interaction and points at its element', async () => {
+  await initRemote(env, replay, { vitals: true });
+  const hero = document.createElement('img');
+  hero.id = 'hero';
+  document.body.appendChild(hero);
+  window.rrweb.record.mirror = { getId: (node) => (node === hero ? 42 : -1) };
+
+  emitEntries('largest-contentful-paint', [{ startTime: 1800, element: document.body }]);
+  emitEntries('largest-contentful-paint', [{ startTime: 3100, element: hero, url: 'https://cdn.test/hero.jpg' }]);
+  window.dispatchEvent(new Event('pointerdown'));
+  emitEntries('largest-contentful-paint', [{ startTime: 5000, element: document.body }]);
+  hero.remove();
+
+  const lcp = (await getRecorded('vitals')).filter(({ name }) => name === 'LCP');
+  assert.equal(lcp.length, 1);
+  assert.equal(lcp[0].value, 3100);
+  assert.equal(lcp[0].rating, 'needs-improvement');
+  assert.equal(lcp[0].element, '<img#hero>');
+  assert.equal(lcp[0].nodeId, 42);
+  assert.equal(lcp[0].url, 'https://cdn.test/hero.jpg');
+});
+
+test('CLS is the largest session window, and every shift names the element that moved', async () => {
+  await initRemote(env, replay, { vitals: true });
+  const banner = document.createElement('div');
+  banner.className = 'banner';
+
+  emitEntries('layout-shift', [
+    { startTime: 1000, value: 0.05, sources: [{ node: banner }] },
+    { startTime: 1500, value: 0.04, sources: [] },
+    { startTime: 1600, value: 0.5, hadRecentInput: true },
+    // More than 1s after the last shift, so a new window starts
+    { startTime: 4000, value: 0.02, sources: [] }
+  ]);
+
+  const cls = (await getRecorded('vitals')).filter(({ name }) => name === 'CLS');
+  assert.deepEqual(cls.map(({ value, shift }) => [value, shift]), [[0.05, 0.05], [0.09, 0.04], [0.09, 0.02]]);
+  assert.equal(cls[0].element, '<div.banner>');
+  assert.equal(cls[1].delta, 0.04);
+  assert.equal(cls[1].element, undefined);
+});
+
+test('long tasks are recorded as they happen', async () => {
+  await initRemote(env, replay, { vitals: true });
+
+  emitEntries('longtask', [{ startTime: 2000, duration: 120.4, attribution: [{ containerType: 'iframe', containerSrc: 'https://ads.test/' }] }]);
+
+  const [task] = (await getRecorded('performance')).filter(({ type }) => type === 'longtask');
+  assert.equal(task.duration, 120);
+  assert.equal(task.container, 'iframe');
+  assert.equal(task.source, 'https://ads.test/');
+});
+
+test('hiding the page records INP and a resource summary, and updates the session metadata', async () => {
+  await initRemote(env, replay, { vitals: true });
+  const button = document.createElement('button');
+  button.id = 'buy';
+
+  emitEntries('event', [
+    { interactionId: 1, name: 'pointerdown', startTime: 100, duration: 80, target: button },
+    { interactionId: 1, name: 'click', startTime: 100, duration: 260, target: button },
+    { interactionId: 2, name: 'keydown', startTime: 900, duration: 120 },
+    { name: 'mousemove', startTime: 950, duration: 400 }
+  ]);
+  emitEntries('resource', [
+    { name: 'https://cdn.test/app.js', initiatorType: 'script', duration: 300, transferSize: 2000 },
+    { name: 'https://cdn.test/logo.png', initiatorType: 'img', duration: 90, transferSize: 500 },
+    { name: 'https://cdn.test/vendor.js', initiatorType: 'script', duration: 150, transferSize: 1000 }
+  ]);
+  emitEntries('longtask', [{ startTime: 2000, duration: 60 }]);
+  hidePage();
+
+  const [inp] = (await getRecorded('vitals')).filter(({ name }) => name === 'INP');
+  assert.equal(inp.value, 260);
+  assert.equal(inp.rating, 'needs-improvement');
+  assert.equal(inp.eventType, 'click');
+  assert.equal(inp.element, '<button#buy>');
+
+  const summary = (await getRecorded('performance')).find(({ type }) => type === 'resources');
+  assert.equal(summary.count, 3);
+  assert.deepEqual(summary.byType.script, { count: 2, transferSize: 3000, duration: 450 });
+  assert.deepEqual(summary.slowest.map(({ url }) => url), ['https://cdn.test/app.js', 'https://cdn.test/vendor.js', 'https://cdn.test/logo.png']);
+
+  const metadata = await getRecorded('metadata');
+  const { vitals: latest } = metadata[metadata.length - 1];
+  assert.equal(latest.INP, 260);
+  assert.deepEqual(latest.longTasks, { count: 1, totalDuration: 60 });
+  assert.deepEqual(latest.resources, { count: 3, transferSize: 3500 });
+});
+
+test('longTasks: false and resources: false skip those observers', async () => {
+  await initRemote(env, replay, { vitals: { longTasks: false, resources: false } });
+
+  const types = FakePerformanceObserver.active.map(({ type }) => type);
+  assert.equal(types.includes('longtask'), false);
+  assert.equal(types.includes('resource'), false);
+  assert.ok(types.includes('layout-shift'));
+});
+
+test('capture stops at maxEvents per session', async () => {
+  await initRemote(env, replay, { vitals: { maxEvents: 2 } });
+
+  emitEntries('layout-shift', [0.01, 0.02, 0.03].map((value, index) => ({ startTime: 1000 + index * 100, value })));
+  assert.equal((await getRecorded('vitals')).length, 2);
+});
+
+test('destroy() disconnects the observers', async () => {
+  const { session } = await initRemote(env, replay, { vitals: true });
+  assert.ok(FakePerformanceObserver.active.length > 0);
+
+  session.destroy();
+  assert.deepEqual(FakePerformanceObserver.active, []);
+});
+
+test('invalid vitals options are rejected', async () => {
+  await assert.rejects(
+    replay.initSessionReplay({ projectKey: 'demo key', getToken: () => 'token-1', vitals: { longTasks: 1 } }),
+    { name: 'ConfigError', message: /vitals\.longTasks must be a boolean/ }
+  );
+});